@@ -13,9 +13,11 @@ import { updateState, state, initialState } from '../core/state.js';
 import { calculateFerias, calculateFGTS, calculatePISPASEP, calculateSeguroDesemprego, calculateHorasExtras, calculateINSSCalculator, calculateValeTransporte, calculateIRPF, calculateSalarioLiquido } from '../core/calculations.js';
 import { calcularDecimoTerceiro } from '../core/decimoTerceiro.js';
 import { calcularRescisao } from '../core/rescisao.js';
+import { compararCenariosRescisao } from '../core/cenarios.js';
+import { planejarDataSaida } from '../core/planejamentoSaida.js';
 import * as ParamStore from '../core/parametersStore.js';
 import { saveState, getSavePreference } from '../services/storage.js';
-import { CurrencyFormatter, InputMaskManager, debounce } from '../services/formatter.js';
+import { CurrencyFormatter, DateFormatter, InputMaskManager, debounce } from '../services/formatter.js';
 import { ValidationEngine } from '../core/validation.js';
 import { appendHistoryEntry } from '../services/report.js';
 import { openFaqModal } from '../features/knowledge-base/ui.js';
@@ -23,7 +25,7 @@ import { openAboutModal } from '../features/content/about.js';
 import { openGlossaryModal } from '../features/content/glossary.js';
 import { openArticlesModal } from '../features/content/articles.js';
 import { openHowtoModal } from '../features/content/howto.js';
-import { gerarPDFResultado } from '../services/pdf.js';
+import { gerarPDFResultado, gerarPDFTRCT, gerarPDFComparacaoCenarios } from '../services/pdf.js';
 
 /**
  * Função de debounce para salvar o estado da aplicação, evitando escritas excessivas no `localStorage`.
@@ -93,9 +95,22 @@ function handleFormInput(event) {
     let shouldRender = false;
     const paramsOk = typeof ParamStore.areParametrosLoaded === 'function' ? ParamStore.areParametrosLoaded() : false;
     if (paramsOk) {
-        if (path.startsWith('ferias.')) { state.results.ferias = calculateFerias(state.ferias); shouldRender = true; }
+        if (path.startsWith('ferias.')) {
+            state.results.ferias = calculateFerias(state.ferias);
+            // O holerite da competência e o fracionamento são recalculados na renderização, se habilitados.
+            state.results.feriasCompetencia = null;
+            state.results.feriasFracionadas = null;
+            shouldRender = true;
+        }
         if (path.startsWith('decimoTerceiro.')) { state.results.decimoTerceiro = calcularDecimoTerceiro(state.decimoTerceiro); shouldRender = true; }
-        if (path.startsWith('rescisao.')) { state.results.rescisao = calcularRescisao(state.rescisao); shouldRender = true; }
+        if (path.startsWith('rescisao.')) {
+            state.results.rescisao = calcularRescisao(state.rescisao);
+            // A comparação de cenários é recalculada na renderização, se habilitada; o planejamento
+            // da data de saída fica desatualizado e só é refeito pelo botão.
+            state.results.cenariosRescisao = null;
+            state.results.planejamentoSaida = null;
+            shouldRender = true;
+        }
         if (path.startsWith('salarioLiquido.')) { state.results.salarioLiquido = calculateSalarioLiquido(state.salarioLiquido); shouldRender = true; }
         if (path.startsWith('fgts.')) { state.results.fgts = calculateFGTS(state.fgts); shouldRender = true; }
         if (path.startsWith('pisPasep.')) { state.results.pisPasep = calculatePISPASEP(state.pisPasep, state.legalTexts); shouldRender = true; }
@@ -156,13 +171,21 @@ export function initializeEventListeners() {
             { label: 'Médias (HE+AN)', value: (r?.mediaHorasExtras||0)+(r?.mediaAdicionalNoturno||0), format: 'currency' },
             { label: 'Periculosidade', value: r?.periculosidade, format: 'currency' },
             { label: 'Insalubridade', value: r?.insalubridade, format: 'currency' },
+            { label: 'DSR sobre médias', value: r?.dsrSobreMedias, format: 'currency' },
             { label: 'Dependentes', value: r?.dependentes }
         ]},
+        ...(r?.calendario ? [{ title: 'Calendário', rows: [
+            { label: 'Início das férias', value: DateFormatter.formatBR(r.calendario.inicio) },
+            { label: 'Pagamento até (art. 145)', value: DateFormatter.formatBR(r.calendario.prazoPagamento) },
+            ...(r.calendario.dataPagamento ? [{ label: 'Pago em', value: DateFormatter.formatBR(r.calendario.dataPagamento) }] : []),
+            { label: 'Retorno ao trabalho', value: DateFormatter.formatBR(r.calendario.retorno) }
+        ]}] : []),
         { title: 'Incidências', rows: [
             { label: 'Base INSS', value: r?.baseINSS, format: 'currency' },
             { label: 'INSS', value: r?.inss, format: 'currency' },
             { label: 'Base IRRF', value: r?.baseIRRF, format: 'currency' },
             { label: 'IRRF', value: r?.irrf, format: 'currency' },
+            ...(r?.descontoPensao > 0 ? [{ label: 'Pensão alimentícia', value: r.descontoPensao, format: 'currency' }] : []),
             { label: 'FGTS (8%)', value: r?.fgts?.valor, format: 'currency' }
         ]},
         { title: 'Totais', rows: [
@@ -170,6 +193,7 @@ export function initializeEventListeners() {
             { label: 'Adicional 1/3', value: r?.adicionalUmTerco, format: 'currency' },
             { label: 'Abono (1/3)', value: r?.segmentoAbono, format: 'currency' },
             { label: '13º Adiantado', value: r?.segmentoDecimoAdiantado, format: 'currency' },
+            ...(r?.dobraFerias > 0 ? [{ label: 'Dobra (pagamento fora do prazo)', value: r.dobraFerias, format: 'currency' }] : []),
             { label: 'Líquido (Férias)', value: r?.liquidoSegmentoFerias, format: 'currency' },
             { label: 'Líquido + Abono', value: r?.liquidoComAbono, format: 'currency' },
             { label: 'Total Líquido', value: r?.liquidoComTudo, format: 'currency' }
@@ -177,7 +201,11 @@ export function initializeEventListeners() {
     ]);
     setupPDFButton('btn-print-rescisao', 'Rescisão', () => state.results.rescisao, (r) => [
         { title: 'Contrato', rows: [
-            { label: 'Motivo', value: r?.motivo },
+            { label: 'Motivo', value: r?.motivoLabel || r?.motivo },
+            { label: 'Tipo de contrato', value: ({ experiencia: 'Experiência', prazo_determinado: 'Prazo determinado' })[r?.tipoContrato] || 'Prazo indeterminado' },
+            { label: 'Saque do FGTS', value: r?.saqueFgts ? 'Permitido' : 'Não permitido' },
+            { label: 'Saque FGTS permitido', value: r?.saqueFgtsPermitido, format: 'currency' },
+            { label: 'Seguro-desemprego', value: r?.seguroDesemprego ? 'Elegível' : 'Não elegível' },
             { label: 'Anos (aprox.)', value: r?.anosEstimados },
             { label: 'Dias Aviso', value: r?.diasAviso },
             { label: 'Periculosidade', value: r?.periculosidade, format: 'currency' },
@@ -185,24 +213,78 @@ export function initializeEventListeners() {
         ]},
         { title: 'Verbas', rows: [
             { label: 'Remuneração Base', value: r?.remuneracaoBase, format: 'currency' },
-            { label: 'Saldo Salário', value: r?.saldoSalario, format: 'currency' },
-            { label: 'Aviso Indenizado', value: r?.avisoIndenizado, format: 'currency' },
-            { label: 'Férias Vencidas', value: r?.feriasVencidas, format: 'currency' },
-            { label: 'Férias Proporcionais', value: r?.feriasProporcionais, format: 'currency' },
-            { label: '13º Proporcional', value: r?.decimoProporcional, format: 'currency' },
+            ...(r?.verbasItens || []).map(item => item.devido
+                ? { label: item.label, value: item.valor, format: 'currency' }
+                : { label: item.label, value: 'Não devido' }),
             { label: 'Multa FGTS', value: r?.multaFGTS, format: 'currency' }
         ]},
+        ...(r?.indenizacaoEstabilidade ? [{ title: `Indenização Estabilitária — ${r.indenizacaoEstabilidade.label}`, rows: [
+            { label: 'Período indenizado', value: `${DateFormatter.formatBR(r.indenizacaoEstabilidade.inicio)} a ${DateFormatter.formatBR(r.indenizacaoEstabilidade.fim)}` },
+            { label: 'Meses restantes', value: r.indenizacaoEstabilidade.meses },
+            { label: 'Salários do período', value: r.indenizacaoEstabilidade.salarios, format: 'currency' },
+            { label: 'Reflexo em 13º', value: r.indenizacaoEstabilidade.decimoTerceiro, format: 'currency' },
+            { label: 'Reflexo em Férias', value: r.indenizacaoEstabilidade.ferias, format: 'currency' },
+            { label: '1/3 sobre Férias', value: r.indenizacaoEstabilidade.tercoFerias, format: 'currency' },
+            { label: 'FGTS do período (8%)', value: r.indenizacaoEstabilidade.fgts, format: 'currency' },
+            { label: 'Total da Indenização', value: r.indenizacaoEstabilidade.total, format: 'currency' }
+        ] }] : []),
+        ...(r?.periodosFeriasVencidas?.length ? [{ title: 'Férias por Período Aquisitivo', rows: r.periodosFeriasVencidas.map(p => ({
+            label: `${p.numero}º período (${DateFormatter.formatBR(p.inicio)} a ${DateFormatter.formatBR(p.fim)})`,
+            value: p.diasDevidos > 0
+                ? `${p.diasDevidos} dias ${p.dobra ? 'em dobro' : 'simples'}: ${CurrencyFormatter.format(p.valor)} + 1/3 ${CurrencyFormatter.format(p.terco)}`
+                : 'Gozadas'
+        })) }] : []),
         { title: 'Totais', rows: [
             { label: 'Total Bruto', value: r?.totalBruto, format: 'currency' },
             { label: 'INSS (simpl.)', value: r?.inss, format: 'currency' },
             { label: 'Base IRRF', value: r?.baseIRRF, format: 'currency' },
             { label: 'IRRF (simpl.)', value: r?.irrf, format: 'currency' },
+            ...(r?.descontoAvisoPrevio > 0 ? [{ label: 'Aviso Prévio não cumprido (art. 487, § 2º)', value: r.descontoAvisoPrevio, format: 'currency' }] : []),
+            ...(r?.descontoArt480 > 0 ? [{ label: 'Indenização art. 480 CLT', value: r.descontoArt480, format: 'currency' }] : []),
+            ...(r?.descontoPensao > 0 ? [{ label: 'Pensão alimentícia', value: r.descontoPensao, format: 'currency' }] : []),
+            ...(r?.descontoFaltas > 0 ? [{ label: `Faltas, atrasos e DSR (${r.faltas.faltas} dia(s), ${r.faltas.semanasComFalta} DSR)`, value: r.descontoFaltas, format: 'currency' }] : []),
             { label: 'Total Descontos', value: r?.totalDescontos, format: 'currency' },
             { label: 'Total Líquido Est.', value: r?.totalLiquidoEstimado, format: 'currency' },
             { label: 'Total no TRCT (sem multa FGTS)', value: r?.totalLiquidoSemMulta, format: 'currency' },
-            { label: 'Montante total (inclui FGTS + multa)', value: r?.montanteTotalComFGTS, format: 'currency' }
-        ]}
+            { label: 'Montante total (líquido + FGTS liberado para saque)', value: r?.montanteTotalComFGTS, format: 'currency' }
+        ]},
+        ...(r?.mediasVariaveis ? [{ title: 'Médias de Variáveis', rows: [
+            ...r.mediasVariaveis.meses.map(m => ({ label: `Competência ${m.competencia.slice(5)}/${m.competencia.slice(0, 4)}`, value: m.total, format: 'currency' })),
+            { label: 'Média férias/aviso', value: r.mediasVariaveis.ferias.total, format: 'currency' },
+            { label: 'Média 13º (ano civil)', value: r.mediasVariaveis.decimo.total, format: 'currency' },
+            { label: 'Remuneração base do 13º', value: r.remuneracao13, format: 'currency' }
+        ]}] : []),
+        ...(r?.fgtsHistorico ? [{ title: 'Histórico de Depósitos do FGTS (estimado)', rows: [
+            ...r.fgtsHistorico.meses.map(m => ({ label: `Competência ${m.competencia.slice(5)}/${m.competencia.slice(0, 4)}${m.informado ? ' (informado)' : ''} — depósito`, value: m.deposito, format: 'currency' })),
+            { label: 'Total de depósitos', value: r.fgtsHistorico.totalDepositos, format: 'currency' },
+            { label: 'Total de rendimentos (TR + 3% a.a.)', value: r.fgtsHistorico.totalRendimentos, format: 'currency' },
+            { label: 'Saldo estimado', value: r.fgtsHistorico.saldo, format: 'currency' },
+            { label: 'Base da multa', value: r.fgtsReflex?.baseMultaFGTS, format: 'currency' }
+        ]}] : []),
+        ...(r?.pagamento?.dataPagamento ? [{ title: 'Prazo de Pagamento (art. 477)', rows: [
+            { label: 'Prazo legal', value: DateFormatter.formatBR(r.pagamento.prazo) },
+            { label: 'Data do pagamento', value: DateFormatter.formatBR(r.pagamento.dataPagamento) },
+            { label: 'Dias de atraso', value: r.pagamento.diasAtraso },
+            { label: 'Multa art. 477, § 8º (fora do TRCT)', value: r.multaArt477, format: 'currency' }
+        ]}] : []),
+        ...(r?.indenizacaoCompensatoria ? [{ title: 'Empregado Doméstico (LC 150/2015)', rows: [
+            { label: 'Indenização compensatória acumulada (3,2%)', value: r.indenizacaoCompensatoria.acumulado, format: 'currency' },
+            { label: 'Depósito sobre as verbas rescisórias', value: r.indenizacaoCompensatoria.rescisorio, format: 'currency' },
+            { label: 'Parte do empregado', value: r.indenizacaoCompensatoria.valorEmpregado, format: 'currency' },
+            { label: 'Parte do empregador', value: r.indenizacaoCompensatoria.valorEmpregador, format: 'currency' },
+            { label: 'Seguro-desemprego do doméstico', value: r.seguroDesempregoDomestico?.elegivel ? r.seguroDesempregoDomestico.total : 'Não elegível', ...(r.seguroDesempregoDomestico?.elegivel ? { format: 'currency' } : {}) }
+        ]}] : [])
     ]);
+    const btnTRCT = document.getElementById('btn-print-trct');
+    if (btnTRCT) {
+        btnTRCT.addEventListener('click', () => gerarPDFTRCT(state.results.rescisao));
+    }
+    const btnCenarios = document.getElementById('btn-print-cenarios');
+    if (btnCenarios) {
+        btnCenarios.addEventListener('click', () => gerarPDFComparacaoCenarios(
+            state.results.cenariosRescisao || compararCenariosRescisao(state.rescisao, { base: state.rescisao.cenarioBase })
+        ));
+    }
     setupPDFButton('btn-print-decimoTerceiro', '13º Salário', () => state.results.decimoTerceiro, (r) => [
         { title: 'Base', rows: [
             { label: 'Meses Trabalhados', value: r?.mesesTrabalhados },
@@ -222,6 +304,7 @@ export function initializeEventListeners() {
             { label: 'INSS', value: r?.inss, format: 'currency' },
             { label: 'Base IRRF Ajustada', value: r?.baseIRRF, format: 'currency' },
             { label: 'IRRF', value: r?.irrf, format: 'currency' },
+            ...(r?.descontoPensao > 0 ? [{ label: 'Pensão alimentícia', value: r.descontoPensao, format: 'currency' }] : []),
             { label: 'Líquido Total', value: r?.liquidoTotal, format: 'currency' }
         ]}
     ]);
@@ -232,12 +315,20 @@ export function initializeEventListeners() {
             { label: 'Insalubridade', value: r?.insalubridade, format: 'currency' },
             { label: 'Horas Extras (50%)', value: r?.valorHorasExtras, format: 'currency' },
             { label: 'Adicional Noturno', value: r?.adicionalNoturno, format: 'currency' },
+            { label: 'DSR s/ Variáveis', value: r?.dsr, format: 'currency' },
             { label: 'Bruto', value: r?.bruto, format: 'currency' }
         ]},
         { title: 'Descontos', rows: [
+            ...(r?.faltas?.total > 0 ? [
+                { label: `Faltas (${r.faltas.faltas} dia(s))`, value: r.descontoFaltas, format: 'currency' },
+                { label: 'Atrasos', value: r.descontoAtrasos, format: 'currency' },
+                { label: `DSR perdido (${r.faltas.semanasComFalta} semana(s))`, value: r.descontoDsrPerdido, format: 'currency' },
+                { label: 'Base INSS/FGTS', value: r.baseTributavel, format: 'currency' }
+            ] : []),
             { label: 'INSS', value: r?.inss, format: 'currency' },
             { label: 'Base IRRF', value: r?.baseIRRF, format: 'currency' },
             { label: 'IRRF', value: r?.irrf, format: 'currency' },
+            ...(r?.descontoPensao > 0 ? [{ label: 'Pensão alimentícia', value: r.descontoPensao, format: 'currency' }] : []),
             { label: 'VT', value: r?.descontoVt, format: 'currency' },
             { label: 'VR', value: r?.descontoVr, format: 'currency' },
             { label: 'Saúde', value: r?.descontoSaude, format: 'currency' },
@@ -246,8 +337,15 @@ export function initializeEventListeners() {
         ]},
         { title: 'Líquido', rows: [
             { label: 'Salário Família', value: r?.salarioFamilia, format: 'currency' },
+            { label: 'FGTS do mês (empregador)', value: r?.fgts, format: 'currency' },
             { label: 'Líquido', value: r?.liquido, format: 'currency' }
-        ]}
+        ]},
+        ...(r?.dae ? [{ title: 'DAE — Empregador Doméstico', rows: [
+            ...r.dae.itens.map(i => ({ label: i.label, value: i.valor, format: 'currency' })),
+            { label: 'INSS do empregado (retido)', value: r.dae.inssEmpregado, format: 'currency' },
+            { label: 'IRRF (retido)', value: r.dae.irrf, format: 'currency' },
+            { label: 'Total da guia DAE', value: r.dae.total, format: 'currency' }
+        ]}] : [])
     ]);
     setupPDFButton('btn-print-fgts', 'FGTS', () => state.results.fgts, (r) => [
         { title: 'Depósitos', rows: [
@@ -273,9 +371,10 @@ export function initializeEventListeners() {
     ]);
     setupPDFButton('btn-print-horasExtras', 'Horas Extras', () => state.results.horasExtras, (r) => [
         { title: 'Resumo', rows: [
-            { label: 'Horas 50%', value: r?.valor50, format: 'currency' },
-            { label: 'Horas 100%', value: r?.valor100, format: 'currency' },
-            { label: 'Total', value: r?.total, format: 'currency' }
+            { label: 'Valor Hora', value: r?.valorHora, format: 'currency' },
+            { label: 'Horas Extras', value: r?.valorHoras, format: 'currency' },
+            { label: 'DSR', value: r?.dsr, format: 'currency' },
+            { label: 'Total', value: r?.totalComDsr, format: 'currency' }
         ]}
     ]);
     setupPDFButton('btn-print-inss', 'INSS', () => state.results.inss, (r) => [
@@ -337,8 +436,8 @@ export function initializeEventListeners() {
         try {
             let shouldRender = false;
             switch (calcName) {
-                case 'ferias': state.results.ferias = calculateFerias(state.ferias); shouldRender = true; break;
-                case 'rescisao': state.results.rescisao = calcularRescisao(state.rescisao); shouldRender = true; break;
+                case 'ferias': state.results.ferias = calculateFerias(state.ferias); state.results.feriasCompetencia = null; state.results.feriasFracionadas = null; shouldRender = true; break;
+                case 'rescisao': state.results.rescisao = calcularRescisao(state.rescisao); state.results.cenariosRescisao = null; shouldRender = true; break;
                 case 'decimoTerceiro': state.results.decimoTerceiro = calcularDecimoTerceiro(state.decimoTerceiro); shouldRender = true; break;
                 case 'salarioLiquido': state.results.salarioLiquido = calculateSalarioLiquido(state.salarioLiquido); shouldRender = true; break;
                 case 'fgts': state.results.fgts = calculateFGTS(state.fgts); shouldRender = true; break;
@@ -362,6 +461,35 @@ export function initializeEventListeners() {
         }
     });
 
+    appContainer.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-action="planejar-saida"]');
+        if (!btn) return;
+        e.preventDefault();
+        const original = btn.innerHTML;
+        btn.disabled = true;
+        btn.innerHTML = '<span class="material-icons-outlined text-base animate-spin">autorenew</span> Simulando...';
+        try {
+            // Sem data informada, a simulação começa hoje.
+            const hoje = new Date();
+            const inicio = state.rescisao.planejamentoInicio
+                ? DateFormatter.paraISO(state.rescisao.planejamentoInicio)
+                : `${hoje.getFullYear()}-${String(hoje.getMonth() + 1).padStart(2, '0')}-${String(hoje.getDate()).padStart(2, '0')}`;
+            if (!inicio) return;
+            const [ano, mes, dia] = inicio.split('-').map(Number);
+            const meses = Number(state.rescisao.planejamentoMeses) || 12;
+            const dias = Math.round((Date.UTC(ano, mes - 1 + meses, dia) - Date.UTC(ano, mes - 1, dia)) / (1000 * 60 * 60 * 24));
+            // Cede o controle ao navegador para exibir o estado de carregamento antes da simulação.
+            await new Promise(resolve => setTimeout(resolve, 0));
+            state.results.planejamentoSaida = planejarDataSaida(state.rescisao, { inicio, dias });
+            const { renderApp } = await import('../ui/renderer.js');
+            renderApp();
+            document.getElementById('rescisao-planejamento')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } finally {
+            btn.disabled = false;
+            btn.innerHTML = original;
+        }
+    });
+
     appContainer.addEventListener('click', (e)=>{
         const faq = e.target.closest('[data-action="open-faq"]');
         const about = e.target.closest('[data-action="open-about"]');
@@ -419,7 +547,8 @@ export function initializeEventListeners() {
             const calcName = formId.replace('form-', '');
             if (state[calcName] && initialState[calcName]) {
                 Object.keys(initialState[calcName]).forEach(key => {
-                    updateState(`${calcName}.${key}`, initialState[calcName][key]);
+                    // Cópia profunda para que listas (ex: períodos de férias) não compartilhem referência com o estado inicial.
+                    updateState(`${calcName}.${key}`, JSON.parse(JSON.stringify(initialState[calcName][key])));
                 });
                 state.results[calcName] = {};
                 import('../ui/renderer.js').then(m => m.renderApp());
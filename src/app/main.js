@@ -24,6 +24,10 @@ import { getSelectedParamYear, getTheme } from '../services/storage.js';
 import { getUseGlobalSalary } from '../services/storage.js';
 import { initTooltips } from '../ui/components/tooltip.js';
 import { openHistoryModal, openSettingsModal } from '../ui/components/modal.js';
+import { MOTIVOS_RESCISAO } from '../data/motivos-rescisao.js';
+import { ESTABILIDADES } from '../data/estabilidades.js';
+import { TIPOS_AFASTAMENTO } from '../data/afastamentos.js';
+import { CENARIOS_PADRAO } from '../core/cenarios.js';
 
 /**
  * Carrega configurações essenciais, como textos legais, de forma assíncrona a partir de um arquivo JSON.
@@ -74,6 +78,65 @@ function loadSavedState() {
     }
 }
 
+/**
+ * Preenche o `<select>` de motivo da rescisão a partir da tabela `MOTIVOS_RESCISAO`,
+ * mantendo o formulário e o motor de cálculo sobre a mesma fonte de regras.
+ * O motivo salvo no estado permanece selecionado.
+ * @private
+ */
+function populateMotivoRescisaoSelect() {
+    const select = document.getElementById('resc-motivo');
+    if (!select) return;
+    select.innerHTML = Object.entries(MOTIVOS_RESCISAO)
+        .map(([key, motivo]) => `<option value="${key}">${motivo.label}</option>`)
+        .join('');
+    if (state.rescisao.motivo in MOTIVOS_RESCISAO) select.value = state.rescisao.motivo;
+}
+
+/**
+ * Preenche o `<select>` de estabilidade provisória a partir da tabela `ESTABILIDADES`,
+ * com a opção "Nenhuma" no início. A orientação sobre as datas de cada tipo vai no `title` da opção.
+ * @private
+ */
+function populateEstabilidadeSelect() {
+    const select = document.getElementById('resc-tipoEstabilidade');
+    if (!select) return;
+    select.innerHTML = '<option value="">Nenhuma</option>' + Object.entries(ESTABILIDADES)
+        .map(([key, estab]) => `<option value="${key}" title="${estab.dica}">${estab.label}</option>`)
+        .join('');
+    if (state.rescisao.tipoEstabilidade in ESTABILIDADES) select.value = state.rescisao.tipoEstabilidade;
+}
+
+/**
+ * Preenche os `<select>` de tipo de afastamento da calculadora de 13º a partir da tabela
+ * `TIPOS_AFASTAMENTO`, mantendo selecionado o tipo salvo no estado para cada linha.
+ * @private
+ */
+function populateTipoAfastamentoSelects() {
+    const options = Object.entries(TIPOS_AFASTAMENTO)
+        .map(([key, tipo]) => `<option value="${key}" title="${tipo.fundamento}">${tipo.label}</option>`)
+        .join('');
+    document.querySelectorAll('.dt-tipo-afastamento').forEach((select, i) => {
+        select.innerHTML = options;
+        const salvo = state.decimoTerceiro.afastamentos?.[i]?.tipo;
+        if (salvo in TIPOS_AFASTAMENTO) select.value = salvo;
+    });
+}
+
+/**
+ * Preenche o `<select>` do cenário de referência da comparação de rescisões a partir de
+ * `CENARIOS_PADRAO`. O cenário salvo no estado permanece selecionado.
+ * @private
+ */
+function populateCenarioBaseSelect() {
+    const select = document.getElementById('resc-cenarioBase');
+    if (!select) return;
+    select.innerHTML = CENARIOS_PADRAO
+        .map(c => `<option value="${c.chave}">${c.label}</option>`)
+        .join('');
+    if (CENARIOS_PADRAO.some(c => c.chave === state.rescisao.cenarioBase)) select.value = state.rescisao.cenarioBase;
+}
+
 /**
  * Função principal que orquestra a inicialização da aplicação.
  * Executa sequencialmente todos os passos necessários para que a aplicação esteja pronta para uso,
@@ -124,6 +187,10 @@ async function initializeApp() {
 
         await loadConfiguration();
         loadSavedState();
+        populateMotivoRescisaoSelect();
+        populateEstabilidadeSelect();
+        populateCenarioBaseSelect();
+        populateTipoAfastamentoSelects();
         initializeEventListeners();
 
         if (paramsLoaded){
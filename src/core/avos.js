@@ -0,0 +1,71 @@
+/**
+ * @file Módulo para a contagem de avos de 13º e férias.
+ * @module core/avos
+ * @description Conta, mês civil a mês civil, os dias trabalhados num período e os avos que eles
+ * geram: o mês com 15 dias ou mais trabalhados conta um avo (Lei 4.090/62, art. 1º, § 2º; CLT,
+ * art. 146, parágrafo único). Usado pela rescisão e pela calculadora de 13º.
+ */
+
+/**
+ * @typedef {Object} AvoMensal
+ * @property {string} competencia - Mês civil ('YYYY-MM').
+ * @property {string} inicio - Primeiro dia trabalhado no mês (ISO).
+ * @property {string} fim - Último dia trabalhado no mês (ISO).
+ * @property {number} dias - Dias trabalhados no mês.
+ * @property {boolean} contado - Se o mês gera um avo (15 dias ou mais).
+ */
+
+/**
+ * Formata uma data local como ISO (YYYY-MM-DD), sem conversão de fuso horário.
+ * @private
+ * @param {Date} d - A data.
+ * @returns {string} A data no formato ISO.
+ */
+function isoLocal(d){
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+/**
+ * Detalha, mês civil a mês civil, os dias trabalhados entre duas datas e se cada mês gera um avo
+ * de 13º e férias (15 dias ou mais trabalhados no mês).
+ * @param {string} admissao - A data de início do período a ser contado (formato ISO 'YYYY-MM-DD').
+ * @param {string} demissao - A data final do período a ser contado (formato ISO 'YYYY-MM-DD').
+ * @returns {AvoMensal[]} Os meses do período, do mais antigo ao mais recente.
+ */
+export function detalharMesesProporcionais(admissao, demissao){
+  const start = new Date(admissao + 'T00:00:00');
+  const end = new Date(demissao + 'T00:00:00');
+  const detalhe = [];
+  const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+  while (cursor <= end){
+    const ano = cursor.getFullYear();
+    const mes = cursor.getMonth();
+    const primeiro = new Date(ano, mes, 1);
+    const ultimo = new Date(ano, mes+1, 0);
+    if (end < primeiro) break;
+    // Verifica dias trabalhados no mês.
+    const ini = cursor < start ? start : primeiro;
+    const fim = end < ultimo ? end : ultimo;
+    const diasTrabalhadosMes = (fim - ini)/(1000*60*60*24) + 1;
+    detalhe.push({
+      competencia: isoLocal(primeiro).slice(0,7),
+      inicio: isoLocal(ini),
+      fim: isoLocal(fim),
+      dias: Math.round(diasTrabalhadosMes),
+      contado: diasTrabalhadosMes >= 15
+    });
+    cursor.setMonth(cursor.getMonth()+1);
+  }
+  return detalhe;
+}
+
+/**
+ * Calcula o número de meses proporcionais para 13º e férias.
+ * Um mês é contabilizado se o empregado trabalhou 15 dias ou mais dentro daquele mês.
+ * @param {string} admissao - A data de início do período a ser contado (formato ISO 'YYYY-MM-DD').
+ * @param {string} demissao - A data final do período a ser contado (formato ISO 'YYYY-MM-DD').
+ * @returns {number} O número de meses para o cálculo proporcional.
+ */
+export function calcularMesesProporcionais13(admissao, demissao){
+  return detalharMesesProporcionais(admissao, demissao).filter(m => m.contado).length;
+}
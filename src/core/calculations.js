@@ -31,8 +31,16 @@ export const PARAMETROS_2025 = {
 import { calcularINSS } from './inss.js';
 import { ajustarBaseIRRF, calcularIRRFBase } from './irrf.js';
 import { getSalarioMinimo, getIRRF, getIRRFDeducaoDependente } from './parametersStore.js';
-import { calcularFGTSFerias } from './fgts.js';
+import { calcularFGTSFerias, taxaAtualizacaoFGTS } from './fgts.js';
 import { round2 } from './round.js';
+import { calcularDSR } from './dsr.js';
+import { calcularDescontoFaltas } from './faltas.js';
+import { normalizarPensao, pensaoAbrange, calcularPensaoAlimenticia } from './pensao.js';
+import { TRIBUTOS, incide, baseIncidencia } from './incidencias.js';
+import { calcularDAEDomestico } from './domestico.js';
+import { getDiasFeriasPorFaltas, verificarPerdaFerias } from '../data/faltas-ferias.js';
+import { REGRAS_FRACIONAMENTO_FERIAS } from '../data/fracionamento-ferias.js';
+import { DateFormatter } from '../services/formatter.js';
 
 /**
  * @typedef {Object} FeriasState
@@ -46,11 +54,84 @@ import { round2 } from './round.js';
  * @property {string} adicionalInsalubridadeGrau - O grau do adicional de insalubridade ('minimo', 'medio', 'maximo').
  * @property {string} insalubridadeBase - A base de cálculo da insalubridade ('SALARIO_MINIMO' ou 'SALARIO_BRUTO').
  * @property {number} dependentes - O número de dependentes para fins de IRRF.
+ * @property {import('./pensao.js').PensaoAlimenticiaConfig} [pensaoAlimenticia] - Pensão alimentícia (férias + 1/3 e abono; adiantamento do 13º, se abrangido).
+ * @property {number} [faltasInjustificadas] - Faltas injustificadas no período aquisitivo (CLT, art. 130).
+ * @property {boolean} [desligamentoSemReadmissao] - Se deixou o emprego e não foi readmitido em 60 dias (art. 133, I).
+ * @property {number} [diasLicencaRemunerada] - Dias de licença remunerada no período aquisitivo (art. 133, II).
+ * @property {number} [diasParalisacao] - Dias de paralisação remunerada dos serviços da empresa (art. 133, III).
+ * @property {number} [mesesBeneficioINSS] - Meses de auxílio-doença ou acidente de trabalho pagos pela Previdência (art. 133, IV).
+ * @property {string} [dataInicio] - Primeiro dia de férias (DD/MM/YYYY ou ISO).
+ * @property {string} [dataPagamento] - Data efetiva do pagamento das férias (DD/MM/YYYY ou ISO).
+ * @property {boolean} [fracionado] - Se é um dos períodos de férias fracionadas (art. 134, § 1º), que gozam menos que o direito.
  */
 
+/**
+ * @typedef {Object} CalendarioFerias
+ * @property {string} inicio - Primeiro dia de férias (ISO).
+ * @property {string} fim - Último dia de férias (ISO).
+ * @property {string} retorno - Dia de retorno ao trabalho (ISO).
+ * @property {string} prazoPagamento - Último dia (ISO) para o pagamento das férias (art. 145).
+ * @property {string} dataPagamento - Data (ISO) do pagamento informado, ou vazia se não informada.
+ * @property {number} diasAtraso - Dias de atraso em relação ao prazo.
+ * @property {boolean} atrasado - Se o pagamento ocorreu após o prazo.
+ */
+
+/**
+ * Monta o calendário das férias: gozo, retorno e prazo de pagamento, que vence dois dias antes do
+ * início (CLT, art. 145), e verifica se o pagamento informado foi feito em atraso.
+ * @private
+ * @param {string} dataInicio - Primeiro dia de férias (DD/MM/YYYY ou ISO).
+ * @param {string} dataPagamento - Data do pagamento (DD/MM/YYYY ou ISO), ou vazia.
+ * @param {number} diasFerias - Dias corridos de gozo.
+ * @returns {CalendarioFerias|null} O calendário, ou `null` sem data de início válida.
+ */
+function montarCalendarioFerias(dataInicio, dataPagamento, diasFerias) {
+    const inicio = DateFormatter.paraISO(dataInicio);
+    if (!inicio) return null;
+    const prazoPagamento = DateFormatter.somarDias(inicio, -REGRAS_FRACIONAMENTO_FERIAS.antecedenciaPagamentoDias);
+    const pagamento = DateFormatter.paraISO(dataPagamento);
+    const atrasado = !!pagamento && pagamento > prazoPagamento;
+    return {
+        inicio,
+        fim: DateFormatter.somarDias(inicio, Math.max(0, diasFerias - 1)),
+        retorno: DateFormatter.somarDias(inicio, diasFerias),
+        prazoPagamento,
+        dataPagamento: pagamento,
+        diasAtraso: atrasado ? Math.round((Date.parse(pagamento) - Date.parse(prazoPagamento)) / 86400000) : 0,
+        atrasado
+    };
+}
+
+/**
+ * @typedef {Object} DireitoFerias
+ * @property {number} faltasInjustificadas - Faltas injustificadas consideradas.
+ * @property {number} diasDireito - Dias de férias adquiridos (30, 24, 18, 12 ou 0).
+ * @property {number} diasAbono - Dias convertidos em abono pecuniário (1/3 do direito), se pedido.
+ * @property {import('../data/faltas-ferias.js').HipotesePerdaFerias[]} perdas - Eventos do art. 133 que cancelaram o direito.
+ */
+
+/**
+ * Apura os dias de férias adquiridos no período aquisitivo: a escala do art. 130 da CLT pelas
+ * faltas injustificadas, zerada se ocorreu algum evento do art. 133. O abono pecuniário é 1/3 do
+ * direito apurado (art. 143).
+ * @param {FeriasState} feriasState - O estado da calculadora de férias.
+ * @returns {DireitoFerias} O direito apurado.
+ */
+export function calcularDireitoFerias(feriasState) {
+    const faltasInjustificadas = Math.max(0, Math.floor(Number(feriasState?.faltasInjustificadas) || 0));
+    const perdas = verificarPerdaFerias(feriasState);
+    const diasDireito = perdas.length ? 0 : getDiasFeriasPorFaltas(faltasInjustificadas);
+    const diasAbono = feriasState?.abonoPecuniario ? Math.floor(diasDireito / 3) : 0;
+    return { faltasInjustificadas, diasDireito, diasAbono, perdas };
+}
+
 /**
  * @typedef {Object} FeriasResult
  * @property {number} diasFerias - Número de dias de férias.
+ * @property {number} faltasInjustificadas - Faltas injustificadas no período aquisitivo.
+ * @property {number} diasDireito - Dias de férias adquiridos (art. 130; zero se perdido pelo art. 133).
+ * @property {number} diasAbono - Dias convertidos em abono pecuniário (1/3 do direito).
+ * @property {import('../data/faltas-ferias.js').HipotesePerdaFerias[]} perdasDireito - Eventos do art. 133 que cancelaram o direito.
  * @property {number} salarioBruto - Salário bruto.
  * @property {number} mediaHorasExtras - Média de horas extras.
  * @property {number} mediaAdicionalNoturno - Média de adicional noturno.
@@ -60,11 +141,13 @@ import { round2 } from './round.js';
  * @property {number} valorDia - Valor do dia de trabalho.
  * @property {number} remuneracaoDiasFerias - Remuneração correspondente aos dias de férias.
  * @property {number} adicionalUmTerco - Valor do adicional de 1/3 sobre as férias.
- * @property {number} valorAbono - Valor do abono pecuniário (venda de 10 dias).
+ * @property {number} valorAbono - Valor do abono pecuniário (venda de 1/3 do direito).
  * @property {number} decimoAdiantado - Valor do adiantamento do 13º salário.
  * @property {number} segmentoFerias - Total bruto das férias (remuneração + 1/3).
  * @property {number} segmentoAbono - Valor do abono.
  * @property {number} segmentoDecimoAdiantado - Valor do adiantamento do 13º.
+ * @property {CalendarioFerias|null} calendario - Gozo, retorno e prazo de pagamento, se informada a data de início.
+ * @property {number} dobraFerias - Dobra das férias + 1/3 pelo pagamento fora do prazo (art. 137; Súmula 450 TST).
  * @property {number} brutoReferencial - Bruto usado como referência para descontos.
  * @property {number} brutoTotal - Valor bruto total a ser pago.
  * @property {number} baseINSS - Base de cálculo para o INSS.
@@ -79,6 +162,8 @@ import { round2 } from './round.js';
  * @property {Array<object>} inssBreakdown - Detalhamento do cálculo do INSS por faixas.
  * @property {object} irrfFaixa - Faixa de alíquota do IRRF aplicada.
  * @property {object} fgts - Objeto com o cálculo do FGTS sobre as férias.
+ * @property {{ferias: import('./pensao.js').PensaoAlimenticiaResult|null, decimoTerceiro: import('./pensao.js').PensaoAlimenticiaResult|null}|null} pensaoAlimenticia - Pensão sobre as férias e sobre o adiantamento do 13º.
+ * @property {number} descontoPensao - Desconto total da pensão alimentícia.
  * @property {string[]} warnings - Avisos sobre o cálculo.
  */
 
@@ -101,7 +186,17 @@ export function calculateFerias(feriasState) {
     const warnings = [];
     if (diasFerias < 0) { warnings.push('Dias de férias não pode ser negativo. Ajustado para 0.'); diasFerias = 0; }
     if (diasFerias > 30) { warnings.push('Dias de férias acima de 30. Ajustado para 30.'); diasFerias = 30; }
-    if (abonoPecuniario && diasFerias < 20) { warnings.push('Venda de 1/3 (abono) geralmente implica usufruir 20 dias ou mais. Verifique.'); }
+
+    // O direito vem das faltas do período aquisitivo (art. 130) e dos eventos do art. 133, não dos dias informados.
+    const direito = calcularDireitoFerias(feriasState);
+    direito.perdas.forEach(h => warnings.push(`Direito às férias perdido (CLT, art. 133, ${h.inciso}): ${h.descricao}.`));
+    const diasGozo = direito.diasDireito - direito.diasAbono;
+    if (diasFerias > diasGozo) {
+        const motivo = direito.diasAbono > 0 ? `, menos ${direito.diasAbono} de abono pecuniário` : '';
+        warnings.push(`Dias de férias acima do direito: ${direito.diasDireito} dias (CLT, art. 130)${motivo}. Ajustado para ${diasGozo}.`);
+        diasFerias = diasGozo;
+    }
+    if (abonoPecuniario && !feriasState.fracionado && diasFerias < diasGozo) { warnings.push(`Venda de 1/3 (abono) geralmente implica usufruir ${diasGozo} dias. Verifique.`); }
 
     // Adicionais de Periculosidade e Insalubridade
     const periculosidade = adicionalPericulosidade ? round2(salarioBruto * 0.30) : 0;
@@ -114,32 +209,65 @@ export function calculateFerias(feriasState) {
     const valorDia = baseComMedias / 30;
     const remuneracaoDiasFerias = valorDia * diasFerias;
     const adicionalUmTerco = remuneracaoDiasFerias / 3;
-    const valorAbono = abonoPecuniario ? valorDia * 10 : 0;
+    const valorAbono = valorDia * direito.diasAbono;
     const decimoAdiantado = adiantarDecimo ? salarioBruto * 0.5 : 0;
 
     const segmentoFerias = remuneracaoDiasFerias + adicionalUmTerco;
     const segmentoAbono = valorAbono;
     const segmentoDecimoAdiantado = decimoAdiantado;
-    const brutoReferencial = segmentoFerias;
-    const brutoTotal = segmentoFerias + segmentoAbono + segmentoDecimoAdiantado;
 
-    const inssObj = calcularINSS(segmentoFerias);
+    // Pagamento após o prazo do art. 145: as férias e o 1/3 são devidos em dobro (Súmula 450 TST),
+    // lançados como uma rubrica à parte.
+    const calendario = montarCalendarioFerias(feriasState.dataInicio, feriasState.dataPagamento, diasFerias);
+    const dobraFerias = calendario?.atrasado ? round2(segmentoFerias) : 0;
+    if (dobraFerias > 0) {
+        warnings.push(`Férias pagas em ${DateFormatter.formatBR(calendario.dataPagamento)}, ${calendario.diasAtraso} dia(s) após o prazo de ${DateFormatter.formatBR(calendario.prazoPagamento)}: remuneração e 1/3 devidos em dobro (CLT, arts. 137 e 145; Súmula 450 TST). A súmula foi declarada inconstitucional pelo STF (ADPF 501); confirme a aplicação.`);
+    }
+
+    const brutoReferencial = segmentoFerias;
+    const brutoTotal = segmentoFerias + segmentoAbono + segmentoDecimoAdiantado + dobraFerias;
+
+    // Bases de INSS, IRRF e FGTS pela matriz de incidências. O adiantamento do 13º é tributado
+    // apenas na quitação, em dezembro.
+    const verbasFerias = {
+        feriasGozadas: remuneracaoDiasFerias,
+        tercoFeriasGozadas: adicionalUmTerco,
+        abonoPecuniario: segmentoAbono,
+        dobraFerias
+    };
+    const baseINSS = baseIncidencia(TRIBUTOS.INSS, verbasFerias);
+    const baseIRRFFerias = baseIncidencia(TRIBUTOS.IRRF, verbasFerias);
+    const inssObj = calcularINSS(baseINSS);
     const inss = inssObj.valor;
-    const baseINSS = segmentoFerias;
 
     const dependentes = Number(feriasState.dependentes) || 0;
-    const baseBrutaIRRF = Math.max(0, segmentoFerias - inss);
+
+    // Pensão alimentícia: sobre férias + 1/3, abono e dobra (dedutível da base do IRRF das férias) e,
+    // se abrangido, sobre o adiantamento do 13º.
+    const irrfCom = deducao => calcularIRRFBase(ajustarBaseIRRF(Math.max(0, baseIRRFFerias - inss - deducao), dependentes).base);
+    const pensao = normalizarPensao(feriasState.pensaoAlimenticia);
+    const pensaoFerias = pensaoAbrange(pensao, 'ferias')
+        ? calcularPensaoAlimenticia(pensao, { bruto: segmentoFerias + segmentoAbono + dobraFerias, inss, irrf: d => irrfCom(d).valor })
+        : null;
+    const pensaoDecimo = pensaoAbrange(pensao, 'decimoTerceiro')
+        ? calcularPensaoAlimenticia(pensao, { bruto: segmentoDecimoAdiantado })
+        : null;
+    const pensaoSobreFerias = pensaoFerias ? pensaoFerias.valor : 0;
+    const pensaoSobreDecimo = pensaoDecimo ? pensaoDecimo.valor : 0;
+    const descontoPensao = round2(pensaoSobreFerias + pensaoSobreDecimo);
+
+    const baseBrutaIRRF = Math.max(0, baseIRRFFerias - inss - pensaoSobreFerias);
     const { base: baseIRRFAjustada, deducaoDependentes } = ajustarBaseIRRF(baseBrutaIRRF, dependentes);
     const irrfObj = calcularIRRFBase(baseIRRFAjustada);
     const irrf = irrfObj.valor;
     const baseIRRF = baseIRRFAjustada;
 
     const liquidoSegmentoFerias = segmentoFerias - inss - irrf;
-    const liquidoComAbono = liquidoSegmentoFerias + segmentoAbono;
-    const liquidoComTudo = liquidoComAbono + segmentoDecimoAdiantado;
+    const liquidoComAbono = liquidoSegmentoFerias + segmentoAbono - pensaoSobreFerias;
+    const liquidoComTudo = liquidoComAbono + segmentoDecimoAdiantado + dobraFerias - pensaoSobreDecimo;
 
     // Avisos sobre regras fiscais específicas.
-    if (segmentoAbono > 0) {
+    if (segmentoAbono > 0 && !incide('abonoPecuniario', TRIBUTOS.INSS) && !incide('abonoPecuniario', TRIBUTOS.IRRF)) {
         warnings.push('Abono pecuniário excluído das bases INSS/IRRF (tratado como indenizatório).');
     }
     if (segmentoDecimoAdiantado > 0) {
@@ -147,10 +275,14 @@ export function calculateFerias(feriasState) {
     }
 
     // FGTS sobre o valor das férias.
-    const fgtsObj = calcularFGTSFerias(segmentoFerias);
+    const fgtsObj = calcularFGTSFerias(baseIncidencia(TRIBUTOS.FGTS, verbasFerias));
 
     return {
         diasFerias,
+        faltasInjustificadas: direito.faltasInjustificadas,
+        diasDireito: direito.diasDireito,
+        diasAbono: direito.diasAbono,
+        perdasDireito: direito.perdas,
         salarioBruto,
         mediaHorasExtras,
         mediaAdicionalNoturno,
@@ -165,6 +297,8 @@ export function calculateFerias(feriasState) {
         segmentoFerias,
         segmentoAbono,
         segmentoDecimoAdiantado,
+        calendario,
+        dobraFerias,
         brutoReferencial,
         brutoTotal,
         baseINSS,
@@ -179,6 +313,8 @@ export function calculateFerias(feriasState) {
         inssBreakdown: inssObj.faixas,
         irrfFaixa: irrfObj.faixa,
         fgts: fgtsObj,
+        pensaoAlimenticia: pensaoFerias || pensaoDecimo ? { ferias: pensaoFerias, decimoTerceiro: pensaoDecimo } : null,
+        descontoPensao,
         warnings
     };
 }
@@ -186,8 +322,6 @@ export function calculateFerias(feriasState) {
 // --- Calculadoras Adicionais ---
 import { calcularRescisao } from './rescisao.js'; // potencial reutilização futura
 
-import { trData } from '../data/tr-data.js';
-
 /**
  * @typedef {Object} FgtsState
  * @property {number} salarioBruto - O salário bruto para base de cálculo do depósito mensal.
@@ -239,22 +373,13 @@ export function calculateFGTS(fgtsState) {
     let saldoAcumulado = saldoFgts;
     let mesesContribuicao = 0;
 
-    const trMap = new Map(trData.map(item => {
-        const [_, mes, ano] = item.data.split('/');
-        return [`${mes}/${ano}`, parseFloat(item.valor) / 100];
-    }));
-
     let currentDate = new Date(dataInicio.getFullYear(), dataInicio.getMonth(), 1);
 
     while (currentDate <= dataFim) {
         mesesContribuicao++;
 
         // Aplica juros (TR + 3% a.a.) ao saldo do mês anterior
-        const mes = String(currentDate.getMonth() + 1).padStart(2, '0');
-        const ano = currentDate.getFullYear();
-        const trMensal = trMap.get(`${mes}/${ano}`) || 0;
-        const jurosMensais = trMensal + (0.03 / 12);
-        saldoAcumulado *= (1 + jurosMensais);
+        saldoAcumulado *= (1 + taxaAtualizacaoFGTS(currentDate.getMonth() + 1, currentDate.getFullYear()));
 
         // Adiciona o depósito do mês
         saldoAcumulado += depositoMensal;
@@ -408,6 +533,7 @@ export function calculateSeguroDesemprego(sdState) {
  * @property {number} cargaHorariaMensal - A carga horária mensal do funcionário.
  * @property {number} horasExtras - O número de horas extras a serem calculadas.
  * @property {number} percentualAdicional - O percentual de adicional sobre a hora normal.
+ * @property {string} [competencia] - Competência ('YYYY-MM') para a contagem de dias úteis do DSR (sem ela, 1 dia de descanso a cada 6 úteis).
  */
 
 /**
@@ -417,6 +543,10 @@ export function calculateSeguroDesemprego(sdState) {
  * @property {number} horasExtras - Quantidade de horas extras.
  * @property {number} adicionalPercent - Percentual do adicional de hora extra.
  * @property {number} valorHoras - Valor total a ser pago pelas horas extras.
+ * @property {number} dsr - Reflexo das horas extras no DSR da competência.
+ * @property {number} diasUteis - Dias úteis da competência.
+ * @property {number} diasDescanso - Domingos e feriados da competência.
+ * @property {number} totalComDsr - Horas extras com o reflexo no DSR.
  */
 
 /**
@@ -433,7 +563,18 @@ export function calculateHorasExtras(heState){
     const horasExtras = Number(heState.horasExtras)||0;
     const adicional = (Number(heState.percentualAdicional)||50)/100;
     const valorHoras = round2(horasExtras * valorHora * (1+adicional));
-    return { carga, valorHora: round2(valorHora), horasExtras, adicionalPercent: adicional*100, valorHoras };
+    const dsr = calcularDSR({ horasExtras: valorHoras }, heState.competencia);
+    return {
+        carga,
+        valorHora: round2(valorHora),
+        horasExtras,
+        adicionalPercent: adicional*100,
+        valorHoras,
+        dsr: dsr.total,
+        diasUteis: dsr.diasUteis,
+        diasDescanso: dsr.diasDescanso,
+        totalComDsr: round2(valorHoras + dsr.total)
+    };
 }
 
 /**
@@ -568,12 +709,18 @@ export function calculateIRPF(irpfState){
  * @property {number} cargaHorariaMensal - A carga horária mensal.
  * @property {number} horasExtras - O número de horas extras.
  * @property {number} horasNoturnas - O número de horas noturnas.
+ * @property {string} [competencia] - Competência ('YYYY-MM') para a contagem de dias úteis do DSR (sem ela, 1 dia de descanso a cada 6 úteis).
+ * @property {number} [faltasMes] - Faltas injustificadas no mês (dias).
+ * @property {string} [atrasosMes] - Atrasos no mês ('hh:mm').
+ * @property {number|string} [semanasComFalta] - Semanas com falta (DSR perdidos); vazio presume uma falta por semana.
+ * @property {import('./pensao.js').PensaoAlimenticiaConfig} [pensaoAlimenticia] - Pensão alimentícia (aplicada se abranger o salário).
  * @property {number} descontoVt - O desconto de vale-transporte.
  * @property {number} descontoVr - O desconto de vale-refeição.
  * @property {number} descontoSaude - O desconto do plano de saúde.
  * @property {number} descontoAdiantamentos - O desconto de adiantamentos.
  * @property {boolean} recebeSalarioFamilia - Se recebe salário família.
  * @property {number} filhosSalarioFamilia - O número de filhos para o salário família.
+ * @property {boolean} [empregadoDomestico] - Empregado doméstico (LC 150/2015): calcula a guia DAE do empregador.
  */
 
 /**
@@ -583,11 +730,21 @@ export function calculateIRPF(irpfState){
  * @property {number} insalubridade - Valor do adicional de insalubridade.
  * @property {number} valorHorasExtras - Valor das horas extras.
  * @property {number} adicionalNoturno - Valor do adicional noturno.
+ * @property {number} dsr - DSR sobre horas extras e adicional noturno.
+ * @property {{competencia: string, diasUteis: number, diasDescanso: number}} dsrDias - Calendário da competência usado no DSR.
  * @property {number} bruto - Salário bruto total (com adicionais).
+ * @property {import('./faltas.js').DescontoFaltas} faltas - Detalhamento do desconto de faltas, atrasos e DSR perdido.
+ * @property {number} descontoFaltas - Desconto das faltas injustificadas.
+ * @property {number} descontoAtrasos - Desconto dos atrasos.
+ * @property {number} descontoDsrPerdido - Desconto do DSR das semanas com falta.
+ * @property {number} baseTributavel - Base de INSS e FGTS (bruto menos faltas, atrasos e DSR perdido).
+ * @property {number} fgts - Depósito de FGTS do mês (8% da base tributável).
  * @property {number} inss - Valor do desconto do INSS.
  * @property {number} baseIRRF - Base de cálculo do IRRF.
  * @property {number} irrf - Valor do desconto do IRRF.
  * @property {number} deducaoDependentes - Valor da dedução por dependentes no IRRF.
+ * @property {import('./pensao.js').PensaoAlimenticiaResult|null} pensaoAlimenticia - Detalhamento da pensão alimentícia.
+ * @property {number} descontoPensao - Desconto da pensão alimentícia (deduzido da base do IRRF).
  * @property {number} descontoVt - Desconto de vale-transporte.
  * @property {number} descontoVr - Desconto de vale-refeição.
  * @property {number} descontoSaude - Desconto do plano de saúde.
@@ -597,6 +754,7 @@ export function calculateIRPF(irpfState){
  * @property {number} liquido - Salário líquido a receber.
  * @property {Array<object>} inssBreakdown - Detalhamento do cálculo do INSS por faixas.
  * @property {object} irrfFaixa - Faixa de alíquota do IRRF aplicada.
+ * @property {import('./domestico.js').DAEDomestico|null} dae - Guia mensal do empregador doméstico, se aplicável.
  */
 
 /**
@@ -622,12 +780,35 @@ export function calculateSalarioLiquido(s){
     const horasNoturnas = Math.max(0, Number(s.horasNoturnas)||0);
     const valorHorasExtras = round2(horasExtras * valorHora * 1.5); // 50%
     const adicionalNoturno = round2(horasNoturnas * valorHora * 0.2); // 20%
+    // DSR sobre horas extras e adicional noturno, pelo calendário da competência (sem ela, 1 descanso a cada 6 dias úteis)
+    const dsr = calcularDSR({ horasExtras: valorHorasExtras, adicionalNoturno }, s.competencia);
     // Bruto total da folha
-    const bruto = round2(salario + adicionalPericulosidade + insalubridade + valorHorasExtras + adicionalNoturno);
-    // INSS e IRRF
-    const inssObj = calcularINSS(bruto);
+    const bruto = round2(salario + adicionalPericulosidade + insalubridade + valorHorasExtras + adicionalNoturno + dsr.total);
+    // Faltas, atrasos e DSR perdido: descontados da remuneração fixa e da base de INSS, IRRF e FGTS
+    const faltas = calcularDescontoFaltas({
+        remuneracao: salario + adicionalPericulosidade + insalubridade,
+        cargaHorariaMensal: carga,
+        faltas: s.faltasMes,
+        atrasos: s.atrasosMes,
+        semanasComFalta: s.semanasComFalta,
+        competencia: dsr.competencia
+    });
+    const baseTributavel = round2(Math.max(0, bruto - faltas.total));
+    // INSS, IRRF e FGTS pela matriz de incidências
+    const verbasMes = { salario: baseTributavel };
+    const baseINSSMes = baseIncidencia(TRIBUTOS.INSS, verbasMes);
+    const baseFGTSMes = baseIncidencia(TRIBUTOS.FGTS, verbasMes);
+    const baseIRRFMes = baseIncidencia(TRIBUTOS.IRRF, verbasMes);
+    const inssObj = calcularINSS(baseINSSMes);
     const inss = inssObj.valor;
-    const baseIRRFPre = Math.max(0, bruto - inss);
+    // Pensão alimentícia sobre o salário, dedutível da base do IRRF
+    const irrfCom = deducao => calcularIRRFBase(ajustarBaseIRRF(Math.max(0, baseIRRFMes - inss - deducao), dependentes).base);
+    const pensao = normalizarPensao(s.pensaoAlimenticia);
+    const pensaoAlimenticia = pensaoAbrange(pensao, 'salario')
+        ? calcularPensaoAlimenticia(pensao, { bruto: baseTributavel, inss, irrf: d => irrfCom(d).valor })
+        : null;
+    const descontoPensao = pensaoAlimenticia ? pensaoAlimenticia.valor : 0;
+    const baseIRRFPre = Math.max(0, baseIRRFMes - inss - descontoPensao);
     const { base: baseIRRF, deducaoDependentes } = ajustarBaseIRRF(baseIRRFPre, dependentes);
     const irrfObj = calcularIRRFBase(baseIRRF);
     const irrf = irrfObj.valor;
@@ -644,19 +825,33 @@ export function calculateSalarioLiquido(s){
     const salarioFamilia = elegivelSF ? round2(filhos * SALARIO_FAMILIA_VALUE) : 0;
     // Líquido
     const descontosObrig = round2(inss + irrf);
-    const totalDescontos = round2(descontosObrig + descontosInformados);
+    const totalDescontos = round2(descontosObrig + descontosInformados + faltas.total + descontoPensao);
     const liquido = round2(bruto - totalDescontos + salarioFamilia);
+    // Empregado doméstico: encargos do empregador recolhidos no DAE, com o INSS e o IRRF retidos
+    const dae = s.empregadoDomestico
+        ? calcularDAEDomestico({ baseINSS: baseINSSMes, baseFGTS: baseFGTSMes, inssEmpregado: inss, irrf })
+        : null;
     return {
         salarioBruto: round2(salario),
         adicionalPericulosidade,
         insalubridade,
         valorHorasExtras,
         adicionalNoturno,
+        dsr: dsr.total,
+        dsrDias: { competencia: dsr.competencia, diasUteis: dsr.diasUteis, diasDescanso: dsr.diasDescanso },
         bruto,
+        faltas,
+        descontoFaltas: faltas.descontoFaltas,
+        descontoAtrasos: faltas.descontoAtrasos,
+        descontoDsrPerdido: faltas.descontoDsr,
+        baseTributavel,
+        fgts: round2(baseFGTSMes * 0.08),
         inss,
         baseIRRF,
         irrf,
         deducaoDependentes,
+        pensaoAlimenticia,
+        descontoPensao,
         descontoVt: round2(descontoVt),
         descontoVr: round2(descontoVr),
         descontoSaude: round2(descontoSaude),
@@ -665,7 +860,8 @@ export function calculateSalarioLiquido(s){
         salarioFamilia,
         liquido,
         inssBreakdown: inssObj.faixas,
-        irrfFaixa: irrfObj.faixa
+        irrfFaixa: irrfObj.faixa,
+        dae
     };
 }
 
@@ -0,0 +1,131 @@
+/**
+ * @file Módulo de comparação de cenários de rescisão.
+ * @module core/cenarios
+ * @description Executa `calcularRescisao` para o mesmo contrato em vários cenários (motivo e forma
+ * do aviso prévio) e monta uma matriz de verbas e totais, com a diferença de cada cenário em relação
+ * a um cenário de referência, o saque do FGTS e a elegibilidade ao seguro-desemprego.
+ */
+
+import { round2 } from './round.js';
+import { calcularRescisao } from './rescisao.js';
+
+/**
+ * @typedef {Object} CenarioRescisao
+ * @property {string} chave - Identificador do cenário ('MOTIVO|aviso').
+ * @property {string} motivo - O motivo da rescisão (chave de `MOTIVOS_RESCISAO`).
+ * @property {string} avisoPrevio - A forma do aviso prévio ('trabalhado', 'indenizado' ou 'nao_cumprido').
+ * @property {string} label - Rótulo de exibição.
+ */
+
+/**
+ * Cenários comparados por padrão: dispensa sem justa causa e acordo (art. 484-A), com aviso
+ * trabalhado e indenizado, e pedido de demissão com aviso trabalhado e não cumprido (art. 487, § 2º),
+ * já que quem pede demissão não recebe aviso indenizado.
+ * @type {CenarioRescisao[]}
+ */
+export const CENARIOS_PADRAO = [
+  { chave: 'SEM_JUSTA_CAUSA|trabalhado', motivo: 'SEM_JUSTA_CAUSA', avisoPrevio: 'trabalhado', label: 'Sem justa causa · aviso trabalhado' },
+  { chave: 'SEM_JUSTA_CAUSA|indenizado', motivo: 'SEM_JUSTA_CAUSA', avisoPrevio: 'indenizado', label: 'Sem justa causa · aviso indenizado' },
+  { chave: 'ACORDO_MUTUO|trabalhado', motivo: 'ACORDO_MUTUO', avisoPrevio: 'trabalhado', label: 'Acordo (art. 484-A) · aviso trabalhado' },
+  { chave: 'ACORDO_MUTUO|indenizado', motivo: 'ACORDO_MUTUO', avisoPrevio: 'indenizado', label: 'Acordo (art. 484-A) · aviso indenizado' },
+  { chave: 'PEDIDO_DEMISSAO|trabalhado', motivo: 'PEDIDO_DEMISSAO', avisoPrevio: 'trabalhado', label: 'Pedido de demissão · aviso trabalhado' },
+  { chave: 'PEDIDO_DEMISSAO|nao_cumprido', motivo: 'PEDIDO_DEMISSAO', avisoPrevio: 'nao_cumprido', label: 'Pedido de demissão · aviso não cumprido' }
+];
+
+/**
+ * Cenário de referência usado quando nenhum (ou um inexistente) é informado.
+ * @type {string}
+ */
+export const CENARIO_BASE_PADRAO = 'SEM_JUSTA_CAUSA|indenizado';
+
+/**
+ * Linhas de totais exibidas após as verbas, na ordem de exibição.
+ * @private
+ * @type {Array<{chave: string, label: string, valor: function(import('./rescisao.js').RescisaoResult): number}>}
+ */
+const LINHAS_TOTAIS = [
+  { chave: 'totalVerbas', label: 'Total de verbas', valor: r => r.totalBruto - r.multaFGTS },
+  { chave: 'descontoAvisoPrevio', label: 'Desconto do aviso não cumprido (art. 487, § 2º)', valor: r => r.descontoAvisoPrevio },
+  { chave: 'totalDescontos', label: 'Total de descontos', valor: r => r.totalDescontos },
+  { chave: 'totalLiquido', label: 'Líquido a receber (TRCT)', valor: r => r.totalLiquidoSemMulta },
+  { chave: 'multaFGTS', label: 'Multa do FGTS / indenização compensatória', valor: r => r.indenizacaoCompensatoria ? r.indenizacaoCompensatoria.valorEmpregado : r.multaFGTS },
+  { chave: 'saqueFgts', label: 'Saque do FGTS permitido', valor: r => r.saqueFgtsPermitido },
+  { chave: 'montanteTotal', label: 'Montante total (líquido + FGTS liberado)', valor: r => r.montanteTotalComFGTS }
+];
+
+/**
+ * @typedef {Object} LinhaComparacao
+ * @property {string} chave - A chave da verba ou do total.
+ * @property {string} label - Rótulo de exibição.
+ * @property {boolean} total - Se a linha é de total (e não uma verba).
+ * @property {Array<number|null>} valores - Valor em cada cenário (`null` se a verba não é devida).
+ * @property {number[]} deltas - Diferença de cada cenário em relação ao cenário de referência.
+ */
+
+/**
+ * @typedef {Object} ComparacaoCenarios
+ * @property {Array<CenarioRescisao & {resultado: import('./rescisao.js').RescisaoResult, saqueFgts: boolean, percentualSaqueFgts: number, seguroDesemprego: boolean}>} cenarios -
+ * Os cenários calculados, na ordem informada.
+ * @property {string} base - A chave do cenário de referência.
+ * @property {number} indiceBase - A posição do cenário de referência em `cenarios`.
+ * @property {LinhaComparacao[]} linhas - Verbas e totais de cada cenário.
+ */
+
+/**
+ * Compara os resultados da rescisão de um mesmo contrato em vários cenários. Cada cenário recalcula
+ * a rescisão a partir do estado informado, trocando apenas o motivo e a forma do aviso prévio.
+ * @param {object} estado - O estado de entrada da calculadora de rescisão.
+ * @param {object} [opcoes] - Opções da comparação.
+ * @param {CenarioRescisao[]} [opcoes.cenarios=CENARIOS_PADRAO] - Os cenários a comparar.
+ * @param {string} [opcoes.base=CENARIO_BASE_PADRAO] - A chave do cenário de referência dos deltas.
+ * @returns {ComparacaoCenarios} A matriz de verbas e totais por cenário.
+ */
+export function compararCenariosRescisao(estado, { cenarios = CENARIOS_PADRAO, base = CENARIO_BASE_PADRAO } = {}){
+  const calculados = cenarios.map(c => {
+    const resultado = calcularRescisao({ ...estado, motivo: c.motivo, avisoPrevio: c.avisoPrevio });
+    const sdd = resultado.seguroDesempregoDomestico;
+    return {
+      ...c,
+      resultado,
+      saqueFgts: !!resultado.saqueFgts,
+      percentualSaqueFgts: resultado.percentualSaqueFgts ?? (resultado.saqueFgts ? 1 : 0),
+      seguroDesemprego: sdd ? sdd.elegivel : !!resultado.seguroDesemprego
+    };
+  });
+  const indiceBase = Math.max(0, calculados.findIndex(c => c.chave === base));
+
+  // Verbas na ordem da primeira ocorrência: cenários diferentes podem ter verbas próprias.
+  const verbas = new Map();
+  calculados.forEach(c => (c.resultado.verbasItens || []).forEach(item => {
+    if (!verbas.has(item.chave)) verbas.set(item.chave, item.label);
+  }));
+
+  const comDeltas = (linha) => {
+    const referencia = linha.valores[indiceBase] || 0;
+    return { ...linha, deltas: linha.valores.map(v => round2((v || 0) - referencia)) };
+  };
+  const linhas = [
+    ...[...verbas].map(([chave, label]) => comDeltas({
+      chave,
+      label,
+      total: false,
+      valores: calculados.map(c => {
+        const item = (c.resultado.verbasItens || []).find(i => i.chave === chave);
+        return item && item.devido ? round2(item.valor) : null;
+      })
+    })),
+    ...LINHAS_TOTAIS.map(t => comDeltas({
+      chave: t.chave,
+      label: t.label,
+      total: true,
+      valores: calculados.map(c => round2(t.valor(c.resultado) || 0))
+    }))
+  ];
+
+  return {
+    cenarios: calculados,
+    base: calculados[indiceBase]?.chave,
+    indiceBase,
+    linhas
+  };
+}
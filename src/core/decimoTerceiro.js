@@ -7,12 +7,133 @@ import { ajustarBaseIRRF, calcularIRRFBase } from './irrf.js';
 import { calcularINSS } from './inss.js';
 import { round2 } from './round.js';
 import { calcularFGTSFerias } from './fgts.js'; // reutilização da mesma lógica de 8%
-import { getSalarioMinimo } from './parametersStore.js';
+import { getSalarioMinimo, getAnoAtual } from './parametersStore.js';
 import { BASES_DE_CALCULO } from './calculations.js';
+import { normalizarPensao, pensaoAbrange, calcularPensaoAlimenticia } from './pensao.js';
+import { TRIBUTOS, baseIncidencia } from './incidencias.js';
+import { detalharMesesProporcionais } from './avos.js';
+import { getTipoAfastamento } from '../data/afastamentos.js';
+import { DateFormatter } from '../services/formatter.js';
+
+/**
+ * Faltas injustificadas no mês acima das quais o mês não gera avo, ainda que haja 15 dias trabalhados.
+ * @private
+ * @type {number}
+ */
+const LIMITE_FALTAS_MES = 15;
+
+/**
+ * Conta os dias em comum entre dois intervalos de datas (inclusive).
+ * @private
+ * @param {{inicio: string, fim: string}} a - O primeiro intervalo (ISO).
+ * @param {{inicio: string, fim: string}} b - O segundo intervalo (ISO).
+ * @returns {number} Os dias em comum (zero se disjuntos).
+ */
+function diasEmComum(a, b){
+  const inicio = a.inicio > b.inicio ? a.inicio : b.inicio;
+  const fim = a.fim < b.fim ? a.fim : b.fim;
+  return inicio > fim ? 0 : Math.round((Date.parse(fim) - Date.parse(inicio)) / 86400000) + 1;
+}
+
+/**
+ * @typedef {Object} AfastamentoInformado
+ * @property {string} tipo - O tipo de afastamento (chave de `TIPOS_AFASTAMENTO`).
+ * @property {string} inicio - Primeiro dia de ausência (DD/MM/YYYY ou ISO).
+ * @property {string} fim - Último dia de ausência (DD/MM/YYYY ou ISO).
+ */
+
+/**
+ * @typedef {Object} AvoDecimoTerceiro
+ * @property {string} competencia - Mês civil ('YYYY-MM').
+ * @property {string} inicio - Primeiro dia de contrato no mês (ISO).
+ * @property {string} fim - Último dia de contrato no mês (ISO).
+ * @property {number} dias - Dias de contrato no mês.
+ * @property {number} faltas - Faltas injustificadas no mês.
+ * @property {number} diasAfastado - Dias de afastamento não pagos pelo empregador (INSS a partir do 16º dia ou licença não remunerada).
+ * @property {number} diasTrabalhados - Dias de contrato menos faltas e afastamentos.
+ * @property {boolean} contado - Se o mês gera um avo.
+ */
+
+/**
+ * @typedef {Object} ApuracaoAvos13
+ * @property {number} ano - Ano de referência do 13º.
+ * @property {string} inicio - Primeiro dia contado no ano (ISO).
+ * @property {string} fim - Último dia contado no ano (ISO).
+ * @property {AvoDecimoTerceiro[]} meses - Os meses do período, em ordem.
+ * @property {number} avos - Meses que geram avo (0 a 12).
+ * @property {number} diasINSS - Dias de auxílio por incapacidade pagos pelo INSS no período.
+ * @property {string[]} warnings - Avisos gerados na apuração.
+ */
+
+/**
+ * Conta os avos do 13º pelo calendário: do maior entre a admissão e 1º de janeiro ao menor entre o
+ * término (ou 31 de dezembro) e o fim do ano de referência, um avo por mês com 15 dias ou mais
+ * trabalhados. Faltas injustificadas e afastamentos não pagos pelo empregador reduzem os dias do mês;
+ * no auxílio por incapacidade, os 15 primeiros dias de cada afastamento são pagos pelo empregador e
+ * continuam contando. Mais de 15 faltas injustificadas no mês eliminam o avo.
+ * @param {object} state13 - O estado da calculadora de 13º.
+ * @param {string} state13.dataAdmissao - Data de admissão (DD/MM/YYYY ou ISO).
+ * @param {string} [state13.dataFim] - Término do contrato no ano; define o ano de referência (padrão: ano dos parâmetros).
+ * @param {AfastamentoInformado[]} [state13.afastamentos] - Ausências e afastamentos no período.
+ * @returns {ApuracaoAvos13|null} A apuração mês a mês, ou `null` sem data de admissão válida.
+ */
+export function apurarAvosDecimoTerceiro(state13){
+  const admissao = DateFormatter.paraISO(state13?.dataAdmissao);
+  if (!admissao) return null;
+  const warnings = [];
+  const fimInformado = DateFormatter.paraISO(state13.dataFim);
+  const ano = fimInformado ? Number(fimInformado.slice(0,4)) : getAnoAtual();
+  const inicio = admissao > `${ano}-01-01` ? admissao : `${ano}-01-01`;
+  const fim = fimInformado && fimInformado < `${ano}-12-31` ? fimInformado : `${ano}-12-31`;
+  if (inicio > fim) {
+    warnings.push(`Admissão posterior ao término do período (${DateFormatter.formatBR(fim)}): sem avos no ano.`);
+    return { ano, inicio, fim, meses: [], avos: 0, diasINSS: 0, warnings };
+  }
+
+  // Parte de cada afastamento que deixa de contar: após os dias pagos pelo empregador.
+  const ausencias = [];
+  (Array.isArray(state13.afastamentos) ? state13.afastamentos : []).forEach((a, i) => {
+    if (!a || (!String(a.inicio || '').trim() && !String(a.fim || '').trim())) return;
+    const tipo = getTipoAfastamento(a.tipo);
+    const ini = DateFormatter.paraISO(a.inicio);
+    const fimAfast = DateFormatter.paraISO(a.fim) || ini;
+    if (!tipo || !ini || fimAfast < ini) {
+      warnings.push(`Afastamento ${i + 1} ignorado: informe o tipo e datas válidas.`);
+      return;
+    }
+    const inicioNaoPago = DateFormatter.somarDias(ini, tipo.diasPagosEmpregador);
+    if (inicioNaoPago <= fimAfast) {
+      ausencias.push({ tipo: String(a.tipo).toUpperCase(), inicio: inicioNaoPago, fim: fimAfast });
+    }
+  });
+  const somar = (intervalo, filtro) => ausencias.filter(filtro).reduce((acc, a) => acc + diasEmComum(a, intervalo), 0);
+  const ehFalta = a => a.tipo === 'FALTA_INJUSTIFICADA';
+
+  const meses = detalharMesesProporcionais(inicio, fim).map(m => {
+    const faltas = somar(m, ehFalta);
+    const diasAfastado = somar(m, a => !ehFalta(a));
+    const diasTrabalhados = Math.max(0, m.dias - faltas - diasAfastado);
+    const contado = diasTrabalhados >= 15 && faltas <= LIMITE_FALTAS_MES;
+    if (faltas > LIMITE_FALTAS_MES) {
+      warnings.push(`${m.competencia.slice(5)}/${m.competencia.slice(0,4)} sem avo: ${faltas} faltas injustificadas no mês.`);
+    }
+    return { competencia: m.competencia, inicio: m.inicio, fim: m.fim, dias: m.dias, faltas, diasAfastado, diasTrabalhados, contado };
+  });
+
+  const diasINSS = somar({ inicio, fim }, a => a.tipo === 'AUXILIO_DOENCA');
+  if (diasINSS > 0) {
+    warnings.push(`${diasINSS} dia(s) de auxílio por incapacidade pagos pelo INSS: o 13º desse período é pago pela Previdência como abono anual (Lei 8.213/91, art. 40).`);
+  }
+
+  return { ano, inicio, fim, meses, avos: meses.filter(m => m.contado).length, diasINSS, warnings };
+}
 
 /**
  * @typedef {Object} DecimoTerceiroState
- * @property {number} mesesTrabalhados - O número de meses trabalhados no ano.
+ * @property {number} mesesTrabalhados - O número de meses trabalhados no ano (ignorado se informada a admissão).
+ * @property {string} [dataAdmissao] - Data de admissão; se informada, os avos são contados pelo calendário.
+ * @property {string} [dataFim] - Término do contrato no ano de referência.
+ * @property {AfastamentoInformado[]} [afastamentos] - Ausências e afastamentos no ano.
  * @property {number} salarioBruto - O salário bruto do funcionário.
  * @property {number} mediaHorasExtras - A média de horas extras.
  * @property {number} mediaAdicionalNoturno - A média de adicional noturno.
@@ -21,11 +142,13 @@ import { BASES_DE_CALCULO } from './calculations.js';
  * @property {boolean} adicionalPericulosidade - Se o funcionário recebe adicional de periculosidade.
  * @property {string} adicionalInsalubridadeGrau - O grau do adicional de insalubridade ('minimo', 'medio', 'maximo').
  * @property {string} insalubridadeBase - A base de cálculo para a insalubridade ('SALARIO_MINIMO' ou 'SALARIO_BRUTO').
+ * @property {import('./pensao.js').PensaoAlimenticiaConfig} [pensaoAlimenticia] - Pensão alimentícia (aplicada se abranger o 13º).
  */
 
 /**
  * @typedef {Object} DecimoTerceiroResult
  * @property {number} mesesTrabalhados - Número de meses trabalhados considerados no cálculo.
+ * @property {ApuracaoAvos13|null} apuracaoAvos - Contagem dos avos pelo calendário, se informada a admissão.
  * @property {number} salarioBruto - Salário bruto informado.
  * @property {number} mediaHorasExtras - Média de horas extras informada.
  * @property {number} mediaAdicionalNoturno - Média de adicional noturno informada.
@@ -42,6 +165,8 @@ import { BASES_DE_CALCULO } from './calculations.js';
  * @property {number} irrf - Valor do desconto do IRRF sobre o 13º salário.
  * @property {object} irrfFaixa - Faixa de alíquota do IRRF aplicada.
  * @property {number} deducaoDependentes - Valor da dedução por dependentes no IRRF.
+ * @property {import('./pensao.js').PensaoAlimenticiaResult|null} pensaoAlimenticia - Pensão sobre o 13º, descontada na segunda parcela.
+ * @property {number} descontoPensao - Desconto da pensão alimentícia (deduzido da base exclusiva do IRRF do 13º).
  * @property {object} fgts - Objeto com o cálculo do FGTS sobre o 13º salário.
  * @property {number} liquidoTotal - Valor líquido total do 13º salário (soma das parcelas líquidas).
  * @property {number} dependentes - Número de dependentes informado.
@@ -56,7 +181,10 @@ import { BASES_DE_CALCULO } from './calculations.js';
 export function calcularDecimoTerceiro(state13) {
   if (!state13) return {};
   const warnings = [];
-  let mesesTrabalhados = Number(state13.mesesTrabalhados) || 0;
+  // Com a admissão informada, os avos vêm do calendário e não do campo de meses trabalhados.
+  const apuracaoAvos = apurarAvosDecimoTerceiro(state13);
+  if (apuracaoAvos) warnings.push(...apuracaoAvos.warnings);
+  let mesesTrabalhados = apuracaoAvos ? apuracaoAvos.avos : Number(state13.mesesTrabalhados) || 0;
   if (mesesTrabalhados < 0) { warnings.push('Meses trabalhados < 0 ajustado para 0.'); mesesTrabalhados = 0; }
   if (mesesTrabalhados > 12) { warnings.push('Meses trabalhados > 12 ajustado para 12.'); mesesTrabalhados = 12; }
 
@@ -84,20 +212,31 @@ export function calcularDecimoTerceiro(state13) {
     warnings.push('Adiantamento informado maior que 50% da base proporcional.');
   }
 
-  // INSS e IRRF sobre proporcional bruto
-  const inssObj = calcularINSS(proporcionalBruto);
+  // INSS, IRRF e FGTS sobre o proporcional bruto, conforme a matriz de incidências
+  const verbas = { decimoTerceiro: proporcionalBruto };
+  const baseIRRFBruta = baseIncidencia(TRIBUTOS.IRRF, verbas);
+  const inssObj = calcularINSS(baseIncidencia(TRIBUTOS.INSS, verbas));
   const inss = inssObj.valor;
-  const { base: baseIRRFAjustada, deducaoDependentes } = ajustarBaseIRRF(Math.max(0, proporcionalBruto - inss), dependentes);
+  // Pensão alimentícia sobre o 13º: descontada na segunda parcela e deduzida da base do IRRF.
+  const irrfCom = deducao => calcularIRRFBase(ajustarBaseIRRF(Math.max(0, baseIRRFBruta - inss - deducao), dependentes).base);
+  const pensao = normalizarPensao(state13.pensaoAlimenticia);
+  const pensaoAlimenticia = pensaoAbrange(pensao, 'decimoTerceiro')
+    ? calcularPensaoAlimenticia(pensao, { bruto: proporcionalBruto, inss, irrf: d => irrfCom(d).valor })
+    : null;
+  const descontoPensao = pensaoAlimenticia ? pensaoAlimenticia.valor : 0;
+
+  const { base: baseIRRFAjustada, deducaoDependentes } = ajustarBaseIRRF(Math.max(0, baseIRRFBruta - inss - descontoPensao), dependentes);
   const irrfObj = calcularIRRFBase(baseIRRFAjustada);
   const irrf = irrfObj.valor;
 
-  const segundaParcela = round2(proporcionalBruto - adiantamentoRecebido - inss - irrf);
-  const liquidoTotal = round2(proporcionalBruto - inss - irrf); // soma das parcelas efetivamente
+  const segundaParcela = round2(proporcionalBruto - adiantamentoRecebido - inss - irrf - descontoPensao);
+  const liquidoTotal = round2(proporcionalBruto - inss - irrf - descontoPensao); // soma das parcelas efetivamente
 
-  const fgtsObj = calcularFGTSFerias(proporcionalBruto); // mesma alíquota de 8%
+  const fgtsObj = calcularFGTSFerias(baseIncidencia(TRIBUTOS.FGTS, verbas)); // mesma alíquota de 8%
 
   return {
     mesesTrabalhados,
+    apuracaoAvos,
     salarioBruto,
     mediaHorasExtras,
     mediaAdicionalNoturno,
@@ -114,6 +253,8 @@ export function calcularDecimoTerceiro(state13) {
     irrf,
     irrfFaixa: irrfObj.faixa,
     deducaoDependentes,
+    pensaoAlimenticia,
+    descontoPensao,
     fgts: fgtsObj,
     liquidoTotal,
     dependentes,
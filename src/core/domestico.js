@@ -0,0 +1,131 @@
+/**
+ * @file Módulo para os cálculos do empregado doméstico.
+ * @module core/domestico
+ * @description Calcula os valores próprios do contrato doméstico (LC 150/2015): a guia mensal do
+ * empregador (DAE), a indenização compensatória de 3,2% acumulada no FGTS, que substitui a multa
+ * de 40% na rescisão, e o seguro-desemprego do doméstico.
+ */
+
+import { round2 } from './round.js';
+import { getSalarioMinimo } from './parametersStore.js';
+import {
+  ENCARGOS_DOMESTICO,
+  ALIQUOTA_INDENIZACAO_COMPENSATORIA,
+  FRACAO_EMPREGADO_INDENIZACAO_COMPENSATORIA,
+  SEGURO_DESEMPREGO_DOMESTICO
+} from '../data/empregado-domestico.js';
+
+/**
+ * Alíquota do depósito mensal do FGTS, usada para derivar os depósitos de 3,2% do saldo.
+ * @private
+ * @type {number}
+ */
+const ALIQUOTA_FGTS = 0.08;
+
+/**
+ * @typedef {Object} DAEDomestico
+ * @property {Array<{chave: string, label: string, aliquota: number, base: number, valor: number}>} itens -
+ * Encargos do empregador (INSS patronal, GILRAT, FGTS e indenização compensatória).
+ * @property {number} encargosEmpregador - Soma dos encargos do empregador.
+ * @property {number} inssEmpregado - Contribuição do empregado descontada do salário.
+ * @property {number} irrf - IRRF retido do empregado.
+ * @property {number} total - Valor total da guia.
+ */
+
+/**
+ * @typedef {Object} IndenizacaoCompensatoria
+ * @property {number} aliquota - Alíquota mensal (3,2%).
+ * @property {number} acumulado - Depósitos acumulados no contrato, derivados do saldo do FGTS.
+ * @property {number} rescisorio - Depósito sobre as verbas rescisórias.
+ * @property {number} total - Valor total da indenização compensatória.
+ * @property {number} fracaoEmpregado - Fração movimentada pelo empregado (0, 0,5 ou 1).
+ * @property {number} valorEmpregado - Valor liberado ao empregado.
+ * @property {number} valorEmpregador - Valor devolvido ao empregador.
+ */
+
+/**
+ * @typedef {Object} SeguroDesempregoDomestico
+ * @property {boolean} elegivel - Se o motivo e o tempo de contrato dão direito ao benefício.
+ * @property {number} mesesContrato - Meses do contrato considerados.
+ * @property {number} parcelas - Parcelas devidas (0 se não elegível).
+ * @property {number} valorParcela - Valor de cada parcela (um salário mínimo).
+ * @property {number} total - Total do benefício.
+ */
+
+/**
+ * Calcula a guia mensal do empregador doméstico (DAE). O INSS patronal e o GILRAT incidem sobre o
+ * salário de contribuição; o FGTS e a indenização compensatória, sobre a base do FGTS.
+ * @param {object} params - Parâmetros do cálculo.
+ * @param {number} params.baseINSS - Salário de contribuição do mês.
+ * @param {number} [params.baseFGTS=params.baseINSS] - Base do FGTS do mês.
+ * @param {number} [params.inssEmpregado=0] - Contribuição descontada do empregado.
+ * @param {number} [params.irrf=0] - IRRF retido do empregado.
+ * @returns {DAEDomestico} Os encargos do empregador e o total da guia.
+ */
+export function calcularDAEDomestico({ baseINSS, baseFGTS = baseINSS, inssEmpregado = 0, irrf = 0 }){
+  const bases = { inss: Number(baseINSS) || 0, fgts: Number(baseFGTS) || 0 };
+  const itens = ENCARGOS_DOMESTICO.map(e => ({
+    chave: e.chave,
+    label: e.label,
+    aliquota: e.aliquota,
+    base: round2(bases[e.base]),
+    valor: round2(bases[e.base] * e.aliquota)
+  }));
+  const encargosEmpregador = round2(itens.reduce((acc, i) => acc + i.valor, 0));
+  return {
+    itens,
+    encargosEmpregador,
+    inssEmpregado: round2(inssEmpregado),
+    irrf: round2(irrf),
+    total: round2(encargosEmpregador + inssEmpregado + irrf)
+  };
+}
+
+/**
+ * Calcula a indenização compensatória de 3,2% na rescisão do doméstico. Os depósitos acumulados
+ * são derivados do saldo do FGTS (mesma base e mesma atualização, na razão 3,2/8).
+ * @param {object} params - Parâmetros do cálculo.
+ * @param {string} params.motivo - O motivo da rescisão (chave de `MOTIVOS_RESCISAO`).
+ * @param {number} params.saldoFgts - Saldo do FGTS antes da rescisão.
+ * @param {number} [params.fgtsRescisorio=0] - FGTS sobre as verbas rescisórias.
+ * @returns {IndenizacaoCompensatoria} Os valores acumulados e a parte de cada um.
+ */
+export function calcularIndenizacaoCompensatoria({ motivo, saldoFgts, fgtsRescisorio = 0 }){
+  const razao = ALIQUOTA_INDENIZACAO_COMPENSATORIA / ALIQUOTA_FGTS;
+  const acumulado = round2((Number(saldoFgts) || 0) * razao);
+  const rescisorio = round2((Number(fgtsRescisorio) || 0) * razao);
+  const total = round2(acumulado + rescisorio);
+  const fracaoEmpregado = FRACAO_EMPREGADO_INDENIZACAO_COMPENSATORIA[motivo] || 0;
+  const valorEmpregado = round2(total * fracaoEmpregado);
+  return {
+    aliquota: ALIQUOTA_INDENIZACAO_COMPENSATORIA,
+    acumulado,
+    rescisorio,
+    total,
+    fracaoEmpregado,
+    valorEmpregado,
+    valorEmpregador: round2(total - valorEmpregado)
+  };
+}
+
+/**
+ * Verifica o seguro-desemprego do doméstico: até 3 parcelas de um salário mínimo, com ao menos
+ * 15 meses de trabalho doméstico nos últimos 24. Considera apenas o contrato informado.
+ * @param {object} params - Parâmetros da verificação.
+ * @param {boolean} params.motivoPermite - Se o motivo da rescisão dá direito ao seguro.
+ * @param {number} params.mesesContrato - Meses de duração do contrato.
+ * @returns {SeguroDesempregoDomestico} A elegibilidade e o valor do benefício.
+ */
+export function calcularSeguroDesempregoDomestico({ motivoPermite, mesesContrato }){
+  const meses = Math.min(SEGURO_DESEMPREGO_DOMESTICO.periodoMeses, Math.max(0, Math.floor(Number(mesesContrato) || 0)));
+  const elegivel = !!motivoPermite && meses >= SEGURO_DESEMPREGO_DOMESTICO.mesesMinimos;
+  const valorParcela = getSalarioMinimo();
+  const parcelas = elegivel ? SEGURO_DESEMPREGO_DOMESTICO.parcelas : 0;
+  return {
+    elegivel,
+    mesesContrato: meses,
+    parcelas,
+    valorParcela,
+    total: round2(parcelas * valorParcela)
+  };
+}
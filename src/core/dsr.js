@@ -0,0 +1,141 @@
+/**
+ * @file Módulo para o cálculo do Descanso Semanal Remunerado (DSR).
+ * @module core/dsr
+ * @description Conta os dias úteis e os dias de descanso (domingos e feriados) de uma competência
+ * e calcula o reflexo das verbas variáveis no DSR (Lei 605/49, art. 7º; Súmula 172 TST):
+ * `valor / dias úteis × dias de descanso`. Os sábados são contados como dias úteis.
+ */
+
+import { round2 } from './round.js';
+import { FERIADOS_FIXOS, FERIADOS_MOVEIS } from '../data/feriados.js';
+
+/**
+ * @typedef {Object} OpcoesCalendario
+ * @property {boolean} [incluirFacultativos=false] - Se os pontos facultativos (Carnaval, Corpus Christi) contam como descanso.
+ * @property {string[]} [feriadosAdicionais] - Feriados estaduais/municipais (datas ISO 'YYYY-MM-DD').
+ */
+
+/**
+ * @typedef {Object} DiasCompetencia
+ * @property {string} competencia - Competência ('YYYY-MM').
+ * @property {number} diasMes - Dias corridos do mês.
+ * @property {number} domingos - Domingos do mês.
+ * @property {Array<{data: string, nome: string}>} feriados - Feriados que caem fora do domingo.
+ * @property {number} diasDescanso - Domingos e feriados.
+ * @property {number} diasUteis - Demais dias do mês.
+ */
+
+/**
+ * @typedef {Object} DSRResult
+ * @property {string} competencia - Competência considerada.
+ * @property {number} diasUteis - Dias úteis da competência.
+ * @property {number} diasDescanso - Domingos e feriados da competência.
+ * @property {number} horasExtras - DSR sobre as horas extras.
+ * @property {number} adicionalNoturno - DSR sobre o adicional noturno.
+ * @property {number} comissoes - DSR sobre as comissões.
+ * @property {number} total - DSR total.
+ */
+
+/**
+ * Formata uma data UTC como ISO 'YYYY-MM-DD'.
+ * @private
+ * @param {Date} d - A data.
+ * @returns {string} A data em ISO.
+ */
+function iso(d){
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Calcula o domingo de Páscoa de um ano (algoritmo de Meeus/Jones/Butcher, calendário gregoriano).
+ * @param {number} ano - O ano.
+ * @returns {string} A data do domingo de Páscoa (ISO).
+ */
+export function calcularPascoa(ano){
+  const a = ano % 19;
+  const b = Math.floor(ano / 100);
+  const c = ano % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const mes = Math.floor((h + l - 7 * m + 114) / 31);
+  const dia = ((h + l - 7 * m + 114) % 31) + 1;
+  return iso(new Date(Date.UTC(ano, mes - 1, dia)));
+}
+
+/**
+ * Lista os feriados nacionais de um ano, fixos e móveis, em ordem cronológica.
+ * @param {number} ano - O ano.
+ * @param {OpcoesCalendario} [opcoes] - Opções do calendário.
+ * @returns {Array<{data: string, nome: string}>} Os feriados do ano.
+ */
+export function listarFeriados(ano, { incluirFacultativos = false } = {}){
+  const [py, pm, pd] = calcularPascoa(ano).split('-').map(Number);
+  const fixos = FERIADOS_FIXOS
+    .filter(f => !f.desde || ano >= f.desde)
+    .map(f => ({ data: iso(new Date(Date.UTC(ano, f.mes - 1, f.dia))), nome: f.nome }));
+  const moveis = FERIADOS_MOVEIS
+    .filter(f => incluirFacultativos || !f.facultativo)
+    .map(f => ({ data: iso(new Date(Date.UTC(py, pm - 1, pd + f.diasAposPascoa))), nome: f.nome }));
+  return [...fixos, ...moveis].sort((x, y) => x.data.localeCompare(y.data));
+}
+
+/**
+ * Conta os dias úteis e os dias de descanso de uma competência. Feriados que caem no domingo
+ * são contados uma única vez.
+ * @param {string} competencia - Competência ('YYYY-MM'); datas completas também são aceitas.
+ * @param {OpcoesCalendario} [opcoes] - Opções do calendário.
+ * @returns {DiasCompetencia|null} A contagem de dias, ou `null` se a competência for inválida.
+ */
+export function contarDiasCompetencia(competencia, opcoes = {}){
+  const m = String(competencia || '').match(/^(\d{4})-(\d{2})/);
+  if (!m) return null;
+  const ano = Number(m[1]);
+  const mes = Number(m[2]);
+  const prefixo = `${m[1]}-${m[2]}`;
+  const adicionais = (opcoes.feriadosAdicionais || []).map(data => ({ data, nome: 'Feriado local' }));
+  const feriadosMes = [...listarFeriados(ano, opcoes), ...adicionais].filter(f => f.data.startsWith(prefixo));
+
+  const diasMes = new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+  let domingos = 0;
+  const feriados = [];
+  for (let dia = 1; dia <= diasMes; dia++) {
+    const data = new Date(Date.UTC(ano, mes - 1, dia));
+    const feriado = feriadosMes.find(f => f.data === iso(data));
+    if (data.getUTCDay() === 0) domingos++;
+    else if (feriado && !feriados.some(f => f.data === feriado.data)) feriados.push(feriado);
+  }
+  const diasDescanso = domingos + feriados.length;
+  return { competencia: prefixo, diasMes, domingos, feriados, diasDescanso, diasUteis: diasMes - diasDescanso };
+}
+
+/**
+ * Calcula o DSR sobre as verbas variáveis de uma competência. Sem competência válida, aplica a
+ * proporção padrão de 1 dia de descanso para 6 dias úteis.
+ * @param {{horasExtras?: number, adicionalNoturno?: number, comissoes?: number}} valores - Verbas variáveis do mês.
+ * @param {string} competencia - Competência ('YYYY-MM').
+ * @param {OpcoesCalendario} [opcoes] - Opções do calendário.
+ * @returns {DSRResult} O DSR por verba e o total.
+ */
+export function calcularDSR({ horasExtras = 0, adicionalNoturno = 0, comissoes = 0 } = {}, competencia, opcoes = {}){
+  const dias = contarDiasCompetencia(competencia, opcoes);
+  const diasUteis = dias ? dias.diasUteis : 6;
+  const diasDescanso = dias ? dias.diasDescanso : 1;
+  const reflexo = v => round2((Number(v) || 0) / diasUteis * diasDescanso);
+  const dsr = {
+    competencia: dias ? dias.competencia : '',
+    diasUteis,
+    diasDescanso,
+    horasExtras: reflexo(horasExtras),
+    adicionalNoturno: reflexo(adicionalNoturno),
+    comissoes: reflexo(comissoes)
+  };
+  dsr.total = round2(dsr.horasExtras + dsr.adicionalNoturno + dsr.comissoes);
+  return dsr;
+}
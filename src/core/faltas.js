@@ -0,0 +1,80 @@
+/**
+ * @file Módulo para o desconto de faltas e atrasos.
+ * @module core/faltas
+ * @description Calcula o desconto das faltas injustificadas e dos atrasos de uma competência e o
+ * DSR perdido nas semanas com falta (Lei 605/49, art. 6º). O empregado mensalista tem o repouso
+ * embutido no salário: cada falta desconta 1/30 da remuneração e cada semana com falta, mais 1/30
+ * (o domingo da semana). O desconto reduz a base de INSS, IRRF e FGTS do mês.
+ */
+
+import { round2 } from './round.js';
+import { contarDiasCompetencia } from './dsr.js';
+
+/**
+ * @typedef {Object} DescontoFaltas
+ * @property {number} faltas - Faltas injustificadas consideradas (dias).
+ * @property {number} horasAtraso - Atrasos e saídas antecipadas, em horas decimais.
+ * @property {number} semanasComFalta - Semanas com falta (DSR perdidos).
+ * @property {number} valorDia - Valor do dia (remuneração / 30).
+ * @property {number} valorHora - Valor da hora (remuneração / carga horária mensal).
+ * @property {number} descontoFaltas - Desconto dos dias de falta.
+ * @property {number} descontoAtrasos - Desconto das horas de atraso.
+ * @property {number} descontoDsr - Desconto dos repousos perdidos.
+ * @property {number} total - Soma dos descontos.
+ */
+
+/**
+ * Converte uma duração informada como 'hh:mm' (ou número de horas) em horas decimais.
+ * @param {string|number} valor - A duração ('01:30', '1:30' ou 1.5).
+ * @returns {number} As horas decimais, ou 0 se o valor for inválido.
+ */
+export function converterHoras(valor){
+  if (typeof valor === 'number') return Math.max(0, valor) || 0;
+  const s = String(valor || '').trim();
+  const m = s.match(/^(\d{1,3}):([0-5]\d)$/);
+  if (m) return Number(m[1]) + Number(m[2]) / 60;
+  const n = Number(s.replace(',', '.'));
+  return isNaN(n) ? 0 : Math.max(0, n);
+}
+
+/**
+ * Calcula o desconto de faltas, atrasos e DSR perdido de uma competência. Sem o número de semanas
+ * informado, presume-se uma falta por semana, limitado aos domingos da competência.
+ * @param {object} params - Parâmetros do cálculo.
+ * @param {number} params.remuneracao - Remuneração mensal fixa (salário e adicionais).
+ * @param {number} [params.cargaHorariaMensal=220] - Carga horária mensal (divisor do valor da hora).
+ * @param {number} [params.faltas=0] - Faltas injustificadas no mês (dias).
+ * @param {string|number} [params.atrasos] - Atrasos no mês ('hh:mm' ou horas).
+ * @param {number|string} [params.semanasComFalta] - Semanas com falta; vazio para a presunção padrão.
+ * @param {string} [params.competencia] - Competência ('YYYY-MM') usada para contar os domingos.
+ * @returns {DescontoFaltas} Os descontos por natureza e o total.
+ */
+export function calcularDescontoFaltas({ remuneracao, cargaHorariaMensal = 220, faltas = 0, atrasos = '', semanasComFalta = '', competencia = '' }){
+  const rem = Number(remuneracao) || 0;
+  const carga = Math.max(1, Number(cargaHorariaMensal) || 220);
+  const dias = Math.max(0, Math.floor(Number(faltas) || 0));
+  const horasAtraso = converterHoras(atrasos);
+  const calendario = contarDiasCompetencia(competencia);
+  const domingos = calendario ? calendario.domingos : 4;
+  const semanasInformadas = semanasComFalta === '' || semanasComFalta === null || semanasComFalta === undefined
+    ? null
+    : Math.max(0, Math.floor(Number(semanasComFalta) || 0));
+  const semanas = dias > 0 ? Math.min(semanasInformadas ?? dias, dias, domingos) : 0;
+
+  const valorDia = rem / 30;
+  const valorHora = rem / carga;
+  const descontoFaltas = round2(valorDia * dias);
+  const descontoAtrasos = round2(valorHora * horasAtraso);
+  const descontoDsr = round2(valorDia * semanas);
+  return {
+    faltas: dias,
+    horasAtraso: round2(horasAtraso),
+    semanasComFalta: semanas,
+    valorDia: round2(valorDia),
+    valorHora: round2(valorHora),
+    descontoFaltas,
+    descontoAtrasos,
+    descontoDsr,
+    total: round2(descontoFaltas + descontoAtrasos + descontoDsr)
+  };
+}
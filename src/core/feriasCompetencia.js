@@ -0,0 +1,170 @@
+/**
+ * @file Módulo da folha da competência de início das férias.
+ * @module core/feriasCompetencia
+ * @description O INSS é apurado por competência: no mês em que as férias começam, o salário dos dias
+ * trabalhados e as férias gozadas no mês (com o 1/3) somam uma única base progressiva. O IRRF, ao
+ * contrário, é retido em separado no recibo de férias e na folha do mês. Este módulo divide o mês em
+ * dias trabalhados e dias de férias e monta o holerite completo da competência.
+ */
+
+import { round2 } from './round.js';
+import { calculateFerias } from './calculations.js';
+import { calcularINSS } from './inss.js';
+import { ajustarBaseIRRF, calcularIRRFBase } from './irrf.js';
+import { TRIBUTOS, baseIncidencia } from './incidencias.js';
+import { DateFormatter } from '../services/formatter.js';
+
+/**
+ * @typedef {Object} LinhaHolerite
+ * @property {string} chave - Identificador da rubrica.
+ * @property {string} label - Descrição exibida no holerite.
+ * @property {string} referencia - Referência da rubrica (dias, alíquota ou documento de origem).
+ * @property {number} valor - Valor da rubrica.
+ */
+
+/**
+ * @typedef {Object} FolhaCompetenciaFerias
+ * @property {string} competencia - Mês de início das férias ('YYYY-MM').
+ * @property {string} inicio - Primeiro dia de férias (ISO).
+ * @property {string} fim - Último dia de férias (ISO).
+ * @property {string} retorno - Dia de retorno ao trabalho (ISO).
+ * @property {number} diasTrabalhados - Dias de salário na competência (mês comercial de 30 dias).
+ * @property {number} diasFeriasMes - Dias de férias gozados na competência.
+ * @property {number} diasFeriasMesSeguinte - Dias de férias gozados na competência seguinte.
+ * @property {number} salarioDiasTrabalhados - Salário (com adicionais) dos dias trabalhados.
+ * @property {number} baseINSSMes - Base única do INSS da competência (salário + férias do mês).
+ * @property {number} inssMes - INSS da competência sobre a base somada.
+ * @property {number} inssFeriasMes - INSS retido no recibo sobre as férias do mês.
+ * @property {number} inssFeriasMesSeguinte - INSS retido no recibo sobre as férias da competência seguinte.
+ * @property {number} inssSalario - INSS descontado na folha: o da competência menos o já retido nas férias do mês.
+ * @property {number} diferencaINSS - Quanto o INSS da base somada excede o de salário e férias apurados isoladamente.
+ * @property {number} baseIRRFFerias - Base do IRRF do recibo de férias (após INSS, pensão e dependentes).
+ * @property {number} irrfFerias - IRRF retido no recibo de férias.
+ * @property {number} baseIRRFSalario - Base do IRRF da folha (após INSS e dependentes).
+ * @property {number} irrfSalario - IRRF retido na folha sobre o salário.
+ * @property {LinhaHolerite[]} proventos - Proventos da competência.
+ * @property {LinhaHolerite[]} descontos - Descontos da competência.
+ * @property {number} totalProventos - Soma dos proventos.
+ * @property {number} totalDescontos - Soma dos descontos.
+ * @property {number} liquido - Líquido da competência (recibo de férias e folha).
+ * @property {import('./calculations.js').FeriasResult} ferias - O cálculo das férias usado como origem.
+ * @property {string[]} warnings - Avisos gerados na apuração.
+ */
+
+/**
+ * Monta o holerite da competência em que as férias começam. O mês é tratado como comercial (30
+ * dias): os dias de férias gozados no mês são descontados dos 30 e o restante é pago como salário.
+ * O INSS do mês incide sobre a soma do salário e das férias do mês (o recibo retém o INSS das férias
+ * e a folha, a diferença); os dias que avançam para o mês seguinte têm INSS próprio no recibo. O
+ * IRRF é apurado em separado: no recibo, sobre as férias; na folha, sobre o salário.
+ * @param {object} feriasState - O estado da calculadora de férias (salário, adicionais, opções).
+ * @param {string} feriasState.dataInicio - Primeiro dia de férias (DD/MM/YYYY ou ISO).
+ * @returns {FolhaCompetenciaFerias|null} O holerite da competência, ou `null` sem data de início válida.
+ */
+export function calcularFolhaCompetenciaFerias(feriasState){
+  const inicio = DateFormatter.paraISO(feriasState?.dataInicio);
+  if (!inicio) return null;
+  const ferias = calculateFerias(feriasState);
+  const dias = ferias.diasFerias;
+  const warnings = [];
+
+  const [ano, mes, dia] = inicio.split('-').map(Number);
+  const ultimoDia = new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+  const diasFeriasMes = Math.min(dias, ultimoDia - dia + 1);
+  const diasFeriasMesSeguinte = dias - diasFeriasMes;
+  // Mês comercial: os dias de férias saem dos 30; sem dia trabalhado no calendário, não há salário.
+  const diasTrabalhados = ultimoDia - diasFeriasMes > 0 ? Math.max(0, 30 - diasFeriasMes) : 0;
+
+  // O salário do mês não inclui as médias, que são variáveis e não foram informadas para o mês.
+  const remuneracaoMensal = ferias.salarioBruto + ferias.periculosidade + ferias.insalubridade;
+  const salarioDiasTrabalhados = round2(remuneracaoMensal / 30 * diasTrabalhados);
+  const feriasMes = round2(ferias.valorDia * diasFeriasMes);
+  const tercoMes = round2(feriasMes / 3);
+  const feriasSeguinte = round2(ferias.valorDia * diasFeriasMesSeguinte);
+  const tercoSeguinte = round2(feriasSeguinte / 3);
+
+  // INSS: base única da competência; o recibo retém o das férias e a folha, a diferença.
+  const verbasFeriasMes = { feriasGozadas: feriasMes, tercoFeriasGozadas: tercoMes, abonoPecuniario: ferias.segmentoAbono };
+  const verbasFeriasSeguinte = { feriasGozadas: feriasSeguinte, tercoFeriasGozadas: tercoSeguinte };
+  const verbasSalario = { salario: salarioDiasTrabalhados };
+  const baseFeriasMes = baseIncidencia(TRIBUTOS.INSS, verbasFeriasMes);
+  const baseSalario = baseIncidencia(TRIBUTOS.INSS, verbasSalario);
+  const baseINSSMes = round2(baseFeriasMes + baseSalario);
+  const inssMes = calcularINSS(baseINSSMes).valor;
+  const inssFeriasMes = calcularINSS(baseFeriasMes).valor;
+  const inssFeriasMesSeguinte = calcularINSS(baseIncidencia(TRIBUTOS.INSS, verbasFeriasSeguinte)).valor;
+  const inssSalario = round2(Math.max(0, inssMes - inssFeriasMes));
+  const diferencaINSS = round2(inssMes - inssFeriasMes - calcularINSS(baseSalario).valor);
+
+  // IRRF: retenções separadas no recibo de férias e na folha.
+  const dependentes = ferias.dependentes;
+  const inssRecibo = round2(inssFeriasMes + inssFeriasMesSeguinte);
+  const pensaoFerias = ferias.pensaoAlimenticia?.ferias?.valor || 0;
+  const baseBrutaIRRFFerias = baseIncidencia(TRIBUTOS.IRRF, {
+    feriasGozadas: feriasMes + feriasSeguinte,
+    tercoFeriasGozadas: tercoMes + tercoSeguinte,
+    abonoPecuniario: ferias.segmentoAbono,
+    dobraFerias: ferias.dobraFerias
+  });
+  const baseIRRFFerias = ajustarBaseIRRF(Math.max(0, baseBrutaIRRFFerias - inssRecibo - pensaoFerias), dependentes).base;
+  const irrfFerias = calcularIRRFBase(baseIRRFFerias).valor;
+  const baseIRRFSalario = ajustarBaseIRRF(Math.max(0, baseIncidencia(TRIBUTOS.IRRF, verbasSalario) - inssSalario), dependentes).base;
+  const irrfSalario = diasTrabalhados > 0 ? calcularIRRFBase(baseIRRFSalario).valor : 0;
+
+  const competenciaSeguinte = DateFormatter.somarDias(`${inicio.slice(0,7)}-01`, ultimoDia).slice(0,7);
+  const rotuloSeguinte = `${competenciaSeguinte.slice(5)}/${competenciaSeguinte.slice(0,4)}`;
+  const proventos = [
+    { chave: 'salario', label: 'Salário (dias trabalhados)', referencia: `${diasTrabalhados} dias`, valor: salarioDiasTrabalhados },
+    { chave: 'feriasGozadas', label: 'Férias do mês', referencia: `${diasFeriasMes} dias`, valor: feriasMes },
+    { chave: 'tercoFeriasGozadas', label: '1/3 sobre férias do mês', referencia: 'CF, art. 7º, XVII', valor: tercoMes },
+    { chave: 'feriasMesSeguinte', label: `Férias de ${rotuloSeguinte} (pagas no recibo)`, referencia: `${diasFeriasMesSeguinte} dias`, valor: feriasSeguinte },
+    { chave: 'tercoFeriasMesSeguinte', label: `1/3 sobre férias de ${rotuloSeguinte}`, referencia: 'CF, art. 7º, XVII', valor: tercoSeguinte },
+    { chave: 'dobraFerias', label: 'Dobra das férias (pagamento fora do prazo)', referencia: 'CLT, art. 137', valor: ferias.dobraFerias },
+    { chave: 'abonoPecuniario', label: 'Abono pecuniário', referencia: `${ferias.diasAbono} dias`, valor: round2(ferias.segmentoAbono) },
+    { chave: 'adiantamentoDecimo', label: 'Adiantamento do 13º', referencia: '50%', valor: round2(ferias.segmentoDecimoAdiantado) }
+  ].filter(l => l.valor > 0);
+  const descontos = [
+    { chave: 'inssFerias', label: 'INSS sobre férias (recibo)', referencia: diasFeriasMesSeguinte > 0 ? 'por competência' : 'recibo', valor: inssRecibo },
+    { chave: 'irrfFerias', label: 'IRRF sobre férias (recibo)', referencia: 'recibo', valor: irrfFerias },
+    { chave: 'pensaoAlimenticia', label: 'Pensão alimentícia', referencia: 'recibo', valor: round2(ferias.descontoPensao || 0) },
+    { chave: 'inssSalario', label: 'INSS da competência (complemento)', referencia: 'folha', valor: inssSalario },
+    { chave: 'irrfSalario', label: 'IRRF sobre salário', referencia: 'folha', valor: irrfSalario }
+  ].filter(l => l.valor > 0);
+  const totalProventos = round2(proventos.reduce((acc, l) => acc + l.valor, 0));
+  const totalDescontos = round2(descontos.reduce((acc, l) => acc + l.valor, 0));
+
+  if (diasFeriasMesSeguinte > 0) {
+    warnings.push(`${diasFeriasMesSeguinte} dia(s) de férias pertencem à competência ${rotuloSeguinte}: o INSS desses dias é retido no recibo e somado ao salário daquele mês na folha seguinte.`);
+  }
+  if (ferias.mediaHorasExtras > 0 || ferias.mediaAdicionalNoturno > 0) {
+    warnings.push('As médias de horas extras e adicional noturno integram as férias, mas não o salário dos dias trabalhados.');
+  }
+
+  return {
+    competencia: inicio.slice(0,7),
+    inicio,
+    fim: DateFormatter.somarDias(inicio, dias - 1),
+    retorno: DateFormatter.somarDias(inicio, dias),
+    diasTrabalhados,
+    diasFeriasMes,
+    diasFeriasMesSeguinte,
+    salarioDiasTrabalhados,
+    baseINSSMes,
+    inssMes,
+    inssFeriasMes,
+    inssFeriasMesSeguinte,
+    inssSalario,
+    diferencaINSS,
+    baseIRRFFerias,
+    irrfFerias,
+    baseIRRFSalario,
+    irrfSalario,
+    proventos,
+    descontos,
+    totalProventos,
+    totalDescontos,
+    liquido: round2(totalProventos - totalDescontos),
+    ferias,
+    warnings
+  };
+}
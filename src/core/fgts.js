@@ -2,9 +2,14 @@
  * @file Módulo para cálculo do FGTS sobre verbas específicas.
  * @module core/fgts
  * @description Este módulo contém funções para calcular o depósito do FGTS
- * sobre diferentes tipos de remuneração, como férias e 13º salário.
+ * sobre diferentes tipos de remuneração, como férias e 13º salário, a atualização
+ * mensal do saldo (TR + 3% a.a.) e a reconstrução do histórico de depósitos do contrato.
  */
 
+import { trData } from '../data/tr-data.js';
+import { round2 } from './round.js';
+import { DateFormatter } from '../services/formatter.js';
+
 /**
  * @typedef {Object} FgtsResult
  * @property {number} base - A base de cálculo sobre a qual o FGTS foi calculado.
@@ -23,3 +28,147 @@ export function calcularFGTSFerias(baseCalculo) {
   const aliquota = 0.08;
   return { base, valor: base * aliquota, aliquota };
 }
+
+/**
+ * Alíquota mensal de juros do FGTS (3% a.a. capitalizados mensalmente como 0,25% a.m.).
+ * @private
+ * @type {number}
+ */
+const JUROS_MENSAIS_FGTS = 0.03 / 12;
+
+/**
+ * Mapa da TR mensal (fração), indexado por 'MM/YYYY'. Construído na primeira consulta.
+ * @private
+ * @type {Map<string, number>|null}
+ */
+let trMap = null;
+
+/**
+ * Obtém a taxa mensal de atualização do FGTS para um mês: TR do mês + 3% a.a.
+ * Meses sem TR publicada usam apenas os juros.
+ * @param {number} mes - O mês (1 a 12).
+ * @param {number} ano - O ano.
+ * @returns {number} A taxa mensal, como fração (ex: 0.0042).
+ */
+export function taxaAtualizacaoFGTS(mes, ano) {
+  if (!trMap) {
+    trMap = new Map(trData.map(item => {
+      const [, m, a] = item.data.split('/');
+      return [`${m}/${a}`, parseFloat(item.valor) / 100];
+    }));
+  }
+  const tr = trMap.get(`${String(mes).padStart(2, '0')}/${ano}`) || 0;
+  return tr + JUROS_MENSAIS_FGTS;
+}
+
+/**
+ * @typedef {Object} ReajusteSalarial
+ * @property {string} competencia - Competência ('YYYY-MM') a partir da qual vale a remuneração.
+ * @property {number} salario - Remuneração mensal a partir da competência.
+ */
+
+/**
+ * @typedef {Object} MesHistoricoFGTS
+ * @property {string} competencia - Competência ('YYYY-MM').
+ * @property {number} remuneracao - Remuneração do mês (proporcional no mês de admissão).
+ * @property {number} decimoTerceiro - Base do 13º depositada na competência (dezembro).
+ * @property {number} tercoFerias - Base do 1/3 de férias gozadas depositada na competência.
+ * @property {number} deposito - Depósito do mês (calculado ou informado).
+ * @property {boolean} informado - Se o depósito foi informado pelo usuário.
+ * @property {number} rendimento - Atualização (TR + 3% a.a.) creditada sobre o saldo anterior.
+ * @property {number} saldo - Saldo após o depósito.
+ */
+
+/**
+ * @typedef {Object} HistoricoFGTS
+ * @property {MesHistoricoFGTS[]} meses - Tabela mensal reconstruída.
+ * @property {number} totalDepositos - Soma dos depósitos.
+ * @property {number} totalRendimentos - Soma das atualizações creditadas.
+ * @property {number} saldo - Saldo estimado ao final do mês anterior à rescisão.
+ */
+
+/**
+ * Lista as competências com depósito de FGTS reconstruído: do mês de admissão ao mês anterior
+ * ao da rescisão.
+ * @param {string} dataAdmissao - Data de admissão (DD/MM/YYYY ou YYYY-MM-DD).
+ * @param {string} dataDemissao - Data de demissão (DD/MM/YYYY ou YYYY-MM-DD).
+ * @returns {string[]} Competências 'YYYY-MM', da mais antiga para a mais recente.
+ */
+export function listarCompetenciasFGTS(dataAdmissao, dataDemissao) {
+  const inicio = DateFormatter.competenciaDe(dataAdmissao);
+  const fim = DateFormatter.competenciaDe(dataDemissao);
+  if (!inicio || !fim || fim <= inicio) return [];
+  const [ano, mes] = inicio.split('-').map(Number);
+  const competencias = [];
+  for (let d = new Date(Date.UTC(ano, mes - 1, 1)); d.toISOString().slice(0, 7) < fim; d.setUTCMonth(d.getUTCMonth() + 1)) {
+    competencias.push(d.toISOString().slice(0, 7));
+  }
+  return competencias;
+}
+
+/**
+ * Reconstrói os depósitos do FGTS do contrato, da admissão até o mês anterior à rescisão (os
+ * depósitos do mês da rescisão incidem sobre as verbas rescisórias). Cada mês recebe 8% da
+ * remuneração vigente; dezembro recebe também o 8% sobre o 13º do ano e o mês seguinte ao fim
+ * de cada período aquisitivo, o 8% sobre o 1/3 das férias gozadas. O saldo é atualizado como em
+ * `calculateFGTS`: TR do mês + 3% a.a. sobre o saldo anterior, antes do depósito.
+ * @param {object} params - Parâmetros da reconstrução.
+ * @param {string} params.dataAdmissao - Data de admissão (ISO).
+ * @param {string} params.dataDemissao - Data de demissão (ISO).
+ * @param {number} params.remuneracao - Remuneração atual, usada nos meses sem reajuste informado.
+ * @param {ReajusteSalarial[]} [params.reajustes] - Histórico salarial (remuneração a partir de cada competência).
+ * @param {Array<{competencia: string, diasGozados: number}>} [params.ferias] - Férias gozadas, na competência do gozo.
+ * @param {Object.<string, number>} [params.depositosInformados] - Depósitos informados pelo usuário, por competência; substituem os calculados.
+ * @returns {HistoricoFGTS} A tabela mensal e os totais.
+ */
+export function reconstruirHistoricoFGTS({ dataAdmissao, dataDemissao, remuneracao, reajustes = [], ferias = [], depositosInformados = {} }) {
+  const vazio = { meses: [], totalDepositos: 0, totalRendimentos: 0, saldo: 0 };
+  if (!dataAdmissao || !dataDemissao || dataDemissao <= dataAdmissao) return vazio;
+
+  const tabelaSalarial = (Array.isArray(reajustes) ? reajustes : [])
+    .filter(r => r && /^\d{4}-\d{2}/.test(r.competencia || '') && Number(r.salario) > 0)
+    .map(r => ({ competencia: r.competencia.slice(0, 7), salario: Number(r.salario) }))
+    .sort((a, b) => a.competencia.localeCompare(b.competencia));
+  const remuneracaoDe = competencia => {
+    const vigente = tabelaSalarial.filter(r => r.competencia <= competencia).pop();
+    if (vigente) return vigente.salario;
+    return tabelaSalarial.length ? tabelaSalarial[0].salario : Number(remuneracao) || 0;
+  };
+
+  const [anoAdm, mesAdm, diaAdm] = dataAdmissao.split('-').map(Number);
+  // Avos do 13º no ano da admissão: o mês de admissão conta se tiver 15 dias ou mais trabalhados.
+  const diasMesAdmissao = new Date(Date.UTC(anoAdm, mesAdm, 0)).getUTCDate();
+  const avosAnoAdmissao = 12 - mesAdm + (diasMesAdmissao - diaAdm + 1 >= 15 ? 1 : 0);
+  const meses = [];
+  let saldo = 0;
+  let totalDepositos = 0;
+  let totalRendimentos = 0;
+
+  for (const competencia of listarCompetenciasFGTS(dataAdmissao, dataDemissao)) {
+    const [ano, mes] = competencia.split('-').map(Number);
+    const salario = remuneracaoDe(competencia);
+
+    // Mês de admissão: proporcional aos dias trabalhados (mês comercial de 30 dias).
+    const primeiroMes = ano === anoAdm && mes === mesAdm;
+    const diasMes = new Date(Date.UTC(ano, mes, 0)).getUTCDate();
+    const remuneracaoMes = primeiroMes ? round2(salario * Math.min(30, diasMes - diaAdm + 1) / 30) : salario;
+
+    // 13º do ano, depositado na competência de dezembro.
+    const decimoTerceiro = mes === 12 ? round2(salario * (ano === anoAdm ? avosAnoAdmissao : 12) / 12) : 0;
+    const tercoFerias = round2(ferias
+      .filter(f => f.competencia === competencia)
+      .reduce((acc, f) => acc + salario / 30 * (Number(f.diasGozados) || 0) / 3, 0));
+
+    const informado = depositosInformados[competencia];
+    const temInformado = informado !== undefined && informado !== '' && !isNaN(Number(informado));
+    const deposito = temInformado ? round2(Number(informado)) : round2((remuneracaoMes + decimoTerceiro + tercoFerias) * 0.08);
+
+    const rendimento = round2(saldo * taxaAtualizacaoFGTS(mes, ano));
+    saldo = round2(saldo + rendimento + deposito);
+    totalDepositos += deposito;
+    totalRendimentos += rendimento;
+    meses.push({ competencia, remuneracao: remuneracaoMes, decimoTerceiro, tercoFerias, deposito, informado: temInformado, rendimento, saldo });
+  }
+
+  return { meses, totalDepositos: round2(totalDepositos), totalRendimentos: round2(totalRendimentos), saldo };
+}
@@ -0,0 +1,150 @@
+/**
+ * @file Módulo do planejador de férias fracionadas.
+ * @module core/fracionamentoFerias
+ * @description Valida o fracionamento das férias em até três períodos (CLT, art. 134, §§ 1º e 3º) e
+ * calcula cada período como um pagamento próprio, com o seu 1/3, INSS e IRRF, o prazo de pagamento
+ * (dois dias antes do início, art. 145) e a data de retorno ao trabalho.
+ */
+
+import { round2 } from './round.js';
+import { calculateFerias, calcularDireitoFerias } from './calculations.js';
+import { listarFeriados } from './dsr.js';
+import { DateFormatter } from '../services/formatter.js';
+import { REGRAS_FRACIONAMENTO_FERIAS } from '../data/fracionamento-ferias.js';
+
+/**
+ * Identifica o descanso (feriado nacional ou domingo) em uma data.
+ * @private
+ * @param {string} iso - A data ('YYYY-MM-DD').
+ * @returns {string} O nome do descanso, ou vazio se for dia útil.
+ */
+function descansoEm(iso){
+  const feriado = listarFeriados(Number(iso.slice(0,4))).find(f => f.data === iso);
+  if (feriado) return `o feriado de ${feriado.nome}`;
+  return new Date(iso + 'T00:00:00Z').getUTCDay() === 0 ? 'o repouso semanal (domingo)' : '';
+}
+
+/**
+ * @typedef {Object} PeriodoFeriasInformado
+ * @property {string} inicio - Data de início do período (DD/MM/YYYY ou ISO).
+ * @property {number|string} dias - Dias corridos de gozo.
+ */
+
+/**
+ * @typedef {Object} PeriodoFracionado
+ * @property {number} numero - Ordem cronológica do período.
+ * @property {string} inicio - Primeiro dia de férias (ISO).
+ * @property {string} fim - Último dia de férias (ISO).
+ * @property {string} retorno - Dia de retorno ao trabalho (ISO).
+ * @property {string} prazoPagamento - Data limite do pagamento (ISO).
+ * @property {number} dias - Dias corridos de gozo.
+ * @property {string[]} erros - Regras do art. 134 violadas pelo período.
+ * @property {import('./calculations.js').FeriasResult} resultado - Pagamento do período (com 1/3, INSS e IRRF próprios).
+ */
+
+/**
+ * @typedef {Object} FracionamentoFerias
+ * @property {PeriodoFracionado[]} periodos - Períodos programados, em ordem cronológica.
+ * @property {string[]} erros - Regras violadas pelo conjunto dos períodos.
+ * @property {boolean} valido - Se nenhum período nem o conjunto violam as regras.
+ * @property {number} diasDireito - Dias de gozo disponíveis (descontado o abono pecuniário).
+ * @property {number} diasProgramados - Soma dos dias dos períodos.
+ * @property {number} totalBruto - Soma dos valores brutos dos períodos.
+ * @property {number} totalLiquido - Soma dos valores líquidos dos períodos.
+ * @property {string[]} warnings - Avisos gerados no planejamento.
+ */
+
+/**
+ * Valida e calcula as férias fracionadas. Os períodos sem data nem dias são ignorados. O abono
+ * pecuniário e o adiantamento do 13º são pagos com o primeiro período.
+ * @param {object} feriasState - O estado da calculadora de férias (salário, adicionais, opções).
+ * @param {PeriodoFeriasInformado[]} feriasState.periodosFracionados - Os períodos informados.
+ * @param {number} [feriasState.faltasInjustificadas] - Faltas do período aquisitivo, que definem os dias adquiridos (art. 130).
+ * @returns {FracionamentoFerias} Os períodos com a validação e os pagamentos.
+ */
+export function calcularFeriasFracionadas(feriasState){
+  const regras = REGRAS_FRACIONAMENTO_FERIAS;
+  const abono = !!feriasState?.abonoPecuniario;
+  const direito = calcularDireitoFerias(feriasState);
+  const diasDireito = direito.diasDireito - direito.diasAbono;
+  const erros = [];
+  const warnings = [];
+
+  const informados = (Array.isArray(feriasState?.periodosFracionados) ? feriasState.periodosFracionados : [])
+    .filter(p => p && (String(p.inicio || '').trim() || Number(p.dias) > 0));
+  const periodos = informados
+    .map(p => ({ inicio: DateFormatter.paraISO(p.inicio), dias: Math.floor(Number(p.dias) || 0) }))
+    .sort((a, b) => (a.inicio || '9999').localeCompare(b.inicio || '9999'))
+    .map((p, i) => {
+      const errosPeriodo = [];
+      if (!p.inicio || p.dias <= 0) {
+        errosPeriodo.push('Informe uma data de início válida e os dias do período.');
+        return { numero: i + 1, inicio: p.inicio, fim: '', retorno: '', prazoPagamento: '', dias: p.dias, erros: errosPeriodo, resultado: null };
+      }
+      if (p.dias < regras.diasMinimosDemais) {
+        errosPeriodo.push(`Período com menos de ${regras.diasMinimosDemais} dias corridos.`);
+      }
+      for (let k = 1; k <= regras.diasVedadosAntesDescanso; k++) {
+        const descanso = descansoEm(DateFormatter.somarDias(p.inicio, k));
+        if (descanso) {
+          errosPeriodo.push(`Início vedado: antecede em ${k} dia(s) ${descanso} (${DateFormatter.formatBR(DateFormatter.somarDias(p.inicio, k))}).`);
+          break;
+        }
+      }
+      return {
+        numero: i + 1,
+        inicio: p.inicio,
+        fim: DateFormatter.somarDias(p.inicio, p.dias - 1),
+        retorno: DateFormatter.somarDias(p.inicio, p.dias),
+        prazoPagamento: DateFormatter.somarDias(p.inicio, -regras.antecedenciaPagamentoDias),
+        dias: p.dias,
+        erros: errosPeriodo,
+        resultado: null
+      };
+    });
+
+  if (periodos.length > regras.maxPeriodos) {
+    erros.push(`As férias podem ser fracionadas em no máximo ${regras.maxPeriodos} períodos.`);
+  }
+  if (periodos.length && !periodos.some(p => p.dias >= regras.diasMinimosPrincipal)) {
+    erros.push(`Um dos períodos deve ter ao menos ${regras.diasMinimosPrincipal} dias corridos.`);
+  }
+  const diasProgramados = periodos.reduce((acc, p) => acc + Math.max(0, p.dias), 0);
+  if (diasProgramados > diasDireito) {
+    erros.push(`Os períodos somam ${diasProgramados} dias, acima dos ${diasDireito} dias de gozo disponíveis${abono ? ' (descontado o abono pecuniário)' : ''}.`);
+  } else if (periodos.length && diasProgramados < diasDireito) {
+    warnings.push(`${diasDireito - diasProgramados} dia(s) de férias ainda não programado(s).`);
+  }
+  periodos.forEach((p, i) => {
+    const anterior = periodos[i - 1];
+    if (anterior?.fim && p.inicio && p.inicio <= anterior.fim) {
+      p.erros.push(`Sobrepõe o ${anterior.numero}º período (até ${DateFormatter.formatBR(anterior.fim)}).`);
+    }
+  });
+
+  // Cada período é um pagamento próprio, no prazo; abono e adiantamento do 13º acompanham o primeiro.
+  periodos.forEach((p, i) => {
+    if (p.dias <= 0) return;
+    p.resultado = calculateFerias({
+      ...feriasState,
+      diasFerias: p.dias,
+      dataInicio: p.inicio,
+      dataPagamento: '',
+      fracionado: true,
+      abonoPecuniario: i === 0 && abono,
+      adiantarDecimo: i === 0 && !!feriasState.adiantarDecimo
+    });
+  });
+
+  const calculados = periodos.filter(p => p.resultado);
+  return {
+    periodos,
+    erros,
+    valido: periodos.length > 0 && erros.length === 0 && periodos.every(p => p.erros.length === 0),
+    diasDireito,
+    diasProgramados,
+    totalBruto: round2(calculados.reduce((acc, p) => acc + p.resultado.brutoTotal, 0)),
+    totalLiquido: round2(calculados.reduce((acc, p) => acc + p.resultado.liquidoComTudo, 0)),
+    warnings
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * @file Módulo de consulta à matriz de incidências.
+ * @module core/incidencias
+ * @description Centraliza a decisão sobre quais rubricas integram as bases de INSS, IRRF e FGTS.
+ * As calculadoras descrevem os valores pagos por rubrica e obtêm daqui cada base, a partir da
+ * matriz do ano de referência (`data/incidencias` com as sobrescritas dos parâmetros anuais).
+ */
+
+import { getIncidencias } from './parametersStore.js';
+
+/**
+ * Tributos e encargos cobertos pela matriz.
+ * @type {{INSS: string, IRRF: string, FGTS: string}}
+ */
+export const TRIBUTOS = {
+  INSS: 'inss',
+  IRRF: 'irrf',
+  FGTS: 'fgts'
+};
+
+/**
+ * Verifica se uma rubrica integra a base de um tributo. Rubricas desconhecidas não integram base.
+ * @param {string} rubrica - A chave da rubrica (ex: 'feriasIndenizadas').
+ * @param {string} tributo - O tributo (`TRIBUTOS`).
+ * @returns {boolean} `true` se houver incidência.
+ */
+export function incide(rubrica, tributo){
+  const incidencia = getIncidencias()[rubrica];
+  return !!(incidencia && incidencia[tributo]);
+}
+
+/**
+ * Soma, dos valores informados por rubrica, os que integram a base de um tributo.
+ * @param {string} tributo - O tributo (`TRIBUTOS`).
+ * @param {Object.<string, number>} valores - Valores pagos, indexados pela chave da rubrica.
+ * @returns {number} A base de cálculo do tributo.
+ */
+export function baseIncidencia(tributo, valores){
+  return Object.entries(valores || {})
+    .reduce((acc, [rubrica, valor]) => acc + (incide(rubrica, tributo) ? (Number(valor) || 0) : 0), 0);
+}
@@ -0,0 +1,201 @@
+/**
+ * @file Módulo para o cálculo das médias de verbas variáveis.
+ * @module core/medias
+ * @description Apura as médias de horas extras, adicional noturno, comissões e gratificações a
+ * partir do histórico mensal do empregado. As verbas em horas usam a média física das horas
+ * multiplicada pelo valor atual da hora (Súmula 347 TST); as verbas em dinheiro usam a média
+ * dos valores. Férias e aviso prévio consideram os 12 meses anteriores ao mês da rescisão; o
+ * 13º considera apenas os meses do ano civil.
+ */
+
+import { round2 } from './round.js';
+import { calcularDSR } from './dsr.js';
+import { DateFormatter } from '../services/formatter.js';
+
+/**
+ * @typedef {Object} ColunaHistorico
+ * @property {string} campo - Nome do campo no registro mensal.
+ * @property {string} label - Rótulo de exibição.
+ * @property {string} grupo - Verba em que o campo é somado ('horasExtras', 'adicionalNoturno', 'comissoes' ou 'gratificacoes').
+ * @property {number} [fator] - Multiplicador da hora normal, para campos informados em horas.
+ */
+
+/**
+ * Colunas do histórico mensal de verbas variáveis, na ordem de exibição.
+ * @type {ColunaHistorico[]}
+ */
+export const COLUNAS_HISTORICO_VARIAVEIS = [
+  { campo: 'horasExtras50', label: 'HE 50% (h)', grupo: 'horasExtras', fator: 1.5 },
+  { campo: 'horasExtras100', label: 'HE 100% (h)', grupo: 'horasExtras', fator: 2 },
+  { campo: 'horasNoturnas', label: 'Horas noturnas', grupo: 'adicionalNoturno', fator: 0.2 },
+  { campo: 'comissoes', label: 'Comissões (R$)', grupo: 'comissoes' },
+  { campo: 'gratificacoes', label: 'Gratificações (R$)', grupo: 'gratificacoes' }
+];
+
+/**
+ * Verbas em que as colunas do histórico são agrupadas.
+ * @private
+ * @type {string[]}
+ */
+const GRUPOS = ['horasExtras', 'adicionalNoturno', 'comissoes', 'gratificacoes'];
+
+/**
+ * Número de meses considerados nas médias de férias e aviso prévio.
+ * @private
+ * @type {number}
+ */
+const MESES_MEDIA = 12;
+
+/**
+ * @typedef {Object} RegistroVariaveis
+ * @property {string} competencia - Competência no formato 'YYYY-MM'.
+ * @property {number} [horasExtras50] - Horas extras com adicional de 50%.
+ * @property {number} [horasExtras100] - Horas extras com adicional de 100%.
+ * @property {number} [horasNoturnas] - Horas noturnas (adicional de 20%).
+ * @property {number} [comissoes] - Comissões pagas na competência.
+ * @property {number} [gratificacoes] - Gratificações pagas na competência.
+ */
+
+/**
+ * @typedef {Object} MediaVariaveis
+ * @property {number} competencias - Número de competências do período (divisor da média).
+ * @property {number} horasExtras - Média das horas extras, em reais (horas médias × valor atual da hora).
+ * @property {number} adicionalNoturno - Média do adicional noturno, em reais.
+ * @property {number} comissoes - Média das comissões.
+ * @property {number} gratificacoes - Média das gratificações.
+ * @property {number} total - Soma das médias (sem o DSR).
+ * @property {number} dsr - Média do DSR sobre horas extras, adicional noturno e comissões, apurado mês a mês
+ * pelo calendário de cada competência.
+ */
+
+/**
+ * @typedef {Object} MediasVariaveisResult
+ * @property {number} valorHora - Valor atual da hora normal (salário / carga horária mensal).
+ * @property {Array<RegistroVariaveis & {valorHorasExtras: number, valorAdicionalNoturno: number, total: number, dsr: number}>} meses -
+ * Competências consideradas, com os valores do mês calculados pela hora atual e o DSR do mês.
+ * @property {MediaVariaveis} ferias - Médias dos 12 meses anteriores, para férias e aviso prévio.
+ * @property {MediaVariaveis} decimo - Médias dos meses do ano civil, para o 13º salário.
+ */
+
+/**
+ * Lista as competências consideradas nas médias: os 12 meses anteriores ao mês da rescisão,
+ * a partir do mês de admissão.
+ * @param {string} dataAdmissao - Data de admissão (DD/MM/YYYY ou YYYY-MM-DD).
+ * @param {string} dataDemissao - Data de demissão (DD/MM/YYYY ou YYYY-MM-DD).
+ * @returns {string[]} Competências 'YYYY-MM', da mais antiga para a mais recente.
+ */
+export function listarCompetenciasMedias(dataAdmissao, dataDemissao){
+  const fim = DateFormatter.competenciaDe(dataDemissao);
+  if (!fim) return [];
+  const inicio = DateFormatter.competenciaDe(dataAdmissao);
+  const [ano, mes] = fim.split('-').map(Number);
+  const competencias = [];
+  for (let i = MESES_MEDIA; i >= 1; i--) {
+    const d = new Date(Date.UTC(ano, mes - 1 - i, 1));
+    const comp = d.toISOString().slice(0, 7);
+    if (!inicio || comp >= inicio) competencias.push(comp);
+  }
+  return competencias;
+}
+
+/**
+ * Normaliza o histórico informado, aceito como lista de registros ou como mapa indexado
+ * pela competência (formato usado pelo formulário).
+ * @private
+ * @param {RegistroVariaveis[]|Object.<string, object>} historico - O histórico informado.
+ * @returns {Map<string, object>} Registros indexados pela competência.
+ */
+function indexarHistorico(historico){
+  const lista = Array.isArray(historico)
+    ? historico
+    : Object.entries(historico || {}).map(([competencia, registro]) => ({ ...registro, competencia }));
+  return new Map(lista.filter(r => r && r.competencia).map(r => [r.competencia, r]));
+}
+
+/**
+ * Verifica se o histórico tem ao menos um valor informado.
+ * @param {RegistroVariaveis[]|Object.<string, object>} historico - O histórico informado.
+ * @returns {boolean} `true` se algum campo do histórico for maior que zero.
+ */
+export function historicoPreenchido(historico){
+  for (const registro of indexarHistorico(historico).values()) {
+    if (COLUNAS_HISTORICO_VARIAVEIS.some(c => Number(registro[c.campo]) > 0)) return true;
+  }
+  return false;
+}
+
+/**
+ * Valora as quantidades de um registro por verba: horas × valor da hora × fator; valores em reais
+ * são somados diretamente.
+ * @private
+ * @param {object} quantidades - Quantidades indexadas pelo campo da coluna.
+ * @param {number} valorHora - Valor atual da hora normal.
+ * @returns {Object.<string, number>} Valores por verba (`GRUPOS`).
+ */
+function valorarPorGrupo(quantidades, valorHora){
+  const valores = Object.fromEntries(GRUPOS.map(g => [g, 0]));
+  COLUNAS_HISTORICO_VARIAVEIS.forEach(c => {
+    const qtd = quantidades[c.campo] || 0;
+    valores[c.grupo] += c.fator ? qtd * valorHora * c.fator : qtd;
+  });
+  return valores;
+}
+
+/**
+ * Calcula a média das competências informadas. Para as verbas em horas, a média física das horas
+ * é valorada pela hora atual.
+ * @private
+ * @param {Array<object>} meses - Registros mensais já normalizados.
+ * @param {number} valorHora - Valor atual da hora normal.
+ * @returns {MediaVariaveis} As médias do período.
+ */
+function mediaDoPeriodo(meses, valorHora){
+  const n = meses.length;
+  const mediasFisicas = Object.fromEntries(COLUNAS_HISTORICO_VARIAVEIS.map(c => [
+    c.campo,
+    n ? meses.reduce((acc, m) => acc + m[c.campo], 0) / n : 0
+  ]));
+  const valores = valorarPorGrupo(mediasFisicas, valorHora);
+  const media = { competencias: n };
+  GRUPOS.forEach(g => { media[g] = round2(valores[g]); });
+  media.total = round2(GRUPOS.reduce((acc, g) => acc + media[g], 0));
+  media.dsr = n ? round2(meses.reduce((acc, m) => acc + m.dsr, 0) / n) : 0;
+  return media;
+}
+
+/**
+ * Calcula as médias de verbas variáveis a partir do histórico mensal. Competências do período
+ * sem registro entram na média com valor zero.
+ * @param {object} params - Parâmetros do cálculo.
+ * @param {RegistroVariaveis[]|Object.<string, object>} params.historico - Histórico mensal das verbas variáveis.
+ * @param {number} params.salario - Salário mensal atual.
+ * @param {number} [params.cargaHorariaMensal=220] - Carga horária mensal (divisor do valor da hora).
+ * @param {string} params.dataAdmissao - Data de admissão (DD/MM/YYYY ou YYYY-MM-DD).
+ * @param {string} params.dataDemissao - Data de demissão (DD/MM/YYYY ou YYYY-MM-DD).
+ * @returns {MediasVariaveisResult} As médias para férias/aviso e para o 13º, com o detalhamento mensal.
+ */
+export function calcularMediasVariaveis({ historico, salario, cargaHorariaMensal = 220, dataAdmissao, dataDemissao }){
+  const carga = Math.max(1, Number(cargaHorariaMensal) || 220);
+  const valorHora = (Number(salario) || 0) / carga;
+  const registros = indexarHistorico(historico);
+
+  const meses = listarCompetenciasMedias(dataAdmissao, dataDemissao).map(competencia => {
+    const registro = registros.get(competencia) || {};
+    const mes = { competencia };
+    COLUNAS_HISTORICO_VARIAVEIS.forEach(c => { mes[c.campo] = Math.max(0, Number(registro[c.campo]) || 0); });
+    const valores = valorarPorGrupo(mes, valorHora);
+    mes.valorHorasExtras = round2(valores.horasExtras);
+    mes.valorAdicionalNoturno = round2(valores.adicionalNoturno);
+    mes.total = round2(GRUPOS.reduce((acc, g) => acc + valores[g], 0));
+    mes.dsr = calcularDSR(valores, competencia).total;
+    return mes;
+  });
+
+  const anoRescisao = DateFormatter.competenciaDe(dataDemissao).slice(0, 4);
+  const mesesAno = meses.filter(m => m.competencia.startsWith(anoRescisao));
+  const ferias = mediaDoPeriodo(meses, valorHora);
+  // Rescisão em janeiro: sem meses no ano civil, o 13º usa a média dos 12 meses.
+  const decimo = mesesAno.length ? mediaDoPeriodo(mesesAno, valorHora) : ferias;
+
+  return { valorHora: round2(valorHora), meses, ferias, decimo };
+}
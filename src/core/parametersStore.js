@@ -7,11 +7,13 @@
  */
 
 import { getParameters, SUPPORTED_YEARS, LATEST_YEAR } from './parameters/index.js';
+import { INCIDENCIAS } from '../data/incidencias.js';
 
 try { console.info('[parametersStore] v3 embedded-only + central index loaded'); } catch(_){ }
 
 let currentYear = LATEST_YEAR;
 let cacheParams = getParameters(currentYear);
+let cacheIncidencias = null;
 
 /**
  * Atualiza os caches dos módulos de cálculo (INSS, IRRF) para refletir
@@ -40,6 +42,7 @@ export async function setAnoParametros(year){
   if (currentYear !== y){
     currentYear = y;
     cacheParams = getParameters(currentYear);
+    cacheIncidencias = null;
     refreshCaches();
   }
 }
@@ -61,6 +64,7 @@ export async function initParametros(year = currentYear){
     currentYear = y;
   }
   cacheParams = getParameters(currentYear);
+  cacheIncidencias = null;
   return cacheParams;
 }
 
@@ -101,11 +105,28 @@ export function getIRRFDeducaoDependente(){ ensure(); return cacheParams.irrfDep
  */
 export function getSalarioMinimo(){ ensure(); return cacheParams.salarioMinimo; }
 
+/**
+ * Obtém a matriz de incidências (INSS, IRRF e FGTS) por rubrica para o ano de referência atual:
+ * a matriz padrão com as rubricas sobrescritas pela propriedade `incidencias` dos parâmetros do ano.
+ * @returns {Object.<string, import('../data/incidencias.js').Incidencia>} A matriz de incidências.
+ */
+export function getIncidencias(){
+  ensure();
+  if (!cacheIncidencias) {
+    const overrides = cacheParams.incidencias || {};
+    cacheIncidencias = Object.fromEntries(
+      [...new Set([...Object.keys(INCIDENCIAS), ...Object.keys(overrides)])]
+        .map(rubrica => [rubrica, { ...INCIDENCIAS[rubrica], ...overrides[rubrica] }])
+    );
+  }
+  return cacheIncidencias;
+}
+
 /**
  * Reinicia o cache de parâmetros, forçando a recarga dos dados para o ano de referência atual.
  * @public
  */
-export function resetParametrosCache(){ cacheParams = getParameters(currentYear); }
+export function resetParametrosCache(){ cacheParams = getParameters(currentYear); cacheIncidencias = null; }
 
 /**
  * Verifica se o cache de parâmetros foi preenchido.
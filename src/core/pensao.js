@@ -0,0 +1,121 @@
+/**
+ * @file Módulo para o cálculo da pensão alimentícia.
+ * @module core/pensao
+ * @description Calcula o desconto da pensão alimentícia judicial, fixada em percentual dos
+ * rendimentos brutos ou líquidos (bruto menos INSS e IRRF), sobre as verbas abrangidas pela
+ * decisão (salário, férias, 13º e verbas rescisórias). A pensão paga é dedutível da base do
+ * IRRF (Lei 9.250/95, art. 4º, II); por isso, na base líquida, o IRRF depende da própria pensão
+ * e o valor é obtido por aproximações sucessivas.
+ */
+
+import { round2 } from './round.js';
+
+/**
+ * Bases de cálculo da pensão.
+ * @type {{BRUTO: string, LIQUIDO: string}}
+ */
+export const BASES_PENSAO = {
+  BRUTO: 'bruto',
+  LIQUIDO: 'liquido'
+};
+
+/**
+ * Verbas que a decisão judicial pode abranger, na ordem de exibição.
+ * @type {Array<{chave: string, label: string}>}
+ */
+export const VERBAS_PENSAO = [
+  { chave: 'salario', label: 'Salário' },
+  { chave: 'ferias', label: 'Férias + 1/3' },
+  { chave: 'decimoTerceiro', label: '13º salário' },
+  { chave: 'verbasRescisorias', label: 'Verbas rescisórias (aviso e indenizações)' }
+];
+
+/**
+ * Número máximo de aproximações no cálculo sobre a base líquida.
+ * @private
+ * @type {number}
+ */
+const MAX_ITERACOES = 50;
+
+/**
+ * @typedef {Object} PensaoAlimenticiaConfig
+ * @property {boolean} ativa - Se há pensão a descontar.
+ * @property {number} percentual - Percentual fixado na decisão (0 a 100), somando todos os beneficiários.
+ * @property {string} base - Base de cálculo (`BASES_PENSAO`).
+ * @property {Object.<string, boolean>} verbas - Verbas abrangidas, indexadas pela chave de `VERBAS_PENSAO`.
+ * @property {number} beneficiarios - Número de beneficiários (o valor é rateado igualmente).
+ */
+
+/**
+ * @typedef {Object} PensaoAlimenticiaResult
+ * @property {number} valor - Valor descontado.
+ * @property {number} base - Base sobre a qual o percentual foi aplicado.
+ * @property {number} percentual - Percentual aplicado (0 a 100).
+ * @property {string} tipoBase - Base de cálculo (`BASES_PENSAO`).
+ * @property {number} beneficiarios - Número de beneficiários.
+ * @property {number} porBeneficiario - Valor devido a cada beneficiário.
+ */
+
+/**
+ * Normaliza a configuração da pensão informada no formulário.
+ * @param {PensaoAlimenticiaConfig} config - A configuração informada.
+ * @returns {PensaoAlimenticiaConfig|null} A configuração normalizada, ou `null` se não houver pensão.
+ */
+export function normalizarPensao(config){
+  if (!config || !config.ativa) return null;
+  const percentual = Math.min(100, Math.max(0, Number(config.percentual) || 0));
+  if (!percentual) return null;
+  const verbas = Object.fromEntries(VERBAS_PENSAO.map(v => [v.chave, config.verbas?.[v.chave] !== false]));
+  return {
+    ativa: true,
+    percentual,
+    base: config.base === BASES_PENSAO.BRUTO ? BASES_PENSAO.BRUTO : BASES_PENSAO.LIQUIDO,
+    verbas,
+    beneficiarios: Math.max(1, Math.floor(Number(config.beneficiarios) || 1))
+  };
+}
+
+/**
+ * Verifica se a pensão abrange uma verba.
+ * @param {PensaoAlimenticiaConfig|null} config - A configuração normalizada.
+ * @param {string} verba - A chave da verba (`VERBAS_PENSAO`).
+ * @returns {boolean} `true` se a verba integra a base da pensão.
+ */
+export function pensaoAbrange(config, verba){
+  return !!config && !!config.verbas[verba];
+}
+
+/**
+ * Calcula a pensão sobre um conjunto de verbas. Na base líquida, o IRRF é recalculado com a
+ * dedução da própria pensão até a convergência.
+ * @param {PensaoAlimenticiaConfig|null} config - A configuração normalizada.
+ * @param {object} valores - Valores das verbas abrangidas.
+ * @param {number} valores.bruto - Soma das verbas abrangidas.
+ * @param {number} [valores.inss=0] - INSS atribuível às verbas abrangidas.
+ * @param {function(number): number} [valores.irrf] - IRRF atribuível às verbas abrangidas, dada a dedução da pensão.
+ * @returns {PensaoAlimenticiaResult|null} O desconto, ou `null` se não houver pensão ou base.
+ */
+export function calcularPensaoAlimenticia(config, { bruto, inss = 0, irrf = () => 0 }){
+  const total = Number(bruto) || 0;
+  if (!config || total <= 0) return null;
+  const aliquota = config.percentual / 100;
+  let base = total;
+  let valor = round2(total * aliquota);
+  if (config.base === BASES_PENSAO.LIQUIDO) {
+    valor = 0;
+    for (let i = 0; i < MAX_ITERACOES; i++) {
+      base = Math.max(0, total - inss - irrf(valor));
+      const proximo = round2(base * aliquota);
+      if (Math.abs(proximo - valor) < 0.005) { valor = proximo; break; }
+      valor = proximo;
+    }
+  }
+  return {
+    valor,
+    base: round2(base),
+    percentual: config.percentual,
+    tipoBase: config.base,
+    beneficiarios: config.beneficiarios,
+    porBeneficiario: round2(valor / config.beneficiarios)
+  };
+}
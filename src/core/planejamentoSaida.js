@@ -0,0 +1,124 @@
+/**
+ * @file Módulo de planejamento da data de saída.
+ * @module core/planejamentoSaida
+ * @description Responde "quanto recebo se sair na data X": recalcula a rescisão para cada data de
+ * demissão candidata de um intervalo e identifica as datas em que o valor salta (novo avo de 13º ou
+ * de férias, novo ano de serviço com mais dias de aviso, período aquisitivo completo etc.).
+ */
+
+import { round2 } from './round.js';
+import { calcularRescisao } from './rescisao.js';
+import { DateFormatter } from '../services/formatter.js';
+
+/**
+ * @typedef {Object} PontoPlanejamento
+ * @property {string} data - Data de demissão candidata (ISO).
+ * @property {number} liquido - Líquido a receber no TRCT.
+ * @property {number} fgts - FGTS liberado para saque (saldo, depósitos do mês e multa).
+ * @property {number} total - Líquido mais o FGTS liberado.
+ */
+
+/**
+ * @typedef {Object} SaltoPlanejamento
+ * @property {string} data - Primeira data com o novo valor (ISO).
+ * @property {number} deltaLiquido - Variação do líquido em relação à véspera.
+ * @property {number} deltaFgts - Variação do FGTS liberado em relação à véspera.
+ * @property {number} deltaTotal - Variação do total em relação à véspera.
+ * @property {string[]} motivos - Explicação de cada mudança que provocou o salto.
+ */
+
+/**
+ * @typedef {Object} PlanejamentoSaida
+ * @property {PontoPlanejamento[]} pontos - Valores de cada data candidata, em ordem.
+ * @property {SaltoPlanejamento[]} saltos - Datas em que a apuração muda, com as explicações.
+ * @property {PontoPlanejamento|null} melhor - Data com o maior total (a primeira, em caso de empate).
+ */
+
+/**
+ * Explica as mudanças de apuração entre a rescisão na véspera e na data candidata.
+ * @private
+ * @param {import('./rescisao.js').RescisaoResult} anterior - Rescisão na véspera.
+ * @param {import('./rescisao.js').RescisaoResult} atual - Rescisão na data candidata.
+ * @param {string} data - Data candidata (ISO).
+ * @returns {string[]} As explicações (vazio se nada mudou além do saldo de salário).
+ */
+function explicarMudancas(anterior, atual, data){
+  const motivos = [];
+  if (data.slice(0,7) !== DateFormatter.somarDias(data, -1).slice(0,7)) {
+    motivos.push('Início do mês: o saldo de salário recomeça.');
+  }
+  if (atual.anosEstimados > anterior.anosEstimados) {
+    motivos.push(`Completa ${atual.anosEstimados} ano(s) de serviço.`);
+  }
+  if (atual.diasAviso !== anterior.diasAviso) {
+    motivos.push(`Aviso prévio passa de ${anterior.diasAviso} para ${atual.diasAviso} dias (Lei 12.506/2011).`);
+  }
+  if (atual.meses13 > anterior.meses13) {
+    motivos.push(`Novo avo de 13º salário (${atual.meses13}/12).`);
+  } else if (atual.meses13 < anterior.meses13) {
+    motivos.push(`Novo ano civil: o 13º proporcional recomeça (${atual.meses13}/12).`);
+  }
+  const vencidosAntes = anterior.periodosFeriasVencidas?.length || 0;
+  const vencidosDepois = atual.periodosFeriasVencidas?.length || 0;
+  if (vencidosDepois > vencidosAntes) {
+    motivos.push('Período aquisitivo completo: férias proporcionais passam a vencidas.');
+  } else if (atual.mesesFeriasProp > anterior.mesesFeriasProp) {
+    motivos.push(`Novo avo de férias proporcionais (${atual.mesesFeriasProp}/12).`);
+  } else if (atual.mesesFeriasProp < anterior.mesesFeriasProp) {
+    motivos.push(`Férias proporcionais recomeçam (${atual.mesesFeriasProp}/12).`);
+  }
+  const dobras = r => (r.periodosFeriasVencidas || []).filter(p => p.dobra && p.diasDevidos > 0).length;
+  if (dobras(atual) > dobras(anterior)) {
+    motivos.push('Prazo concessivo expirado: férias vencidas pagas em dobro (CLT, art. 137).');
+  }
+  if ((atual.indenizacaoLei7238 > 0) !== (anterior.indenizacaoLei7238 > 0)) {
+    motivos.push(atual.indenizacaoLei7238 > 0
+      ? 'Término projetado no trintídio da data-base: indenização adicional (Lei 7.238/84).'
+      : 'Término projetado fora do trintídio da data-base: sem a indenização adicional.');
+  }
+  return motivos;
+}
+
+/**
+ * Simula a rescisão para cada data de demissão de um intervalo, mantendo os demais dados do estado,
+ * e aponta os saltos de valor com as suas causas. A data de pagamento informada é ignorada.
+ * @param {object} estado - O estado de entrada da calculadora de rescisão.
+ * @param {object} opcoes - Opções da simulação.
+ * @param {string} opcoes.inicio - Primeira data candidata (ISO).
+ * @param {number} [opcoes.dias=365] - Quantidade de datas candidatas, uma por dia.
+ * @returns {PlanejamentoSaida} Os valores por data, os saltos e a melhor data.
+ */
+export function planejarDataSaida(estado, { inicio, dias = 365 }){
+  const pontos = [];
+  const saltos = [];
+  if (!inicio) return { pontos, saltos, melhor: null };
+
+  let anterior = calcularRescisao({ ...estado, dataDemissao: DateFormatter.somarDias(inicio, -1), dataPagamento: '' });
+  for (let i = 0; i < dias; i++) {
+    const data = DateFormatter.somarDias(inicio, i);
+    const r = calcularRescisao({ ...estado, dataDemissao: data, dataPagamento: '' });
+    const ponto = {
+      data,
+      liquido: round2(r.totalLiquidoSemMulta || 0),
+      fgts: round2(r.saqueFgtsPermitido || 0),
+      total: round2((r.totalLiquidoSemMulta || 0) + (r.saqueFgtsPermitido || 0))
+    };
+    const motivos = explicarMudancas(anterior, r, data);
+    if (motivos.length) {
+      const liquidoAnterior = round2(anterior.totalLiquidoSemMulta || 0);
+      const fgtsAnterior = round2(anterior.saqueFgtsPermitido || 0);
+      saltos.push({
+        data,
+        deltaLiquido: round2(ponto.liquido - liquidoAnterior),
+        deltaFgts: round2(ponto.fgts - fgtsAnterior),
+        deltaTotal: round2(ponto.total - liquidoAnterior - fgtsAnterior),
+        motivos
+      });
+    }
+    pontos.push(ponto);
+    anterior = r;
+  }
+
+  const melhor = pontos.reduce((m, p) => (!m || p.total > m.total ? p : m), null);
+  return { pontos, saltos, melhor };
+}
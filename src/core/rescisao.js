@@ -9,6 +9,17 @@ import { DateFormatter } from '../services/formatter.js';
 import { getSalarioMinimo } from './parametersStore.js';
 import { BASES_DE_CALCULO } from './calculations.js';
 import { round2 } from './round.js';
+import { MOTIVOS_RESCISAO, getMotivoRescisao } from '../data/motivos-rescisao.js';
+import { getDiasFeriasPorFaltas } from '../data/faltas-ferias.js';
+import { getEstabilidade } from '../data/estabilidades.js';
+import { calcularMediasVariaveis, historicoPreenchido } from './medias.js';
+import { calcularDSR } from './dsr.js';
+import { reconstruirHistoricoFGTS } from './fgts.js';
+import { calcularDescontoFaltas } from './faltas.js';
+import { calcularMesesProporcionais13, detalharMesesProporcionais } from './avos.js';
+import { normalizarPensao, pensaoAbrange, calcularPensaoAlimenticia } from './pensao.js';
+import { TRIBUTOS, incide, baseIncidencia } from './incidencias.js';
+import { calcularIndenizacaoCompensatoria, calcularSeguroDesempregoDomestico } from './domestico.js';
 
 /**
  * Calcula a diferença de dias entre duas datas no formato ISO (YYYY-MM-DD).
@@ -23,43 +34,17 @@ function diffDias(inicio, fim){
   return Math.max(0, Math.round((d2 - d1)/(1000*60*60*24)));
 }
 
-/**
- * Calcula o número de meses proporcionais para 13º e férias.
- * Um mês é contabilizado se o empregado trabalhou 15 dias ou mais dentro daquele mês.
- * @param {string} admissao - A data de início do período a ser contado (formato ISO 'YYYY-MM-DD').
- * @param {string} demissao - A data final do período a ser contado (formato ISO 'YYYY-MM-DD').
- * @returns {number} O número de meses para o cálculo proporcional.
- */
-function calcularMesesProporcionais13(admissao, demissao){
-  const start = new Date(admissao + 'T00:00:00');
-  const end = new Date(demissao + 'T00:00:00');
-  let meses = 0;
-  const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
-  while (cursor <= end){
-    const ano = cursor.getFullYear();
-    const mes = cursor.getMonth();
-    const primeiro = new Date(ano, mes, 1);
-    const ultimo = new Date(ano, mes+1, 0);
-    if (end < primeiro) break;
-    // Verifica dias trabalhados no mês.
-    const ini = cursor < start ? start : primeiro;
-    const fim = end < ultimo ? end : ultimo;
-    const diasTrabalhadosMes = (fim - ini)/(1000*60*60*24) + 1;
-    if (diasTrabalhadosMes >= 15) meses++;
-    cursor.setMonth(cursor.getMonth()+1);
-  }
-  return meses;
-}
-
 /**
  * Calcula o número de dias de aviso prévio com base no tempo de serviço.
  * O cálculo é de 30 dias base mais 3 dias por ano completo de trabalho, limitado a um total de 90 dias.
+ * Só há aviso quando a tabela `MOTIVOS_RESCISAO` o prevê para o motivo informado.
  * @param {string} motivo - O motivo da rescisão (ex: 'SEM_JUSTA_CAUSA').
  * @param {number} anos - O número de anos completos de trabalho.
  * @returns {number} O número de dias de aviso prévio. Retorna 0 se não for aplicável.
  */
 function calcularAvvisoPrevioDias(motivo, anos){
-  if (motivo === 'SEM_JUSTA_CAUSA' || motivo === 'ACORDO_MUTUO'){
+  const regra = getMotivoRescisao(motivo);
+  if (regra && regra.verbas.avisoPrevio > 0){
     const adicional = Math.min(anos * 3, 60); // 30 base + até 60 adicional = máx 90
     return 30 + adicional;
   }
@@ -93,35 +78,438 @@ function calcularMesesComProjecao({inicioPeriodo, dataAdmissaoRef, dataDemissao,
 }
 
 /**
- * Converte uma string de data (formato BR DD/MM/YYYY ou ISO parcial) para o formato ISO completo (YYYY-MM-DD).
- * @param {string} dateStr - A string da data a ser convertida.
- * @returns {string} A data no formato ISO, ou uma string vazia se a conversão falhar.
+ * Situações possíveis de um período aquisitivo de férias.
+ * @private
+ * @type {string[]}
+ */
+const SITUACOES_PERIODO_FERIAS = ['gozado', 'nao_gozado', 'parcial'];
+
+/**
+ * @typedef {Object} PeriodoAquisitivo
+ * @property {number} numero - Ordem do período (1 = primeiro ano do contrato).
+ * @property {string} inicio - Início do período aquisitivo (ISO).
+ * @property {string} fim - Fim do período aquisitivo (ISO).
+ * @property {string} fimConcessivo - Último dia do período concessivo, 12 meses após o aquisitivo (CLT, art. 134).
+ * @property {string} situacaoPadrao - Situação presumida quando não informada: o último período completo
+ * como 'nao_gozado' e os anteriores como 'gozado'.
+ */
+
+/**
+ * Lista os períodos aquisitivos completos do contrato até a data de demissão.
+ * Usada pelo cálculo de férias vencidas e pelo formulário que coleta a situação de cada período.
+ * @param {string} dataAdmissao - Data de admissão (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
+ * @param {string} dataDemissao - Data de demissão (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
+ * @returns {PeriodoAquisitivo[]} Os períodos completos, do mais antigo ao mais recente.
  */
-function toIso(dateStr){
-  if (!dateStr) return '';
-  if (/^\d{2}\/\d{2}\/\d{4}$/.test(dateStr)){
-    const d = DateFormatter.parseBR(dateStr);
-    if (!d || isNaN(d.getTime())) return '';
-    return d.toISOString().slice(0,10);
+export function listarPeriodosAquisitivos(dataAdmissao, dataDemissao){
+  const adm = DateFormatter.paraISO(dataAdmissao);
+  const dem = DateFormatter.paraISO(dataDemissao);
+  if (!adm || !dem || dem < adm) return [];
+  const periodos = [];
+  for (let k = 0; DateFormatter.somarData(adm, { anos: k + 1, dias: -1 }) <= dem; k++) {
+    periodos.push({
+      numero: k + 1,
+      inicio: DateFormatter.somarData(adm, { anos: k }),
+      fim: DateFormatter.somarData(adm, { anos: k + 1, dias: -1 }),
+      fimConcessivo: DateFormatter.somarData(adm, { anos: k + 2, dias: -1 })
+    });
+  }
+  periodos.forEach((p, i) => { p.situacaoPadrao = i === periodos.length - 1 ? 'nao_gozado' : 'gozado'; });
+  return periodos;
+}
+
+/**
+ * @typedef {Object} PeriodoFeriasInformado
+ * @property {string} [situacao] - 'gozado', 'nao_gozado' ou 'parcial'.
+ * @property {number} [diasGozados] - Dias já gozados, quando a situação for 'parcial'.
+ * @property {number} [faltas] - Faltas injustificadas no período aquisitivo.
+ */
+
+/**
+ * @typedef {Object} PeriodoFeriasVencidas
+ * @property {number} numero - Ordem do período aquisitivo.
+ * @property {string} inicio - Início do período aquisitivo (ISO).
+ * @property {string} fim - Fim do período aquisitivo (ISO).
+ * @property {string} fimConcessivo - Fim do período concessivo (ISO).
+ * @property {string} situacao - Situação considerada no cálculo.
+ * @property {number} faltas - Faltas injustificadas informadas.
+ * @property {number} diasDireito - Dias de férias adquiridos após a redução do art. 130.
+ * @property {number} diasGozados - Dias já gozados.
+ * @property {number} diasDevidos - Dias indenizados na rescisão.
+ * @property {boolean} dobra - Se o período concessivo expirou e as férias são pagas em dobro (art. 137).
+ * @property {number} valor - Valor das férias do período (já dobrado, se for o caso).
+ * @property {number} terco - 1/3 constitucional sobre o valor.
+ */
+
+/**
+ * Calcula as férias vencidas período a período: aplica a redução de dias por faltas (art. 130),
+ * desconta os dias já gozados e paga em dobro os períodos cujo prazo concessivo expirou
+ * antes da demissão (art. 137).
+ * @private
+ * @param {Object} params
+ * @param {string} params.dataAdmissaoIso - Data de admissão (ISO).
+ * @param {string} params.dataDemissaoIso - Data de demissão (ISO).
+ * @param {PeriodoFeriasInformado[]} params.periodosFerias - Situação informada para cada período, na ordem.
+ * @param {number} params.remuneracaoBase - Remuneração mensal de referência.
+ * @returns {PeriodoFeriasVencidas[]} O detalhamento de todos os períodos completos.
+ */
+function calcularFeriasVencidasPorPeriodo({ dataAdmissaoIso, dataDemissaoIso, periodosFerias, remuneracaoBase }){
+  const informados = Array.isArray(periodosFerias) ? periodosFerias : [];
+  return listarPeriodosAquisitivos(dataAdmissaoIso, dataDemissaoIso).map((p, i) => {
+    const info = informados[i] || {};
+    const situacao = SITUACOES_PERIODO_FERIAS.includes(info.situacao) ? info.situacao : p.situacaoPadrao;
+    const faltas = Math.max(0, Math.floor(Number(info.faltas) || 0));
+    const diasDireito = getDiasFeriasPorFaltas(faltas);
+    let diasGozados = 0;
+    if (situacao === 'gozado') diasGozados = diasDireito;
+    if (situacao === 'parcial') diasGozados = Math.min(diasDireito, Math.max(0, Number(info.diasGozados) || 0));
+    const diasDevidos = diasDireito - diasGozados;
+    const dobra = diasDevidos > 0 && p.fimConcessivo < dataDemissaoIso;
+    const valor = round2(remuneracaoBase / 30 * diasDevidos * (dobra ? 2 : 1));
+    return {
+      numero: p.numero,
+      inicio: p.inicio,
+      fim: p.fim,
+      fimConcessivo: p.fimConcessivo,
+      situacao,
+      faltas,
+      diasDireito,
+      diasGozados,
+      diasDevidos,
+      dobra,
+      valor,
+      terco: round2(valor / 3)
+    };
+  });
+}
+
+/**
+ * Verifica se a data final do contrato (já com a projeção do aviso) cai nos 30 dias que antecedem
+ * a data-base da categoria (Lei 7.238/84, art. 9º; Súmula 182 TST).
+ * @private
+ * @param {string} dataLimiteIso - Término do contrato com a projeção do aviso indenizado (ISO).
+ * @param {number} mesDataBase - Mês da data-base (1 a 12).
+ * @returns {string} A data-base (ISO) cujo trintídio contém a data final, ou string vazia se não houver.
+ */
+function dataBaseNoTrintidio(dataLimiteIso, mesDataBase){
+  const ano = Number(dataLimiteIso.slice(0,4));
+  const mes = String(mesDataBase).padStart(2, '0');
+  for (const candidato of [`${ano}-${mes}-01`, `${ano + 1}-${mes}-01`]) {
+    if (dataLimiteIso < candidato && dataLimiteIso >= DateFormatter.somarData(candidato, { dias: -30 })) return candidato;
   }
-  try {
-    const d = new Date(dateStr + 'T00:00:00');
-    if (!isNaN(d.getTime())) return d.toISOString().slice(0,10);
-  } catch(_e){}
   return '';
 }
 
+/**
+ * @typedef {Object} MarcoLinhaDoTempo
+ * @property {string} tipo - 'admissao', 'inicioAviso', 'demissao' ou 'projecaoAviso'.
+ * @property {string} data - Data do marco (ISO).
+ * @property {string} label - Rótulo de exibição.
+ */
+
+/**
+ * @typedef {Object} FaixaLinhaDoTempo
+ * @property {string} tipo - 'aquisitivo', 'concessivo', 'decimoTerceiro', 'aviso' ou 'projecao'.
+ * @property {string} inicio - Início da faixa (ISO).
+ * @property {string} fim - Fim da faixa (ISO).
+ * @property {string} label - Rótulo de exibição.
+ * @property {boolean} [emCurso] - Período aquisitivo ou ano do 13º encerrado pela rescisão.
+ * @property {boolean} [dobra] - Período concessivo expirado antes da demissão (art. 137).
+ * @property {number} [meses] - Avos apurados no período (aquisitivo em curso e anos do 13º).
+ * @property {import('./avos.js').AvoMensal[]} [avos] - Meses do período e se cada um gerou avo.
+ */
+
+/**
+ * @typedef {Object} LinhaDoTempoRescisao
+ * @property {string} inicio - Início do eixo (admissão, ISO).
+ * @property {string} fim - Fim do eixo (término com a projeção do aviso, ISO).
+ * @property {MarcoLinhaDoTempo[]} marcos - Datas pontuais do contrato, em ordem cronológica.
+ * @property {FaixaLinhaDoTempo[]} faixas - Períodos aquisitivos e concessivos, anos do 13º e aviso prévio.
+ */
+
+/**
+ * Monta a linha do tempo do contrato com os períodos usados no cálculo: períodos aquisitivos
+ * e concessivos, anos do 13º (com os avos mês a mês), aviso prévio e sua projeção (art. 487, § 1º).
+ * As faixas em curso usam as mesmas datas de início e de término projetado que a contagem dos avos.
+ * @private
+ * @param {Object} params
+ * @param {string} params.dataAdmissaoIso - Data de admissão (ISO).
+ * @param {string} params.dataDemissaoIso - Data de demissão (ISO).
+ * @param {string} params.dataProjecaoAviso - Término com a projeção do aviso indenizado (ISO).
+ * @param {number} params.diasAviso - Dias de aviso prévio.
+ * @param {string} params.avisoPrevio - 'indenizado', 'trabalhado' ou 'nao_cumprido'.
+ * @param {PeriodoFeriasVencidas[]} params.periodosFeriasVencidas - Períodos aquisitivos completos.
+ * @param {string} params.inicioAquisitivoAtual - Início do período aquisitivo em curso (ISO).
+ * @param {string} params.inicio13Iso - Início da contagem do 13º no ano da rescisão (ISO).
+ * @returns {LinhaDoTempoRescisao|null} A linha do tempo, ou `null` sem datas válidas.
+ */
+function montarLinhaDoTempo({ dataAdmissaoIso, dataDemissaoIso, dataProjecaoAviso, diasAviso, avisoPrevio, periodosFeriasVencidas, inicioAquisitivoAtual, inicio13Iso }){
+  if (!dataAdmissaoIso || !dataDemissaoIso || dataDemissaoIso < dataAdmissaoIso) return null;
+  const fim = dataProjecaoAviso || dataDemissaoIso;
+  const contar = (inicio, fimPeriodo) => {
+    const avos = detalharMesesProporcionais(inicio, fimPeriodo);
+    return { avos, meses: Math.min(12, avos.filter(m => m.contado).length) };
+  };
+
+  const faixas = [];
+  periodosFeriasVencidas.forEach(p => {
+    faixas.push({ tipo: 'aquisitivo', inicio: p.inicio, fim: p.fim, label: `${p.numero}º período aquisitivo` });
+    faixas.push({
+      tipo: 'concessivo',
+      inicio: DateFormatter.somarData(p.fim, { dias: 1 }),
+      fim: p.fimConcessivo,
+      label: `${p.numero}º período concessivo${p.dobra ? ' (expirado: férias em dobro)' : ''}`,
+      dobra: p.dobra
+    });
+  });
+  if (inicioAquisitivoAtual && inicioAquisitivoAtual <= fim) {
+    const { avos, meses } = contar(inicioAquisitivoAtual, fim);
+    faixas.push({ tipo: 'aquisitivo', inicio: inicioAquisitivoAtual, fim, label: `Período aquisitivo em curso — ${meses}/12 avos`, emCurso: true, meses, avos });
+  }
+
+  // Anos civis do 13º: o ano da rescisão vai até o término projetado, como na contagem dos avos.
+  const anoDemissao = Number(dataDemissaoIso.slice(0,4));
+  for (let ano = Number(dataAdmissaoIso.slice(0,4)); ano <= anoDemissao; ano++) {
+    const emCurso = ano === anoDemissao;
+    const inicio = emCurso ? (inicio13Iso || dataAdmissaoIso) : (ano === Number(dataAdmissaoIso.slice(0,4)) ? dataAdmissaoIso : `${ano}-01-01`);
+    const fimAno = emCurso ? fim : `${ano}-12-31`;
+    const { avos, meses } = contar(inicio, fimAno);
+    faixas.push({ tipo: 'decimoTerceiro', inicio, fim: fimAno, label: `13º de ${ano} — ${meses}/12 avos`, emCurso, meses, avos });
+  }
+
+  const marcos = [{ tipo: 'admissao', data: dataAdmissaoIso, label: 'Admissão' }];
+  if (diasAviso > 0 && avisoPrevio === 'trabalhado') {
+    const inicioAviso = DateFormatter.somarData(dataDemissaoIso, { dias: -(diasAviso - 1) });
+    faixas.push({ tipo: 'aviso', inicio: inicioAviso, fim: dataDemissaoIso, label: `Aviso prévio trabalhado (${diasAviso} dias)` });
+    marcos.push({ tipo: 'inicioAviso', data: inicioAviso, label: 'Início do aviso' });
+  }
+  marcos.push({ tipo: 'demissao', data: dataDemissaoIso, label: 'Demissão' });
+  if (fim > dataDemissaoIso) {
+    faixas.push({ tipo: 'projecao', inicio: DateFormatter.somarData(dataDemissaoIso, { dias: 1 }), fim, label: `Projeção do aviso indenizado (${diasAviso} dias)` });
+    marcos.push({ tipo: 'projecaoAviso', data: fim, label: 'Término projetado (art. 487, § 1º)' });
+  }
+
+  return { inicio: dataAdmissaoIso, fim, marcos, faixas };
+}
+
+/**
+ * Prazo, em dias corridos a partir do término do contrato, para o pagamento das verbas
+ * rescisórias (CLT, art. 477, § 6º).
+ * @private
+ * @type {number}
+ */
+const PRAZO_PAGAMENTO_RESCISAO_DIAS = 10;
+
+/**
+ * @typedef {Object} PagamentoRescisao
+ * @property {string} prazo - Último dia (ISO) para o pagamento das verbas rescisórias.
+ * @property {string} dataPagamento - Data (ISO) do pagamento informado, ou vazia se não informada.
+ * @property {number} diasAtraso - Dias de atraso em relação ao prazo.
+ * @property {boolean} atrasado - Se o pagamento ocorreu após o prazo.
+ * @property {number} multaArt477 - Multa do art. 477, § 8º (um salário), devida no atraso.
+ */
+
+/**
+ * Verifica o prazo de pagamento da rescisão (art. 477, § 6º) e a multa de um salário pelo
+ * atraso (art. 477, § 8º). O prazo conta do término do contrato, sem a projeção do aviso.
+ * @private
+ * @param {string} dataDemissaoIso - Data de término do contrato (ISO).
+ * @param {string} dataPagamentoIso - Data do pagamento (ISO), ou vazia.
+ * @param {number} salario - Salário mensal do empregado.
+ * @returns {PagamentoRescisao|null} A situação do pagamento, ou `null` sem data de término.
+ */
+function verificarPrazoPagamento(dataDemissaoIso, dataPagamentoIso, salario){
+  if (!dataDemissaoIso) return null;
+  const prazo = DateFormatter.somarData(dataDemissaoIso, { dias: PRAZO_PAGAMENTO_RESCISAO_DIAS });
+  const atrasado = !!dataPagamentoIso && dataPagamentoIso > prazo;
+  return {
+    prazo,
+    dataPagamento: dataPagamentoIso,
+    diasAtraso: atrasado ? diffDias(prazo, dataPagamentoIso) : 0,
+    atrasado,
+    multaArt477: atrasado ? round2(salario) : 0
+  };
+}
+
+/**
+ * @typedef {Object} IndenizacaoEstabilitaria
+ * @property {string} tipo - Chave do tipo de estabilidade (ex: 'GESTANTE').
+ * @property {string} label - Rótulo do tipo de estabilidade.
+ * @property {string} fundamento - Fundamento legal da garantia.
+ * @property {string} inicio - Primeiro dia indenizado (ISO), após o término projetado do contrato.
+ * @property {string} fim - Último dia da estabilidade (ISO).
+ * @property {number} dias - Dias remanescentes indenizados.
+ * @property {number} meses - Meses remanescentes (dias / 30).
+ * @property {number} avos - Avos de 13º e férias no período remanescente (regra dos 15 dias).
+ * @property {number} salarios - Salários do período remanescente.
+ * @property {number} decimoTerceiro - Reflexo no 13º salário.
+ * @property {number} ferias - Reflexo nas férias.
+ * @property {number} tercoFerias - 1/3 sobre o reflexo nas férias.
+ * @property {number} fgts - Depósitos de FGTS (8%) sobre salários e 13º do período.
+ * @property {number} total - Total pago ao empregado (salários, 13º, férias e 1/3).
+ */
+
+/**
+ * Calcula a indenização do período de estabilidade provisória remanescente: salários do dia seguinte
+ * ao término projetado do contrato até o fim da garantia, com reflexos em 13º, férias + 1/3 e FGTS.
+ * As incidências seguem as demais verbas: FGTS sobre salários e 13º, sem FGTS sobre férias indenizadas.
+ * @private
+ * @param {Object} params
+ * @param {string} params.tipo - Chave do tipo de estabilidade.
+ * @param {import('../data/estabilidades.js').Estabilidade} params.estabilidade - O tipo de estabilidade.
+ * @param {string} params.fimIso - Último dia da estabilidade (ISO).
+ * @param {string} params.dataLimiteIso - Término do contrato com a projeção do aviso (ISO).
+ * @param {number} params.remuneracaoBase - Remuneração mensal de referência.
+ * @returns {IndenizacaoEstabilitaria|null} A indenização, ou `null` se a garantia termina antes do contrato.
+ */
+function calcularIndenizacaoEstabilitaria({ tipo, estabilidade, fimIso, dataLimiteIso, remuneracaoBase }){
+  const inicio = DateFormatter.somarData(dataLimiteIso, { dias: 1 });
+  if (fimIso < inicio) return null;
+  const dias = diffDias(inicio, fimIso) + 1;
+  const avos = calcularMesesProporcionais13(inicio, fimIso);
+  const salarios = round2(remuneracaoBase / 30 * dias);
+  const decimoTerceiro = round2(remuneracaoBase * avos / 12);
+  const ferias = round2(remuneracaoBase * avos / 12);
+  const tercoFerias = round2(ferias / 3);
+  return {
+    tipo,
+    label: estabilidade.label,
+    fundamento: estabilidade.fundamento,
+    inicio,
+    fim: fimIso,
+    dias,
+    meses: round2(dias / 30),
+    avos,
+    salarios,
+    decimoTerceiro,
+    ferias,
+    tercoFerias,
+    fgts: round2((salarios + decimoTerceiro) * 0.08),
+    total: round2(salarios + decimoTerceiro + ferias + tercoFerias)
+  };
+}
+
+/**
+ * Limites dos contratos a termo: duração máxima (em dias, contando o dia da admissão)
+ * e número máximo de prorrogações (CLT, arts. 445 e 451).
+ * @private
+ * @type {Object.<string, {label: string, maxDias: number, maxProrrogacoes: number, fundamento: string}>}
+ */
+const CONTRATOS_A_TERMO = {
+  experiencia: { label: 'Contrato de experiência', maxDias: 90, maxProrrogacoes: 1, fundamento: 'CLT, art. 445, parágrafo único' },
+  prazo_determinado: { label: 'Contrato por prazo determinado', maxDias: 730, maxProrrogacoes: 1, fundamento: 'CLT, art. 445' }
+};
+
+/**
+ * @typedef {Object} ContratoATermoInfo
+ * @property {string} tipo - Tipo de contrato considerado no cálculo ('indeterminado', 'experiencia' ou 'prazo_determinado').
+ * @property {boolean} antecipado - Se a rescisão ocorreu antes do termo final, sem cláusula assecuratória.
+ * @property {number} diasRestantes - Dias entre a demissão e o termo final do contrato.
+ * @property {string} dataFim - Termo final do contrato (ISO), se houver.
+ */
+
+/**
+ * Analisa um contrato a termo (experiência ou prazo determinado): confere os limites do art. 445
+ * (duração e prorrogação única) e identifica a rescisão antecipada. O contrato que excede os limites,
+ * ou que prossegue além do termo, passa a vigorar por prazo indeterminado (art. 451); havendo
+ * cláusula assecuratória (art. 481), aplicam-se os princípios da rescisão dos contratos por prazo indeterminado.
+ * @private
+ * @param {Object} params
+ * @param {string} params.tipoContrato - O tipo informado.
+ * @param {string} params.dataAdmissaoIso - Data de admissão (ISO).
+ * @param {string} params.dataDemissaoIso - Data de demissão (ISO).
+ * @param {string} params.dataFimIso - Termo final do contrato (ISO).
+ * @param {number} params.prorrogacoes - Número de prorrogações realizadas.
+ * @param {boolean} params.clausulaAssecuratoria - Se o contrato tem cláusula assecuratória do direito recíproco de rescisão.
+ * @param {string[]} warnings - Lista de avisos a ser complementada.
+ * @returns {ContratoATermoInfo} A situação do contrato para fins rescisórios.
+ */
+function analisarContratoATermo({ tipoContrato, dataAdmissaoIso, dataDemissaoIso, dataFimIso, prorrogacoes, clausulaAssecuratoria }, warnings){
+  const indeterminado = { tipo: 'indeterminado', antecipado: false, diasRestantes: 0, dataFim: '' };
+  const limites = CONTRATOS_A_TERMO[tipoContrato];
+  if (!limites) return indeterminado;
+  if (!dataFimIso || !dataAdmissaoIso || !dataDemissaoIso) {
+    warnings.push(`${limites.label}: informe a data de término do contrato para o cálculo da rescisão antecipada.`);
+    return indeterminado;
+  }
+
+  const duracao = diffDias(dataAdmissaoIso, dataFimIso) + 1;
+  if (duracao > limites.maxDias || (Number(prorrogacoes) || 0) > limites.maxProrrogacoes) {
+    warnings.push(`${limites.label} excede o limite de ${limites.maxDias} dias ou de uma única prorrogação (${limites.fundamento}; art. 451): considerado por prazo indeterminado.`);
+    return indeterminado;
+  }
+  if (dataDemissaoIso > dataFimIso) {
+    warnings.push(`${limites.label} prosseguiu após o termo final: considerado por prazo indeterminado (CLT, art. 451).`);
+    return indeterminado;
+  }
+
+  const diasRestantes = diffDias(dataDemissaoIso, dataFimIso);
+  if (diasRestantes === 0) return { tipo: tipoContrato, antecipado: false, diasRestantes, dataFim: dataFimIso };
+  if (clausulaAssecuratoria) {
+    warnings.push(`${limites.label} com cláusula assecuratória: aplicadas as regras de aviso prévio do contrato por prazo indeterminado (CLT, art. 481).`);
+    return { ...indeterminado, dataFim: dataFimIso };
+  }
+  return { tipo: tipoContrato, antecipado: true, diasRestantes, dataFim: dataFimIso };
+}
+
+/**
+ * Verbas rescisórias sujeitas às regras do motivo, na ordem de exibição.
+ * Cada entrada liga a chave do resultado à fração correspondente em `MotivoRescisao.verbas`.
+ * @private
+ * @type {Array<{chave: string, regra: string, label: string}>}
+ */
+const VERBAS_RESCISORIAS = [
+  { chave: 'saldoSalario', regra: 'saldoSalario', label: 'Saldo de Salário' },
+  { chave: 'avisoIndenizado', regra: 'avisoPrevio', label: 'Aviso Prévio Indenizado' },
+  { chave: 'feriasVencidas', regra: 'feriasVencidas', label: 'Férias Vencidas' },
+  { chave: 'tercoFeriasVencidas', regra: 'feriasVencidas', label: '1/3 sobre Férias Vencidas' },
+  { chave: 'feriasProporcionais', regra: 'feriasProporcionais', label: 'Férias Proporcionais' },
+  { chave: 'tercoFeriasProporcionais', regra: 'feriasProporcionais', label: '1/3 sobre Férias Proporcionais' },
+  { chave: 'decimoProporcional', regra: 'decimoProporcional', label: '13º Salário Proporcional' }
+];
+
+/**
+ * @typedef {Object} VerbaRescisoriaItem
+ * @property {string} chave - Chave da verba no resultado (ex: 'avisoIndenizado').
+ * @property {string} label - Rótulo de exibição.
+ * @property {number} integral - Valor calculado antes da aplicação da regra do motivo.
+ * @property {number} fracao - Fração devida segundo o motivo (0 a 1).
+ * @property {boolean} devido - Se a verba é devida para o motivo.
+ * @property {number} valor - Valor efetivamente devido (integral × fração).
+ */
+
+/**
+ * Camada de regras das verbas rescisórias. Aplica a fração devida de cada verba
+ * segundo o motivo da rescisão, de modo que verbas não devidas sejam zeradas
+ * (e não entrem nos totais nem nas bases de FGTS, INSS e IRRF).
+ * @private
+ * @param {import('../data/motivos-rescisao.js').MotivoRescisao} regra - As regras do motivo.
+ * @param {Object.<string, number>} calculadas - Valores integrais das verbas, indexados pela chave.
+ * @returns {{itens: VerbaRescisoriaItem[], valores: Object.<string, number>}} Os itens detalhados e os valores devidos por chave.
+ */
+function aplicarRegrasVerbas(regra, calculadas){
+  const itens = VERBAS_RESCISORIAS.map(({ chave, regra: chaveRegra, label }) => {
+    const fracao = regra.verbas[chaveRegra] ?? 1;
+    const integral = Number(calculadas[chave]) || 0;
+    return { chave, label, integral, fracao, devido: fracao > 0, valor: integral * fracao };
+  });
+  const valores = Object.fromEntries(itens.map(item => [item.chave, item.valor]));
+  return { itens, valores };
+}
+
 /**
  * @typedef {Object} RescisaoState
  * @property {number} salarioBruto - O salário bruto do funcionário.
  * @property {number} mediaHorasExtras - A média mensal de horas extras.
  * @property {number} mediaAdicionalNoturno - A média mensal de adicional noturno.
- * @property {string} motivo - O motivo da rescisão (ex: 'SEM_JUSTA_CAUSA', 'PEDIDO_DEMISSAO').
+ * @property {string} motivo - O motivo da rescisão, uma das chaves de `MOTIVOS_RESCISAO` (ex: 'SEM_JUSTA_CAUSA', 'CULPA_RECIPROCA').
  * @property {string} dataAdmissao - A data de admissão (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
  * @property {string} dataDemissao - A data de demissão (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
  * @property {number} saldoFgts - O saldo atual do FGTS na conta do trabalhador.
- * @property {string} avisoPrevio - O tipo de aviso prévio ('indenizado', 'trabalhado', 'dispensado').
- * @property {boolean} feriasVencidas - Indica se há períodos de férias vencidas e não gozadas.
+ * @property {string} avisoPrevio - O tipo de aviso prévio ('indenizado', 'trabalhado', 'dispensado' ou
+ * 'nao_cumprido' — aviso não cumprido pelo empregado no pedido de demissão, descontado conforme o art. 487, § 2º).
+ * @property {PeriodoFeriasInformado[]} [periodosFerias] - Situação de cada período aquisitivo completo, na ordem
+ * (gozado, não gozado ou parcial, com faltas injustificadas). Períodos não informados seguem `situacaoPadrao`.
  * @property {number} dependentes - O número de dependentes para fins de IRRF.
  * @property {boolean} aplicarReducaoAviso - Se deve aplicar a redução de 7 dias no aviso prévio trabalhado.
  * @property {boolean} adicionalPericulosidade - Se o funcionário recebe adicional de periculosidade.
@@ -131,18 +519,59 @@ function toIso(dateStr){
  * @property {number} descontoVr - Outros descontos: Vale Refeição/Alimentação.
  * @property {number} descontoSaude - Outros descontos: Plano de Saúde.
  * @property {number} descontoAdiantamentos - Outros descontos: Adiantamentos.
+ * @property {string} [tipoContrato='indeterminado'] - Tipo de contrato ('indeterminado', 'experiencia' ou 'prazo_determinado').
+ * @property {string} [dataFimContrato] - Termo final do contrato a termo (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
+ * @property {number} [prorrogacoes=0] - Número de prorrogações do contrato a termo.
+ * @property {boolean} [clausulaAssecuratoria=false] - Se o contrato a termo tem cláusula assecuratória (art. 481).
+ * @property {number} [prejuizoArt480=0] - Prejuízo comprovado pelo empregador na saída antecipada a pedido do empregado (art. 480).
+ * @property {string} [tipoEstabilidade] - Tipo de estabilidade provisória, uma das chaves de `ESTABILIDADES` (ex: 'GESTANTE').
+ * @property {string} [dataInicioEstabilidade] - Início da garantia (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
+ * @property {string} [dataFimEstabilidade] - Fim da garantia (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
+ * @property {string} [empregadorRazaoSocial] - Razão social do empregador (identificação no TRCT).
+ * @property {string} [empregadorCnpj] - CNPJ/CEI do empregador.
+ * @property {string} [empregadoNome] - Nome do trabalhador.
+ * @property {string} [empregadoCpf] - CPF do trabalhador.
+ * @property {string} [empregadoPis] - PIS/PASEP do trabalhador.
+ * @property {string} [empregadoCtps] - CTPS (número e série) do trabalhador.
+ * @property {number|string} [mesDataBase] - Mês (1 a 12) da data-base da categoria, para a indenização da Lei 7.238/84.
+ * @property {Object.<string, import('./medias.js').RegistroVariaveis>|import('./medias.js').RegistroVariaveis[]} [historicoVariaveis] -
+ * Histórico mensal de verbas variáveis (horas extras, horas noturnas, comissões, gratificações), indexado pela competência 'YYYY-MM'.
+ * Quando preenchido, substitui `mediaHorasExtras` e `mediaAdicionalNoturno`.
+ * @property {boolean} [estimarSaldoFgts=false] - Estima o saldo do FGTS reconstruindo os depósitos do contrato (substitui `saldoFgts`).
+ * @property {import('./fgts.js').ReajusteSalarial[]} [reajustesSalariais] - Histórico salarial usado na reconstrução dos depósitos.
+ * @property {Object.<string, number>} [depositosFgtsInformados] - Depósitos mensais informados ('YYYY-MM' → valor), que substituem os estimados.
+ * @property {import('./pensao.js').PensaoAlimenticiaConfig} [pensaoAlimenticia] - Pensão alimentícia e verbas abrangidas.
+ * @property {number} [faltasMes=0] - Faltas injustificadas no mês da rescisão (dias).
+ * @property {number} [faltasPeriodoAquisitivo=0] - Faltas injustificadas no período aquisitivo em curso, antes do mês da rescisão (dias).
+ * @property {string} [atrasosMes] - Atrasos no mês da rescisão ('hh:mm').
+ * @property {number|string} [semanasComFalta] - Semanas com falta (DSR perdidos); vazio presume uma falta por semana.
+ * @property {number} [cargaHorariaMensal=220] - Carga horária mensal, divisor do valor da hora no histórico de variáveis e nos atrasos.
+ * @property {string} [dataPagamento] - Data efetiva do pagamento das verbas rescisórias (formato 'DD/MM/YYYY' ou 'YYYY-MM-DD').
+ * @property {boolean} [empregadoDomestico=false] - Contrato de empregado doméstico (LC 150/2015): indenização compensatória
+ * de 3,2% no lugar da multa do FGTS e seguro-desemprego próprio.
  */
 
 /**
  * @typedef {Object} RescisaoResult
- * @property {string} motivo - Motivo da rescisão.
+ * @property {string} motivo - Motivo da rescisão (chave normalizada de `MOTIVOS_RESCISAO`).
+ * @property {string} motivoLabel - Rótulo de exibição do motivo.
+ * @property {boolean} saqueFgts - Se o motivo permite o saque do FGTS.
+ * @property {number} percentualSaqueFgts - Fração do saldo do FGTS liberada para saque (ex: 0.8 no acordo mútuo).
+ * @property {number} saqueFgtsPermitido - Valor do FGTS que pode ser sacado (fração do saldo + depósitos do mês, mais a multa).
+ * @property {boolean} seguroDesemprego - Se o motivo dá direito ao seguro-desemprego.
  * @property {string} dataAdmissao - Data de admissão informada.
  * @property {string} dataDemissao - Data de demissão informada.
+ * @property {string} dataProjecaoAviso - Término do contrato com a projeção do aviso indenizado (ISO).
+ * @property {string} codigoAfastamento - Código do motivo de desligamento (eSocial, Tabela 19), considerando a rescisão antecipada de contrato a termo.
+ * @property {{empregador: {razaoSocial: string, cnpj: string}, empregado: {nome: string, cpf: string, pis: string, ctps: string}}} identificacao - Identificação das partes para o TRCT.
  * @property {number} anosEstimados - Anos completos de trabalho.
- * @property {number} remuneracaoBase - Remuneração base para cálculos.
+ * @property {number} remuneracaoBase - Remuneração base para cálculos (com as médias dos últimos 12 meses).
+ * @property {number} remuneracao13 - Remuneração base do 13º (com as médias do ano civil).
+ * @property {import('./medias.js').MediasVariaveisResult|null} mediasVariaveis - Médias apuradas do histórico mensal, se informado.
  * @property {number} periculosidade - Valor do adicional de periculosidade.
  * @property {number} insalubridade - Valor do adicional de insalubridade.
  * @property {number} dsrSobreMedias - Descanso Semanal Remunerado sobre médias.
+ * @property {{competencia: string, diasUteis: number, diasDescanso: number}} dsrDias - Calendário do mês da rescisão usado no DSR.
  * @property {number} meses13 - Número de meses para o 13º proporcional.
  * @property {number} mesesFeriasProp - Número de meses para as férias proporcionais.
  * @property {number} diasAviso - Número de dias de aviso prévio.
@@ -150,25 +579,55 @@ function toIso(dateStr){
  * @property {number} avisoIndenizado - Valor do aviso prévio indenizado.
  * @property {number} feriasVencidas - Valor das férias vencidas.
  * @property {number} tercoFeriasVencidas - Valor de 1/3 sobre as férias vencidas.
+ * @property {PeriodoFeriasVencidas[]} periodosFeriasVencidas - Detalhamento das férias por período aquisitivo completo.
+ * @property {LinhaDoTempoRescisao|null} linhaDoTempo - Datas e períodos do contrato usados no cálculo (aquisitivos,
+ * concessivos, anos do 13º com os avos mês a mês, aviso prévio e projeção).
  * @property {number} feriasProporcionais - Valor das férias proporcionais.
  * @property {number} tercoFeriasProporcionais - Valor de 1/3 sobre as férias proporcionais.
  * @property {number} decimoProporcional - Valor do 13º salário proporcional.
- * @property {number} multaFGTS - Valor da multa de 40% ou 20% do FGTS.
+ * @property {string} tipoContrato - Tipo de contrato considerado no cálculo.
+ * @property {number} diasRestantesContrato - Dias restantes até o termo final, na rescisão antecipada de contrato a termo.
+ * @property {number} indenizacaoArt479 - Indenização do art. 479 (metade da remuneração até o termo), na rescisão antecipada pelo empregador.
+ * @property {number} descontoAvisoPrevio - Desconto do aviso prévio não cumprido pelo empregado (art. 487, § 2º), limitado ao líquido.
+ * @property {number} descontoArt480 - Prejuízo comprovado descontado do empregado (art. 480), até a metade da remuneração restante e limitado ao líquido.
+ * @property {import('./faltas.js').DescontoFaltas} faltas - Faltas, atrasos e DSR perdido no mês da rescisão.
+ * @property {number} descontoFaltas - Desconto de faltas, atrasos e DSR (limitado ao saldo de salário).
+ * @property {number} diasFeriasProporcionais - Dias de férias do período em curso após a redução do art. 130.
+ * @property {{folha: import('./pensao.js').PensaoAlimenticiaResult|null, decimoTerceiro: import('./pensao.js').PensaoAlimenticiaResult|null, valor: number, porBeneficiario: number}|null} pensaoAlimenticia -
+ * Pensão alimentícia sobre as verbas da folha e sobre o 13º.
+ * @property {number} descontoPensao - Desconto total da pensão alimentícia.
+ * @property {number} indenizacaoLei7238 - Indenização adicional de um salário mensal (Lei 7.238/84, art. 9º), na dispensa no trintídio que antecede a data-base.
+ * @property {string} dataBaseTrintidio - Data-base (ISO) cujo trintídio contém o término projetado do contrato, se houver.
+ * @property {IndenizacaoEstabilitaria|null} indenizacaoEstabilidade - Bloco da indenização estabilitária, quando devida.
+ * @property {number} indenizacaoEstabilitaria - Total da indenização estabilitária paga ao empregado (sem o FGTS).
+ * @property {PagamentoRescisao|null} pagamento - Prazo de pagamento da rescisão e atraso, se houver.
+ * @property {number} multaArt477 - Multa pelo atraso no pagamento (art. 477, § 8º), fora dos totais do TRCT.
+ * @property {VerbaRescisoriaItem[]} verbasItens - Verbas rescisórias com a indicação de devido/não devido segundo o motivo.
+ * @property {number} multaFGTS - Valor da multa do FGTS (40% ou 20%, conforme o motivo).
+ * @property {number} aliquotaMultaFGTS - Alíquota da multa do FGTS aplicada.
  * @property {object} fgtsReflex - Detalhes do FGTS sobre as verbas rescisórias.
  * @property {number} totalBruto - Total de verbas brutas (incluindo multa FGTS).
  * @property {number} totalBrutoSemMulta - Total de verbas brutas (sem multa FGTS, para TRCT).
  * @property {number} inss - Valor total do desconto de INSS.
  * @property {Array<object>} inssBreakdown - Detalhamento do cálculo do INSS.
+ * @property {number} inssFolha - INSS sobre as verbas mensais (saldo de salário e aviso trabalhado).
+ * @property {number} inssDecimo - INSS sobre o 13º salário.
  * @property {number} baseINSSFolha - Base de cálculo do INSS sobre verbas mensais.
  * @property {number} baseINSSDecimo - Base de cálculo do INSS sobre o 13º.
  * @property {number} irrf - Valor total do desconto de IRRF.
  * @property {object} irrfBreakdown - Detalhamento do cálculo do IRRF.
  * @property {number} outrosDescontos - Soma dos descontos informados.
+ * @property {{descontoVt: number, descontoVr: number, descontoSaude: number, descontoAdiantamentos: number}} descontosInformados - Descontos informados, um a um.
  * @property {number} totalDescontos - Soma de todos os descontos (INSS, IRRF, outros).
  * @property {number} totalLiquidoEstimado - Valor líquido estimado a receber (inclui multa FGTS).
  * @property {number} totalLiquidoSemMulta - Valor líquido a ser pago no TRCT (sem multa FGTS).
- * @property {number} montanteTotalComFGTS - Valor total que o trabalhador recebe (líquido + saldo FGTS + multa).
- * @property {number} saldoFgtsUtilizado - Saldo de FGTS informado.
+ * @property {number} montanteTotalComFGTS - Valor total que o trabalhador recebe: o líquido do TRCT mais o FGTS liberado para saque (`saqueFgtsPermitido`).
+ * @property {number} saldoFgtsUtilizado - Saldo de FGTS considerado (informado ou estimado pelo histórico).
+ * @property {import('./fgts.js').HistoricoFGTS|null} fgtsHistorico - Depósitos reconstruídos mês a mês, quando o saldo é estimado.
+ * @property {boolean} empregadoDomestico - Se o contrato é de empregado doméstico.
+ * @property {import('./domestico.js').IndenizacaoCompensatoria|null} indenizacaoCompensatoria - Indenização de 3,2% do doméstico
+ * (substitui a multa do FGTS), com a parte liberada ao empregado.
+ * @property {import('./domestico.js').SeguroDesempregoDomestico|null} seguroDesempregoDomestico - Seguro-desemprego do doméstico.
  * @property {string[]} warnings - Avisos gerados durante o cálculo.
  */
 
@@ -186,12 +645,12 @@ export function calcularRescisao(stateResc){
     salarioBruto = 0,
     mediaHorasExtras = 0,
     mediaAdicionalNoturno = 0,
-    motivo = 'SEM_JUSTA_CAUSA',
+    motivo: motivoInformado = 'SEM_JUSTA_CAUSA',
     dataAdmissao = '',
     dataDemissao = '',
-    saldoFgts = 0,
+    saldoFgts: saldoFgtsInformado = 0,
     avisoPrevio = 'indenizado',
-    feriasVencidas = false,
+    periodosFerias = [],
     dependentes = 0,
     projetarAvisoParaAvos = false,
     aplicarReducaoAviso = true,
@@ -201,24 +660,74 @@ export function calcularRescisao(stateResc){
     descontoVt = 0,
     descontoVr = 0,
     descontoSaude = 0,
-    descontoAdiantamentos = 0
+    descontoAdiantamentos = 0,
+    tipoContrato = 'indeterminado',
+    dataFimContrato = '',
+    prorrogacoes = 0,
+    clausulaAssecuratoria = false,
+    prejuizoArt480 = 0,
+    mesDataBase = '',
+    tipoEstabilidade = '',
+    dataInicioEstabilidade = '',
+    dataFimEstabilidade = '',
+    empregadorRazaoSocial = '',
+    empregadorCnpj = '',
+    empregadoNome = '',
+    empregadoCpf = '',
+    empregadoPis = '',
+    empregadoCtps = '',
+    dataPagamento = '',
+    historicoVariaveis = {},
+    cargaHorariaMensal = 220,
+    estimarSaldoFgts = false,
+    reajustesSalariais = [],
+    depositosFgtsInformados = {},
+    faltasMes = 0,
+    faltasPeriodoAquisitivo = 0,
+    atrasosMes = '',
+    semanasComFalta = '',
+    pensaoAlimenticia: pensaoInformada = null,
+    empregadoDomestico = false
   } = stateResc;
 
-  const dataAdmissaoIso = toIso(dataAdmissao);
-  const dataDemissaoIso = toIso(dataDemissao);
+  // Regras do motivo (verbas devidas, multa, saque e seguro-desemprego).
+  let motivo = String(motivoInformado || '').toUpperCase();
+  let regra = getMotivoRescisao(motivo);
+  if (!regra) {
+    warnings.push(`Motivo de rescisão "${motivoInformado}" não reconhecido. Aplicadas as regras de dispensa sem justa causa.`);
+    motivo = 'SEM_JUSTA_CAUSA';
+    regra = MOTIVOS_RESCISAO.SEM_JUSTA_CAUSA;
+  }
+
+  const dataAdmissaoIso = DateFormatter.paraISO(dataAdmissao);
+  const dataDemissaoIso = DateFormatter.paraISO(dataDemissao);
 
   if (!dataAdmissaoIso || !dataDemissaoIso){
     warnings.push('Datas de admissão/demissão necessárias para cálculo completo.');
   }
 
   const salario = Number(salarioBruto)||0;
-  const mediaHE = Number(mediaHorasExtras) || 0;
-  const mediaAN = Number(mediaAdicionalNoturno) || 0;
-  const medias = mediaHE + mediaAN;
 
-  // DSR sobre médias de variáveis (HE, Adicional Noturno).
-  // Simplificação: 1/6 da média (1 dia de descanso para 6 de trabalho).
-  const dsrSobreMedias = round2(medias / 6);
+  // Médias de variáveis: apuradas do histórico mensal, quando informado (12 meses para férias e
+  // aviso; ano civil para o 13º). Sem histórico, valem as médias informadas diretamente.
+  let mediasVariaveis = null;
+  let mediaHE = Number(mediaHorasExtras) || 0;
+  let mediaAN = Number(mediaAdicionalNoturno) || 0;
+  let mediaComissoes = 0;
+  let mediaGratificacoes = 0;
+  if (historicoPreenchido(historicoVariaveis)) {
+    if (mediaHE || mediaAN) {
+      warnings.push('Histórico de variáveis informado: as médias foram apuradas a partir dele e os campos de média foram desconsiderados.');
+    }
+    mediasVariaveis = calcularMediasVariaveis({ historico: historicoVariaveis, salario, cargaHorariaMensal, dataAdmissao, dataDemissao });
+    ({ horasExtras: mediaHE, adicionalNoturno: mediaAN, comissoes: mediaComissoes, gratificacoes: mediaGratificacoes } = mediasVariaveis.ferias);
+  }
+  const medias = mediaHE + mediaAN + mediaComissoes;
+
+  // DSR sobre médias de variáveis (HE, adicional noturno e comissões): com histórico, média do DSR
+  // de cada competência; sem histórico, calendário do mês da rescisão (dias úteis x descanso).
+  const dsr = calcularDSR({ horasExtras: mediaHE, adicionalNoturno: mediaAN, comissoes: mediaComissoes }, dataDemissaoIso);
+  const dsrSobreMedias = mediasVariaveis ? mediasVariaveis.ferias.dsr : dsr.total;
 
   // Adicionais de Periculosidade e Insalubridade
   const periculosidade = adicionalPericulosidade ? round2(salario * 0.30) : 0;
@@ -227,22 +736,60 @@ export function calcularRescisao(stateResc){
   const percIns = grau === 'minimo' || grau === 'mínimo' || grau === 'm' ? 0.10 : (grau === 'medio' || grau === 'médio' ? 0.20 : (grau === 'maximo' || grau === 'máximo' ? 0.40 : 0));
   const insalubridade = round2(refBaseInsalubridade * percIns);
 
-  const remuneracaoBase = salario + medias + dsrSobreMedias + periculosidade + insalubridade;
+  const remuneracaoBase = salario + medias + mediaGratificacoes + dsrSobreMedias + periculosidade + insalubridade;
+  // O 13º usa as médias do ano civil.
+  let remuneracao13 = remuneracaoBase;
+  if (mediasVariaveis) {
+    const md = mediasVariaveis.decimo;
+    remuneracao13 = salario + md.horasExtras + md.adicionalNoturno + md.comissoes + md.gratificacoes + md.dsr + periculosidade + insalubridade;
+  }
+
+  // Contratos a termo (experiência / prazo determinado): limites do art. 445 e rescisão antecipada.
+  const contrato = analisarContratoATermo({
+    tipoContrato,
+    dataAdmissaoIso,
+    dataDemissaoIso,
+    dataFimIso: DateFormatter.paraISO(dataFimContrato),
+    prorrogacoes,
+    clausulaAssecuratoria
+  }, warnings);
 
   // Calcula o saldo de salário.
   let saldoSalario = 0;
+  let diasTrabMes = 0;
   try {
     const dem = new Date(dataDemissaoIso + 'T00:00:00');
     const inicioMes = new Date(dem.getFullYear(), dem.getMonth(), 1);
-    const diasTrabMes = (dem - inicioMes)/(1000*60*60*24) + 1;
+    diasTrabMes = (dem - inicioMes)/(1000*60*60*24) + 1;
     saldoSalario = remuneracaoBase * (diasTrabMes / 30);
   } catch(e){ /* ignore */ }
 
+  // Faltas e atrasos do mês da rescisão: descontados do saldo de salário (com o DSR das semanas
+  // com falta), reduzem a base de INSS, IRRF e FGTS da folha e contam no período aquisitivo em curso.
+  const faltasInformadas = Math.max(0, Math.floor(Number(faltasMes) || 0));
+  const faltas = calcularDescontoFaltas({
+    remuneracao: salario + periculosidade + insalubridade,
+    cargaHorariaMensal,
+    faltas: Math.min(faltasInformadas, Math.max(0, Math.floor(diasTrabMes) || 0)),
+    atrasos: atrasosMes,
+    semanasComFalta,
+    competencia: dataDemissaoIso
+  });
+  if (faltas.faltas < faltasInformadas) {
+    warnings.push(`Faltas limitadas aos ${faltas.faltas} dia(s) do mês da rescisão.`);
+  }
+  let descontoFaltas = faltas.total;
+  if (descontoFaltas > saldoSalario) {
+    descontoFaltas = round2(saldoSalario);
+    warnings.push('Desconto de faltas, atrasos e DSR limitado ao saldo de salário.');
+  }
+
   // Calcula o aviso prévio e possível redução.
   let anos = 0;
   try { anos = Math.max(0, Math.floor((diffDias(dataAdmissaoIso, dataDemissaoIso))/365)); } catch(e) { /* */ }
   let diasAviso = 0;
-  if (avisoPrevio === 'indenizado' || avisoPrevio === 'trabalhado') {
+  // No contrato a termo sem cláusula assecuratória não há aviso prévio.
+  if (contrato.tipo === 'indeterminado' && (avisoPrevio === 'indenizado' || avisoPrevio === 'trabalhado')) {
     diasAviso = calcularAvvisoPrevioDias(motivo, anos);
     if (avisoPrevio === 'trabalhado' && aplicarReducaoAviso) {
       const original = diasAviso;
@@ -255,24 +802,39 @@ export function calcularRescisao(stateResc){
     valorAviso = remuneracaoBase * (diasAviso/30);
   }
 
-  // Calcula férias vencidas, se aplicável.
-  let valorFeriasVencidas = 0;
-  let tercoFeriasVencidas = 0;
-
-  const anosCompletos = Math.floor(diffDias(dataAdmissaoIso, dataDemissaoIso) / 365);
-  const temFeriasVencidas = feriasVencidas || (!feriasVencidas && anosCompletos >= 2);
+  // Término do contrato com a projeção do aviso indenizado (art. 487, § 1º).
+  const { dataLimite: dataProjecaoAviso } = dataDemissaoIso
+    ? calcularMesesComProjecao({
+      inicioPeriodo: dataAdmissaoIso || dataDemissaoIso,
+      dataAdmissaoRef: dataAdmissaoIso,
+      dataDemissao: dataDemissaoIso,
+      diasAviso,
+      avisoPrevio
+    })
+    : { dataLimite: '' };
 
-  if (temFeriasVencidas) {
-    const numFeriasVencidas = anosCompletos - 1;
-    if (numFeriasVencidas > 0) {
-      valorFeriasVencidas = remuneracaoBase * numFeriasVencidas;
-      tercoFeriasVencidas = valorFeriasVencidas / 3;
-      warnings.push(`${numFeriasVencidas} período(s) de férias vencidas calculado(s) automaticamente.`);
+  // Calcula férias vencidas período a período (faltas, dias gozados e dobra).
+  const periodosFeriasVencidas = calcularFeriasVencidasPorPeriodo({ dataAdmissaoIso, dataDemissaoIso, periodosFerias, remuneracaoBase });
+  let valorFeriasVencidas = periodosFeriasVencidas.reduce((a, p) => a + p.valor, 0);
+  let tercoFeriasVencidas = periodosFeriasVencidas.reduce((a, p) => a + p.terco, 0);
+  periodosFeriasVencidas.forEach(p => {
+    const periodo = `${DateFormatter.formatBR(p.inicio)} a ${DateFormatter.formatBR(p.fim)}`;
+    if (p.diasDireito < 30) {
+      warnings.push(`Período aquisitivo ${periodo}: ${p.faltas} falta(s) injustificada(s) reduzem as férias para ${p.diasDireito} dias (CLT, art. 130).`);
+    }
+    if (p.dobra) {
+      warnings.push(`Período aquisitivo ${periodo}: prazo concessivo encerrado em ${DateFormatter.formatBR(p.fimConcessivo)}, férias pagas em dobro (CLT, art. 137).`);
+    }
+  });
+  if (!Array.isArray(periodosFerias) || periodosFerias.length === 0) {
+    if (periodosFeriasVencidas.some(p => p.diasDevidos > 0)) {
+      warnings.push('Situação dos períodos de férias não informada: presumido gozo de todos os períodos, exceto o último completo.');
     }
   }
 
   // Calcula férias proporcionais.
   let mesesFeriasProp = 0;
+  let inicioAquisitivoAtual = '';
   try {
     const adm = new Date(dataAdmissaoIso + 'T00:00:00');
     const dem = new Date(dataDemissaoIso + 'T00:00:00');
@@ -280,8 +842,9 @@ export function calcularRescisao(stateResc){
       const anosServ = dem.getFullYear() - adm.getFullYear();
       const aniversario = new Date(adm.getFullYear()+anosServ, adm.getMonth(), adm.getDate());
       const refDate = dem < aniversario ? new Date(aniversario.getFullYear()-1, aniversario.getMonth(), aniversario.getDate()) : aniversario;
+      inicioAquisitivoAtual = refDate.toISOString().slice(0,10);
       const { meses } = calcularMesesComProjecao({
-        inicioPeriodo: refDate.toISOString().slice(0,10),
+        inicioPeriodo: inicioAquisitivoAtual,
         dataAdmissaoRef: dataAdmissaoIso,
         dataDemissao: dataDemissaoIso,
         diasAviso,
@@ -290,12 +853,19 @@ export function calcularRescisao(stateResc){
       mesesFeriasProp = meses;
     }
   } catch(e){ /* noop */ }
-  const feriasProporcionaisBase = remuneracaoBase * (mesesFeriasProp/12);
-  const tercoFeriasProporcionais = feriasProporcionaisBase / 3;
-  const feriasProporcionaisTotal = feriasProporcionaisBase + tercoFeriasProporcionais;
+  // Redução do art. 130 sobre as férias proporcionais: conta as faltas de todo o período aquisitivo
+  // em curso, as dos meses anteriores somadas às do mês da rescisão.
+  const faltasAquisitivoAtual = Math.max(0, Math.floor(Number(faltasPeriodoAquisitivo) || 0)) + faltas.faltas;
+  const diasFeriasProporcionais = getDiasFeriasPorFaltas(faltasAquisitivoAtual);
+  if (faltasAquisitivoAtual > 0 && diasFeriasProporcionais < 30) {
+    warnings.push(`${faltasAquisitivoAtual} falta(s) injustificada(s) no período aquisitivo em curso reduzem as férias proporcionais para ${diasFeriasProporcionais} dias (CLT, art. 130).`);
+  }
+  let feriasProporcionaisBase = remuneracaoBase / 30 * diasFeriasProporcionais * (mesesFeriasProp/12);
+  let tercoFeriasProporcionais = feriasProporcionaisBase / 3;
 
   // Calcula 13º proporcional.
   let meses13 = 0;
+  let inicio13Iso = '';
   try {
     // 13º considera apenas os meses do ano corrente.
     const dem = new Date(dataDemissaoIso + 'T00:00:00');
@@ -305,8 +875,9 @@ export function calcularRescisao(stateResc){
       const adm = new Date(dataAdmissaoIso + 'T00:00:00');
       if (!isNaN(adm.getTime()) && inicioAno && adm > inicioAno) inicio13 = adm;
     }
+    inicio13Iso = inicio13 ? inicio13.toISOString().slice(0,10) : dataAdmissaoIso;
     const { meses, dataLimite } = calcularMesesComProjecao({
-      inicioPeriodo: inicio13 ? inicio13.toISOString().slice(0,10) : dataAdmissaoIso,
+      inicioPeriodo: inicio13Iso,
       dataAdmissaoRef: dataAdmissaoIso,
       dataDemissao: dataDemissaoIso,
       diasAviso,
@@ -317,62 +888,244 @@ export function calcularRescisao(stateResc){
       warnings.push('Projeção do aviso prévio indenizado aplicada para contagem de avos (13º e férias).');
     }
   } catch(e){ /* noop */ }
-  const decimoProporcional = remuneracaoBase * (meses13/12);
+  let decimoProporcional = remuneracao13 * (meses13/12);
+
+  // Aplica as regras do motivo: verbas não devidas são zeradas e passam a constar como "não devido".
+  const regrasVerbas = aplicarRegrasVerbas(regra, {
+    saldoSalario,
+    avisoIndenizado: valorAviso,
+    feriasVencidas: valorFeriasVencidas,
+    tercoFeriasVencidas,
+    feriasProporcionais: feriasProporcionaisBase,
+    tercoFeriasProporcionais,
+    decimoProporcional
+  });
+  ({
+    saldoSalario,
+    avisoIndenizado: valorAviso,
+    feriasVencidas: valorFeriasVencidas,
+    tercoFeriasVencidas,
+    feriasProporcionais: feriasProporcionaisBase,
+    tercoFeriasProporcionais,
+    decimoProporcional
+  } = regrasVerbas.valores);
+  const feriasProporcionaisTotal = feriasProporcionaisBase + tercoFeriasProporcionais;
+  regrasVerbas.itens
+    .filter(item => item.devido && item.fracao < 1 && item.integral > 0)
+    .forEach(item => warnings.push(`${regra.label}: ${item.label} devido(a) em ${item.fracao*100}% (${regra.fundamento}).`));
+
+  // Rescisão antecipada de contrato a termo: metade da remuneração a que o empregado teria
+  // direito até o termo, paga pelo empregador (art. 479). No pedido de demissão, o empregado
+  // responde só pelo prejuízo que o empregador comprovar, até esse mesmo limite (art. 480, § 1º).
+  let indenizacaoArt479 = 0;
+  let descontoArt480Devido = 0;
+  if (contrato.antecipado) {
+    const metadeRestante = round2(remuneracaoBase / 30 * contrato.diasRestantes / 2);
+    if (motivo === 'SEM_JUSTA_CAUSA' || motivo === 'RESCISAO_INDIRETA') {
+      indenizacaoArt479 = metadeRestante;
+      regrasVerbas.itens.push({ chave: 'indenizacaoArt479', label: 'Indenização art. 479 CLT', integral: metadeRestante, fracao: 1, devido: true, valor: metadeRestante });
+      warnings.push(`Rescisão antecipada do contrato a termo: indenização de metade da remuneração dos ${contrato.diasRestantes} dia(s) restantes (CLT, art. 479).`);
+    } else if (motivo === 'PEDIDO_DEMISSAO') {
+      const prejuizo = Math.max(0, Number(prejuizoArt480) || 0);
+      descontoArt480Devido = round2(Math.min(prejuizo, metadeRestante));
+      if (prejuizo <= 0) {
+        warnings.push(`Pedido de demissão antes do termo: o empregado só indeniza o prejuízo comprovado pelo empregador, limitado à metade da remuneração dos ${contrato.diasRestantes} dia(s) restantes (CLT, art. 480).`);
+      } else if (prejuizo > metadeRestante) {
+        warnings.push(`Prejuízo informado limitado à metade da remuneração dos ${contrato.diasRestantes} dia(s) restantes (CLT, art. 480, § 1º).`);
+      }
+    }
+  }
 
-  // FGTS sobre verbas rescisórias.
-  // Incide sobre saldo de salário, 13º e aviso prévio indenizado.
+  // Indenização adicional da Lei 7.238/84 (art. 9º): dispensa sem justa causa cujo término, com a
+  // projeção do aviso (Súmula 182 TST), cai nos 30 dias anteriores à data-base. Corresponde ao
+  // salário mensal com os adicionais ligados ao mês (Súmula 242 TST).
+  let indenizacaoLei7238 = 0;
+  let dataBaseTrintidio = '';
+  const mesBase = Number(mesDataBase) || 0;
+  if (mesBase >= 1 && mesBase <= 12 && dataDemissaoIso && (motivo === 'SEM_JUSTA_CAUSA' || motivo === 'RESCISAO_INDIRETA')) {
+    dataBaseTrintidio = dataBaseNoTrintidio(dataProjecaoAviso, mesBase);
+    if (dataBaseTrintidio) {
+      indenizacaoLei7238 = round2(salario + periculosidade + insalubridade);
+      regrasVerbas.itens.push({ chave: 'indenizacaoLei7238', label: 'Indenização adicional (Lei 7.238/84)', integral: indenizacaoLei7238, fracao: 1, devido: true, valor: indenizacaoLei7238 });
+      warnings.push(`O término do contrato com a projeção do aviso (${DateFormatter.formatBR(dataProjecaoAviso)}) cai nos 30 dias que antecedem a data-base de ${DateFormatter.formatBR(dataBaseTrintidio)}: devida a indenização adicional de um salário mensal (Lei 7.238/84, art. 9º).`);
+    }
+  }
+
+  // Indenização estabilitária: dispensa sem justa causa durante a estabilidade provisória.
+  let indenizacaoEstabilidade = null;
+  const estabilidade = getEstabilidade(tipoEstabilidade);
+  if (estabilidade && dataDemissaoIso) {
+    const inicioEstabIso = DateFormatter.paraISO(dataInicioEstabilidade);
+    const fimEstabIso = DateFormatter.paraISO(dataFimEstabilidade);
+    if (!fimEstabIso) {
+      warnings.push(`Estabilidade (${estabilidade.label}): informe a data de término da garantia para calcular a indenização.`);
+    } else if (motivo !== 'SEM_JUSTA_CAUSA' && motivo !== 'RESCISAO_INDIRETA') {
+      warnings.push(`Estabilidade (${estabilidade.label}): a indenização do período só é devida na dispensa sem justa causa ou na rescisão indireta.`);
+    } else if ((!inicioEstabIso || inicioEstabIso <= dataDemissaoIso) && fimEstabIso >= dataDemissaoIso) {
+      indenizacaoEstabilidade = calcularIndenizacaoEstabilitaria({ tipo: String(tipoEstabilidade).toUpperCase(), estabilidade, fimIso: fimEstabIso, dataLimiteIso: dataProjecaoAviso, remuneracaoBase });
+      if (indenizacaoEstabilidade) {
+        regrasVerbas.itens.push({ chave: 'indenizacaoEstabilitaria', label: `Indenização estabilitária (${estabilidade.label})`, integral: indenizacaoEstabilidade.total, fracao: 1, devido: true, valor: indenizacaoEstabilidade.total });
+        warnings.push(`Dispensa durante a estabilidade (${estabilidade.label}, ${estabilidade.fundamento}): indenizados ${indenizacaoEstabilidade.dias} dia(s) até ${DateFormatter.formatBR(fimEstabIso)}, com reflexos em 13º, férias + 1/3 e FGTS.`);
+      }
+    }
+  }
+  const indenizacaoEstabilitaria = indenizacaoEstabilidade ? indenizacaoEstabilidade.total : 0;
+
+  // Verbas da folha rescisória por rubrica da matriz de incidências (`data/incidencias`), que
+  // define as bases de FGTS, INSS e IRRF. O 13º tem INSS e IRRF próprios.
+  // Aviso trabalhado entra apenas como base: já é pago no saldo de salário.
+  const saldoSalarioTributavel = Math.max(0, saldoSalario - descontoFaltas);
+  const avisoPrevioTrabalhado = (avisoPrevio === 'trabalhado' && diasAviso > 0) ? remuneracaoBase * (diasAviso/30) : 0;
+  const verbasFolha = {
+    saldoSalario: saldoSalarioTributavel,
+    avisoTrabalhado: avisoPrevioTrabalhado,
+    avisoIndenizado: valorAviso,
+    feriasIndenizadas: valorFeriasVencidas + feriasProporcionaisBase,
+    tercoFeriasIndenizadas: tercoFeriasVencidas + tercoFeriasProporcionais,
+    indenizacaoArt479,
+    indenizacaoLei7238
+  };
+
+  // FGTS sobre verbas rescisórias. As verbas sem incidência são exibidas com FGTS zerado.
   const fgtsRate = 0.08;
+  const fgtsSobre = (rubrica, valor) => incide(rubrica, TRIBUTOS.FGTS) ? round2(valor * fgtsRate) : 0;
   const fgtsComponentes = [];
-  if (saldoSalario > 0) fgtsComponentes.push({ label: 'Saldo Salário', base: saldoSalario, fgts: round2(saldoSalario * fgtsRate) });
-  if (decimoProporcional > 0) fgtsComponentes.push({ label: '13º Proporcional', base: decimoProporcional, fgts: round2(decimoProporcional * fgtsRate) });
-  if (valorAviso > 0) fgtsComponentes.push({ label: 'Aviso Indenizado', base: valorAviso, fgts: round2(valorAviso * fgtsRate) });
-
-  // Adiciona verbas que não compõem base de FGTS para fins de exibição, mas com valor de FGTS zerado.
-  if (valorFeriasVencidas > 0) fgtsComponentes.push({ label: 'Férias Vencidas + 1/3', base: valorFeriasVencidas, fgts: 0, podeExcluirMulta: true });
-  if (feriasProporcionaisTotal > 0) fgtsComponentes.push({ label: 'Férias Proporcionais + 1/3', base: feriasProporcionaisTotal, fgts: 0 });
+  if (saldoSalarioTributavel > 0) fgtsComponentes.push({ label: 'Saldo Salário', base: saldoSalarioTributavel, fgts: fgtsSobre('saldoSalario', saldoSalarioTributavel) });
+  if (decimoProporcional > 0) fgtsComponentes.push({ label: '13º Proporcional', base: decimoProporcional, fgts: fgtsSobre('decimoTerceiro', decimoProporcional) });
+  if (valorAviso > 0) fgtsComponentes.push({ label: 'Aviso Indenizado', base: valorAviso, fgts: fgtsSobre('avisoIndenizado', valorAviso) });
+  if (valorFeriasVencidas > 0) {
+    fgtsComponentes.push({ label: 'Férias Vencidas + 1/3', base: valorFeriasVencidas + tercoFeriasVencidas, fgts: round2(fgtsSobre('feriasIndenizadas', valorFeriasVencidas) + fgtsSobre('tercoFeriasIndenizadas', tercoFeriasVencidas)), podeExcluirMulta: true });
+  }
+  if (feriasProporcionaisTotal > 0) {
+    fgtsComponentes.push({ label: 'Férias Proporcionais + 1/3', base: feriasProporcionaisTotal, fgts: round2(fgtsSobre('feriasIndenizadas', feriasProporcionaisBase) + fgtsSobre('tercoFeriasIndenizadas', tercoFeriasProporcionais)) });
+  }
+  if (indenizacaoArt479 > 0) fgtsComponentes.push({ label: 'Indenização art. 479', base: indenizacaoArt479, fgts: fgtsSobre('indenizacaoArt479', indenizacaoArt479) });
+  if (indenizacaoLei7238 > 0) fgtsComponentes.push({ label: 'Indenização Lei 7.238/84', base: indenizacaoLei7238, fgts: fgtsSobre('indenizacaoLei7238', indenizacaoLei7238) });
+  if (indenizacaoEstabilidade) {
+    const baseEstab = indenizacaoEstabilidade.salarios + indenizacaoEstabilidade.decimoTerceiro;
+    fgtsComponentes.push({ label: 'Estabilidade (salários + 13º)', base: baseEstab, fgts: incide('indenizacaoEstabilitaria', TRIBUTOS.FGTS) ? indenizacaoEstabilidade.fgts : 0 });
+    fgtsComponentes.push({ label: 'Estabilidade (férias + 1/3)', base: indenizacaoEstabilidade.ferias + indenizacaoEstabilidade.tercoFerias, fgts: 0 });
+  }
 
   const fgtsReflexTotal = fgtsComponentes.reduce((a, c) => a + c.fgts, 0);
 
-  // Multa do FGTS (40% ou 20%) sobre saldo + depósitos do mês.
-  const aliquotaMulta = motivo === 'ACORDO_MUTUO' ? 0.20 : (motivo === 'SEM_JUSTA_CAUSA' ? 0.40 : 0);
+  // Sem extrato, o saldo é estimado pela reconstrução dos depósitos do contrato (com 13º e 1/3 das
+  // férias gozadas), atualizados pela TR + 3% a.a. Depósitos informados mês a mês prevalecem.
+  let fgtsHistorico = null;
+  if (estimarSaldoFgts) {
+    const feriasGozadas = periodosFeriasVencidas
+      .filter(p => p.diasGozados > 0)
+      .map(p => ({ competencia: DateFormatter.somarData(p.fim, { dias: 1 }).slice(0, 7), diasGozados: p.diasGozados }));
+    fgtsHistorico = reconstruirHistoricoFGTS({
+      dataAdmissao: dataAdmissaoIso,
+      dataDemissao: dataDemissaoIso,
+      remuneracao: remuneracaoBase,
+      reajustes: reajustesSalariais,
+      ferias: feriasGozadas,
+      depositosInformados: depositosFgtsInformados || {}
+    });
+    warnings.push(`Saldo do FGTS estimado pela reconstrução de ${fgtsHistorico.meses.length} depósito(s) mensais com atualização pela TR + 3% a.a. Confira com o extrato da conta vinculada.`);
+  }
+  const saldoFgts = fgtsHistorico ? fgtsHistorico.saldo : (Number(saldoFgtsInformado) || 0);
+
+  // Multa do FGTS (40% ou 20%, conforme o motivo) sobre saldo + depósitos do mês. No contrato
+  // doméstico não há multa: a indenização compensatória de 3,2%, depositada mês a mês, é liberada
+  // ao empregado ou devolvida ao empregador conforme o motivo (LC 150/2015, art. 22).
+  const aliquotaMulta = empregadoDomestico ? 0 : regra.multaFgts;
   let baseMultaFGTS = saldoFgts + fgtsReflexTotal;
-  if (saldoFgts > 0) {
+  if (saldoFgts > 0 && !fgtsHistorico && aliquotaMulta > 0) {
     warnings.push('O cálculo da multa de FGTS sobre o saldo existente não inclui a correção monetária dos depósitos, resultando em um valor estimado.');
   }
   const multaFGTS = baseMultaFGTS * aliquotaMulta;
 
-  if (motivo === 'SEM_JUSTA_CAUSA' && saldoFgts === 0 && multaFGTS > 0) {
-    warnings.push('Atenção: O saldo de FGTS não foi informado. A multa de 40% foi calculada considerando um saldo de R$ 0,00. Insira o saldo para um cálculo preciso.');
+  if (aliquotaMulta > 0 && saldoFgts === 0 && multaFGTS > 0) {
+    warnings.push(`Atenção: O saldo de FGTS não foi informado. A multa de ${aliquotaMulta*100}% foi calculada considerando um saldo de R$ 0,00. Insira o saldo para um cálculo preciso.`);
+  }
+
+  let indenizacaoCompensatoria = null;
+  let seguroDesempregoDomestico = null;
+  if (empregadoDomestico) {
+    indenizacaoCompensatoria = calcularIndenizacaoCompensatoria({ motivo, saldoFgts, fgtsRescisorio: fgtsReflexTotal });
+    const fracao = indenizacaoCompensatoria.fracaoEmpregado;
+    const destino = fracao === 1 ? 'liberada ao empregado' : (fracao > 0 ? 'dividida entre empregado e empregador' : 'movimentada pelo empregador');
+    warnings.push(`Empregado doméstico: sem multa do FGTS. A indenização compensatória de 3,2% (LC 150/2015, art. 22), estimada em proporção ao saldo do FGTS, é ${destino}.`);
+    if (motivo === 'ACORDO_MUTUO') {
+      warnings.push('A LC 150/2015 não trata do acordo do art. 484-A da CLT: a indenização compensatória foi dividida como na culpa recíproca.');
+    }
+    const mesesContrato = dataAdmissaoIso && dataDemissaoIso ? calcularMesesProporcionais13(dataAdmissaoIso, dataDemissaoIso) : 0;
+    seguroDesempregoDomestico = calcularSeguroDesempregoDomestico({ motivoPermite: regra.seguroDesemprego, mesesContrato });
+    if (regra.seguroDesemprego) {
+      warnings.push(seguroDesempregoDomestico.elegivel
+        ? 'Seguro-desemprego do doméstico: até 3 parcelas de um salário mínimo (LC 150/2015, art. 26).'
+        : `Seguro-desemprego do doméstico exige 15 meses de trabalho doméstico nos últimos 24; o contrato informado soma ${seguroDesempregoDomestico.mesesContrato}. Considere outros vínculos domésticos do período.`);
+    }
+  }
+  const indenizacaoCompensatoriaEmpregado = indenizacaoCompensatoria ? indenizacaoCompensatoria.valorEmpregado : 0;
+
+  // Valor liberado para saque: a fração do saldo (com os depósitos do mês) prevista para o motivo, mais a multa
+  // (ou, no doméstico, a parte da indenização compensatória liberada ao empregado).
+  const percentualSaqueFgts = regra.saqueFgts ? regra.percentualSaqueFgts : 0;
+  const saqueFgtsPermitido = regra.saqueFgts ? round2((saldoFgts + fgtsReflexTotal) * percentualSaqueFgts + multaFGTS + indenizacaoCompensatoriaEmpregado) : 0;
+  if (percentualSaqueFgts > 0 && percentualSaqueFgts < 1) {
+    const semSeguro = regra.seguroDesemprego ? '' : ' e não dá direito ao seguro-desemprego';
+    warnings.push(`${regra.label}: o saque do FGTS fica limitado a ${percentualSaqueFgts*100}% do saldo${semSeguro} (${regra.fundamento}).`);
   }
 
   // --- Impostos (INSS e IRRF) ---
-  // INSS é calculado separadamente para folha e 13º.
-  // Aviso prévio indenizado é isento de INSS, mas o trabalhado não.
-  const avisoPrevioTrabalhado = (avisoPrevio === 'trabalhado' && diasAviso > 0) ? remuneracaoBase * (diasAviso/30) : 0;
-  const baseINSSFolha = saldoSalario + avisoPrevioTrabalhado;
-  const baseINSSDecimo = decimoProporcional;
+  // INSS é calculado separadamente para folha e 13º, sobre as rubricas com incidência.
+  const baseINSSFolha = baseIncidencia(TRIBUTOS.INSS, verbasFolha);
+  const baseINSSDecimo = baseIncidencia(TRIBUTOS.INSS, { decimoTerceiro: decimoProporcional });
   const inssFolhaObj = calcularINSS(baseINSSFolha);
   const inssDecimoObj = calcularINSS(baseINSSDecimo);
   const inss = inssFolhaObj.valor + inssDecimoObj.valor;
 
   // --- IRRF ---
-  // IRRF também é segmentado: folha e 13º (tributação exclusiva).
-  // Férias indenizadas (vencidas/proporcionais) e saldo de salário compõem a base principal.
-  // Aviso prévio indenizado é isento de IRRF.
+  // IRRF também é segmentado: folha e 13º (tributação exclusiva), sobre as rubricas com incidência.
+  const baseIRRFFolhaBruta = baseIncidencia(TRIBUTOS.IRRF, verbasFolha);
+  const inssDedutivelFolha = inssFolhaObj.valor;
+  const baseIRRFDecimoBruta = baseIncidencia(TRIBUTOS.IRRF, { decimoTerceiro: decimoProporcional });
+  const inssDedutivelDecimo = inssDecimoObj.valor;
+  const irrfFolhaCom = deducao => calcularIRRFBase(ajustarBaseIRRF(Math.max(0, baseIRRFFolhaBruta - inssDedutivelFolha - deducao), dependentes).base);
+  const irrfDecimoCom = deducao => calcularIRRFBase(ajustarBaseIRRF(Math.max(0, baseIRRFDecimoBruta - inssDedutivelDecimo - deducao), dependentes).base);
+
+  // Pensão alimentícia sobre as verbas abrangidas pela decisão, em dois grupos com IRRF próprio
+  // (folha e 13º). Na base líquida, o INSS e o IRRF da folha são atribuídos às verbas abrangidas
+  // na proporção da base tributável; a pensão de cada grupo é deduzida da respectiva base do IRRF.
+  const pensao = normalizarPensao(pensaoInformada);
+  let pensaoAlimenticia = null;
+  if (pensao) {
+    const cobreSalario = pensaoAbrange(pensao, 'salario');
+    const cobreFerias = pensaoAbrange(pensao, 'ferias');
+    const cobreVerbas = pensaoAbrange(pensao, 'verbasRescisorias');
+    const tributavelAbrangido = baseIncidencia(TRIBUTOS.IRRF, {
+      ...(cobreSalario ? { saldoSalario: verbasFolha.saldoSalario, avisoTrabalhado: verbasFolha.avisoTrabalhado } : {}),
+      ...(cobreFerias ? { feriasIndenizadas: verbasFolha.feriasIndenizadas, tercoFeriasIndenizadas: verbasFolha.tercoFeriasIndenizadas } : {}),
+      ...(cobreVerbas ? { avisoIndenizado: valorAviso, indenizacaoArt479, indenizacaoLei7238 } : {})
+    });
+    const proporcaoIRRF = baseIRRFFolhaBruta > 0 ? tributavelAbrangido / baseIRRFFolhaBruta : 0;
+    const folha = calcularPensaoAlimenticia(pensao, {
+      bruto: (cobreSalario ? saldoSalarioTributavel : 0)
+        + (cobreFerias ? valorFeriasVencidas + tercoFeriasVencidas + feriasProporcionaisTotal : 0)
+        + (cobreVerbas ? valorAviso + indenizacaoArt479 + indenizacaoLei7238 + indenizacaoEstabilitaria : 0),
+      inss: cobreSalario ? inssDedutivelFolha : 0,
+      irrf: d => irrfFolhaCom(d).valor * proporcaoIRRF
+    });
+    const decimo = pensaoAbrange(pensao, 'decimoTerceiro')
+      ? calcularPensaoAlimenticia(pensao, { bruto: decimoProporcional, inss: inssDedutivelDecimo, irrf: d => irrfDecimoCom(d).valor })
+      : null;
+    if (folha || decimo) {
+      const valor = round2((folha ? folha.valor : 0) + (decimo ? decimo.valor : 0));
+      pensaoAlimenticia = { folha, decimoTerceiro: decimo, valor, porBeneficiario: round2(valor / pensao.beneficiarios) };
+    }
+  }
+  const descontoPensao = pensaoAlimenticia ? pensaoAlimenticia.valor : 0;
 
   // 1. IRRF sobre verbas rescisórias (Folha)
-  // Férias indenizadas são tributáveis para IRRF.
-  const baseIRRFFolhaBruta = saldoSalario + valorFeriasVencidas + feriasProporcionaisTotal;
-  const inssDedutivelFolha = inssFolhaObj.valor;
-  const { base: baseIRRFFolhaAjustada } = ajustarBaseIRRF(Math.max(0, baseIRRFFolhaBruta - inssDedutivelFolha), dependentes);
-  const irrfFolhaObj = calcularIRRFBase(baseIRRFFolhaAjustada);
+  const irrfFolhaObj = irrfFolhaCom(pensaoAlimenticia?.folha?.valor || 0);
   const irrfFolha = irrfFolhaObj.valor;
 
   // 2. IRRF sobre 13º Salário
-  const baseIRRFDecimoBruta = decimoProporcional;
-  const inssDedutivelDecimo = inssDecimoObj.valor;
-  const { base: baseIRRFDecimoAjustada } = ajustarBaseIRRF(Math.max(0, baseIRRFDecimoBruta - inssDedutivelDecimo), dependentes);
-  const irrfDecimoObj = calcularIRRFBase(baseIRRFDecimoAjustada);
+  const irrfDecimoObj = irrfDecimoCom(pensaoAlimenticia?.decimoTerceiro?.valor || 0);
   const irrfDecimo = irrfDecimoObj.valor;
 
   // 3. Total de IRRF
@@ -386,40 +1139,112 @@ export function calcularRescisao(stateResc){
     feriasProporcionais: feriasProporcionaisBase,
     tercoFeriasProporcionais,
     decimoProporcional,
+    indenizacaoArt479,
+    indenizacaoLei7238,
+    indenizacaoEstabilitaria,
     multaFGTS
   };
   const totalBruto = Object.values(verbasBrutas).reduce((a,b)=>a+b,0);
   const outrosDescontos = round2(descontoVt + descontoVr + descontoSaude + descontoAdiantamentos);
-  const totalDescontos = inss + irrf + outrosDescontos;
+  // Prejuízo do art. 480: limitado ao que resta a receber para que o líquido não fique negativo.
+  const disponivelArt480 = Math.max(0, totalBruto - multaFGTS - (inss + irrf + outrosDescontos + descontoFaltas + descontoPensao));
+  const descontoArt480 = round2(Math.min(descontoArt480Devido, disponivelArt480));
+  if (descontoArt480 < descontoArt480Devido) {
+    warnings.push('Desconto do prejuízo do art. 480 limitado ao valor líquido da rescisão.');
+  }
+  // Aviso não cumprido pelo empregado que pede demissão: desconto de um mês de remuneração
+  // (art. 487, § 2º), limitado ao que resta a receber para que o líquido não fique negativo.
+  let descontoAvisoPrevio = 0;
+  if (avisoPrevio === 'nao_cumprido') {
+    if (motivo === 'PEDIDO_DEMISSAO' && contrato.tipo === 'indeterminado') {
+      const disponivel = Math.max(0, totalBruto - multaFGTS - (inss + irrf + outrosDescontos + descontoArt480 + descontoFaltas + descontoPensao));
+      descontoAvisoPrevio = round2(Math.min(remuneracaoBase, disponivel));
+      if (descontoAvisoPrevio < round2(remuneracaoBase)) {
+        warnings.push('Desconto do aviso prévio não cumprido limitado ao valor líquido da rescisão (CLT, art. 487, § 2º).');
+      }
+    } else if (motivo !== 'PEDIDO_DEMISSAO') {
+      warnings.push('O desconto do aviso prévio não cumprido só se aplica ao pedido de demissão (CLT, art. 487, § 2º).');
+    }
+  }
+  const totalDescontos = inss + irrf + outrosDescontos + descontoArt480 + descontoAvisoPrevio + descontoFaltas + descontoPensao;
   const totalLiquidoEstimado = totalBruto - totalDescontos;
   // Totais para o TRCT (sem somar multa FGTS no valor pago pelo empregador).
   const totalBrutoSemMulta = totalBruto - multaFGTS;
   const totalLiquidoSemMulta = totalBrutoSemMulta - totalDescontos;
-  const montanteTotalComFGTS = totalLiquidoSemMulta + saldoFgts + multaFGTS;
+  // Só entra o FGTS que o motivo libera para saque (com a multa ou a indenização compensatória do doméstico).
+  const montanteTotalComFGTS = round2(totalLiquidoSemMulta + saqueFgtsPermitido);
 
-  if (motivo === 'PEDIDO_DEMISSAO') {
-    if (multaFGTS > 0) warnings.push('Pedido de demissão: multa FGTS não deveria ser aplicada.');
+  if (!regra.saqueFgts) {
+    warnings.push(`${regra.label}: o saldo do FGTS permanece na conta vinculada (saque não permitido).`);
   }
-  if (motivo === 'JUSTA_CAUSA') {
-    // Alertas para verbas indevidas em caso de justa causa.
-    if (valorAviso>0) warnings.push('Justa causa: aviso indenizado não devido.');
-    if (feriasProporcionaisTotal>0) warnings.push('Justa causa: férias proporcionais não devidas.');
-    if (decimoProporcional>0) warnings.push('Justa causa: 13º proporcional não devido.');
+
+  // Prazo de pagamento (art. 477, § 6º). A multa do § 8º é devida à parte: não integra o TRCT.
+  const pagamento = verificarPrazoPagamento(dataDemissaoIso, DateFormatter.paraISO(dataPagamento), salario);
+  const multaArt477 = pagamento ? pagamento.multaArt477 : 0;
+  if (pagamento?.atrasado) {
+    warnings.push(`Pagamento em ${DateFormatter.formatBR(pagamento.dataPagamento)}, ${pagamento.diasAtraso} dia(s) após o prazo de ${DateFormatter.formatBR(pagamento.prazo)}: devida a multa de um salário (CLT, art. 477, § 8º).`);
   }
 
+  const linhaDoTempo = montarLinhaDoTempo({
+    dataAdmissaoIso,
+    dataDemissaoIso,
+    dataProjecaoAviso,
+    diasAviso,
+    avisoPrevio,
+    periodosFeriasVencidas,
+    inicioAquisitivoAtual,
+    inicio13Iso
+  });
+
+  // Código de afastamento: a rescisão antecipada de contrato a termo tem códigos próprios (03 e 04).
+  let codigoAfastamento = regra.codigoAfastamento;
+  if (contrato.antecipado && motivo === 'SEM_JUSTA_CAUSA') codigoAfastamento = '03';
+  if (contrato.antecipado && motivo === 'PEDIDO_DEMISSAO') codigoAfastamento = '04';
+
   return {
     motivo,
+    motivoLabel: regra.label,
+    codigoAfastamento,
+    saqueFgts: regra.saqueFgts,
+    percentualSaqueFgts,
+    saqueFgtsPermitido,
+    seguroDesemprego: regra.seguroDesemprego,
     dataAdmissao,
     dataDemissao,
+    dataProjecaoAviso,
+    identificacao: {
+      empregador: { razaoSocial: empregadorRazaoSocial, cnpj: empregadorCnpj },
+      empregado: { nome: empregadoNome, cpf: empregadoCpf, pis: empregadoPis, ctps: empregadoCtps }
+    },
     anosEstimados: anos,
     remuneracaoBase,
+    remuneracao13,
+    mediasVariaveis,
     periculosidade,
     insalubridade,
     dsrSobreMedias,
+    dsrDias: { competencia: dsr.competencia, diasUteis: dsr.diasUteis, diasDescanso: dsr.diasDescanso },
     meses13,
     mesesFeriasProp,
     diasAviso,
+    periodosFeriasVencidas,
+    linhaDoTempo,
+    tipoContrato: contrato.tipo,
+    diasRestantesContrato: contrato.diasRestantes,
     ...verbasBrutas,
+    descontoAvisoPrevio,
+    descontoArt480,
+    faltas,
+    descontoFaltas,
+    diasFeriasProporcionais,
+    pensaoAlimenticia,
+    descontoPensao,
+    dataBaseTrintidio,
+    indenizacaoEstabilidade,
+    pagamento,
+    multaArt477,
+    verbasItens: regrasVerbas.itens,
+    aliquotaMultaFGTS: aliquotaMulta,
     fgtsReflex: {
       total: fgtsReflexTotal,
       componentes: fgtsComponentes,
@@ -432,6 +1257,8 @@ export function calcularRescisao(stateResc){
       ...inssFolhaObj.faixas.map(f => ({...f, tipo: 'folha'})),
       ...inssDecimoObj.faixas.map(f => ({...f, tipo: '13o'}))
     ],
+    inssFolha: inssFolhaObj.valor,
+    inssDecimo: inssDecimoObj.valor,
     baseINSSFolha,
     baseINSSDecimo,
     irrf,
@@ -439,24 +1266,36 @@ export function calcularRescisao(stateResc){
       folha: {
         baseBruta: baseIRRFFolhaBruta,
         inssDedutivel: inssDedutivelFolha,
-        baseAjustada: baseIRRFFolhaAjustada,
+        pensaoDedutivel: pensaoAlimenticia?.folha?.valor || 0,
+        baseAjustada: irrfFolhaObj.base,
         valor: irrfFolha,
         faixa: irrfFolhaObj.faixa
       },
       decimo: {
         baseBruta: baseIRRFDecimoBruta,
         inssDedutivel: inssDedutivelDecimo,
-        baseAjustada: baseIRRFDecimoAjustada,
+        pensaoDedutivel: pensaoAlimenticia?.decimoTerceiro?.valor || 0,
+        baseAjustada: irrfDecimoObj.base,
         valor: irrfDecimo,
         faixa: irrfDecimoObj.faixa
       }
     },
     outrosDescontos,
+    descontosInformados: {
+      descontoVt: Number(descontoVt) || 0,
+      descontoVr: Number(descontoVr) || 0,
+      descontoSaude: Number(descontoSaude) || 0,
+      descontoAdiantamentos: Number(descontoAdiantamentos) || 0
+    },
     totalDescontos,
     totalLiquidoEstimado,
     totalLiquidoSemMulta,
     montanteTotalComFGTS,
     saldoFgtsUtilizado: saldoFgts,
+    fgtsHistorico,
+    empregadoDomestico: !!empregadoDomestico,
+    indenizacaoCompensatoria,
+    seguroDesempregoDomestico,
     warnings
   };
 }
@@ -52,6 +52,33 @@ const discountCalculatorState = {
     descontoAdiantamentos: 0
 };
 
+/**
+ * Agrupa os campos de faltas e atrasos do mês, descontados com o DSR perdido.
+ * @private
+ * @type {object}
+ */
+const faltasCalculatorState = {
+    faltasMes: 0,
+    atrasosMes: '',
+    semanasComFalta: ''
+};
+
+/**
+ * Configuração da pensão alimentícia, compartilhada pelas calculadoras de salário líquido,
+ * férias, 13º e rescisão.
+ * @private
+ * @type {object}
+ */
+const pensaoCalculatorState = {
+    pensaoAlimenticia: {
+        ativa: false,
+        percentual: 0,
+        base: 'liquido',
+        beneficiarios: 1,
+        verbas: { salario: true, ferias: true, decimoTerceiro: true, verbasRescisorias: true }
+    }
+};
+
 /**
  * Define a estrutura e os valores padrão para o estado inicial de todas as calculadoras.
  * Este objeto é usado para inicializar o estado da aplicação e para resetar
@@ -61,39 +88,95 @@ const discountCalculatorState = {
 export const initialState = {
     ferias: {
         ...extendedCalculatorState,
+        ...pensaoCalculatorState,
         adicionalInsalubridadeGrau: '0',
         diasFerias: 30,
         abonoPecuniario: false,
-        adiantarDecimo: false
+        adiantarDecimo: false,
+        faltasInjustificadas: '',
+        diasLicencaRemunerada: '',
+        diasParalisacao: '',
+        mesesBeneficioINSS: '',
+        desligamentoSemReadmissao: false,
+        dataInicio: '',
+        dataPagamento: '',
+        competencia: false,
+        fracionar: false,
+        periodosFracionados: [
+            { inicio: '', dias: '' },
+            { inicio: '', dias: '' },
+            { inicio: '', dias: '' }
+        ]
     },
     rescisao: {
         ...extendedCalculatorState,
         ...discountCalculatorState,
+        ...faltasCalculatorState,
+        ...pensaoCalculatorState,
         adicionalInsalubridadeGrau: '0',
         motivo: 'SEM_JUSTA_CAUSA',
         dataAdmissao: '',
         dataDemissao: '',
         saldoFgts: 0,
         avisoPrevio: 'indenizado',
-        feriasVencidas: false,
+        periodosFerias: [],
+        faltasPeriodoAquisitivo: 0,
+        historicoVariaveis: {},
+        cargaHorariaMensal: 220,
+        estimarSaldoFgts: false,
+        reajustesSalariais: [],
+        depositosFgtsInformados: {},
         projetarAvisoParaAvos: false,
         excluirFeriasVencidasMulta: false,
-        aplicarReducaoAviso: true
+        aplicarReducaoAviso: true,
+        tipoContrato: 'indeterminado',
+        dataFimContrato: '',
+        prorrogacoes: 0,
+        clausulaAssecuratoria: false,
+        prejuizoArt480: 0,
+        mesDataBase: '',
+        tipoEstabilidade: '',
+        dataInicioEstabilidade: '',
+        dataFimEstabilidade: '',
+        dataPagamento: '',
+        empregadoDomestico: false,
+        compararCenarios: false,
+        cenarioBase: 'SEM_JUSTA_CAUSA|indenizado',
+        planejamentoInicio: '',
+        planejamentoMeses: 12,
+        empregadorRazaoSocial: '',
+        empregadorCnpj: '',
+        empregadoNome: '',
+        empregadoCpf: '',
+        empregadoPis: '',
+        empregadoCtps: ''
     },
     decimoTerceiro: {
         ...extendedCalculatorState,
+        ...pensaoCalculatorState,
         adicionalInsalubridadeGrau: '0',
         mesesTrabalhados: 12,
-        adiantamentoRecebido: 0
+        adiantamentoRecebido: 0,
+        dataAdmissao: '',
+        dataFim: '',
+        afastamentos: [
+            { tipo: 'FALTA_INJUSTIFICADA', inicio: '', fim: '' },
+            { tipo: 'FALTA_INJUSTIFICADA', inicio: '', fim: '' },
+            { tipo: 'FALTA_INJUSTIFICADA', inicio: '', fim: '' }
+        ]
     },
     salarioLiquido: {
         ...baseCalculatorState,
         ...discountCalculatorState,
+        ...faltasCalculatorState,
+        ...pensaoCalculatorState,
         horasExtras: 0,
         horasNoturnas: 0,
         cargaHorariaMensal: 220,
+        competencia: '',
         recebeSalarioFamilia: false,
-        filhosSalarioFamilia: 0
+        filhosSalarioFamilia: 0,
+        empregadoDomestico: false
     },
     fgts: {
         ...baseCalculatorState,
@@ -120,7 +203,8 @@ export const initialState = {
         percentualAdicional: 50,
         diasUteisMes: 22,
         horasDia: 8,
-        cargaHorariaMensal: 220
+        cargaHorariaMensal: 220,
+        competencia: ''
     },
     inss: {
         ...baseCalculatorState,
@@ -163,10 +247,13 @@ export const state = {
 
 /**
  * Atualiza um valor no estado global da aplicação de forma segura, usando um
- * caminho com notação de ponto para acessar propriedades aninhadas.
+ * caminho com notação de ponto para acessar propriedades aninhadas. Objetos (ou arrays,
+ * para segmentos numéricos) intermediários ausentes são criados.
  * @example
  * // Atualiza o salário bruto na calculadora de férias
  * updateState('ferias.salarioBruto', 5000);
+ * // Atualiza a situação do primeiro período aquisitivo na rescisão
+ * updateState('rescisao.periodosFerias.0.situacao', 'nao_gozado');
  * @param {string} path - O caminho para a propriedade a ser atualizada (ex: "ferias.salarioBruto").
  * @param {*} value - O novo valor para a propriedade.
  */
@@ -174,7 +261,9 @@ export function updateState(path, value) {
     const keys = path.split('.');
     let current = state;
     while (keys.length > 1) {
-        current = current[keys.shift()];
+        const key = keys.shift();
+        if (current[key] == null) current[key] = /^\d+$/.test(keys[0]) ? [] : {};
+        current = current[key];
     }
     current[keys[0]] = value;
 }
@@ -23,6 +23,8 @@ export class ValidationEngine {
      * @property {Array<Function>} diasFerias - Regra para os dias de férias.
      * @property {Array<Function>} dataAdmissao - Regras para a data de admissão, incluindo validação de intervalo.
      * @property {Array<Function>} dataDemissao - Regras para a data de demissão, incluindo validação de intervalo.
+     * @property {Array<Function>} dataFimContrato - Regras para o término do contrato a termo (opcional).
+     * @property {Array<Function>} dataPagamento - Regras para a data de pagamento da rescisão (opcional).
      * @property {Array<Function>} dependentes - Regra para o número de dependentes.
      * @property {Array<Function>} mesesTrabalhados - Regra para o número de meses trabalhados.
      */
@@ -39,7 +41,18 @@ export class ValidationEngine {
             (v) => DateFormatter.isValidDate(v) || 'Data inválida.',
             (v, allValues) => !allValues?.dataAdmissao || DateFormatter.isValidDateRange(allValues.dataAdmissao, v) || 'Demissão deve ser posterior à admissão.'
         ],
+        dataFimContrato: [
+            (v) => !v || DateFormatter.isValidDate(v) || 'Data inválida.',
+            (v, allValues) => !v || !allValues?.dataAdmissao || DateFormatter.isValidDateRange(allValues.dataAdmissao, v) || 'Término deve ser posterior à admissão.'
+        ],
+        dataPagamento: [
+            (v) => !v || DateFormatter.isValidDate(v) || 'Data inválida.',
+            (v, allValues) => !v || !allValues?.dataDemissao || !DateFormatter.isValidDateRange(v, allValues.dataDemissao) || 'Pagamento não pode ser anterior à demissão.'
+        ],
         dependentes: [(v) => v >= 0 || 'Valor não pode ser negativo.'],
+        faltasMes: [(v) => (v === '' || (v >= 0 && v <= 31)) || 'Deve estar entre 0 e 31 dias.'],
+        faltasPeriodoAquisitivo: [(v) => (v === '' || v >= 0) || 'Valor não pode ser negativo.'],
+        atrasosMes: [(v) => !v || /^\d{1,3}:[0-5]\d$/.test(String(v).trim()) || 'Use o formato hh:mm.'],
         mesesTrabalhados: [(v) => (v >= 1 && v <= 12) || 'Deve ser entre 1 e 12.'],
         // ... adicione outras regras conforme necessário
     };
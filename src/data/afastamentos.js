@@ -0,0 +1,47 @@
+/**
+ * @file Tipos de Ausência e Afastamento no Cálculo do 13º.
+ * @module data/afastamentos
+ * @description Ausências e afastamentos que reduzem os dias trabalhados no mês para a contagem dos
+ * avos do 13º salário (15 dias ou mais no mês geram um avo). É consumida pelo motor de cálculo
+ * (`core/decimoTerceiro`) e pelos `<select>` de tipo de afastamento do formulário.
+ */
+
+/**
+ * @typedef {Object} TipoAfastamento
+ * @property {string} label - Rótulo de exibição.
+ * @property {number} diasPagosEmpregador - Dias iniciais de cada afastamento pagos pelo empregador,
+ * que continuam contando como trabalhados.
+ * @property {string} fundamento - Dispositivo legal de referência.
+ */
+
+/**
+ * Mapa dos tipos de afastamento. A ordem das chaves define a ordem de exibição no formulário.
+ * @type {Object.<string, TipoAfastamento>}
+ */
+export const TIPOS_AFASTAMENTO = {
+  FALTA_INJUSTIFICADA: {
+    label: 'Faltas injustificadas',
+    diasPagosEmpregador: 0,
+    fundamento: 'Lei 4.090/62, art. 1º, § 2º; Decreto 57.155/65, art. 2º'
+  },
+  AUXILIO_DOENCA: {
+    label: 'Auxílio por incapacidade (INSS)',
+    diasPagosEmpregador: 15,
+    fundamento: 'Lei 8.213/91, arts. 40 e 60, § 3º'
+  },
+  LICENCA_NAO_REMUNERADA: {
+    label: 'Licença não remunerada',
+    diasPagosEmpregador: 0,
+    fundamento: 'Contrato suspenso, sem salário (CLT, art. 476-A)'
+  }
+};
+
+/**
+ * Obtém as informações de um tipo de afastamento. A chave é normalizada para maiúsculas.
+ * @param {string} tipo - A chave do tipo (ex: 'AUXILIO_DOENCA').
+ * @returns {TipoAfastamento|null} O tipo de afastamento, ou `null` se não existir.
+ */
+export function getTipoAfastamento(tipo){
+  const key = String(tipo || '').toUpperCase();
+  return TIPOS_AFASTAMENTO[key] || null;
+}
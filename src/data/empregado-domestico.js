@@ -0,0 +1,61 @@
+/**
+ * @file Regras do Empregado Doméstico.
+ * @module data/empregado-domestico
+ * @description Encargos mensais do empregador doméstico recolhidos no DAE (Documento de
+ * Arrecadação do eSocial), destinação da indenização compensatória de 3,2% na rescisão e regras
+ * do seguro-desemprego do doméstico (LC 150/2015). É consumida por `core/domestico`.
+ */
+
+/**
+ * @typedef {Object} EncargoDomestico
+ * @property {string} chave - Identificador do encargo.
+ * @property {string} label - Rótulo de exibição.
+ * @property {number} aliquota - Alíquota sobre a remuneração do mês.
+ * @property {string} base - Base de incidência: 'inss' (salário de contribuição) ou 'fgts' (base do FGTS).
+ * @property {string} fundamento - Dispositivo legal de referência.
+ */
+
+/**
+ * Encargos do empregador doméstico recolhidos no DAE, na ordem de exibição. A contribuição do
+ * empregado e o IRRF retido também integram a guia, mas são descontados do salário.
+ * @type {EncargoDomestico[]}
+ */
+export const ENCARGOS_DOMESTICO = [
+  { chave: 'inssPatronal', label: 'INSS patronal (8%)', aliquota: 0.08, base: 'inss', fundamento: 'LC 150/2015, art. 34, II' },
+  { chave: 'gilrat', label: 'Seguro contra acidentes — GILRAT (0,8%)', aliquota: 0.008, base: 'inss', fundamento: 'LC 150/2015, art. 34, III' },
+  { chave: 'fgts', label: 'FGTS (8%)', aliquota: 0.08, base: 'fgts', fundamento: 'LC 150/2015, art. 34, IV' },
+  { chave: 'indenizacaoCompensatoria', label: 'Indenização compensatória (3,2%)', aliquota: 0.032, base: 'fgts', fundamento: 'LC 150/2015, arts. 22 e 34, V' }
+];
+
+/**
+ * Alíquota mensal da indenização compensatória da perda do emprego, que substitui a multa de 40%
+ * do FGTS (LC 150/2015, art. 22).
+ * @type {number}
+ */
+export const ALIQUOTA_INDENIZACAO_COMPENSATORIA = 0.032;
+
+/**
+ * Fração da indenização compensatória movimentada pelo empregado, por motivo de rescisão. Nos
+ * motivos ausentes (pedido de demissão, justa causa, término do contrato, aposentadoria e
+ * falecimento), os valores são movimentados pelo empregador (art. 22, § 1º). Na culpa recíproca,
+ * metade para cada parte (art. 22, § 2º); o acordo do art. 484-A da CLT segue a mesma divisão.
+ * @type {Object.<string, number>}
+ */
+export const FRACAO_EMPREGADO_INDENIZACAO_COMPENSATORIA = {
+  SEM_JUSTA_CAUSA: 1,
+  RESCISAO_INDIRETA: 1,
+  CULPA_RECIPROCA: 0.5,
+  ACORDO_MUTUO: 0.5
+};
+
+/**
+ * Seguro-desemprego do empregado doméstico: até 3 parcelas de um salário mínimo, para quem
+ * trabalhou como doméstico por ao menos 15 meses nos últimos 24 (LC 150/2015, art. 26).
+ * @type {{parcelas: number, mesesMinimos: number, periodoMeses: number, fundamento: string}}
+ */
+export const SEGURO_DESEMPREGO_DOMESTICO = {
+  parcelas: 3,
+  mesesMinimos: 15,
+  periodoMeses: 24,
+  fundamento: 'LC 150/2015, art. 26'
+};
@@ -0,0 +1,57 @@
+/**
+ * @file Tipos de Estabilidade Provisória.
+ * @module data/estabilidades
+ * @description Hipóteses de garantia provisória de emprego consideradas no cálculo da rescisão.
+ * A dispensa sem justa causa durante a estabilidade gera a indenização dos salários do período
+ * remanescente e de seus reflexos (férias + 1/3, 13º e FGTS). É consumida pelo motor de cálculo
+ * (`core/rescisao`) e pelo `<select>` de estabilidade do formulário.
+ */
+
+/**
+ * @typedef {Object} Estabilidade
+ * @property {string} label - Rótulo de exibição.
+ * @property {string} fundamento - Dispositivo legal ou súmula de referência.
+ * @property {string} dica - Orientação sobre as datas de início e fim da garantia.
+ */
+
+/**
+ * Mapa dos tipos de estabilidade provisória. A ordem das chaves define a ordem de exibição no formulário.
+ * @type {Object.<string, Estabilidade>}
+ */
+export const ESTABILIDADES = {
+  GESTANTE: {
+    label: 'Gestante',
+    fundamento: 'ADCT, art. 10, II, "b"; Súmula 244 TST',
+    dica: 'Da confirmação da gravidez até 5 meses após o parto.'
+  },
+  CIPA: {
+    label: 'Membro da CIPA',
+    fundamento: 'ADCT, art. 10, II, "a"; CLT, art. 165',
+    dica: 'Do registro da candidatura até 1 ano após o fim do mandato.'
+  },
+  ACIDENTARIO: {
+    label: 'Acidente de trabalho',
+    fundamento: 'Lei 8.213/91, art. 118; Súmula 378 TST',
+    dica: '12 meses após a cessação do auxílio-doença acidentário.'
+  },
+  PRE_APOSENTADORIA: {
+    label: 'Pré-aposentadoria',
+    fundamento: 'Norma coletiva da categoria',
+    dica: 'Período previsto na convenção ou acordo coletivo.'
+  },
+  DIRIGENTE_SINDICAL: {
+    label: 'Dirigente sindical',
+    fundamento: 'CF, art. 8º, VIII; CLT, art. 543, § 3º',
+    dica: 'Do registro da candidatura até 1 ano após o fim do mandato.'
+  }
+};
+
+/**
+ * Obtém as informações de um tipo de estabilidade. A chave é normalizada para maiúsculas.
+ * @param {string} tipo - A chave do tipo (ex: 'GESTANTE').
+ * @returns {Estabilidade|null} O tipo de estabilidade, ou `null` se não existir.
+ */
+export function getEstabilidade(tipo){
+  const key = String(tipo || '').toUpperCase();
+  return ESTABILIDADES[key] || null;
+}
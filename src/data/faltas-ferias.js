@@ -0,0 +1,69 @@
+/**
+ * @file Tabela de Faltas x Dias de Férias.
+ * @module data/faltas-ferias
+ * @description Escala do art. 130 da CLT: o número de faltas injustificadas no período
+ * aquisitivo define quantos dias de férias o empregado adquire. É consumida pelos cálculos
+ * de rescisão (férias vencidas por período) e de férias, que também verifica os eventos do
+ * art. 133 que cancelam o direito.
+ */
+
+/**
+ * @typedef {Object} FaixaFaltasFerias
+ * @property {number} maxFaltas - Limite superior (inclusive) de faltas injustificadas da faixa.
+ * @property {number} dias - Dias de férias devidos na faixa.
+ */
+
+/**
+ * Faixas do art. 130 da CLT, em ordem crescente de faltas.
+ * Acima de 32 faltas o empregado não adquire direito a férias.
+ * @type {FaixaFaltasFerias[]}
+ */
+export const TABELA_FALTAS_FERIAS = [
+  { maxFaltas: 5, dias: 30 },
+  { maxFaltas: 14, dias: 24 },
+  { maxFaltas: 23, dias: 18 },
+  { maxFaltas: 32, dias: 12 }
+];
+
+/**
+ * Obtém os dias de férias a que o empregado tem direito no período aquisitivo (CLT, art. 130).
+ * @param {number} faltas - Número de faltas injustificadas no período aquisitivo.
+ * @returns {number} Dias de férias devidos (30, 24, 18, 12 ou 0).
+ */
+export function getDiasFeriasPorFaltas(faltas){
+  const n = Math.max(0, Math.floor(Number(faltas) || 0));
+  const faixa = TABELA_FALTAS_FERIAS.find(f => n <= f.maxFaltas);
+  return faixa ? faixa.dias : 0;
+}
+
+/**
+ * @typedef {Object} HipotesePerdaFerias
+ * @property {string} chave - Campo do estado que informa o evento.
+ * @property {string} inciso - Inciso do art. 133 da CLT.
+ * @property {number} [limite] - Quantidade acima da qual o direito é perdido (ausente nos eventos sim/não).
+ * @property {string} descricao - Descrição do evento.
+ */
+
+/**
+ * Eventos do período aquisitivo que cancelam o direito às férias (CLT, art. 133). Um novo
+ * período aquisitivo começa quando o empregado retorna ao serviço (§ 2º).
+ * @type {HipotesePerdaFerias[]}
+ */
+export const HIPOTESES_PERDA_FERIAS = [
+  { chave: 'desligamentoSemReadmissao', inciso: 'I', descricao: 'Deixou o emprego e não foi readmitido nos 60 dias seguintes à saída' },
+  { chave: 'diasLicencaRemunerada', inciso: 'II', limite: 30, descricao: 'Licença remunerada por mais de 30 dias' },
+  { chave: 'diasParalisacao', inciso: 'III', limite: 30, descricao: 'Paralisação dos serviços da empresa, com salário, por mais de 30 dias' },
+  { chave: 'mesesBeneficioINSS', inciso: 'IV', limite: 6, descricao: 'Auxílio-doença ou acidente de trabalho pago pela Previdência por mais de 6 meses, embora descontínuos' }
+];
+
+/**
+ * Identifica os eventos do art. 133 da CLT que cancelam o direito às férias do período aquisitivo.
+ * @param {Object.<string, number|boolean|string>} eventos - Valores informados, indexados pela chave da hipótese.
+ * @returns {HipotesePerdaFerias[]} As hipóteses ocorridas (vazio se o direito foi mantido).
+ */
+export function verificarPerdaFerias(eventos){
+  return HIPOTESES_PERDA_FERIAS.filter(h => {
+    const valor = eventos?.[h.chave];
+    return h.limite === undefined ? !!valor : (Number(valor) || 0) > h.limite;
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * @file Feriados Nacionais.
+ * @module data/feriados
+ * @description Feriados nacionais fixos e feriados móveis calculados a partir do domingo de
+ * Páscoa. É consumida pelo motor de DSR (`core/dsr`), que conta os dias úteis e os dias de
+ * descanso de cada competência.
+ */
+
+/**
+ * @typedef {Object} FeriadoFixo
+ * @property {number} mes - Mês (1 a 12).
+ * @property {number} dia - Dia do mês.
+ * @property {string} nome - Nome do feriado.
+ * @property {number} [desde] - Primeiro ano em que o feriado é nacional.
+ */
+
+/**
+ * @typedef {Object} FeriadoMovel
+ * @property {number} diasAposPascoa - Deslocamento em dias a partir do domingo de Páscoa.
+ * @property {string} nome - Nome do feriado.
+ * @property {boolean} [facultativo] - Se é ponto facultativo (só entra na contagem quando solicitado).
+ */
+
+/**
+ * Feriados nacionais de data fixa (Lei 662/49, Lei 6.802/80 e Lei 14.759/23).
+ * @type {FeriadoFixo[]}
+ */
+export const FERIADOS_FIXOS = [
+  { mes: 1, dia: 1, nome: 'Confraternização Universal' },
+  { mes: 4, dia: 21, nome: 'Tiradentes' },
+  { mes: 5, dia: 1, nome: 'Dia do Trabalho' },
+  { mes: 9, dia: 7, nome: 'Independência do Brasil' },
+  { mes: 10, dia: 12, nome: 'Nossa Senhora Aparecida' },
+  { mes: 11, dia: 2, nome: 'Finados' },
+  { mes: 11, dia: 15, nome: 'Proclamação da República' },
+  { mes: 11, dia: 20, nome: 'Dia Nacional de Zumbi e da Consciência Negra', desde: 2024 },
+  { mes: 12, dia: 25, nome: 'Natal' }
+];
+
+/**
+ * Feriados móveis, definidos em relação ao domingo de Páscoa.
+ * @type {FeriadoMovel[]}
+ */
+export const FERIADOS_MOVEIS = [
+  { diasAposPascoa: -48, nome: 'Carnaval (segunda-feira)', facultativo: true },
+  { diasAposPascoa: -47, nome: 'Carnaval (terça-feira)', facultativo: true },
+  { diasAposPascoa: -2, nome: 'Paixão de Cristo' },
+  { diasAposPascoa: 60, nome: 'Corpus Christi', facultativo: true }
+];
@@ -0,0 +1,21 @@
+/**
+ * @file Regras do Fracionamento de Férias.
+ * @module data/fracionamento-ferias
+ * @description Limites do fracionamento das férias em até três períodos (CLT, art. 134, §§ 1º e 3º,
+ * com a redação da Lei 13.467/2017) e prazo de pagamento (art. 145). É consumida pelo planejador de
+ * férias fracionadas (`core/fracionamentoFerias`).
+ */
+
+/**
+ * Regras do fracionamento: quantidade de períodos, duração mínima, vedação de início nos dois dias
+ * que antecedem feriado ou repouso semanal e antecedência do pagamento.
+ * @type {{maxPeriodos: number, diasMinimosPrincipal: number, diasMinimosDemais: number, diasVedadosAntesDescanso: number, antecedenciaPagamentoDias: number, fundamento: string}}
+ */
+export const REGRAS_FRACIONAMENTO_FERIAS = {
+  maxPeriodos: 3,
+  diasMinimosPrincipal: 14,
+  diasMinimosDemais: 5,
+  diasVedadosAntesDescanso: 2,
+  antecedenciaPagamentoDias: 2,
+  fundamento: 'CLT, arts. 134, §§ 1º e 3º, e 145'
+};
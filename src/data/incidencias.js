@@ -0,0 +1,104 @@
+/**
+ * @file Matriz de Incidências por Rubrica.
+ * @module data/incidencias
+ * @description Define, para cada rubrica paga nas calculadoras, se o valor integra a base do INSS,
+ * do IRRF e do FGTS. É a matriz padrão consumida por `core/incidencias`; cada arquivo de
+ * parâmetros anual pode sobrescrever rubricas pela propriedade `incidencias`, de modo que uma
+ * mudança de regra seja uma alteração de dados, e não de código.
+ */
+
+/**
+ * @typedef {Object} Incidencia
+ * @property {string} label - Rótulo de exibição da rubrica.
+ * @property {boolean} inss - Se integra o salário de contribuição.
+ * @property {boolean} irrf - Se integra a base do IRRF.
+ * @property {boolean} fgts - Se integra a base do depósito do FGTS.
+ * @property {string} fundamento - Dispositivo legal ou entendimento de referência.
+ */
+
+/**
+ * Matriz padrão de incidências, indexada pela chave da rubrica.
+ * @type {Object.<string, Incidencia>}
+ */
+export const INCIDENCIAS = {
+  salario: {
+    label: 'Salário e adicionais do mês',
+    inss: true, irrf: true, fgts: true,
+    fundamento: 'Lei 8.212/91, art. 28, I; Lei 8.036/90, art. 15'
+  },
+  saldoSalario: {
+    label: 'Saldo de salário',
+    inss: true, irrf: true, fgts: true,
+    fundamento: 'Lei 8.212/91, art. 28, I; Lei 8.036/90, art. 15'
+  },
+  avisoTrabalhado: {
+    label: 'Aviso prévio trabalhado',
+    inss: true, irrf: true, fgts: true,
+    fundamento: 'Natureza salarial (CLT, art. 488)'
+  },
+  avisoIndenizado: {
+    label: 'Aviso prévio indenizado',
+    inss: false, irrf: false, fgts: true,
+    fundamento: 'STJ, REsp 1.230.957 (INSS); Lei 7.713/88, art. 6º, V (IRRF); Súmula 305 TST (FGTS)'
+  },
+  feriasGozadas: {
+    label: 'Férias gozadas',
+    inss: true, irrf: true, fgts: true,
+    fundamento: 'Lei 8.212/91, art. 28, I; Lei 8.036/90, art. 15'
+  },
+  tercoFeriasGozadas: {
+    label: '1/3 sobre férias gozadas',
+    inss: true, irrf: true, fgts: true,
+    fundamento: 'STF, Tema 985 (INSS); CF, art. 7º, XVII'
+  },
+  abonoPecuniario: {
+    label: 'Abono pecuniário de férias',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'CLT, art. 144; Lei 8.212/91, art. 28, § 9º, "e", 6; Ato Declaratório PGFN 6/2008'
+  },
+  dobraFerias: {
+    label: 'Dobra das férias pagas fora do prazo',
+    inss: false, irrf: true, fgts: false,
+    fundamento: 'CLT, arts. 137 e 145; Súmula 450 TST; Lei 8.212/91, art. 28, § 9º, "d"'
+  },
+  feriasIndenizadas: {
+    label: 'Férias indenizadas (vencidas e proporcionais)',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'Lei 8.212/91, art. 28, § 9º, "d"; Súmula 386 STJ; Ato Declaratório PGFN 5/2006'
+  },
+  tercoFeriasIndenizadas: {
+    label: '1/3 sobre férias indenizadas',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'Lei 8.212/91, art. 28, § 9º, "d"; Súmula 386 STJ'
+  },
+  decimoTerceiro: {
+    label: '13º salário',
+    inss: true, irrf: true, fgts: true,
+    fundamento: 'Lei 8.212/91, art. 28, § 7º; Lei 7.713/88, art. 26 (tributação exclusiva)'
+  },
+  indenizacaoArt479: {
+    label: 'Indenização do art. 479 da CLT',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'Lei 8.212/91, art. 28, § 9º, "e", 3; Lei 7.713/88, art. 6º, V'
+  },
+  indenizacaoLei7238: {
+    label: 'Indenização adicional (Lei 7.238/84)',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'Lei 8.212/91, art. 28, § 9º, "e", 6; Lei 7.713/88, art. 6º, V'
+  },
+  indenizacaoEstabilitaria: {
+    label: 'Indenização estabilitária (salários + 13º)',
+    inss: false, irrf: false, fgts: true,
+    fundamento: 'Súmula 396 TST; Lei 7.713/88, art. 6º, V'
+  },
+  multaArt477: {
+    label: 'Multa do art. 477, § 8º',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'Natureza indenizatória (CLT, art. 477, § 8º)'
+  },
+  multaFGTS: {
+    label: 'Multa rescisória do FGTS',
+    inss: false, irrf: false, fgts: false,
+    fundamento: 'Lei 8.036/90, art. 18, § 1º; Lei 7.713/88, art. 6º, V'
+  }
+};
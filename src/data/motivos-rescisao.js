@@ -0,0 +1,144 @@
+/**
+ * @file Regras por Motivo de Rescisão.
+ * @module data/motivos-rescisao
+ * @description Tabela única com as regras de cada motivo de rescisão contratual: quais verbas
+ * são devidas (e em que fração), a alíquota da multa do FGTS, se há aviso prévio a cargo do
+ * empregador e se o trabalhador pode sacar o FGTS e requerer o seguro-desemprego.
+ * É consumida pelo motor de cálculo (`core/rescisao`) e pelo `<select>` de motivo do formulário.
+ */
+
+/**
+ * @typedef {Object} VerbasDevidas
+ * @property {number} saldoSalario - Fração devida do saldo de salário (0 a 1).
+ * @property {number} avisoPrevio - Fração devida do aviso prévio indenizado (0 a 1). Zero indica que não há aviso a cargo do empregador.
+ * @property {number} feriasVencidas - Fração devida das férias vencidas + 1/3.
+ * @property {number} feriasProporcionais - Fração devida das férias proporcionais + 1/3.
+ * @property {number} decimoProporcional - Fração devida do 13º salário proporcional.
+ */
+
+/**
+ * @typedef {Object} MotivoRescisao
+ * @property {string} label - Rótulo de exibição do motivo.
+ * @property {string} fundamento - Dispositivo legal ou súmula de referência.
+ * @property {string} codigoAfastamento - Código do motivo de desligamento (eSocial, Tabela 19), informado no TRCT.
+ * @property {VerbasDevidas} verbas - Frações devidas de cada verba rescisória.
+ * @property {number} multaFgts - Alíquota da multa rescisória sobre a base do FGTS.
+ * @property {boolean} saqueFgts - Se o trabalhador (ou seus dependentes) pode movimentar a conta do FGTS.
+ * @property {number} percentualSaqueFgts - Fração do saldo do FGTS liberada para saque (0 a 1). A multa rescisória é sacada integralmente.
+ * @property {boolean} seguroDesemprego - Se o motivo dá direito ao seguro-desemprego.
+ */
+
+/**
+ * Mapa de motivos de rescisão para as regras aplicáveis.
+ * A ordem das chaves define a ordem de exibição no formulário.
+ * @type {Object.<string, MotivoRescisao>}
+ */
+export const MOTIVOS_RESCISAO = {
+  SEM_JUSTA_CAUSA: {
+    label: 'Sem justa causa',
+    fundamento: 'CLT, art. 477',
+    codigoAfastamento: '02',
+    verbas: { saldoSalario: 1, avisoPrevio: 1, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0.40,
+    saqueFgts: true,
+    percentualSaqueFgts: 1,
+    seguroDesemprego: true
+  },
+  PEDIDO_DEMISSAO: {
+    label: 'Pedido de demissão',
+    fundamento: 'CLT, art. 487; Súmula 261 TST',
+    codigoAfastamento: '07',
+    verbas: { saldoSalario: 1, avisoPrevio: 0, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0,
+    saqueFgts: false,
+    percentualSaqueFgts: 0,
+    seguroDesemprego: false
+  },
+  JUSTA_CAUSA: {
+    label: 'Justa causa',
+    fundamento: 'CLT, art. 482',
+    codigoAfastamento: '01',
+    verbas: { saldoSalario: 1, avisoPrevio: 0, feriasVencidas: 1, feriasProporcionais: 0, decimoProporcional: 0 },
+    multaFgts: 0,
+    saqueFgts: false,
+    percentualSaqueFgts: 0,
+    seguroDesemprego: false
+  },
+  ACORDO_MUTUO: {
+    label: 'Acordo mútuo',
+    fundamento: 'CLT, art. 484-A',
+    codigoAfastamento: '33',
+    verbas: { saldoSalario: 1, avisoPrevio: 0.5, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0.20,
+    saqueFgts: true,
+    percentualSaqueFgts: 0.80,
+    seguroDesemprego: false
+  },
+  RESCISAO_INDIRETA: {
+    label: 'Rescisão indireta',
+    fundamento: 'CLT, art. 483',
+    codigoAfastamento: '17',
+    verbas: { saldoSalario: 1, avisoPrevio: 1, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0.40,
+    saqueFgts: true,
+    percentualSaqueFgts: 1,
+    seguroDesemprego: true
+  },
+  CULPA_RECIPROCA: {
+    label: 'Culpa recíproca',
+    fundamento: 'CLT, art. 484; Súmula 14 TST',
+    codigoAfastamento: '05',
+    verbas: { saldoSalario: 1, avisoPrevio: 0.5, feriasVencidas: 1, feriasProporcionais: 0.5, decimoProporcional: 0.5 },
+    multaFgts: 0.20,
+    saqueFgts: true,
+    percentualSaqueFgts: 1,
+    seguroDesemprego: false
+  },
+  TERMINO_CONTRATO: {
+    label: 'Fim de contrato a termo',
+    fundamento: 'CLT, art. 443; Lei 8.036/90, art. 20, IX',
+    codigoAfastamento: '06',
+    verbas: { saldoSalario: 1, avisoPrevio: 0, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0,
+    saqueFgts: true,
+    percentualSaqueFgts: 1,
+    seguroDesemprego: false
+  },
+  FALECIMENTO: {
+    label: 'Falecimento do empregado',
+    fundamento: 'Lei 8.036/90, art. 20, IV',
+    codigoAfastamento: '10',
+    verbas: { saldoSalario: 1, avisoPrevio: 0, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0,
+    saqueFgts: true,
+    percentualSaqueFgts: 1,
+    seguroDesemprego: false
+  },
+  APOSENTADORIA: {
+    label: 'Aposentadoria',
+    fundamento: 'Lei 8.036/90, art. 20, III',
+    codigoAfastamento: '38',
+    verbas: { saldoSalario: 1, avisoPrevio: 0, feriasVencidas: 1, feriasProporcionais: 1, decimoProporcional: 1 },
+    multaFgts: 0,
+    saqueFgts: true,
+    percentualSaqueFgts: 1,
+    seguroDesemprego: false
+  }
+};
+
+/**
+ * Um array contendo todas as chaves (IDs) dos motivos definidos em `MOTIVOS_RESCISAO`.
+ * @type {string[]}
+ */
+export const MOTIVO_RESCISAO_KEYS = Object.keys(MOTIVOS_RESCISAO);
+
+/**
+ * Obtém as regras de um motivo de rescisão. A chave é normalizada para maiúsculas,
+ * aceitando, por exemplo, 'sem_justa_causa'.
+ * @param {string} motivo - A chave do motivo (ex: 'CULPA_RECIPROCA').
+ * @returns {MotivoRescisao|null} As regras do motivo, ou `null` se o motivo não existir.
+ */
+export function getMotivoRescisao(motivo){
+  const key = String(motivo || '').toUpperCase();
+  return MOTIVOS_RESCISAO[key] || null;
+}
@@ -15,6 +15,8 @@
  * @property {number} irrfTable.rate - A alíquota do imposto para a faixa.
  * @property {number} irrfTable.deduction - O valor a ser deduzido do imposto calculado na faixa.
  * @property {number} irrfDependentDeduction - O valor da dedução por dependente para o cálculo do IRRF.
+ * @property {Object.<string, object>} incidencias - Sobrescritas da matriz de incidências (INSS, IRRF e FGTS) por
+ * rubrica, aplicadas sobre `data/incidencias` (ex: `{ abonoPecuniario: { irrf: true } }`).
  */
 export default {
   ano: 2022,
@@ -33,5 +35,6 @@ export default {
     { limit: 4664.68, rate: 0.225, deduction: 636.13 },
     { limit: 999999999, rate: 0.275, deduction: 869.36 }
   ],
-  irrfDependentDeduction: 189.59
+  irrfDependentDeduction: 189.59,
+  incidencias: {}
 };
@@ -0,0 +1,50 @@
+/**
+ * @file Rubricas do TRCT.
+ * @module data/rubricas-trct
+ * @description Códigos das rubricas do Termo de Rescisão do Contrato de Trabalho (TRCT)
+ * usados para discriminar as verbas rescisórias e as deduções. Cada rubrica aponta para o
+ * campo correspondente do resultado de `calcularRescisao`. Verbas sem rubrica padrão
+ * (ex: indenização estabilitária) são lançadas em campo livre, sem código.
+ */
+
+/**
+ * @typedef {Object} RubricaTRCT
+ * @property {string} codigo - Código da rubrica no TRCT (vazio para campo livre).
+ * @property {string} descricao - Descrição impressa no termo.
+ * @property {string[]} campos - Campos do resultado de `calcularRescisao` somados na rubrica.
+ */
+
+/**
+ * Rubricas de crédito (verbas rescisórias), na ordem de impressão.
+ * @type {RubricaTRCT[]}
+ */
+export const RUBRICAS_TRCT_CREDITOS = [
+  { codigo: '50', descricao: 'Saldo de Salário', campos: ['saldoSalario'] },
+  { codigo: '61', descricao: 'Multa Art. 479/CLT', campos: ['indenizacaoArt479'] },
+  { codigo: '63', descricao: 'Férias Proporcionais', campos: ['feriasProporcionais'] },
+  { codigo: '64', descricao: 'Férias Vencidas', campos: ['feriasVencidas'] },
+  { codigo: '65', descricao: 'Terço Constitucional de Férias', campos: ['tercoFeriasProporcionais', 'tercoFeriasVencidas'] },
+  { codigo: '69', descricao: 'Aviso Prévio Indenizado', campos: ['avisoIndenizado'] },
+  { codigo: '70', descricao: '13º Salário Proporcional', campos: ['decimoProporcional'] },
+  { codigo: '95', descricao: 'Indenização Adicional (Lei 7.238/84)', campos: ['indenizacaoLei7238'] },
+  { codigo: '', descricao: 'Indenização Estabilitária', campos: ['indenizacaoEstabilitaria'] }
+];
+
+/**
+ * Rubricas de dedução, na ordem de impressão. INSS e IRRF são desdobrados em folha e 13º
+ * (subcódigos .1 e .2), como no termo oficial.
+ * @type {RubricaTRCT[]}
+ */
+export const RUBRICAS_TRCT_DEDUCOES = [
+  { codigo: '100', descricao: 'Pensão Alimentícia', campos: ['descontoPensao'] },
+  { codigo: '101', descricao: 'Adiantamento Salarial', campos: ['descontoAdiantamentos'] },
+  { codigo: '103', descricao: 'Aviso Prévio Indenizado (art. 487, § 2º)', campos: ['descontoAvisoPrevio'] },
+  { codigo: '104', descricao: 'Multa Art. 480/CLT', campos: ['descontoArt480'] },
+  { codigo: '106', descricao: 'Vale-Transporte', campos: ['descontoVt'] },
+  { codigo: '112.1', descricao: 'Previdência Social', campos: ['inssFolha'] },
+  { codigo: '112.2', descricao: 'Previdência Social - 13º Salário', campos: ['inssDecimo'] },
+  { codigo: '114.1', descricao: 'IRRF', campos: ['irrfFolha'] },
+  { codigo: '114.2', descricao: 'IRRF sobre 13º Salário', campos: ['irrfDecimo'] },
+  { codigo: '115', descricao: 'Outros Descontos (VR, Plano de Saúde)', campos: ['descontoVr', 'descontoSaude'] },
+  { codigo: '115.1', descricao: 'Faltas, Atrasos e DSR', campos: ['descontoFaltas'] }
+];
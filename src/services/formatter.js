@@ -113,6 +113,53 @@ export class FormatadorData {
         return dataInicio < dataFim;
     }
 
+    /**
+     * Converte uma data no formato brasileiro (DD/MM/YYYY) ou ISO (YYYY-MM-DD) para ISO, em UTC.
+     * @param {string} textoData - A data informada.
+     * @returns {string} A data em ISO ou uma string vazia se a entrada for inválida.
+     */
+    static paraISO(textoData) {
+        const texto = String(textoData || '').trim();
+        const m = texto.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (m) {
+            const [y, mth, d] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+            const dt = new Date(Date.UTC(y, mth, d));
+            return dt.getUTCFullYear() === y && dt.getUTCMonth() === mth && dt.getUTCDate() === d ? texto : '';
+        }
+        const dt = this.analisarBR(texto);
+        return dt ? dt.toISOString().slice(0, 10) : '';
+    }
+
+    /**
+     * Obtém a competência ('YYYY-MM') de uma data no formato brasileiro (DD/MM/YYYY) ou ISO.
+     * @param {string} textoData - A data informada.
+     * @returns {string} A competência ou uma string vazia se a data for inválida.
+     */
+    static competenciaDe(textoData) {
+        return this.paraISO(textoData).slice(0, 7);
+    }
+
+    /**
+     * Soma anos e dias a uma data ISO, em UTC. Datas inexistentes avançam para o mês seguinte (29/02 + 1 ano = 01/03).
+     * @param {string} iso - A data de referência ('YYYY-MM-DD').
+     * @param {{anos?: number, dias?: number}} [deslocamento] - Anos e dias a somar (podem ser negativos).
+     * @returns {string} A data resultante no formato ISO.
+     */
+    static somarData(iso, { anos = 0, dias = 0 } = {}) {
+        const [y, m, d] = iso.split('-').map(Number);
+        return new Date(Date.UTC(y + anos, m - 1, d + dias)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Soma dias a uma data ISO, em UTC.
+     * @param {string} iso - A data de referência ('YYYY-MM-DD').
+     * @param {number} dias - Dias a somar (podem ser negativos).
+     * @returns {string} A data resultante no formato ISO.
+     */
+    static somarDias(iso, dias) {
+        return this.somarData(iso, { dias });
+    }
+
     /** @deprecated Usar `analisarBR`. */
     static parseBR(textoData) { return this.analisarBR(textoData); }
     /** @deprecated Usar `formatarBR`. */
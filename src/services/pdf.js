@@ -6,8 +6,9 @@
  * `jsPDF` e `jspdf-autotable` de uma CDN para manter o build leve e sem dependências diretas.
  */
 
-import { CurrencyFormatter } from './formatter.js';
+import { CurrencyFormatter, DateFormatter } from './formatter.js';
 import { getAnoAtual } from '../core/parametersStore.js';
+import { montarTRCT } from './trct.js';
 
 /**
  * Promessa que armazena o estado de carregamento da biblioteca jsPDF para evitar cargas múltiplas.
@@ -185,3 +186,168 @@ export async function gerarPDFResultado(titulo, resultados, sectionsOrLines) {
   const filename = `${calcTitle.replace(/\s+/g, '_').toLowerCase()}_resultado.pdf`;
   doc.save(filename);
 }
+
+/**
+ * Gera e dispara o download do Termo de Rescisão do Contrato de Trabalho (TRCT) no layout do
+ * termo oficial: identificação do empregador e do trabalhador, dados do contrato (datas, causa
+ * e código de afastamento), discriminação das verbas e deduções por rubrica e áreas de assinatura.
+ * Todos os campos são preenchidos a partir do resultado de `calcularRescisao` (via `montarTRCT`).
+ * @public
+ * @async
+ * @param {import('../core/rescisao.js').RescisaoResult} resultado - O resultado do cálculo da rescisão.
+ */
+export async function gerarPDFTRCT(resultado) {
+  const trct = montarTRCT(resultado);
+  if (!trct) return;
+  const jsPDF = await getJsPDF();
+  await getAutoTable();
+
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const left = 40; const right = 555; const top = 40;
+  const moeda = (v) => CurrencyFormatter.format(Number(v) || 0);
+  const data = (iso) => DateFormatter.formatBR(iso);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(13);
+  const titulo = 'TERMO DE RESCISÃO DO CONTRATO DE TRABALHO';
+  doc.text(titulo, (left + right - doc.getTextWidth(titulo)) / 2, top);
+
+  let currentY = top + 14;
+  const estiloCampos = {
+    theme: 'grid',
+    styles: { font: 'helvetica', fontSize: 9, cellPadding: 4, textColor: 33 },
+    headStyles: { fillColor: [60, 64, 67], textColor: 255, fontStyle: 'bold', halign: 'left' },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 110 }, 2: { fontStyle: 'bold', cellWidth: 110 } }
+  };
+  // Bloco de campos numerados do termo (rótulo/valor em duas colunas).
+  const bloco = (tituloBloco, linhas) => {
+    doc.autoTable({
+      ...estiloCampos,
+      startY: currentY,
+      margin: { left, right: 40 },
+      head: [[{ content: tituloBloco, colSpan: 4 }]],
+      body: linhas
+    });
+    currentY = doc.lastAutoTable.finalY + 8;
+  };
+
+  bloco('IDENTIFICAÇÃO DO EMPREGADOR', [
+    ['01 CNPJ/CEI', trct.empregador.cnpj, '02 Razão Social/Nome', trct.empregador.razaoSocial]
+  ]);
+  bloco('IDENTIFICAÇÃO DO TRABALHADOR', [
+    ['10 PIS/PASEP', trct.empregado.pis, '11 Nome', trct.empregado.nome],
+    ['17 CTPS (nº, série, UF)', trct.empregado.ctps, '18 CPF', trct.empregado.cpf]
+  ]);
+  bloco('DADOS DO CONTRATO', [
+    ['21 Tipo de Contrato', { content: trct.contrato.tipo, colSpan: 3 }],
+    ['22 Causa do Afastamento', trct.contrato.causaAfastamento, '23 Remuneração p/ Fins Rescisórios', moeda(trct.contrato.remuneracao)],
+    ['24 Data de Admissão', data(trct.contrato.dataAdmissao), '26 Data de Afastamento', data(trct.contrato.dataAfastamento)],
+    ['27 Cód. Afastamento', trct.contrato.codigoAfastamento, 'Projeção do Aviso Prévio', data(trct.contrato.dataProjecaoAviso)]
+  ]);
+
+  // Discriminação por rubrica, com a linha de total ao final.
+  const tabelaRubricas = (tituloBloco, linhas, totalLabel, total) => {
+    doc.autoTable({
+      theme: 'grid',
+      startY: currentY,
+      margin: { left, right: 40 },
+      styles: { font: 'helvetica', fontSize: 9, cellPadding: 4, textColor: 33 },
+      headStyles: { fillColor: [60, 64, 67], textColor: 255, fontStyle: 'bold' },
+      columnStyles: { 0: { cellWidth: 60 }, 2: { cellWidth: 110, halign: 'right' } },
+      head: [[{ content: tituloBloco, colSpan: 3 }], ['Rubrica', 'Descrição', 'Valor']],
+      body: [
+        ...linhas.map(l => [l.codigo, l.descricao, moeda(l.valor)]),
+        [{ content: totalLabel, colSpan: 2, styles: { fontStyle: 'bold' } }, { content: moeda(total), styles: { fontStyle: 'bold', halign: 'right' } }]
+      ]
+    });
+    currentY = doc.lastAutoTable.finalY + 8;
+  };
+
+  tabelaRubricas('DISCRIMINAÇÃO DAS VERBAS RESCISÓRIAS', trct.creditos, 'TOTAL RESCISÓRIO BRUTO', trct.totalBruto);
+  tabelaRubricas('DEDUÇÕES', trct.deducoes, 'TOTAL DAS DEDUÇÕES', trct.totalDeducoes);
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  const liquido = `VALOR RESCISÓRIO LÍQUIDO: ${moeda(trct.valorLiquido)}`;
+  doc.text(liquido, right - doc.getTextWidth(liquido), currentY + 8);
+  currentY += 28;
+
+  // Áreas de assinatura.
+  if (currentY > 700) { doc.addPage(); currentY = top + 20; }
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text('Local e data: ______________________________________________', left, currentY);
+  currentY += 50;
+  const assinatura = (x, texto) => {
+    doc.line(x, currentY, x + 220, currentY);
+    doc.text(texto, x + (220 - doc.getTextWidth(texto)) / 2, currentY + 12);
+  };
+  assinatura(left, 'Assinatura do Empregador ou Preposto');
+  assinatura(right - 220, 'Assinatura do Trabalhador');
+  currentY += 50;
+  assinatura(left, 'Assinatura do Responsável Legal do Trabalhador');
+  assinatura(right - 220, 'Carimbo e Assinatura do Assistente');
+
+  doc.save('trct_rescisao.pdf');
+}
+
+/**
+ * Gera e dispara o download da matriz de comparação de cenários de rescisão, em paisagem: uma
+ * coluna por cenário com o valor de cada verba e total e a diferença em relação ao cenário de
+ * referência, seguidos do saque do FGTS e da elegibilidade ao seguro-desemprego.
+ * @public
+ * @async
+ * @param {import('../core/cenarios.js').ComparacaoCenarios} comparacao - O resultado de `compararCenariosRescisao`.
+ */
+export async function gerarPDFComparacaoCenarios(comparacao) {
+  if (!comparacao?.cenarios?.length) return;
+  const jsPDF = await getJsPDF();
+  await getAutoTable();
+
+  const doc = new jsPDF({ unit: 'pt', format: 'a4', orientation: 'landscape' });
+  const left = 40; const right = 802; const top = 40;
+  const moeda = (v) => CurrencyFormatter.format(Number(v) || 0);
+  const { cenarios, indiceBase, linhas } = comparacao;
+  let anoParam = '';
+  try { anoParam = String(getAnoAtual() || ''); } catch(_e) {}
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text('Comparação de Cenários de Rescisão', left, top);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  const rightText = `${new Date().toLocaleDateString()}${anoParam ? `  |  Parâmetros: ${anoParam}` : ''}`;
+  doc.text(rightText, right - doc.getTextWidth(rightText), top);
+  doc.text(`Diferenças em relação a: ${cenarios[indiceBase].label}`, left, top + 16);
+
+  // Valor e, na linha de baixo, a diferença para o cenário de referência.
+  const celula = (valor, d, i) => {
+    const texto = valor === null ? 'Não devido' : moeda(valor);
+    if (i === indiceBase || !d) return texto;
+    return `${texto}\n${d > 0 ? '+' : '-'}${moeda(Math.abs(d))}`;
+  };
+  const referencia = { fillColor: [232, 240, 254] };
+
+  doc.autoTable({
+    theme: 'grid',
+    startY: top + 28,
+    margin: { left, right: 40 },
+    styles: { font: 'helvetica', fontSize: 8, cellPadding: 4, textColor: 33, halign: 'right' },
+    headStyles: { fillColor: [60, 64, 67], textColor: 255, fontStyle: 'bold', halign: 'center' },
+    columnStyles: { 0: { cellWidth: 150, halign: 'left' }, [indiceBase + 1]: referencia },
+    head: [['Verba', ...cenarios.map(c => c.label)]],
+    body: [
+      ...linhas.map(l => [
+        { content: l.label, styles: l.total ? { fontStyle: 'bold' } : {} },
+        ...l.valores.map((v, i) => ({ content: celula(v, l.deltas[i], i), styles: l.total ? { fontStyle: 'bold' } : {} }))
+      ]),
+      ['Saque do FGTS', ...cenarios.map(c => !c.saqueFgts ? 'Não permitido' : (c.percentualSaqueFgts < 1 ? `Permitido (${Math.round(c.percentualSaqueFgts * 100)}%)` : 'Permitido'))],
+      ['Seguro-desemprego', ...cenarios.map(c => c.seguroDesemprego ? 'Elegível' : 'Não elegível')]
+    ]
+  });
+
+  doc.setFontSize(8);
+  doc.text('* Valores estimados. Cada cenário recalcula o mesmo contrato trocando apenas o motivo e a forma do aviso prévio.', left, doc.lastAutoTable.finalY + 16);
+
+  doc.save('comparacao_cenarios_rescisao.pdf');
+}
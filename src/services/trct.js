@@ -0,0 +1,106 @@
+/**
+ * @file Montagem do TRCT.
+ * @module services/trct
+ * @description Converte o resultado de `calcularRescisao` na estrutura do Termo de Rescisão do
+ * Contrato de Trabalho (TRCT): identificação das partes, dados do contrato, causa e código de
+ * afastamento e discriminação das verbas por rubrica. A estrutura é consumida pela geração do
+ * PDF (`services/pdf`) e não depende do DOM.
+ */
+
+import { RUBRICAS_TRCT_CREDITOS, RUBRICAS_TRCT_DEDUCOES } from '../data/rubricas-trct.js';
+import { round2 } from '../core/round.js';
+import { DateFormatter } from './formatter.js';
+
+/**
+ * Rótulos dos tipos de contrato impressos no campo "Tipo de Contrato".
+ * @private
+ * @type {Object.<string, string>}
+ */
+const TIPOS_CONTRATO = {
+  indeterminado: 'Contrato de trabalho por prazo indeterminado',
+  experiencia: 'Contrato de experiência',
+  prazo_determinado: 'Contrato de trabalho por prazo determinado'
+};
+
+/**
+ * @typedef {Object} LinhaTRCT
+ * @property {string} codigo - Código da rubrica.
+ * @property {string} descricao - Descrição da rubrica.
+ * @property {number} valor - Valor lançado.
+ */
+
+/**
+ * @typedef {Object} TRCT
+ * @property {{razaoSocial: string, cnpj: string}} empregador - Identificação do empregador.
+ * @property {{nome: string, cpf: string, pis: string, ctps: string}} empregado - Identificação do trabalhador.
+ * @property {Object} contrato - Dados do contrato.
+ * @property {string} contrato.tipo - Tipo de contrato.
+ * @property {string} contrato.causaAfastamento - Causa do afastamento (rótulo do motivo).
+ * @property {string} contrato.codigoAfastamento - Código do afastamento.
+ * @property {number} contrato.remuneracao - Remuneração de referência para fins rescisórios.
+ * @property {string} contrato.dataAdmissao - Data de admissão (ISO).
+ * @property {string} contrato.dataAfastamento - Data de afastamento (ISO).
+ * @property {string} contrato.dataProjecaoAviso - Término com a projeção do aviso indenizado (ISO).
+ * @property {LinhaTRCT[]} creditos - Verbas rescisórias com valor.
+ * @property {LinhaTRCT[]} deducoes - Deduções com valor.
+ * @property {number} totalBruto - Soma dos créditos.
+ * @property {number} totalDeducoes - Soma das deduções.
+ * @property {number} valorLiquido - Valor líquido do termo.
+ */
+
+/**
+ * Lança as rubricas com valor positivo, somando os campos de cada uma.
+ * @private
+ * @param {import('../data/rubricas-trct.js').RubricaTRCT[]} rubricas - As rubricas a lançar.
+ * @param {Object.<string, number>} valores - Valores do resultado, indexados pelo nome do campo.
+ * @returns {LinhaTRCT[]} As linhas lançadas.
+ */
+function lancarRubricas(rubricas, valores){
+  return rubricas
+    .map(({ codigo, descricao, campos }) => ({
+      codigo,
+      descricao,
+      valor: round2(campos.reduce((acc, campo) => acc + (Number(valores[campo]) || 0), 0))
+    }))
+    .filter(linha => linha.valor > 0);
+}
+
+/**
+ * Monta o TRCT a partir do resultado de `calcularRescisao`. A multa do FGTS não integra o
+ * termo (é depositada na conta vinculada), assim como os depósitos de FGTS do mês.
+ * @param {import('../core/rescisao.js').RescisaoResult} resultado - O resultado do cálculo da rescisão.
+ * @returns {TRCT|null} A estrutura do termo, ou `null` se o resultado estiver vazio.
+ */
+export function montarTRCT(resultado){
+  if (!resultado || !resultado.motivo) return null;
+  const valores = {
+    ...resultado,
+    ...(resultado.descontosInformados || {}),
+    irrfFolha: resultado.irrfBreakdown?.folha?.valor || 0,
+    irrfDecimo: resultado.irrfBreakdown?.decimo?.valor || 0
+  };
+  const creditos = lancarRubricas(RUBRICAS_TRCT_CREDITOS, valores);
+  const deducoes = lancarRubricas(RUBRICAS_TRCT_DEDUCOES, valores);
+  const totalBruto = round2(creditos.reduce((acc, l) => acc + l.valor, 0));
+  const totalDeducoes = round2(deducoes.reduce((acc, l) => acc + l.valor, 0));
+  const { empregador = {}, empregado = {} } = resultado.identificacao || {};
+
+  return {
+    empregador: { razaoSocial: empregador.razaoSocial || '', cnpj: empregador.cnpj || '' },
+    empregado: { nome: empregado.nome || '', cpf: empregado.cpf || '', pis: empregado.pis || '', ctps: empregado.ctps || '' },
+    contrato: {
+      tipo: TIPOS_CONTRATO[resultado.tipoContrato] || TIPOS_CONTRATO.indeterminado,
+      causaAfastamento: resultado.motivoLabel || resultado.motivo,
+      codigoAfastamento: resultado.codigoAfastamento || '',
+      remuneracao: round2(resultado.remuneracaoBase || 0),
+      dataAdmissao: DateFormatter.paraISO(resultado.dataAdmissao),
+      dataAfastamento: DateFormatter.paraISO(resultado.dataDemissao),
+      dataProjecaoAviso: resultado.dataProjecaoAviso || ''
+    },
+    creditos,
+    deducoes,
+    totalBruto,
+    totalDeducoes,
+    valorLiquido: round2(totalBruto - totalDeducoes)
+  };
+}
@@ -0,0 +1,98 @@
+/**
+ * @file Editor do Histórico do FGTS.
+ * @module ui/components/fgtsHistorico
+ * @description Gera, no formulário de rescisão, os campos usados na reconstrução do saldo do
+ * FGTS: o histórico salarial (remuneração a partir de cada competência) e, em uma seção
+ * recolhível, o depósito de cada competência do contrato, para corrigir os valores estimados
+ * com os do extrato. Os campos usam `data-state` (`rescisao.reajustesSalariais.<índice>.<campo>`
+ * e `rescisao.depositosFgtsInformados.<YYYY-MM>`).
+ */
+
+import { listarCompetenciasFGTS } from '../../core/fgts.js';
+
+/**
+ * Quantidade de linhas do histórico salarial.
+ * @private
+ * @type {number}
+ */
+const LINHAS_REAJUSTE = 6;
+
+/**
+ * Nomes abreviados dos meses, para o rótulo da competência.
+ * @private
+ * @type {string[]}
+ */
+const MESES = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+
+/**
+ * Gera o HTML de uma linha do histórico salarial.
+ * @private
+ * @param {number} indice - Posição em `rescisao.reajustesSalariais`.
+ * @param {object} informado - Reajuste já informado, se houver.
+ * @returns {string} A string HTML da linha.
+ */
+function reajusteRow(indice, informado = {}) {
+    const path = `rescisao.reajustesSalariais.${indice}`;
+    return `<div class="grid grid-cols-2 gap-3 items-end">
+        <div class="space-y-1">
+            <label class="text-xs text-muted-foreground" for="resc-reajuste-${indice}-competencia">A partir de</label>
+            <input type="month" id="resc-reajuste-${indice}-competencia" data-state="${path}.competencia" class="input" value="${informado.competencia || ''}" />
+        </div>
+        <div class="space-y-1">
+            <label class="text-xs text-muted-foreground" for="resc-reajuste-${indice}-salario">Remuneração (R$)</label>
+            <input type="number" id="resc-reajuste-${indice}-salario" data-state="${path}.salario" class="input" value="${Number(informado.salario) || ''}" min="0" step="0.01" />
+        </div>
+    </div>`;
+}
+
+/**
+ * Gera o HTML do campo de depósito informado de uma competência.
+ * @private
+ * @param {string} competencia - A competência ('YYYY-MM').
+ * @param {number|string} informado - Depósito já informado, se houver.
+ * @returns {string} A string HTML do campo.
+ */
+function depositoField(competencia, informado) {
+    const [ano, mes] = competencia.split('-');
+    const id = `resc-fgts-deposito-${competencia}`;
+    const valor = informado === undefined || informado === '' ? '' : Number(informado);
+    return `<div class="space-y-1">
+        <label class="text-xs text-muted-foreground" for="${id}">${MESES[Number(mes) - 1]}/${ano}</label>
+        <input type="number" id="${id}" data-state="rescisao.depositosFgtsInformados.${competencia}" class="input" value="${valor}" min="0" step="0.01" placeholder="Estimado" />
+    </div>`;
+}
+
+/**
+ * Renderiza o editor do histórico do FGTS no contêiner informado. O editor só aparece quando a
+ * estimativa do saldo está ativa, e é recriado apenas quando a opção ou o conjunto de
+ * competências muda, preservando o foco do usuário durante a digitação.
+ * @param {HTMLElement} container - O elemento que recebe os campos.
+ * @param {object} stateResc - O estado da calculadora de rescisão.
+ */
+export function renderFgtsHistoricoEditor(container, stateResc) {
+    if (!container || !stateResc) return;
+    const competencias = stateResc.estimarSaldoFgts ? listarCompetenciasFGTS(stateResc.dataAdmissao, stateResc.dataDemissao) : [];
+    const assinatura = stateResc.estimarSaldoFgts ? (competencias.join('|') || 'vazio') : 'inativo';
+    if (container.dataset.assinatura === assinatura) return;
+    container.dataset.assinatura = assinatura;
+
+    if (!stateResc.estimarSaldoFgts) {
+        container.innerHTML = '';
+        return;
+    }
+    if (!competencias.length) {
+        container.innerHTML = '<p class="text-xs text-muted-foreground">Informe as datas de admissão e demissão para reconstruir os depósitos.</p>';
+        return;
+    }
+    const reajustes = Array.isArray(stateResc.reajustesSalariais) ? stateResc.reajustesSalariais : [];
+    const depositos = stateResc.depositosFgtsInformados || {};
+    const linhas = Array.from({ length: LINHAS_REAJUSTE }, (_, i) => reajusteRow(i, reajustes[i])).join('');
+    container.innerHTML = `<div>
+            <p class="text-xs text-muted-foreground mb-2">Histórico salarial (opcional). Sem reajustes informados, todos os meses usam a remuneração atual.</p>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4">${linhas}</div>
+        </div>
+        <details>
+            <summary class="text-sm cursor-pointer">Depósitos mensais (${competencias.length} competências) — informe para substituir o valor estimado</summary>
+            <div class="mt-3 grid grid-cols-3 md:grid-cols-6 gap-3">${competencias.map(c => depositoField(c, depositos[c])).join('')}</div>
+        </details>`;
+}
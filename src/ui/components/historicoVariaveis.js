@@ -0,0 +1,62 @@
+/**
+ * @file Editor do Histórico de Verbas Variáveis.
+ * @module ui/components/historicoVariaveis
+ * @description Gera, no formulário de rescisão, uma linha para cada competência considerada nas
+ * médias (os 12 meses anteriores à rescisão), onde o usuário informa as horas extras por
+ * percentual, as horas noturnas, as comissões e as gratificações do mês. Os campos usam
+ * `data-state` indexado pela competência (`rescisao.historicoVariaveis.<YYYY-MM>.<campo>`),
+ * de modo que os valores permanecem associados ao mês quando as datas mudam.
+ */
+
+import { COLUNAS_HISTORICO_VARIAVEIS, listarCompetenciasMedias } from '../../core/medias.js';
+
+/**
+ * Nomes abreviados dos meses, para o rótulo da competência.
+ * @private
+ * @type {string[]}
+ */
+const MESES = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+
+/**
+ * Gera o HTML de uma linha do editor para uma competência.
+ * @private
+ * @param {string} competencia - A competência ('YYYY-MM').
+ * @param {object} informado - Valores já informados para a competência, se houver.
+ * @returns {string} A string HTML da linha.
+ */
+function competenciaRow(competencia, informado = {}) {
+    const [ano, mes] = competencia.split('-');
+    const campos = COLUNAS_HISTORICO_VARIAVEIS.map(c => {
+        const id = `resc-hist-${competencia}-${c.campo}`;
+        return `<div class="space-y-1">
+            <label class="text-xs text-muted-foreground" for="${id}">${c.label}</label>
+            <input type="number" id="${id}" data-state="rescisao.historicoVariaveis.${competencia}.${c.campo}" class="input" value="${Number(informado[c.campo]) || 0}" min="0" step="${c.fator ? '0.5' : '0.01'}" />
+        </div>`;
+    }).join('');
+    return `<div class="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+        <div class="text-sm font-medium">${MESES[Number(mes) - 1]}/${ano}</div>
+        ${campos}
+    </div>`;
+}
+
+/**
+ * Renderiza o editor do histórico de variáveis no contêiner informado. As linhas só são
+ * recriadas quando o conjunto de competências muda (datas de admissão/demissão), preservando
+ * o foco do usuário durante a digitação.
+ * @param {HTMLElement} container - O elemento que recebe as linhas.
+ * @param {object} stateResc - O estado da calculadora de rescisão.
+ */
+export function renderHistoricoVariaveisEditor(container, stateResc) {
+    if (!container || !stateResc) return;
+    const competencias = listarCompetenciasMedias(stateResc.dataAdmissao, stateResc.dataDemissao);
+    const assinatura = competencias.join('|') || 'vazio';
+    if (container.dataset.assinatura === assinatura) return;
+    container.dataset.assinatura = assinatura;
+
+    if (!competencias.length) {
+        container.innerHTML = '<p class="text-xs text-muted-foreground">Informe as datas de admissão e demissão para preencher o histórico mensal.</p>';
+        return;
+    }
+    const informados = stateResc.historicoVariaveis || {};
+    container.innerHTML = competencias.map(c => competenciaRow(c, informados[c])).join('');
+}
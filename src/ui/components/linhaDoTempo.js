@@ -0,0 +1,132 @@
+/**
+ * @file Linha do Tempo do Contrato.
+ * @module ui/components/linhaDoTempo
+ * @description Desenha, em SVG horizontal, a linha do tempo da rescisão devolvida por
+ * `calcularRescisao`: uma trilha para os períodos aquisitivos, outra para os concessivos, outra para
+ * os anos do 13º e outra para o aviso prévio e sua projeção, com os marcos do contrato. Abaixo do
+ * gráfico, os avos dos períodos em curso são detalhados mês a mês.
+ */
+
+import { DateFormatter } from '../../services/formatter.js';
+
+/**
+ * Trilhas do gráfico, na ordem de exibição, com os tipos de faixa de cada uma.
+ * @private
+ * @type {Array<{label: string, tipos: string[]}>}
+ */
+const TRILHAS = [
+    { label: 'Férias (aquisitivo)', tipos: ['aquisitivo'] },
+    { label: 'Férias (concessivo)', tipos: ['concessivo'] },
+    { label: '13º salário', tipos: ['decimoTerceiro'] },
+    { label: 'Aviso prévio', tipos: ['aviso', 'projecao'] }
+];
+
+/**
+ * Cor de preenchimento de cada tipo de faixa.
+ * @private
+ * @type {Object.<string, string>}
+ */
+const CORES = {
+    aquisitivo: '#3b82f6',
+    concessivo: '#10b981',
+    concessivoDobra: '#ef4444',
+    decimoTerceiro: '#f59e0b',
+    aviso: '#8b5cf6',
+    projecao: '#a78bfa'
+};
+
+// Dimensões do gráfico, em unidades do `viewBox`.
+const LARGURA = 800;
+const MARGEM_ROTULOS = 120;
+const ALTURA_TRILHA = 26;
+const TOPO = 34;
+
+/**
+ * Converte uma data ISO em dias desde a época, em UTC.
+ * @private
+ * @param {string} iso - A data ('YYYY-MM-DD').
+ * @returns {number} O número de dias.
+ */
+function dias(iso){
+    const [y, m, d] = iso.split('-').map(Number);
+    return Date.UTC(y, m - 1, d) / 86400000;
+}
+
+/**
+ * Texto curto exibido dentro da barra, quando houver espaço.
+ * @private
+ * @param {import('../../core/rescisao.js').FaixaLinhaDoTempo} f - A faixa.
+ * @returns {string} O texto da barra.
+ */
+function rotuloCurto(f){
+    if (f.tipo === 'decimoTerceiro') return `${f.inicio.slice(0, 4)} · ${f.meses}/12`;
+    if (f.tipo === 'aquisitivo' && f.emCurso) return `em curso · ${f.meses}/12`;
+    return '';
+}
+
+/**
+ * Detalha os avos de uma faixa em curso, mês a mês: dias trabalhados e se o mês gerou avo.
+ * @private
+ * @param {import('../../core/rescisao.js').FaixaLinhaDoTempo} f - A faixa com `avos`.
+ * @returns {string} A string HTML do detalhamento.
+ */
+function detalheAvos(f){
+    const meses = f.avos.map(a => `<span class="px-1.5 py-0.5 rounded border ${a.contado ? 'border-green-600/40' : 'border-red-600/40 line-through'}" title="${DateFormatter.formatBR(a.inicio)} a ${DateFormatter.formatBR(a.fim)}">${a.competencia.slice(5)}/${a.competencia.slice(0, 4)} · ${a.dias}d</span>`).join('');
+    return `<div class="mt-2">
+            <div class="text-xs font-medium mb-1">${f.label} (${DateFormatter.formatBR(f.inicio)} a ${DateFormatter.formatBR(f.fim)})</div>
+            <div class="flex flex-wrap gap-1 text-[10px]">${meses}</div>
+        </div>`;
+}
+
+/**
+ * Renderiza a linha do tempo do contrato como SVG horizontal, seguida dos avos dos períodos em
+ * curso. Faixas que terminam após o fim do eixo (ex: concessivo em aberto) são cortadas no eixo.
+ * @param {import('../../core/rescisao.js').LinhaDoTempoRescisao} linha - A linha do tempo da rescisão.
+ * @returns {string} A string HTML com o SVG e o detalhamento dos avos.
+ */
+export function renderLinhaDoTempo(linha) {
+    if (!linha?.faixas?.length) return '';
+    const inicio = dias(linha.inicio);
+    const total = Math.max(1, dias(linha.fim) - inicio + 1);
+    const escala = (LARGURA - MARGEM_ROTULOS - 10) / total;
+    const x = iso => MARGEM_ROTULOS + Math.min(total, Math.max(0, dias(iso) - inicio)) * escala;
+    const altura = TOPO + TRILHAS.length * ALTURA_TRILHA + 20;
+
+    const trilhas = TRILHAS.map((t, i) => {
+        const y = TOPO + i * ALTURA_TRILHA;
+        const barras = linha.faixas.filter(f => t.tipos.includes(f.tipo)).map(f => {
+            const x1 = x(f.inicio);
+            const largura = Math.max(2, Math.min(LARGURA - 10, x(f.fim) + escala) - x1);
+            const cor = f.dobra ? CORES.concessivoDobra : CORES[f.tipo];
+            const texto = rotuloCurto(f);
+            return `<g><title>${f.label}: ${DateFormatter.formatBR(f.inicio)} a ${DateFormatter.formatBR(f.fim)}</title>
+                <rect x="${x1.toFixed(1)}" y="${y + 4}" width="${largura.toFixed(1)}" height="${ALTURA_TRILHA - 8}" rx="3" fill="${cor}" fill-opacity="${f.emCurso || f.tipo === 'projecao' ? 0.55 : 0.85}" stroke="#fff" stroke-width="1"></rect>
+                ${texto && largura > texto.length * 5.5 ? `<text x="${(x1 + largura / 2).toFixed(1)}" y="${y + ALTURA_TRILHA / 2 + 3}" font-size="9" text-anchor="middle" fill="#fff">${texto}</text>` : ''}
+            </g>`;
+        }).join('');
+        return `<text x="0" y="${y + ALTURA_TRILHA / 2 + 3}" font-size="10" fill="currentColor">${t.label}</text>${barras}`;
+    }).join('');
+
+    // Marcos alternam a altura do rótulo para não se sobreporem quando próximos.
+    const marcos = linha.marcos.map((m, i) => {
+        const mx = x(m.data);
+        const ancora = mx > LARGURA - 80 ? 'end' : (mx < MARGEM_ROTULOS + 40 ? 'start' : 'middle');
+        return `<g><title>${m.label}: ${DateFormatter.formatBR(m.data)}</title>
+            <line x1="${mx.toFixed(1)}" y1="${i % 2 ? 22 : 12}" x2="${mx.toFixed(1)}" y2="${altura - 16}" stroke="currentColor" stroke-dasharray="3 2" stroke-opacity="0.6"></line>
+            <text x="${mx.toFixed(1)}" y="${i % 2 ? 20 : 10}" font-size="9" text-anchor="${ancora}" fill="currentColor">${m.label} ${DateFormatter.formatBR(m.data)}</text>
+        </g>`;
+    }).join('');
+
+    // Eixo com um traço no início de cada ano.
+    const anos = [];
+    for (let ano = Number(linha.inicio.slice(0, 4)) + 1; ano <= Number(linha.fim.slice(0, 4)); ano++) anos.push(ano);
+    const eixo = `<line x1="${MARGEM_ROTULOS}" y1="${altura - 16}" x2="${LARGURA - 10}" y2="${altura - 16}" stroke="currentColor" stroke-opacity="0.4"></line>`
+        + anos.map(ano => `<text x="${x(`${ano}-01-01`).toFixed(1)}" y="${altura - 4}" font-size="9" text-anchor="middle" fill="currentColor">${ano}</text>`).join('');
+
+    const emCurso = linha.faixas.filter(f => f.emCurso && f.avos?.length);
+
+    return `<div class="overflow-auto">
+            <svg viewBox="0 0 ${LARGURA} ${altura}" width="100%" role="img" aria-label="Linha do tempo do contrato" style="min-width:560px">${trilhas}${marcos}${eixo}</svg>
+        </div>
+        ${emCurso.length ? `<details class="group mt-1"><summary class="cursor-pointer text-xs text-primary hover:underline">Avos mês a mês (15 dias ou mais trabalhados no mês geram um avo)</summary>${emCurso.map(detalheAvos).join('')}</details>` : ''}`;
+}
@@ -0,0 +1,67 @@
+/**
+ * @file Campos da Pensão Alimentícia.
+ * @module ui/components/pensaoAlimenticia
+ * @description Gera, nos formulários de salário líquido, férias, 13º e rescisão, os campos da
+ * pensão alimentícia judicial: percentual, base (bruta ou líquida), número de beneficiários e
+ * verbas abrangidas pela decisão. Cada calculadora exibe apenas as verbas que paga. Os campos
+ * usam `data-state` (`<calculadora>.pensaoAlimenticia.<campo>`).
+ */
+
+import { BASES_PENSAO, VERBAS_PENSAO } from '../../core/pensao.js';
+
+/**
+ * Verbas de cada calculadora que podem integrar a base da pensão.
+ * @private
+ * @type {Object.<string, string[]>}
+ */
+const VERBAS_POR_CALCULADORA = {
+    salarioLiquido: ['salario'],
+    ferias: ['ferias', 'decimoTerceiro'],
+    decimoTerceiro: ['decimoTerceiro'],
+    rescisao: ['salario', 'ferias', 'decimoTerceiro', 'verbasRescisorias']
+};
+
+/**
+ * Renderiza os campos da pensão alimentícia no contêiner informado. Os campos são gerados uma
+ * única vez por calculadora, preservando o foco do usuário durante a digitação.
+ * @param {HTMLElement} container - O elemento que recebe os campos.
+ * @param {string} calculadora - O nome da calculadora no estado (ex: 'ferias').
+ * @param {import('../../core/pensao.js').PensaoAlimenticiaConfig} pensao - A configuração atual.
+ */
+export function renderPensaoAlimenticiaFields(container, calculadora, pensao = {}) {
+    const verbasCalculadora = VERBAS_POR_CALCULADORA[calculadora];
+    if (!container || !verbasCalculadora || container.dataset.assinatura === calculadora) return;
+    container.dataset.assinatura = calculadora;
+
+    const path = `${calculadora}.pensaoAlimenticia`;
+    const id = campo => `${calculadora}-pensao-${campo}`;
+    const verbas = VERBAS_PENSAO
+        .filter(v => verbasCalculadora.includes(v.chave))
+        .map(v => `<div class="flex items-center gap-2">
+            <input type="checkbox" id="${id(v.chave)}" data-state="${path}.verbas.${v.chave}" class="switch" ${pensao.verbas?.[v.chave] !== false ? 'checked' : ''} />
+            <label for="${id(v.chave)}" class="text-sm">${v.label}</label>
+        </div>`)
+        .join('');
+    container.innerHTML = `<div class="flex items-center gap-2 mb-3">
+            <input type="checkbox" id="${id('ativa')}" data-state="${path}.ativa" class="switch" ${pensao.ativa ? 'checked' : ''} />
+            <label for="${id('ativa')}" class="text-sm">Descontar pensão alimentícia</label>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div class="space-y-1">
+                <label class="text-sm font-medium" for="${id('percentual')}">Percentual (%)</label>
+                <input type="number" id="${id('percentual')}" data-state="${path}.percentual" class="input" value="${Number(pensao.percentual) || 0}" min="0" max="100" step="0.01" />
+            </div>
+            <div class="space-y-1">
+                <label class="text-sm font-medium" for="${id('base')}">Base de cálculo</label>
+                <select id="${id('base')}" data-state="${path}.base" class="input">
+                    <option value="${BASES_PENSAO.LIQUIDO}" ${pensao.base !== BASES_PENSAO.BRUTO ? 'selected' : ''}>Rendimentos líquidos (bruto − INSS − IRRF)</option>
+                    <option value="${BASES_PENSAO.BRUTO}" ${pensao.base === BASES_PENSAO.BRUTO ? 'selected' : ''}>Rendimentos brutos</option>
+                </select>
+            </div>
+            <div class="space-y-1">
+                <label class="text-sm font-medium" for="${id('beneficiarios')}">Beneficiários</label>
+                <input type="number" id="${id('beneficiarios')}" data-state="${path}.beneficiarios" class="input" value="${Number(pensao.beneficiarios) || 1}" min="1" />
+            </div>
+        </div>
+        <div class="mt-3 grid grid-cols-1 md:grid-cols-4 gap-3">${verbas}</div>`;
+}
@@ -0,0 +1,78 @@
+/**
+ * @file Editor dos Períodos Aquisitivos de Férias.
+ * @module ui/components/periodosFerias
+ * @description Gera, no formulário de rescisão, uma linha para cada período aquisitivo completo
+ * do contrato, onde o usuário informa se as férias foram gozadas (total ou parcialmente) e as
+ * faltas injustificadas do período. Os campos usam `data-state` e são tratados pelo mesmo
+ * ouvinte delegado dos demais inputs (`rescisao.periodosFerias.<índice>.<campo>`).
+ */
+
+import { listarPeriodosAquisitivos } from '../../core/rescisao.js';
+import { DateFormatter } from '../../services/formatter.js';
+
+/**
+ * Opções de situação de um período aquisitivo.
+ * @private
+ * @type {Array<{value: string, label: string}>}
+ */
+const SITUACOES = [
+    { value: 'gozado', label: 'Gozadas' },
+    { value: 'nao_gozado', label: 'Não gozadas' },
+    { value: 'parcial', label: 'Parcialmente gozadas' }
+];
+
+/**
+ * Gera o HTML de uma linha do editor para um período aquisitivo.
+ * @private
+ * @param {import('../../core/rescisao.js').PeriodoAquisitivo} periodo - O período aquisitivo.
+ * @param {number} indice - Posição do período em `rescisao.periodosFerias`.
+ * @param {object} informado - Dados já informados para o período, se houver.
+ * @returns {string} A string HTML da linha.
+ */
+function periodoRow(periodo, indice, informado = {}) {
+    const situacao = informado.situacao || periodo.situacaoPadrao;
+    const path = `rescisao.periodosFerias.${indice}`;
+    const options = SITUACOES
+        .map(s => `<option value="${s.value}" ${s.value === situacao ? 'selected' : ''}>${s.label}</option>`)
+        .join('');
+    return `<div class="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+        <div class="text-sm">
+            <span class="font-medium">${periodo.numero}º período</span>
+            <span class="block text-xs text-muted-foreground">${DateFormatter.formatBR(periodo.inicio)} a ${DateFormatter.formatBR(periodo.fim)} · concessivo até ${DateFormatter.formatBR(periodo.fimConcessivo)}</span>
+        </div>
+        <div class="space-y-1">
+            <label class="text-sm font-medium" for="resc-periodo-${indice}-situacao">Situação</label>
+            <select id="resc-periodo-${indice}-situacao" data-state="${path}.situacao" class="input">${options}</select>
+        </div>
+        <div class="space-y-1">
+            <label class="text-sm font-medium" for="resc-periodo-${indice}-diasGozados">Dias gozados</label>
+            <input type="number" id="resc-periodo-${indice}-diasGozados" data-state="${path}.diasGozados" class="input" value="${Number(informado.diasGozados) || 0}" min="0" max="30" />
+        </div>
+        <div class="space-y-1">
+            <label class="text-sm font-medium" for="resc-periodo-${indice}-faltas">Faltas injustificadas</label>
+            <input type="number" id="resc-periodo-${indice}-faltas" data-state="${path}.faltas" class="input" value="${Number(informado.faltas) || 0}" min="0" />
+        </div>
+    </div>`;
+}
+
+/**
+ * Renderiza o editor de períodos aquisitivos no contêiner informado. As linhas só são
+ * recriadas quando o conjunto de períodos muda (datas de admissão/demissão), preservando
+ * o foco do usuário durante a digitação.
+ * @param {HTMLElement} container - O elemento que recebe as linhas.
+ * @param {object} stateResc - O estado da calculadora de rescisão.
+ */
+export function renderPeriodosFeriasEditor(container, stateResc) {
+    if (!container || !stateResc) return;
+    const periodos = listarPeriodosAquisitivos(stateResc.dataAdmissao, stateResc.dataDemissao);
+    const assinatura = periodos.map(p => p.inicio).join('|') || 'vazio';
+    if (container.dataset.assinatura === assinatura) return;
+    container.dataset.assinatura = assinatura;
+
+    if (!periodos.length) {
+        container.innerHTML = '<p class="text-xs text-muted-foreground">Nenhum período aquisitivo completo entre a admissão e a demissão.</p>';
+        return;
+    }
+    const informados = Array.isArray(stateResc.periodosFerias) ? stateResc.periodosFerias : [];
+    container.innerHTML = periodos.map((p, i) => periodoRow(p, i, informados[i])).join('');
+}
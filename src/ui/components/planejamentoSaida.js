@@ -0,0 +1,105 @@
+/**
+ * @file Planejador da Data de Saída.
+ * @module ui/components/planejamentoSaida
+ * @description Desenha o resultado de `planejarDataSaida`: um gráfico SVG de linhas com o líquido
+ * do TRCT e o FGTS liberado para cada data de demissão candidata, com os saltos marcados, seguido da
+ * lista dos saltos e das suas causas.
+ */
+
+import { CurrencyFormatter, DateFormatter } from '../../services/formatter.js';
+
+// Dimensões do gráfico, em unidades do `viewBox`.
+const LARGURA = 800;
+const ALTURA = 240;
+const MARGEM = { esquerda: 78, direita: 10, topo: 14, base: 26 };
+
+/**
+ * Séries do gráfico: campo do ponto, rótulo e cor.
+ * @private
+ * @type {Array<{campo: string, label: string, cor: string}>}
+ */
+const SERIES = [
+    { campo: 'liquido', label: 'Líquido (TRCT)', cor: '#3b82f6' },
+    { campo: 'fgts', label: 'FGTS liberado', cor: '#10b981' }
+];
+
+/**
+ * Formata uma variação monetária com sinal.
+ * @private
+ * @param {number} v - A variação.
+ * @returns {string} O valor com sinal ('+' ou '−').
+ */
+function delta(v){
+    if (!v) return '—';
+    return `${v > 0 ? '+' : '−'}${CurrencyFormatter.format(Math.abs(v))}`;
+}
+
+/**
+ * Renderiza o cartão do planejador de data de saída.
+ * @param {import('../../core/planejamentoSaida.js').PlanejamentoSaida} plano - O resultado de `planejarDataSaida`.
+ * @returns {string} A string HTML do cartão, ou vazio se não houver simulação.
+ */
+export function renderPlanejamentoSaidaResults(plano) {
+    if (!plano?.pontos?.length) return '';
+    const { pontos, saltos, melhor } = plano;
+
+    const maximo = Math.max(1, ...pontos.map(p => Math.max(p.liquido, p.fgts)));
+    const larguraUtil = LARGURA - MARGEM.esquerda - MARGEM.direita;
+    const alturaUtil = ALTURA - MARGEM.topo - MARGEM.base;
+    const x = i => MARGEM.esquerda + (pontos.length > 1 ? i / (pontos.length - 1) : 0) * larguraUtil;
+    const y = v => MARGEM.topo + alturaUtil * (1 - Math.max(0, v) / maximo);
+    const indice = new Map(pontos.map((p, i) => [p.data, i]));
+
+    const grade = [0, 0.25, 0.5, 0.75, 1].map(f => {
+        const gy = y(maximo * f).toFixed(1);
+        return `<line x1="${MARGEM.esquerda}" y1="${gy}" x2="${LARGURA - MARGEM.direita}" y2="${gy}" stroke="currentColor" stroke-opacity="0.12"></line>
+            <text x="${MARGEM.esquerda - 4}" y="${Number(gy) + 3}" font-size="9" text-anchor="end" fill="currentColor">${CurrencyFormatter.format(maximo * f)}</text>`;
+    }).join('');
+
+    // Um rótulo no eixo x no primeiro dia de cada mês.
+    const meses = pontos.map((p, i) => [p, i]).filter(([p], i) => i === 0 || p.data.endsWith('-01'))
+        .map(([p, i]) => `<text x="${x(i).toFixed(1)}" y="${ALTURA - 8}" font-size="9" text-anchor="middle" fill="currentColor">${p.data.slice(5, 7)}/${p.data.slice(2, 4)}</text>`).join('');
+
+    const linhas = SERIES.map(s => `<polyline fill="none" stroke="${s.cor}" stroke-width="1.5" points="${pontos.map((p, i) => `${x(i).toFixed(1)},${y(p[s.campo]).toFixed(1)}`).join(' ')}"></polyline>`).join('');
+
+    const marcas = saltos.filter(s => indice.has(s.data)).map(s => {
+        const i = indice.get(s.data);
+        const cor = s.deltaTotal >= 0 ? '#16a34a' : '#dc2626';
+        return `<g><title>${DateFormatter.formatBR(s.data)}: ${delta(s.deltaTotal)} — ${s.motivos.join(' ')}</title>
+            <circle cx="${x(i).toFixed(1)}" cy="${y(pontos[i].liquido).toFixed(1)}" r="3" fill="${cor}"></circle>
+        </g>`;
+    }).join('');
+
+    const im = melhor ? indice.get(melhor.data) : -1;
+    const destaque = im >= 0
+        ? `<line x1="${x(im).toFixed(1)}" y1="${MARGEM.topo}" x2="${x(im).toFixed(1)}" y2="${ALTURA - MARGEM.base}" stroke="#f59e0b" stroke-dasharray="4 2"></line>`
+        : '';
+
+    const legenda = SERIES.map(s => `<span class="inline-flex items-center gap-1"><span class="inline-block w-3 h-0.5" style="background:${s.cor}"></span>${s.label}</span>`).join('')
+        + '<span class="inline-flex items-center gap-1"><span class="inline-block w-3 h-0.5" style="background:#f59e0b"></span>Melhor data</span>';
+
+    const tabela = saltos.map(s => `<tr class="border-t">
+            <td class="px-2 py-1 whitespace-nowrap">${DateFormatter.formatBR(s.data)}</td>
+            <td class="px-2 py-1 text-right whitespace-nowrap">${delta(s.deltaLiquido)}</td>
+            <td class="px-2 py-1 text-right whitespace-nowrap">${delta(s.deltaFgts)}</td>
+            <td class="px-2 py-1">${s.motivos.join('<br>')}</td>
+        </tr>`).join('');
+
+    return `<div class="card-base p-4 space-y-3">
+        <h2 class="text-lg font-semibold mb-1">Planejamento da Data de Saída</h2>
+        <p class="text-sm">De ${DateFormatter.formatBR(pontos[0].data)} a ${DateFormatter.formatBR(pontos[pontos.length - 1].data)}. ${melhor ? `Maior valor (líquido + FGTS liberado) saindo em <strong>${DateFormatter.formatBR(melhor.data)}</strong>: <span class="valor-monetario">${CurrencyFormatter.format(melhor.total)}</span>.` : ''}</p>
+        <div class="overflow-auto">
+            <svg viewBox="0 0 ${LARGURA} ${ALTURA}" width="100%" role="img" aria-label="Valores da rescisão por data de saída" style="min-width:560px">${grade}${meses}${destaque}${linhas}${marcas}</svg>
+        </div>
+        <div class="flex flex-wrap gap-4 text-xs">${legenda}</div>
+        ${saltos.length ? `<details class="group" open><summary class="cursor-pointer text-xs text-primary hover:underline">Saltos de valor e suas causas (${saltos.length})</summary>
+            <div class="mt-2 overflow-auto max-h-80">
+                <table class="w-full text-xs">
+                    <thead><tr><th class="text-left px-2 py-1">Data</th><th class="text-right px-2 py-1">Δ líquido</th><th class="text-right px-2 py-1">Δ FGTS</th><th class="text-left px-2 py-1">Causa</th></tr></thead>
+                    <tbody>${tabela}</tbody>
+                </table>
+            </div>
+        </details>` : ''}
+        <p class="text-[11px] text-muted-foreground mt-3">* Cada data recalcula a rescisão com os demais dados do formulário. Não considera os salários recebidos até a saída nem reajustes futuros.</p>
+    </div>`;
+}
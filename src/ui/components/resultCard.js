@@ -8,8 +8,9 @@
  * apresentação dos dados.
  */
 
-import { CurrencyFormatter } from '../../services/formatter.js';
+import { CurrencyFormatter, DateFormatter } from '../../services/formatter.js';
 import { getAnoAtual } from '../../core/parametersStore.js';
+import { renderLinhaDoTempo } from './linhaDoTempo.js';
 
 /**
  * Gera o HTML para o estado "vazio" de um cartão de resultados, exibido quando
@@ -58,6 +59,28 @@ function totalLine(label, value){
   return `<div class="flex justify-between items-center pt-1 border-t mt-2"><span class="text-xs md:text-sm font-medium tracking-tight">${label}</span><span class="totalizador valor-monetario">${value}</span></div>`;
 }
 
+/**
+ * Formata horas decimais como 'hh:mm'.
+ * @private
+ * @param {number} horas - As horas decimais.
+ * @returns {string} A duração formatada.
+ */
+function formatHoras(horas){
+  const minutos = Math.round((Number(horas) || 0) * 60);
+  return `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Gera o rótulo da linha de desconto da pensão alimentícia.
+ * @private
+ * @param {import('../../core/pensao.js').PensaoAlimenticiaResult} p - A pensão calculada.
+ * @returns {string} O rótulo com percentual, base e beneficiários.
+ */
+function pensaoLabel(p){
+  const beneficiarios = p.beneficiarios > 1 ? ` · ${p.beneficiarios} beneficiários` : '';
+  return `Pensão alimentícia (${p.percentual}% s/ ${p.tipoBase === 'bruto' ? 'bruto' : 'líquido'}${beneficiarios})`;
+}
+
 /**
  * @typedef {object} FeriasResult
  * @description Objeto contendo todos os campos de resultado do cálculo de férias.
@@ -79,6 +102,8 @@ export function renderFeriasResults(results) {
 
 	const sec1 = [
 		{ label: 'Dias de Férias', value: results.diasFerias },
+		{ label: `Dias de Direito (${results.faltasInjustificadas || 0} falta(s) injustificada(s))`, value: results.diasDireito ?? 30 },
+		...(results.diasAbono > 0 ? [{ label: 'Dias de Abono (1/3 do direito)', value: results.diasAbono }] : []),
 		{ label: 'Salário Base', value: CurrencyFormatter.format(results.salarioBruto) },
 		{ label: 'Médias (horas extras + adicional noturno)', value: CurrencyFormatter.format(results.mediaHorasExtras + results.mediaAdicionalNoturno) },
 		{ label: 'Periculosidade', value: CurrencyFormatter.format(results.periculosidade||0) },
@@ -90,13 +115,22 @@ export function renderFeriasResults(results) {
 		{ label: 'Adicional 1/3', value: CurrencyFormatter.format(results.adicionalUmTerco) },
 		{ label: 'Segmento Férias', value: CurrencyFormatter.format(results.segmentoFerias) },
 		{ label: 'Abono (1/3 Vendido)', value: CurrencyFormatter.format(results.segmentoAbono) },
-		{ label: 'Adiantamento 13º', value: CurrencyFormatter.format(results.segmentoDecimoAdiantado) }
+		{ label: 'Adiantamento 13º', value: CurrencyFormatter.format(results.segmentoDecimoAdiantado) },
+		...(results.dobraFerias > 0 ? [{ label: 'Dobra (pagamento fora do prazo)', value: CurrencyFormatter.format(results.dobraFerias) }] : [])
 	];
+	const cal = results.calendario;
+	const secCalendario = cal ? [
+		{ label: 'Período de gozo', value: `${DateFormatter.formatBR(cal.inicio)} a ${DateFormatter.formatBR(cal.fim)}` },
+		{ label: 'Pagamento até (art. 145)', value: DateFormatter.formatBR(cal.prazoPagamento) },
+		...(cal.dataPagamento ? [{ label: cal.atrasado ? `Pago em (${cal.diasAtraso} dia(s) de atraso)` : 'Pago em', value: DateFormatter.formatBR(cal.dataPagamento) }] : []),
+		{ label: 'Retorno ao trabalho', value: DateFormatter.formatBR(cal.retorno) }
+	] : [];
 	const sec3 = [
 		{ label: 'Base INSS', value: CurrencyFormatter.format(results.baseINSS) },
 		{ label: 'INSS', value: CurrencyFormatter.format(results.inss) },
 		{ label: 'Base IRRF', value: CurrencyFormatter.format(results.baseIRRF) },
 		{ label: 'IRRF', value: CurrencyFormatter.format(results.irrf) },
+		...(results.pensaoAlimenticia ? [{ label: pensaoLabel(results.pensaoAlimenticia.ferias || results.pensaoAlimenticia.decimoTerceiro), value: CurrencyFormatter.format(results.descontoPensao) }] : []),
 		{ label: 'FGTS (8%)', value: CurrencyFormatter.format(results.fgts?.valor || 0) }
 	];
 	const sec4 = [
@@ -111,6 +145,7 @@ export function renderFeriasResults(results) {
 
 	const rowsHTML = `
 		<div class="section-block space-y-1">${renderRows(sec1)}</div>
+		${secCalendario.length ? `<div class="section-block space-y-1">${renderRows(secCalendario)}</div>` : ''}
 		<div class="section-block space-y-1">${renderRows(sec2)}</div>
 		<div class="section-block space-y-1">${renderRows(sec3)}</div>
 		<div class="section-block space-y-1">${renderRows(sec4)}${totalLine('Total líquido', sec4[2].value)}</div>
@@ -165,7 +200,7 @@ export function renderDecimoTerceiroResults(results) {
 	}
 
 	const sec1 = [
-		{ label: 'Meses Trabalhados', value: results.mesesTrabalhados },
+		{ label: results.apuracaoAvos ? `Avos (${DateFormatter.formatBR(results.apuracaoAvos.inicio)} a ${DateFormatter.formatBR(results.apuracaoAvos.fim)})` : 'Meses Trabalhados', value: results.mesesTrabalhados },
 		{ label: 'Salário Base', value: CurrencyFormatter.format(results.salarioBruto) },
 		{ label: 'Médias (horas extras + adicional noturno)', value: CurrencyFormatter.format(results.mediaHorasExtras + results.mediaAdicionalNoturno) },
 		{ label: 'Periculosidade', value: CurrencyFormatter.format(results.periculosidade||0) },
@@ -182,6 +217,7 @@ export function renderDecimoTerceiroResults(results) {
 		{ label: 'INSS', value: CurrencyFormatter.format(results.inss) },
 		{ label: 'Base IRRF Ajustada', value: CurrencyFormatter.format(results.baseIRRF) },
 		{ label: 'IRRF', value: CurrencyFormatter.format(results.irrf) },
+		...(results.pensaoAlimenticia ? [{ label: pensaoLabel(results.pensaoAlimenticia), value: CurrencyFormatter.format(results.descontoPensao) }] : []),
 		{ label: 'FGTS (informativo)', value: CurrencyFormatter.format(results.fgts?.valor || 0) }
 	];
 	const sec4 = [
@@ -212,11 +248,23 @@ export function renderDecimoTerceiroResults(results) {
 		</div></details>`;
 	}
 
+	// Avos mês a mês, quando contados pelo calendário.
+	let avosHTML = '';
+	if (results.apuracaoAvos?.meses?.length) {
+		const meses = results.apuracaoAvos.meses.map(m => {
+			const ausencias = [m.faltas ? `${m.faltas} falta(s)` : '', m.diasAfastado ? `${m.diasAfastado} dia(s) afastado` : ''].filter(Boolean).join(', ');
+			return `<span class="px-1.5 py-0.5 rounded border ${m.contado ? 'border-green-600/40' : 'border-red-600/40 line-through'}" title="${DateFormatter.formatBR(m.inicio)} a ${DateFormatter.formatBR(m.fim)}${ausencias ? ` · ${ausencias}` : ''}">${m.competencia.slice(5)}/${m.competencia.slice(0, 4)} · ${m.diasTrabalhados}d</span>`;
+		}).join('');
+		avosHTML = `<details class="group"><summary class="cursor-pointer text-xs text-primary hover:underline">Avos mês a mês (15 dias ou mais trabalhados no mês geram um avo)</summary>
+			<div class="flex flex-wrap gap-1 text-[10px] mt-2">${meses}</div>
+		</details>`;
+	}
+
 	const ano = (()=>{ try { return getAnoAtual(); } catch(_e){ return ''; } })();
 	return `<div class="card-base p-4 space-y-3">
 		<h2 class=\"text-lg font-semibold mb-1 flex items-center gap-2\">Resultados (13º) ${ano?`<span class=\\"text-[10px] px-2 py-0.5 rounded bg-primary/10 text-primary border border-primary/30\\">${ano}</span>`:''}</h2>
 		<div class=\"space-y-3\">
-			<div class=\"section-block space-y-1\">${rows(sec1)}</div>
+			<div class=\"section-block space-y-1\">${rows(sec1)}${avosHTML}</div>
 			<div class=\"section-block space-y-1\">${rows(sec2)}</div>
 			<div class=\"section-block space-y-1\">${rows(sec3)}</div>
 			<div class=\"section-block space-y-1\">${rows(sec4)}${totalLine('Líquido Total', sec4[0].value)}</div>
@@ -247,15 +295,18 @@ export function renderRescisaoResults(results) {
 
     const formatCurrency = (value) => CurrencyFormatter.format(value || 0);
 
-    const verbas = [
-        { label: 'Saldo de Salário', value: formatCurrency(results.saldoSalario) },
-        { label: 'Aviso Prévio Indenizado', value: formatCurrency(results.avisoIndenizado) },
-        { label: 'Férias Vencidas', value: formatCurrency(results.feriasVencidas) },
-        { label: '1/3 sobre Férias Vencidas', value: formatCurrency(results.tercoFeriasVencidas) },
-        { label: 'Férias Proporcionais', value: formatCurrency(results.feriasProporcionais) },
-        { label: '1/3 sobre Férias Proporcionais', value: formatCurrency(results.tercoFeriasProporcionais) },
-        { label: '13º Salário Proporcional', value: formatCurrency(results.decimoProporcional) },
-    ];
+    // Verbas não devidas para o motivo aparecem como "Não devido" e não entram no total.
+    const verbas = results.verbasItens?.length
+        ? results.verbasItens.map(item => ({ label: item.label, value: item.devido ? formatCurrency(item.valor) : 'Não devido' }))
+        : [
+            { label: 'Saldo de Salário', value: formatCurrency(results.saldoSalario) },
+            { label: 'Aviso Prévio Indenizado', value: formatCurrency(results.avisoIndenizado) },
+            { label: 'Férias Vencidas', value: formatCurrency(results.feriasVencidas) },
+            { label: '1/3 sobre Férias Vencidas', value: formatCurrency(results.tercoFeriasVencidas) },
+            { label: 'Férias Proporcionais', value: formatCurrency(results.feriasProporcionais) },
+            { label: '1/3 sobre Férias Proporcionais', value: formatCurrency(results.tercoFeriasProporcionais) },
+            { label: '13º Salário Proporcional', value: formatCurrency(results.decimoProporcional) },
+        ];
 
     const descontos = [
         { label: 'INSS sobre Saldo de Salário', value: formatCurrency(results.inssBreakdown?.find(i => i.tipo === 'folha')?.valor || (results.inss - (results.inssBreakdown?.find(i => i.tipo === '13o')?.valor || 0))) },
@@ -264,17 +315,96 @@ export function renderRescisaoResults(results) {
         { label: 'IRRF sobre 13º', value: formatCurrency(results.irrfBreakdown?.decimo.valor || 0) },
         { label: 'Outros Descontos (VT, VR, etc.)', value: formatCurrency(results.outrosDescontos) },
     ];
+    if (results.descontoAvisoPrevio > 0) {
+        descontos.push({ label: 'Aviso Prévio não cumprido (art. 487, § 2º CLT)', value: formatCurrency(results.descontoAvisoPrevio) });
+    }
+    if (results.descontoArt480 > 0) {
+        descontos.push({ label: 'Indenização ao empregador (art. 480 CLT)', value: formatCurrency(results.descontoArt480) });
+    }
+    const pa = results.pensaoAlimenticia;
+    if (pa) {
+        descontos.push({ label: pensaoLabel(pa.folha || pa.decimoTerceiro), value: formatCurrency(results.descontoPensao) });
+    }
+    const ft = results.faltas;
+    if (results.descontoFaltas > 0 && ft) {
+        descontos.push({ label: `Faltas, atrasos e DSR (${ft.faltas} dia(s), ${formatHoras(ft.horasAtraso)}, ${ft.semanasComFalta} DSR)`, value: formatCurrency(results.descontoFaltas) });
+    }
 
+    // Empregado doméstico: a indenização compensatória de 3,2% substitui a multa e o seguro tem regras próprias.
+    const ic = results.indenizacaoCompensatoria;
+    const sdd = results.seguroDesempregoDomestico;
     const fgts = [
         { label: 'Saldo para fins rescisórios', value: formatCurrency(results.saldoFgtsUtilizado) },
         { label: 'Depósitos do mês na rescisão', value: formatCurrency(results.fgtsReflex?.total || 0) },
-        { label: 'Multa de 40% (ou 20%)', value: formatCurrency(results.multaFGTS) },
+        ic
+            ? { label: 'Indenização compensatória (3,2%) liberada', value: formatCurrency(ic.valorEmpregado) }
+            : { label: `Multa de ${Math.round((results.aliquotaMultaFGTS || 0) * 100)}%`, value: formatCurrency(results.multaFGTS) },
+        { label: 'Saque do FGTS', value: !results.saqueFgts ? 'Não permitido' : (results.percentualSaqueFgts < 1 ? `Permitido (${Math.round(results.percentualSaqueFgts * 100)}% do saldo)` : 'Permitido') },
+        { label: 'Seguro-desemprego', value: sdd ? (sdd.elegivel ? `${sdd.parcelas} × ${formatCurrency(sdd.valorParcela)}` : 'Não elegível') : (results.seguroDesemprego ? 'Elegível' : 'Não elegível') },
     ];
+    const domestico = ic ? [
+        { label: 'Depósitos acumulados no contrato (estimados)', value: formatCurrency(ic.acumulado) },
+        { label: 'Depósito sobre as verbas rescisórias', value: formatCurrency(ic.rescisorio) },
+        { label: 'Parte do empregado', value: formatCurrency(ic.valorEmpregado) },
+        { label: 'Parte do empregador', value: formatCurrency(ic.valorEmpregador) },
+        ...(sdd ? [{ label: `Seguro-desemprego (${sdd.mesesContrato} meses de contrato)`, value: sdd.elegivel ? formatCurrency(sdd.total) : 'Não elegível' }] : []),
+    ] : [];
+
+    // Férias vencidas período a período: datas, dias devidos, simples/dobro e 1/3.
+    const periodosFerias = (results.periodosFeriasVencidas || []).map(p => ({
+        label: `${p.numero}º período (${DateFormatter.formatBR(p.inicio)} a ${DateFormatter.formatBR(p.fim)})`,
+        value: p.diasDevidos > 0
+            ? `${p.diasDevidos} dias · ${p.dobra ? 'em dobro' : 'simples'} · ${formatCurrency(p.valor)} + 1/3 ${formatCurrency(p.terco)}`
+            : 'Gozadas'
+    }));
+
+    // Indenização estabilitária: período remanescente e reflexos.
+    const estab = results.indenizacaoEstabilidade;
+    const estabilidade = estab ? [
+        { label: 'Período indenizado', value: `${DateFormatter.formatBR(estab.inicio)} a ${DateFormatter.formatBR(estab.fim)}` },
+        { label: 'Meses restantes', value: `${estab.meses.toLocaleString('pt-BR')} (${estab.dias} dias)` },
+        { label: 'Salários do período', value: formatCurrency(estab.salarios) },
+        { label: `Reflexo em 13º (${estab.avos}/12)`, value: formatCurrency(estab.decimoTerceiro) },
+        { label: `Reflexo em Férias (${estab.avos}/12)`, value: formatCurrency(estab.ferias) },
+        { label: '1/3 sobre Férias', value: formatCurrency(estab.tercoFerias) },
+        { label: 'FGTS do período (8%)', value: formatCurrency(estab.fgts) },
+    ] : [];
+
+    // Médias apuradas do histórico mensal: valor de cada competência e médias por finalidade.
+    const mv = results.mediasVariaveis;
+    const mediasVariaveis = mv ? [
+        ...mv.meses.map(m => ({
+            label: `${m.competencia.slice(5)}/${m.competencia.slice(0, 4)} · HE ${m.horasExtras50 + m.horasExtras100}h · noturnas ${m.horasNoturnas}h`,
+            value: formatCurrency(m.total)
+        })),
+        { label: `Média férias/aviso (${mv.ferias.competencias} meses)`, value: formatCurrency(mv.ferias.total) },
+        { label: `Média 13º (${mv.decimo.competencias} meses do ano)`, value: formatCurrency(mv.decimo.total) },
+    ] : [];
+
+    // Histórico reconstruído do FGTS: depósito (* = informado), atualização e saldo de cada competência.
+    const fh = results.fgtsHistorico;
+    const fgtsHistorico = fh ? [
+        ...fh.meses.map(m => ({
+            label: `${m.competencia.slice(5)}/${m.competencia.slice(0, 4)} · depósito ${formatCurrency(m.deposito)}${m.informado ? '*' : ''} · rendimento ${formatCurrency(m.rendimento)}`,
+            value: formatCurrency(m.saldo)
+        })),
+        { label: 'Total de depósitos', value: formatCurrency(fh.totalDepositos) },
+        { label: 'Total de rendimentos (TR + 3% a.a.)', value: formatCurrency(fh.totalRendimentos) },
+        { label: 'Base da multa (saldo + depósitos do mês)', value: formatCurrency(results.fgtsReflex?.baseMultaFGTS ?? fh.saldo) },
+    ] : [];
+
+    // Prazo de pagamento (art. 477, § 6º): a multa do § 8º é exibida à parte do líquido do TRCT.
+    const pag = results.pagamento;
+    const pagamento = pag ? [
+        { label: 'Prazo legal (10 dias do término)', value: DateFormatter.formatBR(pag.prazo) },
+        { label: 'Data do pagamento', value: pag.dataPagamento ? DateFormatter.formatBR(pag.dataPagamento) : 'Não informada' },
+        { label: 'Dias de atraso', value: pag.atrasado ? `${pag.diasAtraso} dia(s)` : 'No prazo' },
+    ] : [];
 
     const totalVerbas = results.totalBruto - results.multaFGTS;
     const totalDescontos = results.totalDescontos;
     const totalLiquido = results.totalLiquidoSemMulta;
-    const totalSaqueFGTS = results.saldoFgtsUtilizado + (results.fgtsReflex?.total || 0) + results.multaFGTS;
+    const totalSaqueFGTS = results.saqueFgtsPermitido ?? (results.saqueFgts ? results.saldoFgtsUtilizado + (results.fgtsReflex?.total || 0) + results.multaFGTS : 0);
 
     const renderSection = (title, items, totalLabel, totalValue) => `
         <div class="section-block border-b pb-3 mb-3">
@@ -287,7 +417,7 @@ export function renderRescisaoResults(results) {
     `;
 
     const ano = (() => { try { return getAnoAtual(); } catch(e){ return ''; } })();
-    const title = `Resultados (Rescisão) ${ano ? `<span class="text-[10px] px-2 py-0.5 rounded bg-primary/10 text-primary border border-primary/30">${ano}</span>` : ''}`;
+    const title = `Resultados (Rescisão — ${results.motivoLabel || results.motivo}) ${ano ? `<span class="text-[10px] px-2 py-0.5 rounded bg-primary/10 text-primary border border-primary/30">${ano}</span>` : ''}`;
 
     let warningsHTML = '';
     if (results.warnings?.length) {
@@ -298,18 +428,185 @@ export function renderRescisaoResults(results) {
         <h2 class="text-lg font-semibold mb-1 flex items-center gap-2">${title}</h2>
         <div class="grid grid-cols-1 md:grid-cols-1 gap-4">
             ${renderSection('Verbas Rescisórias', verbas, 'Total de Verbas', totalVerbas)}
+            ${results.linhaDoTempo ? `<div class="section-block border-b pb-3 mb-3">
+                <h3 class="text-md font-semibold mb-2">Linha do Tempo do Contrato</h3>
+                ${renderLinhaDoTempo(results.linhaDoTempo)}
+            </div>` : ''}
+            ${mv ? renderSection(`Médias de Variáveis (hora atual ${formatCurrency(mv.valorHora)})`, mediasVariaveis, 'Remuneração base (férias/aviso)', results.remuneracaoBase) : ''}
+            ${estab ? renderSection(`Indenização Estabilitária — ${estab.label}`, estabilidade, 'Total da Indenização', estab.total) : ''}
+            ${periodosFerias.length ? renderSection('Férias por Período Aquisitivo', periodosFerias, 'Total de Férias Vencidas + 1/3', (results.feriasVencidas || 0) + (results.tercoFeriasVencidas || 0)) : ''}
             ${renderSection('Descontos', descontos, 'Total de Descontos', totalDescontos)}
-            ${renderSection('FGTS', fgts, 'Total para Saque', totalSaqueFGTS)}
+            ${renderSection('FGTS', fgts, 'Saque FGTS permitido', totalSaqueFGTS)}
+            ${fh ? renderSection('Histórico de Depósitos do FGTS (estimado)', fgtsHistorico, 'Saldo estimado', fh.saldo) : ''}
+            ${ic ? renderSection('Empregado Doméstico — Indenização Compensatória (LC 150/2015)', domestico, 'Total da indenização compensatória', ic.total) : ''}
         </div>
         <div class="flex justify-between items-center pt-3 border-t-2 mt-4 font-bold text-lg">
             <span>Total Líquido a Receber</span>
             <span class="totalizador valor-monetario">${formatCurrency(totalLiquido)}</span>
         </div>
+        ${pag && pag.dataPagamento ? renderSection('Prazo de Pagamento (art. 477 CLT)', pagamento, 'Multa do art. 477, § 8º (fora do TRCT)', results.multaArt477) : ''}
         ${warningsHTML}
         <p class="text-[11px] text-muted-foreground mt-3">* Valores estimados. Não substitui o Termo de Rescisão de Contrato de Trabalho (TRCT) oficial.</p>
     </div>`;
 }
 
+/**
+ * Renderiza o holerite da competência de início das férias: proventos e descontos do recibo de
+ * férias e da folha do mês, seguidos da apuração do INSS sobre a base somada.
+ * @param {import('../../core/feriasCompetencia.js').FolhaCompetenciaFerias|null} folha - O resultado de `calcularFolhaCompetenciaFerias`.
+ * @returns {string} A string HTML do cartão.
+ */
+export function renderFeriasCompetenciaResults(folha) {
+    if (!folha) {
+        return `<div class="card-base p-4"><h2 class="text-lg font-semibold mb-3">Holerite da Competência</h2>
+            <p class="text-sm text-muted-foreground">Informe a data de início das férias.</p>
+        </div>`;
+    }
+
+    const formatCurrency = (value) => CurrencyFormatter.format(value || 0);
+    const competencia = `${folha.competencia.slice(5)}/${folha.competencia.slice(0, 4)}`;
+    const linhas = (itens) => itens.map(l => `<tr class="border-t">
+            <td class="px-2 py-1">${l.label}</td>
+            <td class="px-2 py-1 text-muted-foreground whitespace-nowrap">${l.referencia}</td>
+            <td class="px-2 py-1 text-right whitespace-nowrap valor-monetario">${formatCurrency(l.valor)}</td>
+        </tr>`).join('');
+    const tabela = (titulo, itens, total) => `<div class="section-block">
+            <h3 class="text-md font-semibold mb-2">${titulo}</h3>
+            <table class="w-full text-sm">
+                <tbody>${linhas(itens)}</tbody>
+                <tfoot><tr class="border-t font-semibold"><td class="px-2 py-1" colspan="2">Total</td><td class="px-2 py-1 text-right valor-monetario">${formatCurrency(total)}</td></tr></tfoot>
+            </table>
+        </div>`;
+
+    const apuracao = [
+        { label: 'Base do INSS da competência (salário + férias do mês)', value: formatCurrency(folha.baseINSSMes) },
+        { label: 'INSS da competência', value: formatCurrency(folha.inssMes) },
+        { label: 'Retido no recibo (férias do mês)', value: formatCurrency(folha.inssFeriasMes) },
+        { label: 'Complemento na folha', value: formatCurrency(folha.inssSalario) },
+        { label: 'Acréscimo por somar as bases', value: formatCurrency(folha.diferencaINSS) },
+        { label: 'Base do IRRF do recibo de férias', value: formatCurrency(folha.baseIRRFFerias) },
+        { label: 'Base do IRRF da folha', value: formatCurrency(folha.baseIRRFSalario) },
+    ];
+
+    return `<div class="card-base p-4 space-y-3">
+        <h2 class="text-lg font-semibold mb-1">Holerite da Competência ${competencia}</h2>
+        <p class="text-sm">Férias de ${DateFormatter.formatBR(folha.inicio)} a ${DateFormatter.formatBR(folha.fim)}, retorno em ${DateFormatter.formatBR(folha.retorno)}. No mês: ${folha.diasTrabalhados} dia(s) de salário e ${folha.diasFeriasMes} dia(s) de férias.</p>
+        ${tabela('Proventos', folha.proventos, folha.totalProventos)}
+        ${tabela('Descontos', folha.descontos, folha.totalDescontos)}
+        <div class="section-block">
+            <h3 class="text-md font-semibold mb-2">Apuração dos tributos</h3>
+            <div class="space-y-1">
+                ${apuracao.map(item => `<div class="row-pair"><span>${item.label}</span><span class="valor-monetario">${item.value}</span></div>`).join('')}
+            </div>
+        </div>
+        <div class="flex justify-between items-center pt-3 border-t-2 mt-4 font-bold text-lg">
+            <span>Líquido da Competência</span>
+            <span class="totalizador valor-monetario">${formatCurrency(folha.liquido)}</span>
+        </div>
+        ${folha.warnings.length ? `<div class="mt-3 alert-warning"><ul>${folha.warnings.map(w => `<li>⚠ ${w}</li>`).join('')}</ul></div>` : ''}
+        <p class="text-[11px] text-muted-foreground mt-3">* Mês comercial de 30 dias. O INSS do mês incide sobre a soma do salário e das férias gozadas no mês; o IRRF é retido em separado no recibo de férias e na folha.</p>
+    </div>`;
+}
+
+/**
+ * Renderiza o planejamento das férias fracionadas: a validação do art. 134 e, para cada período,
+ * as datas (pagamento, gozo e retorno) e o pagamento com 1/3, INSS e IRRF próprios.
+ * @param {import('../../core/fracionamentoFerias.js').FracionamentoFerias} plano - O resultado de `calcularFeriasFracionadas`.
+ * @returns {string} A string HTML do cartão.
+ */
+export function renderFeriasFracionadasResults(plano) {
+    if (!plano?.periodos?.length) {
+        return `<div class="card-base p-4"><h2 class="text-lg font-semibold mb-3">Férias Fracionadas</h2>
+            <p class="text-sm text-muted-foreground">Informe a data de início e os dias de cada período (até 3).</p>
+        </div>`;
+    }
+
+    const formatCurrency = (value) => CurrencyFormatter.format(value || 0);
+    const status = plano.valido
+        ? '<span class="text-[10px] px-2 py-0.5 rounded border border-green-600/40 text-green-700">Fracionamento válido</span>'
+        : '<span class="text-[10px] px-2 py-0.5 rounded border border-red-600/40 text-red-700">Fracionamento inválido</span>';
+
+    const periodos = plano.periodos.map(p => {
+        const r = p.resultado;
+        const itens = r ? [
+            { label: 'Pagamento até (art. 145)', value: DateFormatter.formatBR(p.prazoPagamento) },
+            { label: 'Retorno ao trabalho', value: DateFormatter.formatBR(p.retorno) },
+            { label: `Férias (${p.dias} dias)`, value: formatCurrency(r.remuneracaoDiasFerias) },
+            { label: '1/3 Constitucional', value: formatCurrency(r.adicionalUmTerco) },
+            ...(r.segmentoAbono > 0 ? [{ label: 'Abono pecuniário', value: formatCurrency(r.segmentoAbono) }] : []),
+            ...(r.segmentoDecimoAdiantado > 0 ? [{ label: 'Adiantamento do 13º', value: formatCurrency(r.segmentoDecimoAdiantado) }] : []),
+            { label: 'INSS', value: formatCurrency(r.inss) },
+            { label: 'IRRF', value: formatCurrency(r.irrf) },
+            ...(r.descontoPensao > 0 ? [{ label: 'Pensão alimentícia', value: formatCurrency(r.descontoPensao) }] : []),
+        ] : [];
+        const periodo = p.fim ? `${DateFormatter.formatBR(p.inicio)} a ${DateFormatter.formatBR(p.fim)}` : 'datas incompletas';
+        return `<div class="section-block border-b pb-3 mb-3">
+            <h3 class="text-md font-semibold mb-2">${p.numero}º período — ${periodo}</h3>
+            ${p.erros.length ? `<ul class="text-xs text-red-600 mb-2">${p.erros.map(e => `<li>✖ ${e}</li>`).join('')}</ul>` : ''}
+            <div class="space-y-1">
+                ${itens.map(item => `<div class="row-pair"><span>${item.label}</span><span class="valor-monetario">${item.value}</span></div>`).join('')}
+            </div>
+            ${r ? totalLine('Líquido do período', formatCurrency(r.liquidoComTudo)) : ''}
+        </div>`;
+    }).join('');
+
+    const avisos = [...plano.erros.map(e => `✖ ${e}`), ...plano.warnings.map(w => `⚠ ${w}`)];
+
+    return `<div class="card-base p-4 space-y-3">
+        <h2 class="text-lg font-semibold mb-1 flex items-center gap-2">Férias Fracionadas ${status}</h2>
+        <p class="text-sm">${plano.diasProgramados} de ${plano.diasDireito} dias de gozo programados.</p>
+        ${periodos}
+        <div class="flex justify-between items-center pt-3 border-t-2 mt-4 font-bold text-lg">
+            <span>Total Líquido dos Períodos</span>
+            <span class="totalizador valor-monetario">${formatCurrency(plano.totalLiquido)}</span>
+        </div>
+        ${avisos.length ? `<div class="mt-3 alert-warning"><ul>${avisos.map(a => `<li>${a}</li>`).join('')}</ul></div>` : ''}
+        <p class="text-[11px] text-muted-foreground mt-3">* Cada período é pago em separado, com INSS e IRRF próprios. O abono e o adiantamento do 13º acompanham o primeiro período.</p>
+    </div>`;
+}
+
+/**
+ * Renderiza a matriz de comparação de cenários de rescisão: uma coluna por cenário, com o valor de
+ * cada verba e total e, abaixo, a diferença em relação ao cenário de referência.
+ * @param {import('../../core/cenarios.js').ComparacaoCenarios} comparacao - O resultado de `compararCenariosRescisao`.
+ * @returns {string} A string HTML do cartão de comparação.
+ */
+export function renderComparacaoCenariosResults(comparacao) {
+    if (!comparacao?.cenarios?.length) return '';
+
+    const formatCurrency = (value) => CurrencyFormatter.format(value || 0);
+    const { cenarios, indiceBase, linhas } = comparacao;
+    const delta = (d, i) => {
+        if (i === indiceBase) return '<div class="text-[10px] text-muted-foreground">referência</div>';
+        if (!d) return '<div class="text-[10px] text-muted-foreground">—</div>';
+        return `<div class="text-[10px] ${d > 0 ? 'text-green-600' : 'text-red-600'}">${d > 0 ? '+' : '−'}${formatCurrency(Math.abs(d))}</div>`;
+    };
+    const celula = (conteudo, i) => `<td class="text-right align-top px-2 py-1${i === indiceBase ? ' bg-primary/10' : ''}">${conteudo}</td>`;
+
+    const cabecalho = cenarios.map((c, i) => `<th class="text-right px-2 py-1${i === indiceBase ? ' bg-primary/10' : ''}">${c.label}</th>`).join('');
+    const corpo = linhas.map(l => `<tr class="border-t${l.total ? ' font-semibold' : ''}">
+            <td class="px-2 py-1">${l.label}</td>
+            ${l.valores.map((v, i) => celula(`${v === null ? 'Não devido' : `<span class="valor-monetario">${formatCurrency(v)}</span>`}${delta(l.deltas[i], i)}`, i)).join('')}
+        </tr>`).join('');
+    const saque = cenarios.map((c, i) => celula(!c.saqueFgts ? 'Não permitido' : (c.percentualSaqueFgts < 1 ? `Permitido (${Math.round(c.percentualSaqueFgts * 100)}%)` : 'Permitido'), i)).join('');
+    const seguro = cenarios.map((c, i) => celula(c.seguroDesemprego ? 'Elegível' : 'Não elegível', i)).join('');
+
+    return `<div class="card-base p-4 space-y-3">
+        <h2 class="text-lg font-semibold mb-1">Comparação de Cenários (Rescisão)</h2>
+        <div class="overflow-auto">
+            <table class="w-full text-xs">
+                <thead><tr><th class="text-left px-2 py-1">Verba</th>${cabecalho}</tr></thead>
+                <tbody>
+                    ${corpo}
+                    <tr class="border-t"><td class="px-2 py-1">Saque do FGTS</td>${saque}</tr>
+                    <tr class="border-t"><td class="px-2 py-1">Seguro-desemprego</td>${seguro}</tr>
+                </tbody>
+            </table>
+        </div>
+        <p class="text-[11px] text-muted-foreground mt-3">* Cada cenário recalcula o mesmo contrato trocando apenas o motivo e a forma do aviso prévio. Diferenças em relação a: ${cenarios[indiceBase].label}.</p>
+    </div>`;
+}
+
 /**
  * Gera um cartão de resultado genérico para o estado vazio.
  * @private
@@ -422,9 +719,10 @@ export function renderHorasExtrasResults(r){
 		['Valor Hora', CurrencyFormatter.format(r.valorHora)],
 		['Horas Extras', r.horasExtras],
 		['Adicional (%)', r.adicionalPercent.toFixed(2)+'%'],
-		['Valor Horas Extras', CurrencyFormatter.format(r.valorHoras)]
+		['Valor Horas Extras', CurrencyFormatter.format(r.valorHoras)],
+		[`DSR (${r.diasDescanso} descanso / ${r.diasUteis} úteis)`, CurrencyFormatter.format(r.dsr)]
 	].map(x=>`<div class="row-pair"><span>${x[0]}</span><span class="valor-monetario">${x[1]}</span></div>`).join('');
-	return `<div class="card-base p-4"><h2 class="text-lg font-semibold mb-3">Resultados (Horas Extras)</h2><div class="space-y-1">${rows}</div>${totalLine('Valor Extras', CurrencyFormatter.format(r.valorHoras))}</div>`;
+	return `<div class="card-base p-4"><h2 class="text-lg font-semibold mb-3">Resultados (Horas Extras)</h2><div class="space-y-1">${rows}</div>${totalLine('Valor Extras + DSR', CurrencyFormatter.format(r.totalComDsr))}</div>`;
 }
 
 /**
@@ -488,12 +786,21 @@ export function renderSalarioLiquidoResults(r){
 		['Insalubridade', CurrencyFormatter.format(r.insalubridade)],
 		['Horas Extras (50%)', CurrencyFormatter.format(r.valorHorasExtras)],
 		['Adicional Noturno (20%)', CurrencyFormatter.format(r.adicionalNoturno)],
+		[`DSR s/ Variáveis (${r.dsrDias?.diasDescanso ?? 0}/${r.dsrDias?.diasUteis ?? 0} dias)`, CurrencyFormatter.format(r.dsr)],
 		['Bruto', CurrencyFormatter.format(r.bruto)]
 	];
+	const ft = r.faltas;
 	const sec2 = [
+		...(ft && ft.total > 0 ? [
+			[`Faltas (${ft.faltas} dia(s))`, CurrencyFormatter.format(r.descontoFaltas)],
+			[`Atrasos (${formatHoras(ft.horasAtraso)})`, CurrencyFormatter.format(r.descontoAtrasos)],
+			[`DSR perdido (${ft.semanasComFalta} semana(s))`, CurrencyFormatter.format(r.descontoDsrPerdido)],
+			['Base INSS/FGTS', CurrencyFormatter.format(r.baseTributavel)]
+		] : []),
 		['INSS', CurrencyFormatter.format(r.inss)],
 		['Base IRRF', CurrencyFormatter.format(r.baseIRRF)],
 		['IRRF', CurrencyFormatter.format(r.irrf)],
+		...(r.pensaoAlimenticia ? [[pensaoLabel(r.pensaoAlimenticia), CurrencyFormatter.format(r.descontoPensao)]] : []),
 		['VT', CurrencyFormatter.format(r.descontoVt)],
 		['VR', CurrencyFormatter.format(r.descontoVr)],
 		['Saúde', CurrencyFormatter.format(r.descontoSaude)],
@@ -502,13 +809,20 @@ export function renderSalarioLiquidoResults(r){
 	];
 	const sec3 = [
 		['Salário Família', CurrencyFormatter.format(r.salarioFamilia)],
+		['FGTS do mês (depósito do empregador)', CurrencyFormatter.format(r.fgts)],
 		['Líquido', CurrencyFormatter.format(r.liquido)]
 	];
+	const dae = r.dae ? [
+		...r.dae.itens.map(i => [i.label, CurrencyFormatter.format(i.valor)]),
+		['INSS do empregado (retido)', CurrencyFormatter.format(r.dae.inssEmpregado)],
+		['IRRF (retido)', CurrencyFormatter.format(r.dae.irrf)]
+	] : [];
 	const row = x=>`<div class="row-pair"><span>${x[0]}</span><span class="valor-monetario">${x[1]}</span></div>`;
+	const daeBlock = r.dae ? `<div class="section-block space-y-1"><h3 class="text-md font-semibold mb-2">DAE — Empregador Doméstico</h3>${dae.map(row).join('')}${totalLine('Total da guia DAE', CurrencyFormatter.format(r.dae.total))}</div>` : '';
 	const inssTable = (r.inssBreakdown||[]).map(f=>`<tr><td class="pr-3">${f.faixa}</td><td class="pr-2">${(f.aliquota*100).toFixed(1)}%</td><td>${CurrencyFormatter.format(f.parcela)}</td></tr>`).join('');
 	const irrfFaixa = r.irrfFaixa ? `<p class="text-xs mt-2">Faixa IRRF: até ${r.irrfFaixa.limit===Infinity?'∞':CurrencyFormatter.format(r.irrfFaixa.limit)} | Alíquota ${(r.irrfFaixa.rate*100).toFixed(1)}% | Dedução ${CurrencyFormatter.format(r.irrfFaixa.deduction)}</p>` : '';
 	const breakdown = `<details class="mt-3 group"><summary class="cursor-pointer text-xs text-primary hover:underline">Ver detalhes de faixas</summary><div class="mt-2 rounded border p-2 bg-subtle overflow-auto"><h4 class="text-xs font-semibold mb-1">INSS</h4><table class="text-[11px]"><thead><tr><th class="text-left pr-3">Faixa</th><th class="text-left pr-2">Alíq.</th><th class="text-left">Parcela</th></tr></thead><tbody>${inssTable}</tbody></table>${irrfFaixa}<p class="text-[10px] mt-2 text-muted-foreground">Modelo mensal simplificado.</p></div></details>`;
-	return `<div class="card-base p-4 space-y-3"><h2 class="text-lg font-semibold mb-1">Resultados (Salário Líquido)</h2><div class="space-y-3"><div class="section-block space-y-1">${sec1.map(row).join('')}</div><div class="section-block space-y-1">${sec2.map(row).join('')}</div><div class="section-block space-y-1">${sec3.map(row).join('')}${totalLine('Salário Líquido', CurrencyFormatter.format(r.liquido))}</div></div>${breakdown}</div>`;
+	return `<div class="card-base p-4 space-y-3"><h2 class="text-lg font-semibold mb-1">Resultados (Salário Líquido)</h2><div class="space-y-3"><div class="section-block space-y-1">${sec1.map(row).join('')}</div><div class="section-block space-y-1">${sec2.map(row).join('')}</div><div class="section-block space-y-1">${sec3.map(row).join('')}${totalLine('Salário Líquido', CurrencyFormatter.format(r.liquido))}</div>${daeBlock}</div>${breakdown}</div>`;
 }
 
 // Nomes em PT-BR (mantendo compatibilidade)
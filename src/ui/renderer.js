@@ -11,11 +11,19 @@
 
 import { state } from '../core/state.js';
 import { renderSidebar } from './components/sidebar.js';
+import { renderPeriodosFeriasEditor } from './components/periodosFerias.js';
+import { renderHistoricoVariaveisEditor } from './components/historicoVariaveis.js';
+import { renderFgtsHistoricoEditor } from './components/fgtsHistorico.js';
+import { renderPensaoAlimenticiaFields } from './components/pensaoAlimenticia.js';
 import { renderHomePage } from './components/homePage.js';
-import { renderFeriasResults, renderDecimoTerceiroResults, renderRescisaoResults, renderFGTSResults, renderPISPASEPResults, renderSeguroDesempregoResults, renderHorasExtrasResults, renderINSSCalculatorResults, renderValeTransporteResults, renderIRPFResults, renderSalarioLiquidoResults } from './components/resultCard.js';
+import { renderPlanejamentoSaidaResults } from './components/planejamentoSaida.js';
+import { renderFeriasResults, renderDecimoTerceiroResults, renderRescisaoResults, renderFGTSResults, renderPISPASEPResults, renderSeguroDesempregoResults, renderHorasExtrasResults, renderINSSCalculatorResults, renderValeTransporteResults, renderIRPFResults, renderSalarioLiquidoResults, renderComparacaoCenariosResults, renderFeriasFracionadasResults, renderFeriasCompetenciaResults } from './components/resultCard.js';
 import { calculateFerias, calculateFGTS, calculatePISPASEP, calculateSeguroDesemprego, calculateHorasExtras, calculateINSSCalculator, calculateValeTransporte, calculateIRPF, calculateSalarioLiquido } from '../core/calculations.js';
 import { calcularDecimoTerceiro } from '../core/decimoTerceiro.js';
 import { calcularRescisao } from '../core/rescisao.js';
+import { compararCenariosRescisao } from '../core/cenarios.js';
+import { calcularFeriasFracionadas } from '../core/fracionamentoFerias.js';
+import { calcularFolhaCompetenciaFerias } from '../core/feriasCompetencia.js';
 
 /**
  * Atualiza o título principal da página (`<h1>`) para refletir a calculadora
@@ -71,6 +79,22 @@ function renderActivePanel() {
 	if (activeEl) activeEl.classList.remove('hidden');
 }
 
+/**
+ * Atualiza as partes dinâmicas dos formulários, que dependem de outros campos do estado
+ * (ex: os períodos aquisitivos de férias e as competências do histórico de variáveis, derivados
+ * das datas de admissão e demissão).
+ * @private
+ */
+function renderDynamicFields() {
+	if (state.activeCalculator === 'rescisao') {
+		renderPeriodosFeriasEditor(document.getElementById('resc-periodos-ferias'), state.rescisao);
+		renderHistoricoVariaveisEditor(document.getElementById('resc-historico-variaveis'), state.rescisao);
+		renderFgtsHistoricoEditor(document.getElementById('resc-fgts-historico'), state.rescisao);
+	}
+	const calc = state.activeCalculator;
+	renderPensaoAlimenticiaFields(document.getElementById(`${calc}-pensao-alimenticia`), calc, state[calc]?.pensaoAlimenticia);
+}
+
 /**
  * Mapa de configuração que associa cada calculadora à sua função de renderização de resultados,
  * ao seletor do contêiner de resultados no DOM e à sua função de cálculo principal.
@@ -109,6 +133,65 @@ function renderResults() {
 	if (container) container.innerHTML = info.fn(state.results[state.activeCalculator] || {});
 }
 
+/**
+ * Renderiza o holerite da competência de início das férias, quando habilitado no formulário,
+ * calculando-o de forma preguiçosa se ainda não existir no estado.
+ * @private
+ */
+function renderFeriasCompetencia() {
+	if (state.activeCalculator !== 'ferias') return;
+	const container = document.getElementById('ferias-competencia-holerite');
+	if (!container) return;
+	if (!state.ferias.competencia) { container.innerHTML = ''; return; }
+	if (!state.results.feriasCompetencia) {
+		try { state.results.feriasCompetencia = calcularFolhaCompetenciaFerias(state.ferias); } catch(e){ /* Ignora erros de cálculo silenciosamente na renderização inicial */ }
+	}
+	container.innerHTML = renderFeriasCompetenciaResults(state.results.feriasCompetencia);
+}
+
+/**
+ * Renderiza o planejamento das férias fracionadas, quando habilitado no formulário, calculando-o
+ * de forma preguiçosa se ainda não existir no estado.
+ * @private
+ */
+function renderFeriasFracionadas() {
+	if (state.activeCalculator !== 'ferias') return;
+	const container = document.getElementById('ferias-fracionamento');
+	if (!container) return;
+	if (!state.ferias.fracionar) { container.innerHTML = ''; return; }
+	if (!state.results.feriasFracionadas) {
+		try { state.results.feriasFracionadas = calcularFeriasFracionadas(state.ferias); } catch(e){ /* Ignora erros de cálculo silenciosamente na renderização inicial */ }
+	}
+	container.innerHTML = renderFeriasFracionadasResults(state.results.feriasFracionadas);
+}
+
+/**
+ * Renderiza a comparação de cenários da rescisão, quando habilitada no formulário. Assim como os
+ * demais resultados, a comparação é calculada de forma preguiçosa se ainda não existir no estado.
+ * @private
+ */
+function renderComparacaoCenarios() {
+	if (state.activeCalculator !== 'rescisao') return;
+	const container = document.getElementById('rescisao-cenarios');
+	if (!container) return;
+	if (!state.rescisao.compararCenarios) { container.innerHTML = ''; return; }
+	if (!state.results.cenariosRescisao) {
+		try { state.results.cenariosRescisao = compararCenariosRescisao(state.rescisao, { base: state.rescisao.cenarioBase }); } catch(e){ /* Ignora erros de cálculo silenciosamente na renderização inicial */ }
+	}
+	container.innerHTML = renderComparacaoCenariosResults(state.results.cenariosRescisao);
+}
+
+/**
+ * Renderiza o planejamento da data de saída da rescisão. A simulação é pesada (uma rescisão por
+ * dia do intervalo) e só é calculada sob demanda, pelo botão do formulário.
+ * @private
+ */
+function renderPlanejamentoSaida() {
+	if (state.activeCalculator !== 'rescisao') return;
+	const container = document.getElementById('rescisao-planejamento');
+	if (container) container.innerHTML = renderPlanejamentoSaidaResults(state.results.planejamentoSaida);
+}
+
 /**
  * Função principal que orquestra a renderização de toda a aplicação.
  * Ela é chamada sempre que o estado muda e a UI precisa ser atualizada para
@@ -119,7 +202,12 @@ export function renderApp() {
 	renderHeader();
 	renderSidebar(state);
 	renderActivePanel();
+	renderDynamicFields();
 	renderResults();
+	renderFeriasCompetencia();
+	renderFeriasFracionadas();
+	renderComparacaoCenarios();
+	renderPlanejamentoSaida();
 }
 
 // Garante que a primeira renderização ocorra assim que o DOM estiver pronto.
@@ -0,0 +1,56 @@
+import { compararCenariosRescisao, CENARIOS_PADRAO } from '../src/core/cenarios.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+const contrato = {
+  salarioBruto: 3000,
+  motivo: 'JUSTA_CAUSA',
+  dataAdmissao: '2022-03-01',
+  dataDemissao: '2025-06-20',
+  avisoPrevio: 'nao_cumprido',
+  saldoFgts: 8000
+};
+
+(function scenarioMatriz() {
+  console.log('Executando: Validação da matriz de cenários de rescisão...');
+  const c = compararCenariosRescisao(contrato);
+  assert(c.cenarios.length === CENARIOS_PADRAO.length && c.base === 'SEM_JUSTA_CAUSA|indenizado', 'Seis cenários com referência padrão');
+  c.cenarios.forEach((cen, i) => {
+    const r = calcularRescisao({ ...contrato, motivo: cen.motivo, avisoPrevio: cen.avisoPrevio });
+    const liquido = c.linhas.find(l => l.chave === 'totalLiquido');
+    assert(approx(liquido.valores[i], r.totalLiquidoSemMulta), `Líquido do cenário ${cen.chave} deve coincidir com calcularRescisao`);
+  });
+  const aviso = c.linhas.find(l => l.chave === 'avisoIndenizado');
+  assert(aviso.valores[4] === null, 'Pedido de demissão não tem aviso indenizado devido');
+  assert(aviso.deltas[c.indiceBase] === 0 && approx(aviso.deltas[3], aviso.valores[3] - aviso.valores[1]), 'Delta em relação ao cenário de referência');
+  const porChave = chave => c.cenarios.find(x => x.chave === chave);
+  assert(porChave('SEM_JUSTA_CAUSA|trabalhado').seguroDesemprego && !porChave('ACORDO_MUTUO|indenizado').seguroDesemprego, 'Seguro-desemprego apenas na dispensa sem justa causa');
+  assert(porChave('ACORDO_MUTUO|indenizado').percentualSaqueFgts === 0.8 && !porChave('PEDIDO_DEMISSAO|trabalhado').saqueFgts, 'Saque de 80% no acordo e vedado no pedido');
+  // Pedido de demissão sem cumprir o aviso: desconto de um mês de remuneração (art. 487, § 2º).
+  const desconto = c.linhas.find(l => l.chave === 'descontoAvisoPrevio');
+  const liquidoPedido = c.linhas.find(l => l.chave === 'totalLiquido');
+  assert(c.cenarios[5].avisoPrevio === 'nao_cumprido' && approx(desconto.valores[5], 3000) && desconto.valores[4] === 0, 'Pedido de demissão deve comparar o aviso trabalhado com o não cumprido');
+  assert(approx(liquidoPedido.valores[4] - liquidoPedido.valores[5], 3000), 'Aviso não cumprido deve reduzir o líquido do pedido de demissão');
+  console.log('[OK] Validação da matriz de cenários de rescisão');
+})();
+
+(function scenarioReferencia() {
+  console.log('Executando: Validação do cenário de referência da comparação...');
+  const c = compararCenariosRescisao(contrato, { base: 'PEDIDO_DEMISSAO|trabalhado' });
+  assert(c.indiceBase === 4, 'Referência escolhida deve ser respeitada');
+  const montante = c.linhas.find(l => l.chave === 'montanteTotal');
+  assert(approx(montante.deltas[1], montante.valores[1] - montante.valores[4]) && montante.deltas[1] > 0, 'Dispensa deve superar o pedido de demissão');
+  // Montante: só o FGTS liberado. Pedido de demissão não saca; acordo saca 80% do saldo e a multa de 20%.
+  const liquido = c.linhas.find(l => l.chave === 'totalLiquido');
+  assert(approx(montante.valores[4], liquido.valores[4]) && approx(montante.valores[5], liquido.valores[5]), 'Pedido de demissão não soma FGTS ao montante');
+  const acordo = calcularRescisao({ ...contrato, motivo: 'ACORDO_MUTUO', avisoPrevio: 'indenizado' });
+  const fgtsAcordo = (8000 + acordo.fgtsReflex.total) * 0.8 + acordo.multaFGTS;
+  assert(approx(montante.valores[3] - liquido.valores[3], fgtsAcordo) && fgtsAcordo < 8000 + acordo.fgtsReflex.total + acordo.multaFGTS, 'Acordo soma só 80% do saldo do FGTS ao montante');
+  assert(compararCenariosRescisao(contrato, { base: 'INEXISTENTE' }).indiceBase === 0, 'Referência inexistente cai no primeiro cenário');
+  console.log('[OK] Validação do cenário de referência da comparação');
+})();
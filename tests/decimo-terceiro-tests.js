@@ -37,6 +37,42 @@ async function run(){
   if (rCom.proporcionalBruto <= rSem.proporcionalBruto) throw new Error('Proporcional bruto deve aumentar com periculosidade');
 
   console.log('[OK] Validação de adicionais no 13º');
+
+  console.log('Executando: Avos do 13º pelo calendário, faltas e afastamentos...');
+  const contrato = { salarioBruto: 3000, mesesTrabalhados: 12, dependentes: 0 };
+  const admitido = calcularDecimoTerceiro({ ...contrato, dataAdmissao: '20/03/2025' });
+  if (admitido.mesesTrabalhados !== 9) throw new Error('Admissão em 20/03 gera 9 avos (março com 12 dias não conta)');
+  approx(admitido.proporcionalBruto, 3000 * 9 / 12);
+  if (admitido.apuracaoAvos.inicio !== '2025-03-20' || admitido.apuracaoAvos.fim !== '2025-12-31') throw new Error('Período contado no ano');
+
+  const encerrado = calcularDecimoTerceiro({ ...contrato, dataAdmissao: '2025-03-10', dataFim: '14/08/2025' });
+  if (encerrado.mesesTrabalhados !== 5) throw new Error('Março a julho contam; agosto com 14 dias não');
+
+  const faltas = calcularDecimoTerceiro({ ...contrato, dataAdmissao: '2020-01-01', dataFim: '2025-12-31', afastamentos: [
+    { tipo: 'FALTA_INJUSTIFICADA', inicio: '01/05/2025', fim: '16/05/2025' },
+    { tipo: 'FALTA_INJUSTIFICADA', inicio: '01/06/2025', fim: '15/06/2025' },
+    { tipo: 'FALTA_INJUSTIFICADA', inicio: '', fim: '' }
+  ] });
+  const maio = faltas.apuracaoAvos.meses.find(m => m.competencia === '2025-05');
+  if (maio.faltas !== 16 || maio.diasTrabalhados !== 15 || maio.contado) throw new Error('Mais de 15 faltas no mês eliminam o avo');
+  if (!faltas.apuracaoAvos.meses.find(m => m.competencia === '2025-06').contado) throw new Error('15 faltas em junho mantêm o avo');
+  if (faltas.mesesTrabalhados !== 11 || !faltas.warnings.some(w => w.includes('05/2025'))) throw new Error('11 avos com aviso do mês perdido');
+
+  // Empresa paga de 10 a 24/03; o INSS, de 25/03 a 20/05.
+  const doenca = calcularDecimoTerceiro({ ...contrato, dataAdmissao: '2020-01-01', dataFim: '2025-12-31', afastamentos: [
+    { tipo: 'AUXILIO_DOENCA', inicio: '2025-03-10', fim: '2025-05-20' }
+  ] });
+  const meses = Object.fromEntries(doenca.apuracaoAvos.meses.map(m => [m.competencia, m]));
+  if (meses['2025-03'].diasAfastado !== 7 || !meses['2025-03'].contado) throw new Error('Os 15 primeiros dias do afastamento contam como trabalhados');
+  if (meses['2025-04'].contado || meses['2025-05'].diasTrabalhados !== 11 || meses['2025-05'].contado) throw new Error('Meses pagos pelo INSS não geram avo');
+  if (doenca.mesesTrabalhados !== 10 || doenca.apuracaoAvos.diasINSS !== 57) throw new Error('10 avos e 57 dias pagos pelo INSS');
+  if (!doenca.warnings.some(w => w.includes('abono anual'))) throw new Error('Aviso do abono anual do INSS');
+
+  const licenca = calcularDecimoTerceiro({ ...contrato, dataAdmissao: '2020-01-01', dataFim: '2025-12-31', afastamentos: [
+    { tipo: 'LICENCA_NAO_REMUNERADA', inicio: '2025-09-01', fim: '2025-09-20' }
+  ] });
+  if (licenca.mesesTrabalhados !== 11) throw new Error('Licença não remunerada de 20 dias elimina o avo de setembro');
+  console.log('[OK] Avos do 13º pelo calendário, faltas e afastamentos');
 }
 
 await initParametros(2025);
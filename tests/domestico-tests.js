@@ -0,0 +1,59 @@
+import { calcularDAEDomestico, calcularIndenizacaoCompensatoria, calcularSeguroDesempregoDomestico } from '../src/core/domestico.js';
+import { calculateSalarioLiquido } from '../src/core/calculations.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { initParametros, getSalarioMinimo } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+(function scenarioDAE() {
+  console.log('Executando: Validação da guia DAE do empregador doméstico...');
+  const dae = calcularDAEDomestico({ baseINSS: 2000, inssEmpregado: 158.82, irrf: 0 });
+  const valor = chave => dae.itens.find(i => i.chave === chave).valor;
+  assert(approx(valor('inssPatronal'), 160) && approx(valor('gilrat'), 16) && approx(valor('fgts'), 160) && approx(valor('indenizacaoCompensatoria'), 64), 'Encargos do DAE: 8% + 0,8% + 8% + 3,2%');
+  assert(approx(dae.encargosEmpregador, 400) && approx(dae.total, 558.82), 'Total da guia deve somar encargos e retenções');
+
+  const base = { salarioBruto: 2000, dependentes: 0 };
+  assert(calculateSalarioLiquido(base).dae === null, 'Sem a opção, não há DAE');
+  const r = calculateSalarioLiquido({ ...base, empregadoDomestico: true });
+  assert(approx(r.dae.inssEmpregado, r.inss) && approx(r.dae.irrf, r.irrf), 'DAE deve incluir INSS e IRRF retidos');
+  assert(approx(r.dae.itens.find(i => i.chave === 'fgts').valor, r.fgts), 'FGTS do DAE deve coincidir com o depósito do mês');
+  assert(approx(r.liquido, calculateSalarioLiquido(base).liquido), 'DAE não altera o líquido do empregado');
+  console.log('[OK] Validação da guia DAE do empregador doméstico');
+})();
+
+(function scenarioIndenizacaoCompensatoria() {
+  console.log('Executando: Validação da indenização compensatória de 3,2%...');
+  const sjc = calcularIndenizacaoCompensatoria({ motivo: 'SEM_JUSTA_CAUSA', saldoFgts: 8000, fgtsRescisorio: 400 });
+  assert(approx(sjc.acumulado, 3200) && approx(sjc.rescisorio, 160) && approx(sjc.valorEmpregado, 3360), 'Dispensa sem justa causa libera 3,2/8 do saldo ao empregado');
+  const culpa = calcularIndenizacaoCompensatoria({ motivo: 'CULPA_RECIPROCA', saldoFgts: 8000 });
+  assert(approx(culpa.valorEmpregado, 1600) && approx(culpa.valorEmpregador, 1600), 'Culpa recíproca divide a indenização');
+  const pedido = calcularIndenizacaoCompensatoria({ motivo: 'PEDIDO_DEMISSAO', saldoFgts: 8000 });
+  assert(pedido.valorEmpregado === 0 && approx(pedido.valorEmpregador, 3200), 'No pedido de demissão, o empregador movimenta os valores');
+  console.log('[OK] Validação da indenização compensatória de 3,2%');
+})();
+
+(function scenarioRescisaoDomestico() {
+  console.log('Executando: Validação da rescisão do empregado doméstico...');
+  const base = {
+    salarioBruto: 2000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2023-01-02',
+    dataDemissao: '2025-04-15',
+    avisoPrevio: 'indenizado',
+    saldoFgts: 5000
+  };
+  const comum = calcularRescisao(base);
+  const r = calcularRescisao({ ...base, empregadoDomestico: true });
+  assert(r.multaFGTS === 0 && comum.multaFGTS > 0, 'Doméstico não tem multa do FGTS');
+  assert(approx(r.indenizacaoCompensatoria.total, (5000 + r.fgtsReflex.total) * 0.4), 'Indenização compensatória proporcional ao saldo do FGTS');
+  assert(approx(r.saqueFgtsPermitido, 5000 + r.fgtsReflex.total + r.indenizacaoCompensatoria.valorEmpregado), 'Saque deve incluir a indenização liberada');
+  assert(approx(r.montanteTotalComFGTS, r.totalLiquidoSemMulta + r.saqueFgtsPermitido), 'Montante total deve incluir o FGTS e a indenização liberados');
+  assert(r.seguroDesempregoDomestico.elegivel && approx(r.seguroDesempregoDomestico.total, 3 * getSalarioMinimo()), 'Seguro do doméstico: 3 parcelas de um salário mínimo');
+
+  const curto = calcularSeguroDesempregoDomestico({ motivoPermite: true, mesesContrato: 10 });
+  assert(!curto.elegivel && curto.total === 0, 'Menos de 15 meses não dá direito ao seguro do doméstico');
+  console.log('[OK] Validação da rescisão do empregado doméstico');
+})();
@@ -0,0 +1,63 @@
+import { calcularPascoa, listarFeriados, contarDiasCompetencia, calcularDSR } from '../src/core/dsr.js';
+import { calculateSalarioLiquido, calculateHorasExtras } from '../src/core/calculations.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+(function scenarioFeriados() {
+  console.log('Executando: Validação do calendário de feriados...');
+  assert(calcularPascoa(2024) === '2024-03-31' && calcularPascoa(2025) === '2025-04-20' && calcularPascoa(2026) === '2026-04-05', 'Domingo de Páscoa incorreto');
+  const f2025 = listarFeriados(2025).map(f => f.data);
+  assert(f2025.includes('2025-04-18'), 'Paixão de Cristo deve ser feriado');
+  assert(!f2025.includes('2025-03-04') && !f2025.includes('2025-06-19'), 'Pontos facultativos só entram quando solicitados');
+  assert(listarFeriados(2025, { incluirFacultativos: true }).some(f => f.data === '2025-03-04'), 'Carnaval deve entrar com os facultativos');
+  assert(f2025.includes('2025-11-20') && !listarFeriados(2023).some(f => f.data === '2023-11-20'), 'Consciência Negra é feriado nacional a partir de 2024');
+  console.log('[OK] Validação do calendário de feriados');
+})();
+
+(function scenarioDiasCompetencia() {
+  console.log('Executando: Validação da contagem de dias úteis e descanso...');
+  // Abril/2025: 4 domingos, Paixão (18) e Tiradentes (21).
+  const abr = contarDiasCompetencia('2025-04');
+  assert(abr.domingos === 4 && abr.feriados.length === 2 && abr.diasDescanso === 6 && abr.diasUteis === 24, 'Contagem de abril/2025 incorreta');
+  // Setembro/2024: 7 de setembro caiu num sábado; 5 domingos.
+  const set = contarDiasCompetencia('2024-09-15');
+  assert(set.diasDescanso === 6 && set.diasUteis === 24, 'Feriado no sábado conta como descanso');
+  // Feriado no domingo é contado uma única vez (01/06/2025 é domingo).
+  const jun = contarDiasCompetencia('2025-06', { feriadosAdicionais: ['2025-06-01', '2025-06-13'] });
+  assert(jun.domingos === 5 && jun.feriados.length === 1 && jun.diasUteis === 24, 'Feriados locais e domingos devem ser contados sem duplicidade');
+  assert(contarDiasCompetencia('') === null, 'Competência inválida deve retornar null');
+  console.log('[OK] Validação da contagem de dias úteis e descanso');
+})();
+
+(function scenarioCalculoDSR() {
+  console.log('Executando: Validação do cálculo do DSR...');
+  const dsr = calcularDSR({ horasExtras: 480, adicionalNoturno: 96, comissoes: 1200 }, '2025-04');
+  assert(approx(dsr.horasExtras, 120) && approx(dsr.adicionalNoturno, 24) && approx(dsr.comissoes, 300), 'DSR por verba incorreto');
+  assert(approx(dsr.total, 444), 'DSR total incorreto');
+  assert(approx(calcularDSR({ horasExtras: 600 }, '').total, 100), 'Sem competência aplica 1/6');
+
+  const sl = calculateSalarioLiquido({ salarioBruto: 2200, cargaHorariaMensal: 220, horasExtras: 32, competencia: '2025-04' });
+  assert(approx(sl.dsr, 480 / 24 * 6) && approx(sl.bruto, 2200 + 480 + 120), 'Salário líquido deve incluir o DSR sobre horas extras');
+
+  const he = calculateHorasExtras({ salarioBruto: 2200, cargaHorariaMensal: 220, horasExtras: 32, percentualAdicional: 50, competencia: '2025-04' });
+  assert(approx(he.dsr, 120) && approx(he.totalComDsr, 600) && he.diasUteis === 24, 'Horas extras devem trazer o reflexo no DSR');
+  console.log('[OK] Validação do cálculo do DSR');
+})();
+
+(function scenarioDSRPorCompetencia() {
+  console.log('Executando: Validação do DSR por competência informada...');
+  // 32 HE de R$ 15,00 = R$ 480,00. Março/2025: 26 úteis e 5 domingos; sem competência: 6:1.
+  const base = { salarioBruto: 2200, cargaHorariaMensal: 220, horasExtras: 32 };
+  const marco = calculateSalarioLiquido({ ...base, competencia: '2025-03' });
+  assert(approx(marco.dsr, 92.31) && marco.dsrDias.diasUteis === 26 && marco.dsrDias.diasDescanso === 5, 'DSR de março/2025 deve ser 480 / 26 × 5');
+  const semCompetencia = calculateSalarioLiquido(base);
+  assert(approx(semCompetencia.dsr, 80) && semCompetencia.dsrDias.competencia === '' && semCompetencia.dsrDias.diasUteis === 6, 'Sem competência o DSR deve usar a proporção fixa de 1/6');
+  assert(approx(semCompetencia.bruto, 2200 + 480 + 80), 'Bruto sem competência deve ser determinístico');
+  const he = calculateHorasExtras({ ...base, percentualAdicional: 50 });
+  assert(approx(he.dsr, 80) && approx(he.totalComDsr, 560) && he.diasUteis === 6 && he.diasDescanso === 1, 'Horas extras sem competência devem usar a proporção fixa de 1/6');
+  console.log('[OK] Validação do DSR por competência informada');
+})();
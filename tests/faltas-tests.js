@@ -0,0 +1,105 @@
+import { converterHoras, calcularDescontoFaltas } from '../src/core/faltas.js';
+import { calculateSalarioLiquido, calculateFerias } from '../src/core/calculations.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { calcularINSS } from '../src/core/inss.js';
+import { montarTRCT } from '../src/services/trct.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+(function scenarioDescontoFaltas() {
+  console.log('Executando: Validação do desconto de faltas, atrasos e DSR perdido...');
+  assert(converterHoras('01:30') === 1.5 && converterHoras('0:45') === 0.75 && converterHoras('') === 0 && converterHoras(2) === 2, 'Conversão de hh:mm incorreta');
+
+  // Abril/2025 tem 4 domingos: 2 faltas presumidas em semanas distintas perdem 2 DSR.
+  const d = calcularDescontoFaltas({ remuneracao: 3000, cargaHorariaMensal: 220, faltas: 2, atrasos: '01:30', competencia: '2025-04' });
+  assert(approx(d.descontoFaltas, 200) && approx(d.descontoDsr, 200) && d.semanasComFalta === 2, 'Faltas e DSR devem descontar 1/30 por dia');
+  assert(approx(d.descontoAtrasos, 1.5 * 3000 / 220), 'Atrasos devem descontar pelo valor da hora');
+  assert(approx(d.total, 400 + 20.45), 'Total do desconto incorreto');
+
+  const semanaUnica = calcularDescontoFaltas({ remuneracao: 3000, faltas: 3, semanasComFalta: 1, competencia: '2025-04' });
+  assert(semanaUnica.semanasComFalta === 1 && approx(semanaUnica.descontoDsr, 100), 'Faltas na mesma semana perdem um único DSR');
+  const limitado = calcularDescontoFaltas({ remuneracao: 3000, faltas: 10, competencia: '2025-04' });
+  assert(limitado.semanasComFalta === 4, 'DSR perdidos limitados aos domingos da competência');
+  console.log('[OK] Validação do desconto de faltas, atrasos e DSR perdido');
+})();
+
+(function scenarioSalarioLiquidoComFaltas() {
+  console.log('Executando: Validação do salário líquido com faltas e atrasos...');
+  const base = { salarioBruto: 3000, cargaHorariaMensal: 220, competencia: '2025-04' };
+  const semFaltas = calculateSalarioLiquido(base);
+  const r = calculateSalarioLiquido({ ...base, faltasMes: '2', atrasosMes: '01:30' });
+  assert(approx(r.baseTributavel, 3000 - 420.45), 'Base tributável deve descontar faltas, atrasos e DSR');
+  assert(approx(r.inss, calcularINSS(r.baseTributavel).valor), 'INSS deve incidir sobre a base reduzida');
+  assert(r.irrf <= semFaltas.irrf && approx(r.fgts, r.baseTributavel * 0.08), 'IRRF e FGTS devem usar a base reduzida');
+  assert(approx(r.liquido, r.bruto - r.inss - r.irrf - 420.45), 'Líquido deve descontar faltas, atrasos e DSR');
+  assert(approx(semFaltas.baseTributavel, semFaltas.bruto) && semFaltas.descontoFaltas === 0, 'Sem faltas não há desconto');
+  console.log('[OK] Validação do salário líquido com faltas e atrasos');
+})();
+
+(function scenarioRescisaoComFaltas() {
+  console.log('Executando: Validação da rescisão com faltas no mês e redução do art. 130...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2024-06-01',
+    dataDemissao: '2025-03-20',
+    avisoPrevio: 'indenizado'
+  };
+  const semFaltas = calcularRescisao(base);
+  const r = calcularRescisao({ ...base, faltasMes: 8 });
+  // Março/2025 tem 5 domingos: 8 faltas perdem 5 DSR.
+  assert(approx(r.descontoFaltas, 800 + 500), 'Desconto de faltas e DSR incorreto');
+  assert(approx(r.inssBreakdown.filter(f => f.tipo === 'folha').reduce((a, f) => a + f.parcela, 0), calcularINSS(2000 - 1300).valor), 'INSS da folha deve incidir sobre o saldo de salário reduzido');
+  assert(approx(r.fgtsReflex.componentes.find(c => c.label === 'Saldo Salário').base, 700), 'FGTS deve incidir sobre o saldo de salário reduzido');
+  assert(r.diasFeriasProporcionais === 24, '8 faltas reduzem as férias para 24 dias (art. 130)');
+  assert(approx(r.feriasProporcionais, semFaltas.feriasProporcionais * 24 / 30), 'Férias proporcionais devem refletir a redução do art. 130');
+  assert(approx(r.totalDescontos - semFaltas.totalDescontos, 1300 + r.inss - semFaltas.inss + r.irrf - semFaltas.irrf), 'Total de descontos deve incluir as faltas');
+  assert(montarTRCT(r).deducoes.some(l => l.codigo === '115.1' && approx(l.valor, 1300)), 'TRCT deve lançar as faltas');
+
+  // Art. 130 conta o período aquisitivo inteiro: 10 faltas anteriores + 8 no mês = 18 → 18 dias.
+  const periodo = calcularRescisao({ ...base, faltasMes: 8, faltasPeriodoAquisitivo: 10 });
+  assert(periodo.diasFeriasProporcionais === 18 && approx(periodo.feriasProporcionais, semFaltas.feriasProporcionais * 18 / 30), 'Faltas anteriores do período aquisitivo devem somar-se às do mês');
+  assert(approx(periodo.descontoFaltas, r.descontoFaltas), 'Faltas anteriores não geram novo desconto no saldo de salário');
+  const semFaltasNoMes = calcularRescisao({ ...base, faltasPeriodoAquisitivo: 6 });
+  assert(semFaltasNoMes.diasFeriasProporcionais === 24 && semFaltasNoMes.descontoFaltas === 0, 'Faltas anteriores reduzem as férias mesmo sem faltas no mês');
+
+  const excesso = calcularRescisao({ ...base, dataDemissao: '2025-03-02', faltasMes: 5 });
+  assert(excesso.faltas.faltas === 2 && excesso.warnings.some(w => w.includes('limitadas')), 'Faltas limitadas aos dias do mês da rescisão');
+  console.log('[OK] Validação da rescisão com faltas no mês e redução do art. 130');
+})();
+
+(function scenarioFeriasComFaltas() {
+  console.log('Executando: Validação do direito às férias pelas faltas (art. 130) e perda (art. 133)...');
+  const base = { salarioBruto: 3000, diasFerias: 30, dependentes: 0 };
+  const escala = [[0, 30], [5, 30], [6, 24], [14, 24], [15, 18], [23, 18], [24, 12], [32, 12], [33, 0]];
+  escala.forEach(([faltas, dias]) => {
+    const r = calculateFerias({ ...base, faltasInjustificadas: faltas });
+    assert(r.diasDireito === dias && r.diasFerias === dias, `${faltas} faltas dão direito a ${dias} dias`);
+  });
+  const reduzido = calculateFerias({ ...base, faltasInjustificadas: 10 });
+  assert(approx(reduzido.remuneracaoDiasFerias, 100 * 24) && reduzido.warnings.some(w => w.includes('art. 130')), 'Gozo limitado a 24 dias com aviso');
+  const comAbono = calculateFerias({ ...base, faltasInjustificadas: 10, abonoPecuniario: true });
+  assert(comAbono.diasAbono === 8 && comAbono.diasFerias === 16 && approx(comAbono.valorAbono, 800), 'Abono é 1/3 do direito reduzido');
+  assert(calculateFerias({ ...base, abonoPecuniario: true }).diasAbono === 10, 'Abono de 10 dias sem faltas');
+  const menor = calculateFerias({ ...base, diasFerias: 15, faltasInjustificadas: 10 });
+  assert(menor.diasFerias === 15, 'Dias informados abaixo do direito são mantidos');
+
+  const perdas = [
+    [{ desligamentoSemReadmissao: true }, 'I'],
+    [{ diasLicencaRemunerada: 31 }, 'II'],
+    [{ diasParalisacao: 45 }, 'III'],
+    [{ mesesBeneficioINSS: 7 }, 'IV']
+  ];
+  perdas.forEach(([evento, inciso]) => {
+    const r = calculateFerias({ ...base, ...evento, abonoPecuniario: true });
+    assert(r.diasDireito === 0 && r.diasFerias === 0 && r.valorAbono === 0 && r.brutoTotal === 0, `Art. 133, ${inciso}, cancela o direito`);
+    assert(r.perdasDireito.length === 1 && r.perdasDireito[0].inciso === inciso && r.warnings.some(w => w.includes(`art. 133, ${inciso}`)), `Art. 133, ${inciso}, sinalizado`);
+  });
+  const limites = calculateFerias({ ...base, diasLicencaRemunerada: 30, diasParalisacao: 30, mesesBeneficioINSS: 6 });
+  assert(limites.diasDireito === 30 && limites.perdasDireito.length === 0, 'Limites do art. 133 não cancelam o direito');
+  console.log('[OK] Validação do direito às férias pelas faltas (art. 130) e perda (art. 133)');
+})();
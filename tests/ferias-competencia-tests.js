@@ -0,0 +1,43 @@
+import { calcularFolhaCompetenciaFerias } from '../src/core/feriasCompetencia.js';
+import { calculateFerias } from '../src/core/calculations.js';
+import { calcularINSS } from '../src/core/inss.js';
+import { ajustarBaseIRRF, calcularIRRFBase } from '../src/core/irrf.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+const base = { salarioBruto: 5000, diasFerias: 30, dependentes: 0 };
+
+(function scenarioFeriasNoMeioDoMes() {
+  console.log('Executando: Holerite da competência com férias no meio do mês...');
+  // 17/03/2025: 15 dias em março (17 a 31) e 15 em abril.
+  const r = calcularFolhaCompetenciaFerias({ ...base, dataInicio: '17/03/2025' });
+  assert(r.competencia === '2025-03' && r.fim === '2025-04-15' && r.retorno === '2025-04-16', 'Competência, fim e retorno');
+  assert(r.diasFeriasMes === 15 && r.diasFeriasMesSeguinte === 15 && r.diasTrabalhados === 15, 'Divide o mês em dias de férias e de salário');
+  assert(approx(r.salarioDiasTrabalhados, 2500), 'Salário dos dias trabalhados');
+  assert(approx(r.baseINSSMes, 2500 + 2500 + 2500 / 3), 'Base do INSS soma salário e férias do mês (com 1/3)');
+  assert(approx(r.inssMes, calcularINSS(r.baseINSSMes).valor), 'INSS progressivo sobre a base somada');
+  assert(approx(r.inssFeriasMes + r.inssSalario, r.inssMes), 'Recibo e folha somam o INSS da competência');
+  assert(r.diferencaINSS > 0, 'Somar as bases aumenta o INSS em relação ao cálculo isolado');
+  const ferias = calculateFerias(base);
+  const baseIRRFFerias = ferias.segmentoFerias - r.inssFeriasMes - r.inssFeriasMesSeguinte;
+  assert(approx(r.irrfFerias, calcularIRRFBase(ajustarBaseIRRF(baseIRRFFerias, 0).base).valor), 'IRRF do recibo sobre as férias');
+  assert(approx(r.irrfSalario, calcularIRRFBase(ajustarBaseIRRF(2500 - r.inssSalario, 0).base).valor), 'IRRF da folha sobre o salário');
+  assert(approx(r.totalProventos, 2500 + ferias.segmentoFerias), 'Proventos: salário e férias com 1/3');
+  assert(approx(r.liquido, r.totalProventos - r.totalDescontos), 'Líquido da competência');
+  assert(r.warnings.some(w => w.includes('04/2025')), 'Avisa dos dias da competência seguinte');
+  console.log('[OK] Holerite da competência com férias no meio do mês');
+})();
+
+(function scenarioFeriasMesInteiro() {
+  console.log('Executando: Holerite da competência com férias no mês inteiro...');
+  const r = calcularFolhaCompetenciaFerias({ ...base, dataInicio: '2025-06-01' });
+  assert(r.diasFeriasMes === 30 && r.diasTrabalhados === 0 && r.diasFeriasMesSeguinte === 0, 'Junho inteiro em férias');
+  assert(r.inssSalario === 0 && r.irrfSalario === 0, 'Sem salário, sem complemento na folha');
+  assert(approx(r.inssMes, calculateFerias(base).inss), 'INSS igual ao das férias isoladas');
+  assert(calcularFolhaCompetenciaFerias({ ...base, dataInicio: '' }) === null, 'Sem data de início não há holerite');
+  console.log('[OK] Holerite da competência com férias no mês inteiro');
+})();
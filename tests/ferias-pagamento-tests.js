@@ -0,0 +1,44 @@
+import { calculateFerias } from '../src/core/calculations.js';
+import { calcularFolhaCompetenciaFerias } from '../src/core/feriasCompetencia.js';
+import { calcularFeriasFracionadas } from '../src/core/fracionamentoFerias.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+const base = { salarioBruto: 3000, diasFerias: 30, dependentes: 0, dataInicio: '01/09/2025' };
+
+(function scenarioCalendarioFerias() {
+  console.log('Executando: Calendário de pagamento e retorno das férias...');
+  const r = calculateFerias({ ...base, dataPagamento: '29/08/2025' });
+  const c = r.calendario;
+  assert(c.inicio === '2025-09-01' && c.fim === '2025-09-30' && c.retorno === '2025-10-01', 'Gozo e retorno');
+  assert(c.prazoPagamento === '2025-08-30' && !c.atrasado && c.diasAtraso === 0, 'Prazo de 2 dias antes do início (art. 145)');
+  assert(r.dobraFerias === 0 && approx(r.brutoTotal, r.segmentoFerias), 'Pagamento no prazo sem dobra');
+  assert(calculateFerias({ ...base, dataPagamento: '30/08/2025' }).dobraFerias === 0, 'Pagamento no último dia do prazo');
+  const semPagamento = calculateFerias(base);
+  assert(semPagamento.calendario.dataPagamento === '' && semPagamento.dobraFerias === 0, 'Sem data de pagamento, só o calendário');
+  assert(calculateFerias({ ...base, dataInicio: '' }).calendario === null, 'Sem data de início não há calendário');
+  console.log('[OK] Calendário de pagamento e retorno das férias');
+})();
+
+(function scenarioDobraPorAtraso() {
+  console.log('Executando: Dobra das férias pagas fora do prazo...');
+  const noPrazo = calculateFerias({ ...base, dataPagamento: '2025-08-29' });
+  const r = calculateFerias({ ...base, dataPagamento: '2025-09-02' });
+  assert(r.calendario.atrasado && r.calendario.diasAtraso === 3, 'Atraso de 3 dias');
+  assert(approx(r.dobraFerias, 4000), 'Dobra da remuneração e do 1/3 (Súmula 450 TST)');
+  assert(approx(r.brutoTotal, noPrazo.brutoTotal + 4000), 'Dobra soma ao bruto como rubrica à parte');
+  assert(approx(r.inss, noPrazo.inss) && approx(r.fgts.valor, noPrazo.fgts.valor), 'Dobra fora das bases de INSS e FGTS');
+  assert(r.irrf > noPrazo.irrf, 'Dobra integra a base do IRRF');
+  assert(approx(r.liquidoComTudo, r.brutoTotal - r.inss - r.irrf), 'Líquido inclui a dobra');
+  assert(r.warnings.some(w => w.includes('Súmula 450')), 'Atraso sinalizado');
+
+  const folha = calcularFolhaCompetenciaFerias({ ...base, dataPagamento: '2025-09-02' });
+  assert(folha.proventos.some(l => l.chave === 'dobraFerias' && approx(l.valor, 4000)), 'Dobra no holerite da competência');
+  const fracionado = calcularFeriasFracionadas({ ...base, dataPagamento: '2025-09-02', periodosFracionados: [{ inicio: '2025-09-01', dias: 20 }, { inicio: '2025-11-03', dias: 10 }] });
+  assert(fracionado.periodos.every(p => p.resultado.dobraFerias === 0 && p.resultado.calendario.inicio === p.inicio), 'Períodos fracionados usam as próprias datas');
+  console.log('[OK] Dobra das férias pagas fora do prazo');
+})();
@@ -1,4 +1,5 @@
 import { calculateFGTS } from '../src/core/calculations.js';
+import { reconstruirHistoricoFGTS, taxaAtualizacaoFGTS } from '../src/core/fgts.js';
 import { initParametros } from '../src/core/parametersStore.js';
 
 function approx(a, b, tol = 0.01) {
@@ -71,6 +72,40 @@ async function run() {
     }
     console.log('[OK] FGTS: Validação de período inválido');
 
+    // Teste 5: Reconstrução do histórico de depósitos (13º em dezembro, TR + 3% a.a., reajustes e depósito informado)
+    const h = reconstruirHistoricoFGTS({
+        dataAdmissao: '2024-01-01',
+        dataDemissao: '2025-03-15',
+        remuneracao: 2500,
+        reajustes: [{ competencia: '2024-01', salario: 2000 }, { competencia: '2025-01', salario: 2500 }],
+        depositosInformados: { '2024-06': 100 }
+    });
+    approx(h.meses.length, 14);
+    approx(h.meses[0].deposito, 160);
+    approx(h.meses[1].rendimento, Math.round(160 * taxaAtualizacaoFGTS(2, 2024) * 100) / 100);
+    approx(taxaAtualizacaoFGTS(2, 2024), 0.0079 / 100 + 0.03 / 12, 1e-9);
+    const junho = h.meses.find(m => m.competencia === '2024-06');
+    if (!junho.informado || junho.deposito !== 100) {
+        throw new Error('Depósito informado deveria substituir o estimado');
+    }
+    approx(h.meses.find(m => m.competencia === '2024-12').deposito, 320);
+    approx(h.meses.find(m => m.competencia === '2025-01').deposito, 200);
+    approx(h.totalDepositos, 160 * 10 + 100 + 320 + 200 * 2);
+    approx(h.saldo, h.totalDepositos + h.totalRendimentos);
+    console.log('[OK] FGTS: Reconstrução do histórico de depósitos');
+
+    // Teste 6: Admissão no meio do mês (proporcional e avos do 13º) e 1/3 de férias gozadas
+    const h2 = reconstruirHistoricoFGTS({
+        dataAdmissao: '2024-10-20',
+        dataDemissao: '2025-11-10',
+        remuneracao: 3000,
+        ferias: [{ competencia: '2025-10', diasGozados: 30 }]
+    });
+    approx(h2.meses[0].remuneracao, 3000 * 12 / 30);
+    approx(h2.meses.find(m => m.competencia === '2024-12').decimoTerceiro, 3000 * 2 / 12);
+    approx(h2.meses.find(m => m.competencia === '2025-10').deposito, (3000 + 1000) * 0.08);
+    console.log('[OK] FGTS: Histórico com admissão no meio do mês e férias gozadas');
+
     console.log('Todos os testes de FGTS passaram.');
 }
 
@@ -0,0 +1,60 @@
+import { calcularFeriasFracionadas } from '../src/core/fracionamentoFerias.js';
+import { calculateFerias } from '../src/core/calculations.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+const base = { salarioBruto: 6000, dependentes: 0 };
+
+(function scenarioFracionamentoValido() {
+  console.log('Executando: Validação do fracionamento de férias em 3 períodos...');
+  const r = calcularFeriasFracionadas({ ...base, periodosFracionados: [
+    { inicio: '10/11/2025', dias: 5 },
+    { inicio: '04/08/2025', dias: 15 },
+    { inicio: '2026-01-12', dias: 10 }
+  ] });
+  assert(r.valido && r.periodos.length === 3, 'Fracionamento 15 + 5 + 10 é válido');
+  const [p1, p2] = r.periodos;
+  assert(p1.inicio === '2025-08-04' && p1.numero === 1, 'Períodos em ordem cronológica');
+  assert(p1.fim === '2025-08-18' && p1.retorno === '2025-08-19' && p1.prazoPagamento === '2025-08-02', 'Datas de gozo, retorno e pagamento (2 dias antes)');
+  const unico = calculateFerias({ ...base, diasFerias: 15 });
+  assert(approx(p1.resultado.inss, unico.inss) && approx(p1.resultado.irrf, unico.irrf), 'Cada período tem INSS e IRRF próprios');
+  assert(approx(p2.resultado.adicionalUmTerco, 6000 / 30 * 5 / 3), '1/3 proporcional aos dias do período');
+  assert(approx(r.totalLiquido, r.periodos.reduce((a, p) => a + p.resultado.liquidoComTudo, 0)), 'Total líquido soma os períodos');
+  console.log('[OK] Validação do fracionamento de férias em 3 períodos');
+})();
+
+(function scenarioRegrasArt134() {
+  console.log('Executando: Validação das regras do art. 134...');
+  const semPrincipal = calcularFeriasFracionadas({ ...base, periodosFracionados: [
+    { inicio: '04/08/2025', dias: 10 }, { inicio: '01/09/2025', dias: 10 }, { inicio: '06/10/2025', dias: 10 }
+  ] });
+  assert(!semPrincipal.valido && semPrincipal.erros.some(e => e.includes('14 dias')), 'Um período deve ter ao menos 14 dias');
+
+  const curto = calcularFeriasFracionadas({ ...base, periodosFracionados: [{ inicio: '04/08/2025', dias: 26 }, { inicio: '01/09/2025', dias: 4 }] });
+  assert(curto.periodos[1].erros.some(e => e.includes('5 dias')), 'Demais períodos com ao menos 5 dias');
+
+  // 19/12/2025 é sexta-feira: o domingo 21/12 cai nos 2 dias seguintes.
+  const sexta = calcularFeriasFracionadas({ ...base, periodosFracionados: [{ inicio: '19/12/2025', dias: 30 }] });
+  assert(sexta.periodos[0].erros.some(e => e.includes('repouso semanal')), 'Início vedado antes do domingo');
+  // 19/11/2025 (quarta): Consciência Negra no dia seguinte.
+  const feriado = calcularFeriasFracionadas({ ...base, periodosFracionados: [{ inicio: '19/11/2025', dias: 30 }] });
+  assert(feriado.periodos[0].erros.some(e => e.includes('Consciência Negra')), 'Início vedado antes de feriado');
+
+  const sobreposto = calcularFeriasFracionadas({ ...base, periodosFracionados: [{ inicio: '04/08/2025', dias: 20 }, { inicio: '18/08/2025', dias: 10 }] });
+  assert(sobreposto.periodos[1].erros.some(e => e.includes('Sobrepõe')), 'Períodos não podem se sobrepor');
+
+  const excesso = calcularFeriasFracionadas({ ...base, abonoPecuniario: true, periodosFracionados: [{ inicio: '04/08/2025', dias: 15 }, { inicio: '01/09/2025', dias: 10 }] });
+  assert(excesso.diasDireito === 20 && excesso.erros.some(e => e.includes('abono')), 'Abono reduz os dias de gozo disponíveis');
+  assert(excesso.periodos[0].resultado.segmentoAbono > 0 && excesso.periodos[1].resultado.segmentoAbono === 0, 'Abono pago com o primeiro período');
+  const comAbono = calcularFeriasFracionadas({ ...base, abonoPecuniario: true, periodosFracionados: [{ inicio: '04/08/2025', dias: 14 }, { inicio: '01/09/2025', dias: 6 }] });
+  // Só resta a nota de incidência do abono, presente em qualquer cálculo com abono.
+  const avisosPeriodos = comAbono.periodos.flatMap(p => p.resultado.warnings).filter(w => !w.startsWith('Abono pecuniário excluído'));
+  assert(comAbono.valido && comAbono.warnings.length === 0 && avisosPeriodos.length === 0, 'Fracionamento válido com abono não gera avisos');
+  const comFaltas = calcularFeriasFracionadas({ ...base, faltasInjustificadas: 10, periodosFracionados: [{ inicio: '04/08/2025', dias: 14 }, { inicio: '01/09/2025', dias: 10 }] });
+  assert(comFaltas.diasDireito === 24 && comFaltas.valido, 'Faltas do período aquisitivo reduzem os dias disponíveis (art. 130)');
+  console.log('[OK] Validação das regras do art. 134');
+})();
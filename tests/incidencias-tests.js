@@ -0,0 +1,60 @@
+import { incide, baseIncidencia, TRIBUTOS } from '../src/core/incidencias.js';
+import { calculateFerias } from '../src/core/calculations.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { calcularINSS } from '../src/core/inss.js';
+import { initParametros, getIncidencias, resetParametrosCache } from '../src/core/parametersStore.js';
+import params2025 from '../src/data/parametros-2025.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+(function scenarioMatrizPadrao() {
+  console.log('Executando: Validação da matriz padrão de incidências...');
+  assert(incide('saldoSalario', TRIBUTOS.INSS) && incide('saldoSalario', TRIBUTOS.IRRF) && incide('saldoSalario', TRIBUTOS.FGTS), 'Saldo de salário incide em tudo');
+  assert(!incide('feriasIndenizadas', TRIBUTOS.IRRF) && !incide('tercoFeriasIndenizadas', TRIBUTOS.IRRF), 'Férias indenizadas + 1/3 são isentas de IRRF');
+  assert(!incide('avisoIndenizado', TRIBUTOS.INSS) && incide('avisoIndenizado', TRIBUTOS.FGTS), 'Aviso indenizado: sem INSS, com FGTS');
+  assert(!incide('rubricaInexistente', TRIBUTOS.INSS), 'Rubrica desconhecida não integra base');
+  assert(approx(baseIncidencia(TRIBUTOS.IRRF, { saldoSalario: 1000, feriasIndenizadas: 3000, avisoIndenizado: 2000 }), 1000), 'Base do IRRF deve somar apenas rubricas com incidência');
+  console.log('[OK] Validação da matriz padrão de incidências');
+})();
+
+(function scenarioRescisaoPelaMatriz() {
+  console.log('Executando: Validação da rescisão pela matriz de incidências...');
+  const r = calcularRescisao({
+    salarioBruto: 4000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2023-02-01',
+    dataDemissao: '2025-05-20',
+    avisoPrevio: 'indenizado',
+    feriasVencidas: true
+  });
+  assert(r.feriasVencidas > 0 && r.feriasProporcionais > 0, 'Cenário deve ter férias indenizadas');
+  assert(approx(r.irrfBreakdown.folha.baseBruta, r.saldoSalario), 'Férias indenizadas não integram a base do IRRF da folha');
+  assert(approx(r.baseINSSFolha, r.saldoSalario), 'INSS da folha apenas sobre o saldo de salário');
+  const ferias = r.fgtsReflex.componentes.filter(c => c.label.startsWith('Férias'));
+  assert(ferias.length === 2 && ferias.every(c => c.fgts === 0), 'Férias indenizadas sem FGTS');
+  console.log('[OK] Validação da rescisão pela matriz de incidências');
+})();
+
+(function scenarioSobrescritaAnual() {
+  console.log('Executando: Validação da sobrescrita anual da matriz de incidências...');
+  const original = params2025.incidencias;
+  const feriasBase = { diasFerias: 20, salarioBruto: 3000, abonoPecuniario: true, adiantarDecimo: false, dependentes: 0 };
+  const padrao = calculateFerias(feriasBase);
+  try {
+    params2025.incidencias = { abonoPecuniario: { inss: true }, feriasIndenizadas: { irrf: true } };
+    resetParametrosCache();
+    assert(getIncidencias().abonoPecuniario.inss && !getIncidencias().abonoPecuniario.irrf, 'Sobrescrita deve alterar apenas o tributo informado');
+    assert(getIncidencias().abonoPecuniario.label === 'Abono pecuniário de férias', 'Sobrescrita deve preservar os demais campos da rubrica');
+    const r = calculateFerias(feriasBase);
+    assert(approx(r.baseINSS, padrao.baseINSS + padrao.segmentoAbono) && approx(r.inss, calcularINSS(r.baseINSS).valor), 'Abono deve integrar a base do INSS com a sobrescrita');
+    assert(!r.warnings.some(w => w.includes('Abono pecuniário excluído')), 'Aviso de exclusão do abono não se aplica');
+  } finally {
+    params2025.incidencias = original;
+    resetParametrosCache();
+  }
+  assert(!incide('abonoPecuniario', TRIBUTOS.INSS), 'Matriz padrão deve ser restaurada');
+  console.log('[OK] Validação da sobrescrita anual da matriz de incidências');
+})();
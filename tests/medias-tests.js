@@ -0,0 +1,70 @@
+import { calcularMediasVariaveis, listarCompetenciasMedias, historicoPreenchido } from '../src/core/medias.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+// Hora de R$ 10,00 (2.200 / 220). Rescisão em abril/2025: médias de abr/2024 a mar/2025.
+const historico = {
+  '2024-06': { horasExtras100: 6 },
+  '2024-12': { horasNoturnas: 24 },
+  '2025-01': { horasExtras50: 12 },
+  '2025-02': { comissoes: 600 }
+};
+
+(function scenarioCompetencias() {
+  console.log('Executando: Validação das competências das médias...');
+  const comps = listarCompetenciasMedias('01/01/2020', '15/04/2025');
+  assert(comps.length === 12 && comps[0] === '2024-04' && comps[11] === '2025-03', 'Devem ser os 12 meses anteriores ao mês da rescisão');
+  const curto = listarCompetenciasMedias('2025-01-10', '2025-04-15');
+  assert(curto.join(',') === '2025-01,2025-02,2025-03', 'Competências anteriores à admissão não entram');
+  assert(listarCompetenciasMedias('2020-01-01', '').length === 0, 'Sem demissão não há competências');
+  assert(historicoPreenchido(historico) && !historicoPreenchido({ '2025-01': { horasExtras50: 0 } }), 'Detecção de histórico preenchido incorreta');
+  console.log('[OK] Validação das competências das médias');
+})();
+
+(function scenarioMediasVariaveis() {
+  console.log('Executando: Validação das médias de variáveis...');
+  const m = calcularMediasVariaveis({ historico, salario: 2200, cargaHorariaMensal: 220, dataAdmissao: '2020-01-01', dataDemissao: '2025-04-15' });
+  assert(approx(m.valorHora, 10), 'Valor da hora incorreto');
+  assert(m.ferias.competencias === 12, 'Férias/aviso devem dividir por 12 meses');
+  // Média física: 1h a 50% e 0,5h a 100% → 15 + 10; 2h noturnas → 4; comissões 600/12.
+  assert(approx(m.ferias.horasExtras, 25) && approx(m.ferias.adicionalNoturno, 4) && approx(m.ferias.comissoes, 50), 'Médias de férias/aviso incorretas');
+  assert(m.decimo.competencias === 3, '13º deve usar os meses do ano civil');
+  assert(approx(m.decimo.horasExtras, 60) && approx(m.decimo.comissoes, 200) && approx(m.decimo.total, 260), 'Médias do 13º incorretas');
+  const jan = m.meses.find(x => x.competencia === '2025-01');
+  assert(approx(jan.valorHorasExtras, 180) && approx(jan.total, 180), 'Valor mensal deve usar quantidade × hora atual');
+
+  // Aceita também o histórico como lista de registros.
+  const lista = calcularMediasVariaveis({ historico: Object.entries(historico).map(([competencia, r]) => ({ competencia, ...r })), salario: 2200, dataAdmissao: '2020-01-01', dataDemissao: '2025-04-15' });
+  assert(approx(lista.ferias.total, m.ferias.total), 'Histórico em lista deve gerar as mesmas médias');
+  console.log('[OK] Validação das médias de variáveis');
+})();
+
+(function scenarioRescisaoComHistorico() {
+  console.log('Executando: Validação da rescisão com histórico de variáveis...');
+  const base = {
+    salarioBruto: 2200,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2020-01-01',
+    dataDemissao: '2025-04-15',
+    saldoFgts: 0,
+    avisoPrevio: 'indenizado'
+  };
+  const r = calcularRescisao({ ...base, historicoVariaveis: historico, mediaHorasExtras: 999 });
+  assert(r.mediasVariaveis && r.mediasVariaveis.meses.length === 12, 'Histórico deve constar no resultado');
+  // DSR mês a mês: jun/24 120 × 5/25; dez/24 48 × 6/25; jan/25 180 × 5/26; fev/25 600 × 4/24.
+  assert(approx(r.mediasVariaveis.ferias.dsr, (24 + 11.52 + 34.62 + 100) / 12), 'DSR médio dos 12 meses incorreto');
+  assert(approx(r.mediasVariaveis.decimo.dsr, (34.62 + 100) / 3), 'DSR médio do ano civil incorreto');
+  assert(approx(r.remuneracaoBase, 2200 + 79 + r.mediasVariaveis.ferias.dsr), 'Remuneração base deve usar as médias dos 12 meses com DSR');
+  assert(approx(r.remuneracao13, 2200 + 260 + r.mediasVariaveis.decimo.dsr), 'Remuneração do 13º deve usar as médias do ano civil');
+  assert(approx(r.decimoProporcional, r.remuneracao13 * r.meses13 / 12), '13º proporcional deve usar a remuneração do 13º');
+  assert(r.warnings.some(w => w.includes('Histórico de variáveis')), 'Deve avisar que os campos de média foram desconsiderados');
+
+  const semHistorico = calcularRescisao({ ...base, mediaHorasExtras: 300 });
+  assert(semHistorico.mediasVariaveis === null && approx(semHistorico.remuneracao13, semHistorico.remuneracaoBase), 'Sem histórico, vale a média informada');
+  console.log('[OK] Validação da rescisão com histórico de variáveis');
+})();
@@ -0,0 +1,81 @@
+import { normalizarPensao, calcularPensaoAlimenticia, BASES_PENSAO } from '../src/core/pensao.js';
+import { calculateSalarioLiquido, calculateFerias } from '../src/core/calculations.js';
+import { calcularDecimoTerceiro } from '../src/core/decimoTerceiro.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { montarTRCT } from '../src/services/trct.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+const pensao = (extra = {}) => ({ ativa: true, percentual: 30, base: BASES_PENSAO.LIQUIDO, beneficiarios: 2, ...extra });
+
+(function scenarioCalculoPensao() {
+  console.log('Executando: Validação do cálculo da pensão alimentícia...');
+  assert(normalizarPensao({ ativa: false, percentual: 30 }) === null && normalizarPensao({ ativa: true, percentual: 0 }) === null, 'Pensão inativa ou sem percentual deve ser ignorada');
+  const cfg = normalizarPensao(pensao({ verbas: { ferias: false } }));
+  assert(cfg.verbas.salario && !cfg.verbas.ferias && cfg.beneficiarios === 2, 'Normalização das verbas e beneficiários incorreta');
+
+  const bruto = calcularPensaoAlimenticia(normalizarPensao(pensao({ base: BASES_PENSAO.BRUTO })), { bruto: 5000, inss: 500 });
+  assert(approx(bruto.valor, 1500) && approx(bruto.porBeneficiario, 750), 'Base bruta deve aplicar o percentual sobre o bruto');
+
+  // Base líquida: a pensão reduz o IRRF, que por sua vez aumenta a base da pensão.
+  const irrf = d => Math.max(0, (4500 - d) * 0.2 - 300);
+  const liquida = calcularPensaoAlimenticia(cfg, { bruto: 5000, inss: 500, irrf });
+  assert(approx(liquida.valor, 0.3 * (5000 - 500 - irrf(liquida.valor))), 'Base líquida deve convergir para percentual × (bruto − INSS − IRRF)');
+  console.log('[OK] Validação do cálculo da pensão alimentícia');
+})();
+
+(function scenarioSalarioLiquidoComPensao() {
+  console.log('Executando: Validação do salário líquido com pensão alimentícia...');
+  const base = { salarioBruto: 6000, dependentes: 0 };
+  const semPensao = calculateSalarioLiquido(base);
+  const r = calculateSalarioLiquido({ ...base, pensaoAlimenticia: pensao() });
+  assert(approx(r.descontoPensao, 0.3 * (r.bruto - r.inss - r.irrf)), 'Pensão deve incidir sobre o líquido final');
+  assert(r.irrf < semPensao.irrf && approx(r.baseIRRF, semPensao.baseIRRF - r.descontoPensao), 'Pensão deve ser deduzida da base do IRRF');
+  assert(approx(r.liquido, r.bruto - r.inss - r.irrf - r.descontoPensao - (r.descontoVt || 0) - (r.descontoVr || 0) - (r.descontoSaude || 0) - (r.descontoAdiantamentos || 0)), 'Líquido deve descontar a pensão');
+  const semSalario = calculateSalarioLiquido({ ...base, pensaoAlimenticia: pensao({ verbas: { salario: false } }) });
+  assert(semSalario.descontoPensao === 0 && semSalario.pensaoAlimenticia === null, 'Verba não abrangida não gera desconto');
+  console.log('[OK] Validação do salário líquido com pensão alimentícia');
+})();
+
+(function scenarioFeriasEDecimoComPensao() {
+  console.log('Executando: Validação de férias e 13º com pensão alimentícia...');
+  const ferias = { diasFerias: 30, salarioBruto: 5000, abonoPecuniario: false, adiantarDecimo: true, dependentes: 0 };
+  const semPensao = calculateFerias(ferias);
+  const r = calculateFerias({ ...ferias, pensaoAlimenticia: pensao({ base: BASES_PENSAO.BRUTO }) });
+  assert(r.pensaoAlimenticia.ferias && r.pensaoAlimenticia.decimoTerceiro, 'Férias e 13º adiantado devem gerar pensão');
+  assert(r.irrf < semPensao.irrf, 'Pensão sobre férias deve reduzir o IRRF');
+  const soFerias = calculateFerias({ ...ferias, pensaoAlimenticia: pensao({ verbas: { decimoTerceiro: false } }) });
+  assert(soFerias.pensaoAlimenticia.decimoTerceiro === null && approx(soFerias.descontoPensao, soFerias.pensaoAlimenticia.ferias.valor), 'Adiantamento do 13º excluído da pensão');
+
+  const decimo = { salarioBruto: 6000, mesesTrabalhados: 12, adiantamentoRecebido: 3000, dependentes: 0 };
+  const d0 = calcularDecimoTerceiro(decimo);
+  const d = calcularDecimoTerceiro({ ...decimo, pensaoAlimenticia: pensao() });
+  assert(d.descontoPensao > 0 && d.irrf < d0.irrf, 'Pensão sobre o 13º deve reduzir o IRRF');
+  assert(approx(d.liquidoTotal, d0.liquidoTotal + (d0.irrf - d.irrf) - d.descontoPensao), 'Líquido do 13º deve descontar a pensão');
+  console.log('[OK] Validação de férias e 13º com pensão alimentícia');
+})();
+
+(function scenarioRescisaoComPensao() {
+  console.log('Executando: Validação da rescisão com pensão alimentícia...');
+  const base = {
+    salarioBruto: 5000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2022-06-01',
+    dataDemissao: '2025-03-20',
+    avisoPrevio: 'indenizado'
+  };
+  const semPensao = calcularRescisao(base);
+  const r = calcularRescisao({ ...base, pensaoAlimenticia: pensao({ base: BASES_PENSAO.BRUTO }) });
+  assert(r.pensaoAlimenticia.folha && r.pensaoAlimenticia.decimoTerceiro, 'Rescisão deve calcular a pensão da folha e do 13º');
+  assert(approx(r.descontoPensao, r.pensaoAlimenticia.folha.valor + r.pensaoAlimenticia.decimoTerceiro.valor), 'Total da pensão deve somar folha e 13º');
+  assert(approx(r.totalDescontos - semPensao.totalDescontos, r.descontoPensao + r.inss - semPensao.inss + r.irrf - semPensao.irrf), 'Total de descontos deve incluir a pensão');
+  assert(montarTRCT(r).deducoes.some(l => l.codigo === '100' && approx(l.valor, r.descontoPensao)), 'TRCT deve lançar a pensão no código 100');
+
+  const semVerbas = calcularRescisao({ ...base, pensaoAlimenticia: pensao({ base: BASES_PENSAO.BRUTO, verbas: { verbasRescisorias: false } }) });
+  assert(semVerbas.pensaoAlimenticia.folha.valor < r.pensaoAlimenticia.folha.valor, 'Aviso indenizado excluído deve reduzir a pensão');
+  console.log('[OK] Validação da rescisão com pensão alimentícia');
+})();
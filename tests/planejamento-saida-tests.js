@@ -0,0 +1,41 @@
+import { planejarDataSaida } from '../src/core/planejamentoSaida.js';
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+const contrato = {
+  salarioBruto: 3000,
+  motivo: 'SEM_JUSTA_CAUSA',
+  avisoPrevio: 'indenizado',
+  dataAdmissao: '2022-08-10',
+  saldoFgts: 5000
+};
+
+(function scenarioVarredura() {
+  console.log('Executando: Validação da varredura de datas de saída...');
+  const plano = planejarDataSaida(contrato, { inicio: '2025-06-20', dias: 60 });
+  assert(plano.pontos.length === 60 && plano.pontos[0].data === '2025-06-20' && plano.pontos[59].data === '2025-08-18', 'Uma data candidata por dia');
+  const r = calcularRescisao({ ...contrato, dataDemissao: '2025-07-15' });
+  const ponto = plano.pontos.find(p => p.data === '2025-07-15');
+  assert(approx(ponto.liquido, r.totalLiquidoSemMulta) && approx(ponto.fgts, r.saqueFgtsPermitido), 'Cada ponto coincide com calcularRescisao');
+  assert(plano.melhor && plano.pontos.every(p => p.total <= plano.melhor.total), 'Melhor data tem o maior total');
+  console.log('[OK] Validação da varredura de datas de saída');
+})();
+
+(function scenarioSaltos() {
+  console.log('Executando: Validação dos saltos do planejamento de saída...');
+  const plano = planejarDataSaida(contrato, { inicio: '2025-06-20', dias: 60 });
+  const mes = plano.saltos.find(s => s.data === '2025-07-01');
+  assert(mes && mes.deltaLiquido < 0 && mes.motivos.some(m => m.includes('saldo de salário')), 'Virada do mês zera o saldo de salário');
+  const aniversario = plano.saltos.find(s => s.data === '2025-08-09');
+  assert(aniversario && aniversario.motivos.some(m => m.includes('Completa 3 ano(s)')) && aniversario.motivos.some(m => m.includes('de 36 para 39 dias')), 'Novo ano de serviço acrescenta 3 dias de aviso');
+  assert(aniversario.motivos.some(m => m.includes('férias proporcionais passam a vencidas')), 'Aniversário completa o período aquisitivo');
+  assert(plano.saltos.some(s => s.motivos.some(m => m.startsWith('Novo avo de 13º'))), 'Deve apontar novos avos de 13º');
+  assert(plano.saltos.every(s => s.motivos.length > 0), 'Todo salto tem explicação');
+  assert(planejarDataSaida(contrato, { inicio: '' }).pontos.length === 0, 'Sem data inicial não há simulação');
+  console.log('[OK] Validação dos saltos do planejamento de saída');
+})();
@@ -121,9 +121,9 @@ await initParametros(2025);
   // 2. A estrutura do IRRF Breakdown deve existir.
   assert(r.irrfBreakdown && r.irrfBreakdown.folha && r.irrfBreakdown.decimo, 'A estrutura irrfBreakdown está ausente ou malformada.');
 
-  // 3. A base bruta do IRRF da folha deve incluir férias e saldo.
-  const baseFolhaEsperada = r.saldoSalario + r.feriasVencidas + r.feriasProporcionais;
-  approx(r.irrfBreakdown.folha.baseBruta, baseFolhaEsperada, 'IRRF base bruta (folha) não corresponde à soma das verbas tributáveis.');
+  // 3. A base bruta do IRRF da folha inclui o saldo; férias indenizadas e aviso indenizado são isentos.
+  const baseFolhaEsperada = r.saldoSalario;
+  assert(approx(r.irrfBreakdown.folha.baseBruta, baseFolhaEsperada), 'IRRF base bruta (folha) não corresponde à soma das verbas tributáveis.');
 
   // 4. A base bruta do IRRF do 13º deve ser o 13º proporcional.
   approx(r.irrfBreakdown.decimo.baseBruta, r.decimoProporcional, 'IRRF base bruta (13º) não corresponde ao 13º proporcional.');
@@ -181,10 +181,12 @@ await initParametros(2025);
 
   const rComMedias = calcularRescisao({ ...base, mediaHorasExtras: 600, mediaAdicionalNoturno: 120 });
 
+  // Junho/2025: 5 domingos e 25 dias úteis (Corpus Christi é ponto facultativo).
   const medias = 600 + 120;
-  const dsrEsperado = medias / 6;
+  const dsrEsperado = medias / 25 * 5;
 
   assert(approx(rComMedias.dsrSobreMedias, dsrEsperado), 'Valor do DSR sobre médias está incorreto.');
+  assert(rComMedias.dsrDias.diasUteis === 25 && rComMedias.dsrDias.diasDescanso === 5, 'DSR deve usar o calendário do mês da rescisão.');
   const remBaseEsperada = rSemMedias.remuneracaoBase + medias + dsrEsperado;
   approx(rComMedias.remuneracaoBase, remBaseEsperada, 'Remuneração base não reflete corretamente as médias e o DSR.');
 
@@ -218,10 +220,356 @@ await initParametros(2025);
   };
   const r = calcularRescisao(base);
   assert(r.feriasVencidas > 0, 'Férias vencidas deveriam ser calculadas automaticamente');
-  // Deve calcular 2 períodos de férias vencidas (anos completos 3 - 1)
-  const valorEsperado = r.remuneracaoBase * 2;
-  approx(r.feriasVencidas, valorEsperado, 'Valor das férias vencidas automático está incorreto.');
+  // Sem a situação dos períodos, presume-se o gozo de todos exceto o último completo (2024), pago de forma simples.
+  assert(r.periodosFeriasVencidas.length === 3, 'Deveria haver 3 períodos aquisitivos completos');
+  const valorEsperado = r.remuneracaoBase;
+  assert(approx(r.feriasVencidas, valorEsperado), 'Valor das férias vencidas automático está incorreto.');
   assert(r.tercoFeriasVencidas > 0, '1/3 de férias vencidas automático não foi calculado.');
-  approx(r.tercoFeriasVencidas, valorEsperado / 3, 'Valor do 1/3 de férias vencidas automático está incorreto.');
+  assert(approx(r.tercoFeriasVencidas, valorEsperado / 3), 'Valor do 1/3 de férias vencidas automático está incorreto.');
   console.log('[OK] Validação do cálculo automático de férias vencidas');
 })();
+
+(function scenarioNovosMotivos() {
+  console.log('Executando: Validação dos novos motivos de rescisão...');
+  const base = {
+    salarioBruto: 3000,
+    dataAdmissao: '2022-02-01',
+    dataDemissao: '2025-06-20',
+    saldoFgts: 10000,
+    avisoPrevio: 'indenizado'
+  };
+  const rSjc = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA' });
+
+  const rIndireta = calcularRescisao({ ...base, motivo: 'RESCISAO_INDIRETA' });
+  assert(approx(rIndireta.totalBruto, rSjc.totalBruto), 'Rescisão indireta deve equivaler à dispensa sem justa causa');
+  assert(rIndireta.seguroDesemprego && rIndireta.saqueFgts, 'Rescisão indireta deve permitir saque e seguro-desemprego');
+
+  const rCulpa = calcularRescisao({ ...base, motivo: 'CULPA_RECIPROCA' });
+  assert(rCulpa.diasAviso === rSjc.diasAviso, 'Culpa recíproca mantém a contagem de dias do aviso');
+  assert(approx(rCulpa.avisoIndenizado, rSjc.avisoIndenizado / 2), 'Culpa recíproca: metade do aviso (Súmula 14 TST)');
+  assert(approx(rCulpa.decimoProporcional, rSjc.decimoProporcional / 2), 'Culpa recíproca: metade do 13º');
+  assert(approx(rCulpa.feriasProporcionais, rSjc.feriasProporcionais / 2), 'Culpa recíproca: metade das férias proporcionais');
+  assert(approx(rCulpa.multaFGTS, rCulpa.fgtsReflex.baseMultaFGTS * 0.20), 'Culpa recíproca: multa de 20%');
+  assert(!rCulpa.seguroDesemprego, 'Culpa recíproca não dá direito a seguro-desemprego');
+
+  ['TERMINO_CONTRATO', 'FALECIMENTO', 'APOSENTADORIA'].forEach(motivo => {
+    const r = calcularRescisao({ ...base, motivo });
+    assert(r.diasAviso === 0 && r.avisoIndenizado === 0, `${motivo}: aviso prévio não é devido`);
+    assert(r.multaFGTS === 0, `${motivo}: sem multa do FGTS`);
+    assert(r.saqueFgts && !r.seguroDesemprego, `${motivo}: saque permitido, sem seguro-desemprego`);
+    assert(r.decimoProporcional > 0 && r.feriasProporcionais > 0, `${motivo}: 13º e férias proporcionais devidos`);
+  });
+
+  const rMinusculo = calcularRescisao({ ...base, motivo: 'culpa_reciproca' });
+  assert(rMinusculo.motivo === 'CULPA_RECIPROCA', 'Chave do motivo deve ser normalizada');
+  console.log('[OK] Validação dos novos motivos de rescisão');
+})();
+
+(function scenarioVerbasNaoDevidas() {
+  console.log('Executando: Validação das verbas não devidas por motivo...');
+  const base = {
+    salarioBruto: 3000,
+    dataAdmissao: '2022-02-01',
+    dataDemissao: '2025-06-20',
+    saldoFgts: 10000,
+    avisoPrevio: 'indenizado'
+  };
+  const somaDevidas = (r) => r.verbasItens.filter(i => i.devido).reduce((acc, i) => acc + i.valor, 0);
+
+  const rJusta = calcularRescisao({ ...base, motivo: 'JUSTA_CAUSA' });
+  const naoDevidas = rJusta.verbasItens.filter(i => !i.devido).map(i => i.chave);
+  ['avisoIndenizado', 'feriasProporcionais', 'tercoFeriasProporcionais', 'decimoProporcional'].forEach(chave => {
+    assert(naoDevidas.includes(chave), `Justa causa: ${chave} deve constar como não devido`);
+    assert(rJusta[chave] === 0, `Justa causa: ${chave} deve ser zerado`);
+  });
+  assert(rJusta.feriasVencidas > 0, 'Justa causa: férias vencidas continuam devidas');
+  assert(approx(rJusta.totalBruto, somaDevidas(rJusta)), 'Justa causa: total deve somar apenas as verbas devidas');
+
+  const rPedido = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO' });
+  const avisoPedido = rPedido.verbasItens.find(i => i.chave === 'avisoIndenizado');
+  assert(!avisoPedido.devido && rPedido.avisoIndenizado === 0, 'Pedido de demissão: aviso indenizado não é devido');
+  assert(approx(rPedido.totalBruto, somaDevidas(rPedido)), 'Pedido de demissão: total deve somar apenas as verbas devidas');
+
+  const rSjc = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA' });
+  assert(rSjc.verbasItens.every(i => i.devido), 'Sem justa causa: todas as verbas são devidas');
+  console.log('[OK] Validação das verbas não devidas por motivo');
+})();
+
+(function scenarioContratoATermo() {
+  console.log('Executando: Validação da rescisão antecipada de contrato a termo...');
+  const base = {
+    salarioBruto: 3000,
+    dataAdmissao: '2025-03-01',
+    dataDemissao: '2025-04-19',
+    saldoFgts: 0,
+    avisoPrevio: 'indenizado',
+    tipoContrato: 'experiencia',
+    dataFimContrato: '2025-05-29'
+  };
+
+  // Término previsto em 29/05: 40 dias restantes → metade de 40 dias de salário.
+  const rEmpregador = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA' });
+  assert(rEmpregador.diasRestantesContrato === 40, 'Dias restantes do contrato incorretos');
+  assert(approx(rEmpregador.indenizacaoArt479, 3000 / 30 * 40 / 2), 'Indenização do art. 479 incorreta');
+  assert(rEmpregador.diasAviso === 0 && rEmpregador.avisoIndenizado === 0, 'Contrato a termo sem cláusula não tem aviso prévio');
+  assert(rEmpregador.verbasItens.some(i => i.chave === 'indenizacaoArt479'), 'Indenização do art. 479 deve constar nas verbas');
+
+  // Art. 480: só o prejuízo comprovado, até a metade dos 40 dias (R$ 2.000,00) e até o líquido.
+  const rEmpregado = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO' });
+  assert(rEmpregado.indenizacaoArt479 === 0, 'Pedido de demissão não gera indenização do art. 479');
+  assert(rEmpregado.descontoArt480 === 0 && rEmpregado.warnings.some(w => w.includes('art. 480')), 'Sem prejuízo comprovado não há desconto do art. 480');
+  const rPrejuizo = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO', prejuizoArt480: 500 });
+  assert(approx(rPrejuizo.descontoArt480, 500), 'Desconto do art. 480 deve ser o prejuízo comprovado');
+  assert(approx(rPrejuizo.totalDescontos, rPrejuizo.inss + rPrejuizo.irrf + rPrejuizo.outrosDescontos + rPrejuizo.descontoArt480), 'Desconto do art. 480 deve compor os descontos');
+  const rTeto = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO', prejuizoArt480: 2500 });
+  assert(approx(rTeto.descontoArt480, 2000) && rTeto.warnings.some(w => w.includes('art. 480, § 1º')), 'Prejuízo limitado à metade da remuneração restante');
+  const rLiquido = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO', prejuizoArt480: 2000, descontoAdiantamentos: 1000 });
+  assert(rLiquido.descontoArt480 < 2000 && approx(rLiquido.totalLiquidoSemMulta, 0), 'Desconto do art. 480 limitado ao líquido da rescisão');
+
+  const rClausula = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA', clausulaAssecuratoria: true });
+  assert(rClausula.indenizacaoArt479 === 0 && rClausula.diasAviso === 30, 'Cláusula assecuratória aplica as regras do aviso prévio');
+  assert(rClausula.tipoContrato === 'indeterminado', 'Cláusula assecuratória: regras do prazo indeterminado');
+
+  const rExcedido = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA', dataFimContrato: '2025-06-15' });
+  assert(rExcedido.tipoContrato === 'indeterminado' && rExcedido.indenizacaoArt479 === 0, 'Experiência acima de 90 dias vira prazo indeterminado');
+  assert(rExcedido.warnings.some(w => w.includes('art. 445')), 'Deve avisar sobre o limite do art. 445');
+
+  const rDuasProrrogacoes = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA', prorrogacoes: 2 });
+  assert(rDuasProrrogacoes.tipoContrato === 'indeterminado', 'Mais de uma prorrogação vira prazo indeterminado');
+
+  const rNoTermo = calcularRescisao({ ...base, motivo: 'TERMINO_CONTRATO', dataDemissao: '2025-05-29' });
+  assert(rNoTermo.indenizacaoArt479 === 0 && rNoTermo.descontoArt480 === 0, 'Término no prazo não gera indenização');
+  console.log('[OK] Validação da rescisão antecipada de contrato a termo');
+})();
+
+(function scenarioAcordoMutuo() {
+  console.log('Executando: Validação do acordo mútuo (art. 484-A)...');
+  const base = {
+    salarioBruto: 3000,
+    dataAdmissao: '2022-02-01',
+    dataDemissao: '2025-06-20',
+    saldoFgts: 10000,
+    avisoPrevio: 'indenizado'
+  };
+  const rSjc = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA' });
+  const rAcordo = calcularRescisao({ ...base, motivo: 'ACORDO_MUTUO' });
+
+  assert(approx(rAcordo.avisoIndenizado, rSjc.avisoIndenizado / 2), 'Acordo mútuo: aviso indenizado pela metade');
+  assert(approx(rAcordo.multaFGTS, rAcordo.fgtsReflex.baseMultaFGTS * 0.20), 'Acordo mútuo: multa de 20%');
+  assert(!rAcordo.seguroDesemprego, 'Acordo mútuo não dá direito a seguro-desemprego');
+  assert(rAcordo.percentualSaqueFgts === 0.8, 'Acordo mútuo: saque limitado a 80%');
+  const saqueEsperado = (rAcordo.saldoFgtsUtilizado + rAcordo.fgtsReflex.total) * 0.8 + rAcordo.multaFGTS;
+  assert(approx(rAcordo.saqueFgtsPermitido, saqueEsperado), 'Acordo mútuo: valor do saque permitido incorreto');
+  assert(rAcordo.saqueFgtsPermitido < rSjc.saqueFgtsPermitido, 'Acordo mútuo deve liberar menos FGTS que a dispensa sem justa causa');
+
+  const rPedido = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO' });
+  assert(rPedido.saqueFgtsPermitido === 0, 'Pedido de demissão não libera saque do FGTS');
+
+  // Montante total: líquido do TRCT mais apenas o FGTS que o motivo libera.
+  const rJusta = calcularRescisao({ ...base, motivo: 'JUSTA_CAUSA' });
+  assert(approx(rPedido.montanteTotalComFGTS, rPedido.totalLiquidoSemMulta) && approx(rJusta.montanteTotalComFGTS, rJusta.totalLiquidoSemMulta), 'Pedido de demissão e justa causa não somam FGTS ao montante');
+  assert(approx(rAcordo.montanteTotalComFGTS, rAcordo.totalLiquidoSemMulta + saqueEsperado), 'Acordo mútuo soma só 80% do saldo e a multa ao montante');
+  assert(approx(rSjc.montanteTotalComFGTS, rSjc.totalLiquidoSemMulta + rSjc.saldoFgtsUtilizado + rSjc.fgtsReflex.total + rSjc.multaFGTS), 'Dispensa sem justa causa soma todo o FGTS e a multa');
+  console.log('[OK] Validação do acordo mútuo (art. 484-A)');
+})();
+
+(function scenarioFeriasVencidasPorPeriodo() {
+  console.log('Executando: Validação das férias vencidas por período aquisitivo...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2022-01-01',
+    dataDemissao: '2025-03-15',
+    avisoPrevio: 'indenizado',
+    periodosFerias: [
+      { situacao: 'nao_gozado', faltas: 10 }, // 2022: 24 dias (art. 130), concessivo vencido → dobra
+      { situacao: 'parcial', diasGozados: 20 }, // 2023: 10 dias restantes, concessivo vencido → dobra
+      { situacao: 'nao_gozado', faltas: 40 } // 2024: sem direito (mais de 32 faltas)
+    ]
+  };
+  const r = calcularRescisao(base);
+  const [p1, p2, p3] = r.periodosFeriasVencidas;
+  const diaria = r.remuneracaoBase / 30;
+
+  assert(p1.inicio === '2022-01-01' && p1.fim === '2022-12-31' && p1.fimConcessivo === '2023-12-31', 'Datas do 1º período incorretas');
+  assert(p1.diasDireito === 24 && p1.diasDevidos === 24 && p1.dobra, '1º período: 24 dias em dobro');
+  assert(approx(p1.valor, diaria * 24 * 2), '1º período: valor em dobro incorreto');
+  assert(approx(p1.terco, p1.valor / 3), '1º período: 1/3 incorreto');
+  assert(p2.diasDevidos === 10 && p2.dobra, '2º período: 10 dias restantes em dobro');
+  assert(p3.diasDireito === 0 && p3.valor === 0, '3º período: mais de 32 faltas não geram férias');
+  assert(approx(r.feriasVencidas, p1.valor + p2.valor + p3.valor), 'Total de férias vencidas deve somar os períodos');
+  assert(r.warnings.some(w => w.includes('art. 137')), 'Deve avisar sobre a dobra');
+
+  const rGozadas = calcularRescisao({ ...base, periodosFerias: [{ situacao: 'gozado' }, { situacao: 'gozado' }, { situacao: 'gozado' }] });
+  assert(rGozadas.feriasVencidas === 0, 'Períodos gozados não geram férias vencidas');
+
+  const rNoPrazo = calcularRescisao({ ...base, dataDemissao: '2023-06-30', periodosFerias: [{ situacao: 'nao_gozado' }] });
+  assert(!rNoPrazo.periodosFeriasVencidas[0].dobra, 'Período ainda no prazo concessivo é pago de forma simples');
+  console.log('[OK] Validação das férias vencidas por período aquisitivo');
+})();
+
+(function scenarioAvisoNaoCumpridoPeloEmpregado() {
+  console.log('Executando: Validação do desconto do aviso não cumprido (art. 487, § 2º)...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'PEDIDO_DEMISSAO',
+    dataAdmissao: '2023-02-01',
+    dataDemissao: '2025-06-20',
+    avisoPrevio: 'nao_cumprido'
+  };
+  const r = calcularRescisao(base);
+  assert(approx(r.descontoAvisoPrevio, r.remuneracaoBase), 'Desconto deve corresponder a um mês de remuneração');
+  assert(approx(r.totalDescontos, r.inss + r.irrf + r.outrosDescontos + r.descontoAvisoPrevio), 'Desconto do aviso deve compor os descontos');
+
+  // Poucas verbas a receber: o desconto é limitado para não deixar o líquido negativo.
+  const rCurto = calcularRescisao({ ...base, dataAdmissao: '2025-05-01', dataDemissao: '2025-05-05' });
+  assert(rCurto.descontoAvisoPrevio < rCurto.remuneracaoBase, 'Desconto deveria ser limitado');
+  assert(rCurto.totalLiquidoSemMulta >= -0.01, 'Líquido não pode ficar negativo');
+
+  const rSjc = calcularRescisao({ ...base, motivo: 'SEM_JUSTA_CAUSA' });
+  assert(rSjc.descontoAvisoPrevio === 0, 'Desconto só se aplica ao pedido de demissão');
+  console.log('[OK] Validação do desconto do aviso não cumprido (art. 487, § 2º)');
+})();
+
+(function scenarioIndenizacaoLei7238() {
+  console.log('Executando: Validação da indenização adicional da Lei 7.238/84...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2023-02-01',
+    dataDemissao: '2025-04-10',
+    avisoPrevio: 'indenizado',
+    mesDataBase: 6
+  };
+  // Aviso de 36 dias: término projetado em 16/05/2025, dentro do trintídio anterior a 01/06/2025.
+  const r = calcularRescisao(base);
+  assert(r.dataBaseTrintidio === '2025-06-01', 'Data-base do trintídio incorreta');
+  assert(approx(r.indenizacaoLei7238, 3000), 'Indenização adicional deve ser de um salário mensal');
+  assert(r.verbasItens.some(i => i.chave === 'indenizacaoLei7238'), 'Indenização deve constar nas verbas');
+  assert(r.warnings.some(w => w.includes('Lei 7.238/84')), 'Deve haver aviso explicando a indenização');
+
+  const rForaDoTrintidio = calcularRescisao({ ...base, mesDataBase: 9 });
+  assert(rForaDoTrintidio.indenizacaoLei7238 === 0, 'Fora do trintídio não há indenização');
+
+  const rTrabalhado = calcularRescisao({ ...base, avisoPrevio: 'trabalhado' });
+  assert(rTrabalhado.indenizacaoLei7238 === 0, 'Sem projeção, 10/04 não está no trintídio de junho');
+
+  const rPedido = calcularRescisao({ ...base, motivo: 'PEDIDO_DEMISSAO' });
+  assert(rPedido.indenizacaoLei7238 === 0, 'Pedido de demissão não gera a indenização');
+
+  const rSemDataBase = calcularRescisao({ ...base, mesDataBase: '' });
+  assert(rSemDataBase.indenizacaoLei7238 === 0, 'Sem data-base informada não há indenização');
+  console.log('[OK] Validação da indenização adicional da Lei 7.238/84');
+})();
+
+(function scenarioIndenizacaoEstabilitaria() {
+  console.log('Executando: Validação da indenização estabilitária...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2023-02-01',
+    dataDemissao: '2025-03-31',
+    avisoPrevio: 'trabalhado',
+    aplicarReducaoAviso: false,
+    saldoFgts: 5000,
+    tipoEstabilidade: 'GESTANTE',
+    dataInicioEstabilidade: '2025-01-10',
+    dataFimEstabilidade: '2025-09-30'
+  };
+  const r = calcularRescisao(base);
+  const e = r.indenizacaoEstabilidade;
+  assert(e && e.inicio === '2025-04-01' && e.fim === '2025-09-30', 'Período remanescente incorreto');
+  assert(e.dias === 183 && e.avos === 6, 'Dias/avos do período remanescente incorretos');
+  assert(approx(e.salarios, 3000 / 30 * 183), 'Salários do período incorretos');
+  assert(approx(e.decimoTerceiro, 1500) && approx(e.ferias, 1500) && approx(e.tercoFerias, 500), 'Reflexos em 13º e férias incorretos');
+  assert(approx(e.fgts, (e.salarios + e.decimoTerceiro) * 0.08), 'FGTS deve incidir sobre salários e 13º');
+  assert(approx(r.indenizacaoEstabilitaria, e.salarios + e.decimoTerceiro + e.ferias + e.tercoFerias), 'Total da indenização incorreto');
+  const comp = r.fgtsReflex.componentes.find(c => c.label.includes('Estabilidade (férias'));
+  assert(comp && comp.fgts === 0, 'FGTS não incide sobre férias indenizadas da estabilidade');
+
+  // Com aviso indenizado, a indenização começa após a projeção do aviso.
+  const rIndenizado = calcularRescisao({ ...base, avisoPrevio: 'indenizado' });
+  assert(rIndenizado.indenizacaoEstabilidade.inicio > '2025-04-01', 'Projeção do aviso deve anteceder o período indenizado');
+
+  const rJusta = calcularRescisao({ ...base, motivo: 'JUSTA_CAUSA' });
+  assert(rJusta.indenizacaoEstabilidade === null && rJusta.indenizacaoEstabilitaria === 0, 'Justa causa não gera indenização estabilitária');
+
+  const rEncerrada = calcularRescisao({ ...base, dataFimEstabilidade: '2025-03-01' });
+  assert(rEncerrada.indenizacaoEstabilidade === null, 'Estabilidade encerrada não gera indenização');
+  console.log('[OK] Validação da indenização estabilitária');
+})();
+
+(function scenarioMultaArt477() {
+  console.log('Executando: Validação do prazo de pagamento e multa do art. 477, § 8º...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2023-01-10',
+    dataDemissao: '2025-03-15',
+    saldoFgts: 5000,
+    avisoPrevio: 'indenizado'
+  };
+  const rNoPrazo = calcularRescisao({ ...base, dataPagamento: '2025-03-25' });
+  assert(rNoPrazo.pagamento.prazo === '2025-03-25', 'Prazo deve ser 10 dias corridos após o término');
+  assert(!rNoPrazo.pagamento.atrasado && rNoPrazo.multaArt477 === 0, 'Pagamento no prazo não gera multa');
+
+  const rAtrasado = calcularRescisao({ ...base, dataPagamento: '02/04/2025' });
+  assert(rAtrasado.pagamento.atrasado && rAtrasado.pagamento.diasAtraso === 8, 'Dias de atraso incorretos');
+  assert(approx(rAtrasado.multaArt477, 3000), 'Multa do art. 477 deve ser de um salário');
+  assert(approx(rAtrasado.totalLiquidoSemMulta, rNoPrazo.totalLiquidoSemMulta), 'Multa do art. 477 não integra o líquido do TRCT');
+  assert(rAtrasado.warnings.some(w => w.includes('art. 477, § 8º')), 'Deve avisar sobre o atraso');
+
+  const rSemData = calcularRescisao(base);
+  assert(rSemData.pagamento.dataPagamento === '' && rSemData.multaArt477 === 0, 'Sem data de pagamento não há multa');
+  console.log('[OK] Validação do prazo de pagamento e multa do art. 477, § 8º');
+})();
+
+(function scenarioSaldoFgtsEstimado() {
+  console.log('Executando: Validação do saldo de FGTS estimado pelo histórico de depósitos...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2024-01-01',
+    dataDemissao: '2025-03-15',
+    saldoFgts: 1000,
+    avisoPrevio: 'indenizado'
+  };
+  const rInformado = calcularRescisao(base);
+  assert(rInformado.fgtsHistorico === null && rInformado.saldoFgtsUtilizado === 1000, 'Sem a opção, usa o saldo informado');
+
+  const r = calcularRescisao({ ...base, estimarSaldoFgts: true, depositosFgtsInformados: { '2024-05': 0 } });
+  assert(r.fgtsHistorico.meses.length === 14, 'Deve reconstruir 14 competências (jan/2024 a fev/2025)');
+  assert(approx(r.saldoFgtsUtilizado, r.fgtsHistorico.saldo), 'Saldo utilizado deve ser o estimado');
+  assert(r.fgtsHistorico.totalDepositos === 240 * 12 + 480, 'Depósitos: 13 meses de 240, dez/2024 com 13º e mai/2024 zerado');
+  assert(approx(r.fgtsReflex.baseMultaFGTS, r.fgtsHistorico.saldo + r.fgtsReflex.total), 'Base da multa = saldo estimado + depósitos do mês');
+  assert(approx(r.multaFGTS, r.fgtsReflex.baseMultaFGTS * 0.4), 'Multa de 40% sobre a base estimada');
+  assert(r.warnings.some(w => w.includes('TR + 3% a.a.')), 'Deve avisar que o saldo é estimado');
+  console.log('[OK] Validação do saldo de FGTS estimado pelo histórico de depósitos');
+})();
+
+(function scenarioLinhaDoTempo() {
+  console.log('Executando: Validação da linha do tempo do contrato...');
+  const base = {
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2022-03-10',
+    dataDemissao: '2025-06-12'
+  };
+  const r = calcularRescisao({ ...base, avisoPrevio: 'indenizado' });
+  const lt = r.linhaDoTempo;
+  assert(lt.inicio === '2022-03-10' && lt.fim === r.dataProjecaoAviso, 'Eixo da admissão ao término projetado');
+  assert(lt.marcos.map(m => m.tipo).join() === 'admissao,demissao,projecaoAviso', 'Marcos do aviso indenizado');
+  assert(lt.faixas.filter(f => f.tipo === 'concessivo').length === r.periodosFeriasVencidas.length, 'Um período concessivo por aquisitivo completo');
+  const aquisitivo = lt.faixas.find(f => f.tipo === 'aquisitivo' && f.emCurso);
+  const decimo = lt.faixas.find(f => f.tipo === 'decimoTerceiro' && f.emCurso);
+  assert(aquisitivo.meses === r.mesesFeriasProp && decimo.meses === r.meses13, 'Avos das faixas em curso coincidem com o cálculo');
+  assert(lt.faixas.filter(f => f.tipo === 'decimoTerceiro').length === 4, 'Um ano de 13º por ano civil do contrato');
+
+  const t = calcularRescisao({ ...base, avisoPrevio: 'trabalhado', aplicarReducaoAviso: false });
+  const aviso = t.linhaDoTempo.faixas.find(f => f.tipo === 'aviso');
+  assert(aviso.fim === '2025-06-12' && aviso.inicio === '2025-05-05', 'Aviso trabalhado termina na demissão');
+  const junho = t.linhaDoTempo.faixas.find(f => f.tipo === 'decimoTerceiro' && f.emCurso).avos.find(a => a.competencia === '2025-06');
+  assert(junho.dias === 12 && !junho.contado, 'Mês com menos de 15 dias não gera avo');
+  assert(calcularRescisao({ ...base, dataAdmissao: '' }).linhaDoTempo === null, 'Sem admissão não há linha do tempo');
+  console.log('[OK] Validação da linha do tempo do contrato');
+})();
@@ -18,13 +18,25 @@ try {
   // Importa e executa cada arquivo de teste sequencialmente.
   // O 'await' garante que um teste termine antes do próximo começar, evitando saídas misturadas.
   await import('./acumulados-tests.js');
+  await import('./cenarios-tests.js');
   await import('./decimo-terceiro-tests.js');
+  await import('./domestico-tests.js');
+  await import('./dsr-tests.js');
+  await import('./faltas-tests.js');
+  await import('./ferias-competencia-tests.js');
+  await import('./ferias-pagamento-tests.js');
   await import('./fgts-tests.js');
+  await import('./fracionamento-ferias-tests.js');
+  await import('./incidencias-tests.js');
   await import('./inss-tests.js');
+  await import('./medias-tests.js');
   await import('./multi-ano-tests.js');
   await import('./parametros-tests.js');
+  await import('./planejamento-saida-tests.js');
+  await import('./pensao-tests.js');
   await import('./rescisao-tests.js');
   await import('./seguro-desemprego-tests.js');
+  await import('./trct-tests.js');
   await import('./validation-tests.js');
 
   // Importa o novo arquivo de teste com as correções.
@@ -0,0 +1,57 @@
+import { calcularRescisao } from '../src/core/rescisao.js';
+import { montarTRCT } from '../src/services/trct.js';
+import { initParametros } from '../src/core/parametersStore.js';
+
+function assert(cond, msg){ if(!cond) throw new Error(msg); }
+function approx(a,b,t=0.02){ return Math.abs(a-b)<=t; }
+
+await initParametros(2025);
+
+(function scenarioRubricasTRCT() {
+  console.log('Executando: Validação das rubricas do TRCT...');
+  const r = calcularRescisao({
+    salarioBruto: 4000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2022-02-01',
+    dataDemissao: '2025-06-20',
+    saldoFgts: 10000,
+    avisoPrevio: 'indenizado',
+    dependentes: 0,
+    descontoVt: 120,
+    empregadorRazaoSocial: 'Empresa Exemplo Ltda.',
+    empregadorCnpj: '12.345.678/0001-90',
+    empregadoNome: 'Maria Silva',
+    empregadoCpf: '123.456.789-00'
+  });
+  const t = montarTRCT(r);
+  const codigos = [...t.creditos, ...t.deducoes].map(l => l.codigo);
+  ['50', '63', '64', '65', '69', '70', '106', '112.1', '114.1'].forEach(c => {
+    assert(codigos.includes(c), `Rubrica ${c} deveria constar no TRCT`);
+  });
+  assert(t.deducoes.every(l => l.valor > 0), 'Deduções sem valor não devem ser lançadas');
+  assert(approx(t.valorLiquido, r.totalLiquidoSemMulta), 'Líquido do TRCT deve ser o líquido sem a multa do FGTS');
+  assert(approx(t.totalDeducoes, r.totalDescontos), 'Deduções do TRCT devem somar os descontos da rescisão');
+  assert(t.contrato.codigoAfastamento === '02', 'Dispensa sem justa causa usa o código 02');
+  assert(t.contrato.dataAfastamento === '2025-06-20' && t.contrato.dataProjecaoAviso > '2025-06-20', 'Datas do contrato incorretas');
+  assert(t.empregador.cnpj === '12.345.678/0001-90' && t.empregado.nome === 'Maria Silva', 'Identificação deve vir do resultado');
+  console.log('[OK] Validação das rubricas do TRCT');
+})();
+
+(function scenarioCodigoAfastamentoContratoATermo() {
+  console.log('Executando: Validação do código de afastamento em contrato a termo...');
+  const r = calcularRescisao({
+    salarioBruto: 3000,
+    motivo: 'SEM_JUSTA_CAUSA',
+    dataAdmissao: '2025-03-01',
+    dataDemissao: '2025-04-19',
+    saldoFgts: 0,
+    avisoPrevio: 'indenizado',
+    tipoContrato: 'experiencia',
+    dataFimContrato: '2025-05-29'
+  });
+  const t = montarTRCT(r);
+  assert(t.contrato.codigoAfastamento === '03', 'Rescisão antecipada pelo empregador usa o código 03');
+  assert(t.creditos.some(l => l.codigo === '61'), 'Indenização do art. 479 deve usar a rubrica 61');
+  assert(montarTRCT(null) === null, 'Resultado vazio não gera TRCT');
+  console.log('[OK] Validação do código de afastamento em contrato a termo');
+})();
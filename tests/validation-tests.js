@@ -1,4 +1,5 @@
 import { ValidationEngine } from '../src/core/validation.js';
+import { DateFormatter } from '../src/services/formatter.js';
 
 function assert(cond, msg){ if(!cond) { console.error('FAIL:', msg); process.exit(1);} }
 
@@ -46,4 +47,14 @@ function assert(cond, msg){ if(!cond) { console.error('FAIL:', msg); process.exi
   console.log('[OK] Collection of errors');
 })();
 
+// Testa a conversão para ISO e a aritmética de datas compartilhadas pelos módulos de cálculo
+(function testDateHelpers(){
+  assert(DateFormatter.paraISO('05/03/2025') === '2025-03-05' && DateFormatter.paraISO(' 2025-03-05 ') === '2025-03-05', 'paraISO deve aceitar BR e ISO');
+  assert(DateFormatter.paraISO('31/02/2024') === '' && DateFormatter.paraISO('2024-02-30') === '' && DateFormatter.paraISO('') === '', 'paraISO deve rejeitar datas inválidas');
+  assert(DateFormatter.somarDias('2025-02-27', 2) === '2025-03-01' && DateFormatter.somarDias('2025-03-01', -1) === '2025-02-28', 'somarDias deve virar o mês em UTC');
+  assert(DateFormatter.somarData('2024-02-29', { anos: 1, dias: -1 }) === '2025-02-28', 'somarData deve somar anos e dias');
+  assert(DateFormatter.competenciaDe('15/03/2025') === '2025-03' && DateFormatter.competenciaDe('2025-03-15') === '2025-03' && DateFormatter.competenciaDe('x') === '', 'competenciaDe deve extrair o mês da data');
+  console.log('[OK] Date helpers');
+})();
+
 console.log('\nAll validation tests passed.');